@@ -0,0 +1,160 @@
+/**
+ * Mutation audit log
+ * Every successful write sent through the Taiga client is appended as one JSON line
+ * to the audit log, with the tool call that made it, the previous values of the
+ * fields it changed (fetched right before the write) and Taiga's response. Tool
+ * arguments and request bodies are redacted like log entries. The log is
+ * append-only: undoing a change appends new entries pointing at it (`undoOf`).
+ *
+ * Environment:
+ * - TAIGA_AUDIT_LOG  Path of the audit log (default: ~/.taiga-mcp/audit.jsonl, "off" disables)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { getToolContext } from './context.js';
+import { logger, redact } from './logger.js';
+
+const WRITE_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// Single resources whose current state can be fetched with a GET on the same URL
+export const RESOURCE_PATTERN = /^\/(userstories|tasks|issues|epics|wiki|milestones)(\/attachments)?\/\d+$/;
+
+/**
+ * Get the audit log path
+ * @param {Object} [env] - Environment variables
+ * @returns {string|null} - Path, or null when auditing is disabled
+ */
+export function getAuditLogPath(env = process.env) {
+  const configured = (env.TAIGA_AUDIT_LOG || '').trim();
+
+  if (['off', 'false', '0', 'none'].includes(configured.toLowerCase())) {
+    return null;
+  }
+  return configured || path.join(os.homedir(), '.taiga-mcp', 'audit.jsonl');
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry - Audit entry
+ */
+function appendAuditEntry(entry) {
+  const file = getAuditLogPath();
+  if (!file) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch (error) {
+    // The write already happened, losing the record must not fail the tool call
+    logger.error('Failed to write audit log entry', { error, auditId: entry.id });
+  }
+}
+
+/**
+ * Read all audit log entries
+ * @returns {Array<Object>} - Entries, oldest first
+ */
+export function readAuditEntries() {
+  const file = getAuditLogPath();
+  if (!file || !fs.existsSync(file)) {
+    return [];
+  }
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        logger.warn('Skipping unreadable audit log line');
+        return [];
+      }
+    });
+}
+
+/**
+ * Parse a request body into an object (JSON bodies only)
+ * @param {any} data - Request body
+ * @returns {Object} - Body object, or an empty object
+ */
+function bodyObject(data) {
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return {};
+    }
+  }
+  return data && typeof data === 'object' && !Buffer.isBuffer(data) ? data : {};
+}
+
+/**
+ * Record successful writes made with an axios instance
+ * @param {import('axios').AxiosInstance} client - Axios instance
+ * @param {Object} profile - Profile the client talks as
+ * @returns {import('axios').AxiosInstance} - The same instance
+ */
+export function attachAudit(client, profile) {
+  client.interceptors.request.use(async (config) => {
+    const method = (config.method || 'get').toLowerCase();
+
+    // Replays (auth renewal, retries) keep the values fetched before the first attempt,
+    // and patchWithVersion passes the item it already read
+    if (!WRITE_METHODS.includes(method) || method === 'post' || config._auditPrevious !== undefined ||
+      !getAuditLogPath() || getToolContext().dryRun || !RESOURCE_PATTERN.test(config.url)) {
+      return config;
+    }
+
+    try {
+      const { data: current } = await client.get(config.url);
+      const changedFields = Object.keys(bodyObject(config.data)).filter(field => field !== 'version');
+      config._auditPrevious = method === 'delete'
+        ? current
+        : Object.fromEntries(changedFields.map(field => [field, current[field]]));
+    } catch (error) {
+      config._auditPrevious = null;
+      logger.warn('Could not fetch previous values for the audit log', { error, url: config.url });
+    }
+
+    return config;
+  });
+
+  client.interceptors.response.use((response) => {
+    const config = response.config;
+    const method = (config.method || 'get').toLowerCase();
+
+    if (!WRITE_METHODS.includes(method) || config._dryRun || config._audited || !getAuditLogPath()) {
+      return response;
+    }
+    config._audited = true;
+
+    const { tool, args, correlationId, undoOf } = getToolContext();
+    appendAuditEntry({
+      id: randomUUID(),
+      time: new Date().toISOString(),
+      profile: profile.name,
+      apiUrl: profile.apiUrl,
+      tool: tool || null,
+      correlationId: correlationId || null,
+      ...(undoOf && { undoOf }),
+      args: redact(args ?? null),
+      method: method.toUpperCase(),
+      endpoint: config.url,
+      ...(config.params && { params: config.params }),
+      request: redact(Buffer.isBuffer(config.data) ? `[binary ${config.data.length} bytes]` : bodyObject(config.data)),
+      // Kept verbatim so undo can restore them exactly
+      previous: config._auditPrevious ?? null,
+      response: response.data ?? null
+    });
+
+    return response;
+  });
+
+  return client;
+}
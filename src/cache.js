@@ -0,0 +1,159 @@
+/**
+ * Per-project TTL cache for catalog lookups
+ * Statuses, priorities, severities, issue types, custom attributes, members and
+ * projects change rarely but are looked up on almost every tool call. Entries are
+ * scoped by connection profile and project, expire after TAIGA_CACHE_TTL_MS (0
+ * disables caching), and are dropped when a write touches the project's catalog.
+ */
+
+import './config.js';
+import { getProfile } from './profiles.js';
+import { API_ENDPOINTS } from './constants.js';
+
+export const CACHE_TTL_MS = Number(process.env.TAIGA_CACHE_TTL_MS ?? 5 * 60 * 1000);
+
+// Endpoints whose writes change cached catalog data
+const CATALOG_ENDPOINTS = [
+  API_ENDPOINTS.PROJECTS,
+  API_ENDPOINTS.MEMBERSHIPS,
+  API_ENDPOINTS.USER_STORY_STATUSES,
+  API_ENDPOINTS.TASK_STATUSES,
+  API_ENDPOINTS.ISSUE_STATUSES,
+  API_ENDPOINTS.PRIORITIES,
+  API_ENDPOINTS.SEVERITIES,
+  API_ENDPOINTS.ISSUE_TYPES,
+  API_ENDPOINTS.USER_STORY_CUSTOM_ATTRIBUTES,
+  API_ENDPOINTS.TASK_CUSTOM_ATTRIBUTES,
+  API_ENDPOINTS.ISSUE_CUSTOM_ATTRIBUTES,
+  API_ENDPOINTS.EPIC_CUSTOM_ATTRIBUTES,
+];
+
+// Cache entries: key -> { promise, expiresAt, profile, projectId }
+const entries = new Map();
+
+/**
+ * Get a cached value, loading it on a miss
+ * Concurrent callers share a single in-flight load.
+ * @param {string|number} scope - Project ID (or slug for slug lookups)
+ * @param {string} name - Catalog name
+ * @param {Function} loader - Async function producing the value
+ * @returns {Promise<any>} - Cached or freshly loaded value
+ */
+export async function cached(scope, name, loader) {
+  if (CACHE_TTL_MS <= 0) {
+    return await loader();
+  }
+
+  const profile = getProfile().name;
+  const key = `${profile}|${scope}|${name}`;
+  const entry = entries.get(key);
+
+  if (entry && entry.expiresAt > Date.now()) {
+    return await entry.promise;
+  }
+
+  const newEntry = {
+    profile,
+    projectId: String(scope),
+    expiresAt: Date.now() + CACHE_TTL_MS,
+    promise: null
+  };
+  newEntry.promise = loader().then((value) => {
+    // Slug lookups resolve to a project, remember its ID for invalidation
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.id !== undefined && name.startsWith('project')) {
+      newEntry.projectId = String(value.id);
+    }
+    return value;
+  }, (error) => {
+    entries.delete(key);
+    throw error;
+  });
+  entries.set(key, newEntry);
+
+  return await newEntry.promise;
+}
+
+/**
+ * Drop every cached entry of a project
+ * @param {string|number} projectId - Project ID
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
+ * @returns {number} - Number of entries removed
+ */
+export function invalidateProject(projectId, profileName = getProfile().name) {
+  let removed = 0;
+
+  for (const [key, entry] of entries) {
+    if (entry.profile === profileName && entry.projectId === String(projectId)) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Clear the cache
+ * @param {Object} [options] - Options
+ * @param {string|number} [options.projectId] - Only clear this project
+ * @param {string} [options.profileName] - Profile name (defaults to the current profile)
+ * @param {boolean} [options.allProfiles] - Clear entries of every profile
+ * @returns {number} - Number of entries removed
+ */
+export function clearCache({ projectId, profileName = getProfile().name, allProfiles = false } = {}) {
+  if (projectId !== undefined) {
+    return invalidateProject(projectId, profileName);
+  }
+
+  let removed = 0;
+
+  for (const [key, entry] of entries) {
+    if (allProfiles || entry.profile === profileName) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Get the number of live cache entries
+ * @returns {number} - Entry count
+ */
+export function getCacheSize() {
+  const now = Date.now();
+  return [...entries.values()].filter(entry => entry.expiresAt > now).length;
+}
+
+/**
+ * Invalidate cached catalogs after successful writes to catalog endpoints
+ * @param {import('axios').AxiosInstance} client - Axios instance
+ * @param {string} profileName - Profile the client talks as
+ * @returns {import('axios').AxiosInstance} - The same instance
+ */
+export function attachCacheInvalidation(client, profileName) {
+  client.interceptors.response.use((response) => {
+    const method = (response.config.method || 'get').toLowerCase();
+    const url = response.config.url || '';
+
+    if (method !== 'get' && !response.config._dryRun && CATALOG_ENDPOINTS.some(endpoint => url.startsWith(endpoint))) {
+      const projectMatch = url.match(new RegExp(`^${API_ENDPOINTS.PROJECTS}/(\\d+)`));
+      const projectId = projectMatch?.[1] ?? response.data?.project;
+
+      if (projectId !== undefined && projectId !== null) {
+        invalidateProject(projectId, profileName);
+      } else {
+        clearCache({ profileName });
+      }
+      // The project list and templates are cached under the 'projects' scope, not per project
+      if (url.startsWith(API_ENDPOINTS.PROJECTS)) {
+        invalidateProject('projects', profileName);
+      }
+    }
+
+    return response;
+  });
+
+  return client;
+}
@@ -0,0 +1,155 @@
+/**
+ * Argument completions
+ * Suggestions for completion/complete on prompt arguments and resource template
+ * variables: project slugs, sprint names, wiki page slugs and the project's
+ * actual issue status, priority and type names and member names. Catalogs come
+ * from the cached TaigaService lookups, so completing as the user types does not
+ * hit Taiga on every keystroke.
+ *
+ * Completions are best effort: when Taiga cannot be reached, or the project is
+ * not known yet, there are simply no suggestions.
+ */
+
+import { TaigaService } from './taigaService.js';
+import { cached } from './cache.js';
+import { getDefaultProject } from './config.js';
+import { resolveProjectId } from './utils.js';
+import { logger } from './logger.js';
+
+const taigaService = new TaigaService();
+
+/**
+ * Keep the values that match what was typed
+ * Values starting with the input come first, then values containing it.
+ * @param {Array<string>} values - Candidate values
+ * @param {string} input - Typed text
+ * @returns {Array<string>} - Unique matching values
+ */
+export function matchCompletions(values, input = '') {
+  const typed = input.toLowerCase();
+  const unique = [...new Set(values.filter(value => typeof value === 'string' && value !== ''))];
+  const prefixed = unique.filter(value => value.toLowerCase().startsWith(typed));
+  const containing = unique.filter(value => !value.toLowerCase().startsWith(typed) && value.toLowerCase().includes(typed));
+  return [...prefixed, ...containing];
+}
+
+/**
+ * Build a completion callback that never fails
+ * @param {string} what - What is completed, for the log
+ * @param {Function} loadValues - (context) => Promise<Array<string>> of candidates
+ * @returns {Function} - (value, context) => Promise<Array<string>>
+ */
+function completer(what, loadValues) {
+  return async (value, context) => {
+    try {
+      return matchCompletions(await loadValues(context), value);
+    } catch (error) {
+      logger.debug(`No ${what} completions`, { error });
+      return [];
+    }
+  };
+}
+
+/**
+ * Project ID from the arguments filled in so far, or the default project
+ * @param {Object} [context] - Completion context with arguments
+ * @param {string} argument - Argument holding the project ID or slug
+ * @returns {Promise<string|null>} - Project ID, or null when unknown
+ */
+async function projectFrom(context, argument) {
+  const identifier = context?.arguments?.[argument] || getDefaultProject();
+  return identifier ? resolveProjectId(identifier) : null;
+}
+
+/**
+ * Build a completion callback over a catalog of the project named by another argument
+ * @param {string} what - What is completed, for the log
+ * @param {string} projectArgument - Argument holding the project ID or slug
+ * @param {Function} loadCatalog - (projectId) => Promise<Array<string>> of candidates
+ * @returns {Function} - Completion callback
+ */
+function projectCompleter(what, projectArgument, loadCatalog) {
+  return completer(what, async (context) => {
+    const projectId = await projectFrom(context, projectArgument);
+    return projectId ? loadCatalog(projectId) : [];
+  });
+}
+
+/**
+ * Complete project slugs
+ */
+export const completeProjectSlug = completer('project', async () => {
+  // Cached like the catalogs, so typing a slug lists the projects once per TTL
+  const projects = await cached('projects', 'projectList', () => taigaService.listProjects());
+  return projects.map(project => project.slug);
+});
+
+/**
+ * Complete sprint names of the project in the given argument
+ * @param {string} projectArgument - Argument holding the project ID or slug
+ * @returns {Function} - Completion callback
+ */
+export function completeSprintName(projectArgument) {
+  return projectCompleter('sprint', projectArgument, async (projectId) =>
+    (await taigaService.listMilestones(projectId)).map(milestone => milestone.name));
+}
+
+/**
+ * Complete sprint IDs of the project in the given argument
+ * @param {string} projectArgument - Argument holding the project ID or slug
+ * @returns {Function} - Completion callback
+ */
+export function completeSprintId(projectArgument) {
+  return projectCompleter('sprint', projectArgument, async (projectId) =>
+    (await taigaService.listMilestones(projectId)).map(milestone => String(milestone.id)));
+}
+
+/**
+ * Complete wiki page slugs of the project in the given argument
+ * @param {string} projectArgument - Argument holding the project ID or slug
+ * @returns {Function} - Completion callback
+ */
+export function completeWikiSlug(projectArgument) {
+  return projectCompleter('wiki page', projectArgument, async (projectId) =>
+    (await taigaService.listWikiPages(projectId)).map(page => page.slug));
+}
+
+/**
+ * Complete issue status names of the project in the given argument
+ * @param {string} projectArgument - Argument holding the project ID or slug
+ * @returns {Function} - Completion callback
+ */
+export function completeIssueStatus(projectArgument) {
+  return projectCompleter('status', projectArgument, async (projectId) =>
+    (await taigaService.getIssueStatuses(projectId)).map(status => status.name));
+}
+
+/**
+ * Complete issue priority names of the project in the given argument
+ * @param {string} projectArgument - Argument holding the project ID or slug
+ * @returns {Function} - Completion callback
+ */
+export function completeIssuePriority(projectArgument) {
+  return projectCompleter('priority', projectArgument, async (projectId) =>
+    (await taigaService.getIssuePriorities(projectId)).map(priority => priority.name));
+}
+
+/**
+ * Complete issue type names of the project in the given argument
+ * @param {string} projectArgument - Argument holding the project ID or slug
+ * @returns {Function} - Completion callback
+ */
+export function completeIssueType(projectArgument) {
+  return projectCompleter('type', projectArgument, async (projectId) =>
+    (await taigaService.getIssueTypes(projectId)).map(type => type.name));
+}
+
+/**
+ * Complete member names of the project in the given argument
+ * @param {string} projectArgument - Argument holding the project ID or slug
+ * @returns {Function} - Completion callback
+ */
+export function completeMemberName(projectArgument) {
+  return projectCompleter('member', projectArgument, async (projectId) =>
+    (await taigaService.getProjectMembers(projectId)).map(member => member.full_name));
+}
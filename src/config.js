@@ -0,0 +1,350 @@
+/**
+ * Configuration file
+ * Settings can live in a `taiga-mcp.config.json` (or `.yaml`/`.yml`) file instead of
+ * environment variables. The file is looked up in TAIGA_MCP_CONFIG, then in the
+ * working directory, then in ~/.taiga-mcp/.
+ *
+ * Every setting maps to an environment variable (see CONFIG_ENV_VARIABLES). The
+ * file and the environment are validated together with zod when this module is
+ * first imported; environment variables (including `.env`) win over the file.
+ * Valid file values are then copied into process.env, so the rest of the server
+ * reads a single source. Problems are collected, not thrown: the entry point
+ * calls getConfigError() and exits with the full list.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { fileURLToPath } from 'url';
+
+export const CONFIG_FILE_NAMES = ['taiga-mcp.config.json', 'taiga-mcp.config.yaml', 'taiga-mcp.config.yml'];
+
+const TRUE_VALUES = ['1', 'true', 'yes'];
+const FALSE_VALUES = ['0', 'false', 'no', ''];
+
+// Environment variables arrive as strings, so every field also accepts its string form
+const text = z.string().trim().min(1);
+const integer = (min) => z.coerce.number({ invalid_type_error: 'Expected a number' }).int().min(min);
+const boolean = z.preprocess((value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const normalized = value.trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return value;
+}, z.boolean({ invalid_type_error: 'Expected true or false' }));
+const list = z.preprocess(
+  value => (typeof value === 'string' ? value.split(',').map(entry => entry.trim()).filter(Boolean) : value),
+  z.array(text)
+);
+const url = z.string().trim().url();
+
+const connectionSchema = z.object({
+  apiUrl: url,
+  username: text,
+  password: text,
+  token: text,
+  tokenType: z.preprocess(
+    value => (typeof value === 'string' ? value.charAt(0).toUpperCase() + value.slice(1).toLowerCase() : value),
+    z.enum(['Bearer', 'Application'])
+  ),
+  proxy: url,
+  noProxy: text,
+  caFile: text,
+  certFile: text,
+  keyFile: text,
+  keyPassphrase: text,
+  timeoutMs: integer(0)
+}).partial().strict();
+
+export const configSchema = z.object({
+  connection: connectionSchema,
+  profiles: z.preprocess((value) => {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }, z.record(connectionSchema, { invalid_type_error: 'Expected an object keyed by profile name' })),
+  defaultProfile: text,
+  defaultProject: text,
+  locale: z.enum(['en', 'zh-TW']),
+  limits: z.object({
+    maxBatchSize: integer(1),
+    maxQueryResults: integer(1),
+    maxConcurrency: integer(1),
+    maxRequestsPerSecond: integer(0),
+    cacheTtlMs: integer(0),
+    subscriptionPollMs: integer(1000),
+    maxSubscriptions: integer(1),
+    retryMax: integer(0),
+    retryBaseDelayMs: integer(0),
+    retryMaxDelayMs: integer(0)
+  }).partial().strict(),
+  features: z.object({
+    readOnly: boolean,
+    dryRun: boolean,
+    toolCategories: list,
+    allowedTools: list,
+    deniedTools: list,
+    // A path, or false (or "off") to disable the audit log
+    auditLog: z.union([z.literal(false), text]),
+    // true for ~/.taiga-mcp/sessions.json, or a path; off by default
+    sessionStore: z.union([boolean, text])
+  }).partial().strict(),
+  logging: z.object({
+    level: z.enum(['debug', 'info', 'warn', 'error', 'silent']),
+    file: text
+  }).partial().strict(),
+  server: z.object({
+    transport: z.enum(['stdio', 'http']),
+    port: integer(1).max(65535),
+    host: text,
+    authToken: text,
+    allowNoAuth: boolean,
+    // Directory HTTP clients may upload attachments from and download them to
+    fileDir: text
+  }).partial().strict()
+}).partial().strict();
+
+// Setting path -> environment variable
+export const CONFIG_ENV_VARIABLES = {
+  'connection.apiUrl': 'TAIGA_API_URL',
+  'connection.username': 'TAIGA_USERNAME',
+  'connection.password': 'TAIGA_PASSWORD',
+  'connection.token': 'TAIGA_AUTH_TOKEN',
+  'connection.tokenType': 'TAIGA_AUTH_TOKEN_TYPE',
+  'connection.proxy': 'TAIGA_PROXY',
+  'connection.noProxy': 'TAIGA_NO_PROXY',
+  'connection.caFile': 'TAIGA_CA_FILE',
+  'connection.certFile': 'TAIGA_CLIENT_CERT_FILE',
+  'connection.keyFile': 'TAIGA_CLIENT_KEY_FILE',
+  'connection.keyPassphrase': 'TAIGA_CLIENT_KEY_PASSPHRASE',
+  'connection.timeoutMs': 'TAIGA_TIMEOUT_MS',
+  'profiles': 'TAIGA_PROFILES',
+  'defaultProfile': 'TAIGA_DEFAULT_PROFILE',
+  'defaultProject': 'TAIGA_DEFAULT_PROJECT',
+  'locale': 'TAIGA_LOCALE',
+  'limits.maxBatchSize': 'TAIGA_MAX_BATCH_SIZE',
+  'limits.maxQueryResults': 'TAIGA_MAX_QUERY_RESULTS',
+  'limits.maxConcurrency': 'TAIGA_MAX_CONCURRENCY',
+  'limits.maxRequestsPerSecond': 'TAIGA_MAX_REQUESTS_PER_SECOND',
+  'limits.cacheTtlMs': 'TAIGA_CACHE_TTL_MS',
+  'limits.subscriptionPollMs': 'TAIGA_SUBSCRIPTION_POLL_MS',
+  'limits.maxSubscriptions': 'TAIGA_MAX_SUBSCRIPTIONS',
+  'limits.retryMax': 'TAIGA_RETRY_MAX',
+  'limits.retryBaseDelayMs': 'TAIGA_RETRY_BASE_DELAY_MS',
+  'limits.retryMaxDelayMs': 'TAIGA_RETRY_MAX_DELAY_MS',
+  'features.readOnly': 'TAIGA_READ_ONLY',
+  'features.dryRun': 'TAIGA_DRY_RUN',
+  'features.toolCategories': 'TAIGA_TOOL_CATEGORIES',
+  'features.allowedTools': 'TAIGA_ALLOWED_TOOLS',
+  'features.deniedTools': 'TAIGA_DENIED_TOOLS',
+  'features.auditLog': 'TAIGA_AUDIT_LOG',
+  'features.sessionStore': 'TAIGA_SESSION_STORE',
+  'logging.level': 'TAIGA_LOG_LEVEL',
+  'logging.file': 'TAIGA_LOG_FILE',
+  'server.transport': 'MCP_TRANSPORT',
+  'server.port': 'MCP_HTTP_PORT',
+  'server.host': 'MCP_HTTP_HOST',
+  'server.authToken': 'MCP_HTTP_AUTH_TOKEN',
+  'server.allowNoAuth': 'MCP_HTTP_ALLOW_NO_AUTH',
+  'server.fileDir': 'MCP_HTTP_FILE_DIR'
+};
+
+let loadedFile = null;
+let configError = null;
+
+/**
+ * Find the configuration file
+ * @param {Object} [env] - Environment variables
+ * @returns {string|null} - Path, or null when there is none
+ */
+export function findConfigFile(env = process.env) {
+  if (env.TAIGA_MCP_CONFIG) {
+    if (!fs.existsSync(env.TAIGA_MCP_CONFIG)) {
+      throw new Error(`TAIGA_MCP_CONFIG points to "${env.TAIGA_MCP_CONFIG}", which does not exist`);
+    }
+    return env.TAIGA_MCP_CONFIG;
+  }
+
+  for (const dir of [process.cwd(), path.join(os.homedir(), '.taiga-mcp')]) {
+    const found = CONFIG_FILE_NAMES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read and parse a configuration file
+ * @param {string} file - Path
+ * @returns {Object} - Parsed (not yet validated) settings
+ */
+function readConfigFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+
+  try {
+    const parsed = file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    return parsed ?? {};
+  } catch (error) {
+    throw new Error(`Cannot parse ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Get a nested value by a dotted path
+ * @param {Object} object - Source object
+ * @param {string} settingPath - Dotted path
+ * @returns {any} - Value
+ */
+function getPath(object, settingPath) {
+  return settingPath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Set a nested value by a dotted path
+ * @param {Object} object - Target object
+ * @param {string} settingPath - Dotted path
+ * @param {any} value - Value
+ */
+function setPath(object, settingPath, value) {
+  const keys = settingPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+    return node[key];
+  }, object);
+  parent[last] = value;
+}
+
+/**
+ * Convert a validated setting to its environment variable form
+ * @param {any} value - Setting value
+ * @returns {string} - Environment variable value
+ */
+function toEnvValue(value) {
+  if (value === false) return 'false';
+  if (Array.isArray(value)) return value.join(',');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Validate settings from a file and the environment
+ * Environment variables take precedence over the file.
+ * @param {Object} fileSettings - Settings from the configuration file
+ * @param {Object} [env] - Environment variables
+ * @param {string} [source] - File name used in error messages
+ * @returns {Object} - { settings, errors }; settings holds only values taken from the file
+ */
+export function validateConfig(fileSettings, env = process.env, source = 'config file') {
+  const merged = JSON.parse(JSON.stringify(fileSettings || {}));
+  const fromEnv = new Map();
+
+  for (const [settingPath, variable] of Object.entries(CONFIG_ENV_VARIABLES)) {
+    if (env[variable] !== undefined && env[variable] !== '') {
+      setPath(merged, settingPath, env[variable]);
+      fromEnv.set(settingPath, variable);
+    }
+  }
+
+  const result = configSchema.safeParse(merged);
+  if (!result.success) {
+    const errors = result.error.issues.map((issue) => {
+      const settingPath = issue.path.join('.');
+      const envPath = [...fromEnv.keys()].find(key => settingPath === key || settingPath.startsWith(`${key}.`));
+      const where = envPath
+        ? fromEnv.get(envPath)
+        : `"${settingPath || '(root)'}" in ${source}`;
+      const keys = issue.code === 'unrecognized_keys' ? ` (${issue.keys.join(', ')})` : '';
+      return `${where}: ${issue.message}${keys}`;
+    });
+    return { settings: null, errors };
+  }
+
+  const settings = {};
+  for (const settingPath of Object.keys(CONFIG_ENV_VARIABLES)) {
+    const value = getPath(result.data, settingPath);
+    if (value !== undefined && !fromEnv.has(settingPath)) {
+      setPath(settings, settingPath, value);
+    }
+  }
+  return { settings, errors: [] };
+}
+
+/**
+ * Copy file settings into process.env (variables already set are left alone)
+ * @param {Object} settings - Validated settings from the file
+ * @param {Object} [env] - Environment variables to update
+ */
+export function applyConfigToEnv(settings, env = process.env) {
+  for (const [settingPath, variable] of Object.entries(CONFIG_ENV_VARIABLES)) {
+    const value = getPath(settings, settingPath);
+    if (value !== undefined && (env[variable] === undefined || env[variable] === '')) {
+      env[variable] = settingPath === 'features.auditLog' && value === false ? 'off' : toEnvValue(value);
+    }
+  }
+}
+
+/**
+ * Load .env files and the configuration file into process.env
+ * @returns {{file: string|null, error: Error|null}} - What was loaded
+ */
+export function loadConfig() {
+  loadedFile = null;
+  configError = null;
+
+  try {
+    const file = findConfigFile();
+    const { settings, errors } = validateConfig(file ? readConfigFile(file) : {}, process.env, file ? path.basename(file) : 'config file');
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration${file ? ` (${file})` : ''}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    applyConfigToEnv(settings);
+    loadedFile = file;
+  } catch (error) {
+    configError = error;
+  }
+
+  return { file: loadedFile, error: configError };
+}
+
+/**
+ * Get the configuration file that was loaded
+ * @returns {string|null} - Path, or null when settings come from the environment only
+ */
+export function getConfigFile() {
+  return loadedFile;
+}
+
+/**
+ * Get the problem found while loading the configuration
+ * @returns {Error|null} - Error listing every invalid setting, or null
+ */
+export function getConfigError() {
+  return configError;
+}
+
+/**
+ * Get the default project for tools that take a projectIdentifier
+ * @returns {string|undefined} - Project ID or slug
+ */
+export function getDefaultProject() {
+  return process.env.TAIGA_DEFAULT_PROJECT || undefined;
+}
+
+// .env in the working directory first, then next to package.json (neither overrides real variables)
+dotenv.config();
+dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.env') });
+
+loadConfig();
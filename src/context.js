@@ -0,0 +1,40 @@
+/**
+ * Per tool call context
+ * Carries call-scoped settings (such as the connection profile) from the tool
+ * handler down to the HTTP client without threading them through every call.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a tool call context
+ * @param {Object} context - Call-scoped values
+ * @param {string} [context.profile] - Connection profile name
+ * @param {string} [context.locale] - Language of the response text
+ * @param {Object} [context.session] - State of the MCP session, e.g. { activeProfile, shared }
+ * @param {Function} fn - Function to run
+ * @returns {any} - Return value of fn
+ */
+export function runWithToolContext(context, fn) {
+  return storage.run({ ...getToolContext(), ...context }, fn);
+}
+
+/**
+ * Get the context of the current tool call
+ * @returns {Object} - Call-scoped values (empty outside of a tool call)
+ */
+export function getToolContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Whether the current call comes from a session that shares this process with others
+ * Over HTTP every session uses the same Taiga tokens and the host's filesystem, so
+ * calls must not change who the server logs in as or reach outside what was configured.
+ * @returns {boolean} - True for HTTP sessions
+ */
+export function isSharedSession() {
+  return getToolContext().session?.shared === true;
+}
@@ -0,0 +1,246 @@
+/**
+ * Connection diagnostics
+ * Checks, step by step, what a tool call depends on: reaching the API, logging in,
+ * the current user, project membership and permissions, enabled modules and each
+ * endpoint in API_ENDPOINTS. Every check records its own outcome, so one failure
+ * does not hide the rest of the report.
+ */
+
+import axios from 'axios';
+import { getProfile, usesStaticToken } from './profiles.js';
+import { createAuthenticatedClient, getAuthToken, getTokenExpiry } from './taigaAuth.js';
+import { getRequestOptions } from './network.js';
+import { API_ENDPOINTS, PROJECT_MODULES } from './constants.js';
+import { resolveProjectId } from './utils.js';
+import { t } from './i18n.js';
+
+// Permissions the tools of this server rely on
+export const REQUIRED_PERMISSIONS = [
+  'view_project', 'view_milestones', 'add_milestone',
+  'view_us', 'add_us', 'modify_us', 'comment_us',
+  'view_tasks', 'add_task', 'modify_task',
+  'view_issues', 'add_issue', 'modify_issue', 'delete_issue',
+  'view_epics', 'add_epic', 'modify_epic',
+  'view_wiki_pages', 'add_wiki_page', 'modify_wiki_page', 'delete_wiki_page'
+];
+
+/**
+ * Describe a failed request
+ * @param {Error} error - Axios or other error
+ * @returns {string} - Short description
+ */
+function describeError(error) {
+  if (error.response) {
+    const detail = error.response.data?._error_message || error.response.data?.detail;
+    return `HTTP ${error.response.status}${detail ? ` (${detail})` : ''}`;
+  }
+  // Login failures wrap the request error
+  if (!error.isAxiosError && error.cause) {
+    return `${error.message}: ${describeError(error.cause)}`;
+  }
+  return error.code && !error.message.includes(error.code) ? `${error.code}: ${error.message}` : error.message;
+}
+
+/**
+ * Run a check and time it
+ * @param {Function} fn - Async check returning details
+ * @returns {Promise<Object>} - { ok, ms, details } or { ok: false, ms, error }
+ */
+async function timed(fn) {
+  const started = Date.now();
+  try {
+    const details = await fn();
+    return { ok: true, ms: Date.now() - started, details };
+  } catch (error) {
+    return { ok: false, ms: Date.now() - started, error: describeError(error), status: error.response?.status };
+  }
+}
+
+/**
+ * Build the endpoint probes
+ * @param {number|null} projectId - Project to scope the probes to
+ * @returns {Array<Object>} - { name, path, params } per distinct endpoint
+ */
+function endpointProbes(projectId) {
+  const seen = new Set();
+
+  return Object.entries(API_ENDPOINTS).flatMap(([name, path]) => {
+    if (seen.has(path)) {
+      return [];
+    }
+    seen.add(path);
+
+    // History is only readable per item; it is probed with a user story below
+    if (path === API_ENDPOINTS.HISTORY) {
+      return [{ name, path, needsItem: true }];
+    }
+    const scoped = projectId && ![API_ENDPOINTS.USERS_ME, API_ENDPOINTS.PROJECTS, API_ENDPOINTS.PROJECT_TEMPLATES].includes(path);
+    return [{ name, path, params: { page_size: 1, ...(scoped && { project: projectId }) } }];
+  });
+}
+
+/**
+ * Run all diagnostics for the current profile
+ * @param {string} [projectIdentifier] - Project ID or slug to check membership and modules for
+ * @returns {Promise<Object>} - Report
+ */
+export async function runDiagnostics(projectIdentifier) {
+  const profile = getProfile();
+  const report = {
+    profile: profile.name,
+    apiUrl: profile.apiUrl,
+    authMethod: usesStaticToken(profile) ? t('diagnostics.tokenAuth', { type: profile.tokenType }) : t('diagnostics.passwordAuth'),
+    proxy: profile.proxy ? new URL(profile.proxy).host : null,
+    caFile: profile.caFile || null
+  };
+
+  // Reachability without credentials (/locales is public)
+  report.connectivity = await timed(async () => {
+    const response = await axios.get(`${profile.apiUrl}/locales`, getRequestOptions(profile));
+    return { server: response.headers.server || null };
+  });
+
+  // A token is only known to be valid once Taiga accepts it
+  let client = null;
+  report.auth = await timed(async () => {
+    const token = await getAuthToken(profile.name);
+    const authClient = await createAuthenticatedClient(profile.name);
+    const { data } = await authClient.get(API_ENDPOINTS.USERS_ME, { retry: false });
+    client = authClient;
+
+    const expiry = profile.tokenType === 'Application' && usesStaticToken(profile) ? null : getTokenExpiry(token);
+    return {
+      expiresAt: expiry ? new Date(expiry).toISOString() : null,
+      user: { id: data.id, username: data.username, fullName: data.full_name }
+    };
+  });
+
+  if (!client) {
+    return report;
+  }
+
+  let projectId = null;
+  if (projectIdentifier) {
+    report.project = await timed(async () => {
+      projectId = await resolveProjectId(projectIdentifier);
+      const { data } = await client.get(`${API_ENDPOINTS.PROJECTS}/${projectId}`, { retry: false });
+      const permissions = data.my_permissions || [];
+      const { data: memberships } = await client.get(API_ENDPOINTS.MEMBERSHIPS, {
+        params: { project: projectId, user: report.auth.details.user.id },
+        retry: false
+      });
+      const membership = memberships[0];
+
+      return {
+        id: data.id,
+        name: data.name,
+        slug: data.slug,
+        member: data.i_am_member === true,
+        admin: data.i_am_admin === true,
+        role: membership?.role_name || null,
+        modules: Object.fromEntries(Object.entries(PROJECT_MODULES).map(([module, flag]) => [module, data[flag] === true])),
+        missingPermissions: REQUIRED_PERMISSIONS.filter(permission => !permissions.includes(permission))
+      };
+    });
+  }
+
+  // Probes run in parallel within the request scheduler's limits
+  const probes = endpointProbes(projectId);
+  report.endpoints = await Promise.all(probes.filter(probe => !probe.needsItem).map(async probe => ({
+    name: probe.name,
+    path: probe.path,
+    ...(await timed(async () => {
+      const { data } = await client.get(probe.path, { params: probe.params, retry: false });
+      return { sample: Array.isArray(data) ? data[0] : data };
+    }))
+  })));
+
+  const storyProbe = report.endpoints.find(probe => probe.path === API_ENDPOINTS.USER_STORIES);
+  const storyId = projectId && storyProbe?.ok ? storyProbe.details.sample?.id : null;
+  for (const probe of probes.filter(item => item.needsItem)) {
+    report.endpoints.push({
+      name: probe.name,
+      path: probe.path,
+      ...(storyId
+        ? await timed(async () => {
+          await client.get(`${probe.path}/userstory/${storyId}`, { retry: false });
+          return {};
+        })
+        : { ok: null, skipped: t('diagnostics.needsUserStory') })
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Format a diagnostics report
+ * @param {Object} report - Report from runDiagnostics
+ * @returns {string} - Report text
+ */
+export function formatDiagnostics(report) {
+  const mark = check => (check.ok ? '✅' : '❌');
+  const { connectivity, auth } = report;
+  const lines = [
+    t('diagnostics.title'),
+    '',
+    t('diagnostics.profile', { profile: report.profile }),
+    t('diagnostics.apiUrl', { apiUrl: report.apiUrl }),
+    t('diagnostics.authentication', { method: report.authMethod }),
+    report.caFile
+      ? t('diagnostics.proxyWithCa', { proxy: report.proxy || t('diagnostics.noProxy'), caFile: report.caFile })
+      : t('diagnostics.proxy', { proxy: report.proxy || t('diagnostics.noProxy') }),
+    '',
+    t('diagnostics.reachable', {
+      mark: mark(connectivity),
+      outcome: connectivity.ok ? t('diagnostics.reachableYes', { ms: connectivity.ms }) : connectivity.error
+    }),
+    // The Taiga API does not report its version; the web server's header is all there is
+    ...(connectivity.details?.server ? [t('diagnostics.httpServer', { server: connectivity.details.server })] : []),
+    t('diagnostics.login', {
+      mark: mark(auth),
+      outcome: auth.ok
+        ? auth.details.expiresAt ? t('diagnostics.loginValidUntil', { date: auth.details.expiresAt }) : t('diagnostics.loginValid')
+        : auth.error
+    })
+  ];
+
+  if (auth.ok) {
+    const user = auth.details.user;
+    lines.push(t('diagnostics.currentUser', { name: user.fullName || user.username, username: user.username, id: user.id }));
+  }
+
+  if (report.project) {
+    if (report.project.ok) {
+      const project = report.project.details;
+      const membership = project.member
+        ? `${project.role ? t('diagnostics.memberAs', { role: project.role }) : t('diagnostics.member')}${project.admin ? t('diagnostics.admin') : ''}`
+        : t('diagnostics.notMember');
+      const modules = Object.keys(PROJECT_MODULES)
+        .map(module => `${project.modules[module] ? '✅' : '⛔'} ${t(`diagnostics.modules.${module}`)}`)
+        .join(', ');
+      lines.push(
+        t('diagnostics.project', { mark: project.member ? '✅' : '❌', name: project.name, slug: project.slug, id: project.id, membership }),
+        t('diagnostics.modulesLine', { modules }),
+        project.missingPermissions.length === 0
+          ? t('diagnostics.allPermissions')
+          : t('diagnostics.missingPermissions', { permissions: project.missingPermissions.join(', ') })
+      );
+    } else {
+      lines.push(t('diagnostics.projectFailed', { error: report.project.error }));
+    }
+  }
+
+  if (report.endpoints) {
+    const failing = report.endpoints.filter(endpoint => endpoint.ok === false).length;
+    lines.push('', t('diagnostics.endpoints', { responding: report.endpoints.length - failing, total: report.endpoints.length }));
+    for (const endpoint of report.endpoints) {
+      const outcome = endpoint.ok === null
+        ? t('diagnostics.endpointSkipped', { path: endpoint.path, reason: endpoint.skipped })
+        : `${mark(endpoint)} ${endpoint.path}: ${endpoint.ok ? `${endpoint.ms} ms` : endpoint.error}`;
+      lines.push(`- ${outcome}`);
+    }
+  }
+
+  return lines.join('\n');
+}
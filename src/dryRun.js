@@ -0,0 +1,132 @@
+/**
+ * Dry-run mode
+ * While a tool call runs in dry-run mode, writes sent through the Taiga client are
+ * recorded instead of sent and answered with a synthetic response. Reads still reach
+ * Taiga, so project slugs, statuses, members, sprints, refs and versions are resolved
+ * and validated exactly as in a real call.
+ *
+ * Dry-run is enabled per call with the `dryRun` tool argument, or for every call
+ * with TAIGA_DRY_RUN=true (which a call cannot switch off).
+ */
+
+import { z } from 'zod';
+import { getToolContext } from './context.js';
+import { t } from './i18n.js';
+
+const WRITE_METHODS = ['post', 'put', 'patch', 'delete'];
+
+/**
+ * Check whether dry-run is enabled for every call
+ * @param {Object} [env] - Environment variables
+ * @returns {boolean} - Whether TAIGA_DRY_RUN is set
+ */
+export function isGlobalDryRun(env = process.env) {
+  return ['1', 'true', 'yes'].includes((env.TAIGA_DRY_RUN || '').trim().toLowerCase());
+}
+
+/**
+ * Check whether the current tool call runs in dry-run mode
+ * @returns {boolean} - Whether writes are being recorded instead of sent
+ */
+export function isDryRun() {
+  return getToolContext().dryRun === true;
+}
+
+/**
+ * Describe a request body for the dry-run report
+ * @param {any} data - Request body
+ * @param {Object} headers - Request headers
+ * @returns {any} - JSON-friendly body
+ */
+function describeBody(data, headers) {
+  if (Buffer.isBuffer(data)) {
+    const contentType = headers?.['content-type'] || headers?.['Content-Type'] || 'application/octet-stream';
+    return `[${contentType.split(';')[0]} body, ${data.length} bytes]`;
+  }
+  return data;
+}
+
+/**
+ * Record writes instead of sending them while the tool call is in dry-run mode
+ * @param {import('axios').AxiosInstance} client - Axios instance
+ * @returns {import('axios').AxiosInstance} - The same instance
+ */
+export function attachDryRun(client) {
+  client.interceptors.request.use((config) => {
+    const method = (config.method || 'get').toLowerCase();
+    const { dryRun, plannedRequests } = getToolContext();
+
+    if (!dryRun || !WRITE_METHODS.includes(method)) {
+      return config;
+    }
+
+    plannedRequests?.push({
+      method: method.toUpperCase(),
+      url: `${config.baseURL || ''}${config.url}`,
+      ...(config.params && { params: config.params }),
+      ...(config.data !== undefined && { body: describeBody(config.data, config.headers) })
+    });
+
+    config._dryRun = true;
+    config.adapter = async () => ({
+      data: method === 'delete' ? null : { ...(typeof config.data === 'object' && !Buffer.isBuffer(config.data) ? config.data : {}), id: null, dryRun: true },
+      status: method === 'delete' ? 204 : 200,
+      statusText: t('dryRun.statusText'),
+      headers: {},
+      config,
+      request: null
+    });
+
+    return config;
+  });
+
+  return client;
+}
+
+/**
+ * Format the report returned instead of the tool output in dry-run mode
+ * @param {Array<Object>} plannedRequests - Writes recorded during the call
+ * @returns {string} - Report text
+ */
+export function formatDryRunReport(plannedRequests) {
+  if (plannedRequests.length === 0) {
+    return t('dryRun.noWrites');
+  }
+
+  const requests = plannedRequests.map((request, index) => {
+    const lines = [`${index + 1}. ${request.method} ${request.url}`];
+    if (request.params) {
+      lines.push(t('dryRun.query', { params: JSON.stringify(request.params) }));
+    }
+    if (request.body !== undefined) {
+      lines.push('```json', JSON.stringify(request.body, null, 2), '```');
+    }
+    return lines.join('\n');
+  });
+
+  return t('dryRun.report', { count: plannedRequests.length, requests: requests.join('\n\n') });
+}
+
+// Structured output of a dry run
+export const dryRunOutputSchema = {
+  dryRun: z.literal(true).optional().describe('Present when nothing was sent to Taiga'),
+  plannedRequests: z.array(z.object({
+    method: z.string(),
+    url: z.string(),
+    params: z.record(z.any()).optional(),
+    body: z.any().optional()
+  })).optional().describe('Writes the call would have sent')
+};
+
+/**
+ * Extend a mutating tool's output schema with the dry-run report
+ * A dry run returns only the report, so the tool's own fields become optional.
+ * @param {Object} shape - Tool output schema (zod raw shape)
+ * @returns {Object} - Output schema covering real and dry-run calls
+ */
+export function withDryRunOutput(shape) {
+  return {
+    ...Object.fromEntries(Object.entries(shape).map(([key, schema]) => [key, schema.optional()])),
+    ...dryRunOutputSchema
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Typed Taiga errors
+ * TaigaService turns failed requests into these classes, so callers can tell a
+ * missing item from missing permissions, rejected fields, a concurrent edit, rate
+ * limiting or an expired login. Each error keeps Taiga's HTTP status and response
+ * body, and its message names the operation and what exactly went wrong.
+ */
+
+import { t } from './i18n.js';
+import { parseRetryAfter } from './retry.js';
+
+/**
+ * Base class of all errors raised for a failed Taiga request
+ */
+export class TaigaError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status returned by Taiga
+   * @param {any} [options.data] - Response body returned by Taiga
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status = null, data = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'TaigaError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * The item does not exist, or the user cannot see it (404)
+ */
+export class NotFoundError extends TaigaError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The user is not allowed to perform the request (403)
+ */
+export class PermissionDeniedError extends TaigaError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PermissionDeniedError';
+  }
+}
+
+/**
+ * Taiga rejected the request data (400)
+ * `fields` maps each rejected field to Taiga's messages for it.
+ */
+export class ValidationError extends TaigaError {
+  constructor(message, { fields = {}, ...options } = {}) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+/**
+ * The item was changed by someone else since its version was read
+ * `conflicts` lists the fields both changes touched ({ field, yours, theirs }),
+ * when that is known.
+ */
+export class VersionConflictError extends TaigaError {
+  constructor(message, { conflicts = [], ...options } = {}) {
+    super(message, options);
+    this.name = 'VersionConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Taiga is rate limiting requests and retries are exhausted (429)
+ * `retryAfterMs` is the delay Taiga asked for, or null when it did not say.
+ */
+export class RateLimitedError extends TaigaError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, options);
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The login or token is no longer accepted and could not be renewed (401)
+ */
+export class AuthExpiredError extends TaigaError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthExpiredError';
+  }
+}
+
+/**
+ * Collect Taiga's per-field messages from a 400 response body
+ * @param {any} data - Response body, e.g. { subject: ['This field is required.'] }
+ * @returns {Object<string, Array<string>>} - Messages by field
+ */
+function fieldErrors(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {};
+  }
+
+  const fields = {};
+  for (const [field, value] of Object.entries(data)) {
+    // _error_message and _error_type describe the request as a whole
+    if (field.startsWith('_error')) {
+      continue;
+    }
+    fields[field] = [].concat(value).map(message => (typeof message === 'string' ? message : JSON.stringify(message)));
+  }
+  return fields;
+}
+
+/**
+ * Convert a failed request into a typed error
+ * Errors that are already typed are returned unchanged; errors without an HTTP
+ * response (network failures, invalid input) become a plain TaigaError.
+ * @param {Error} error - Axios or other error
+ * @param {string} context - What was being done, e.g. ERROR_MESSAGES.FAILED_TO_CREATE_EPIC
+ * @returns {TaigaError} - Typed error
+ */
+export function toTaigaError(error, context) {
+  if (error instanceof TaigaError) {
+    return error;
+  }
+
+  if (!error.response) {
+    return new TaigaError(`${context}: ${error.message}`, { cause: error });
+  }
+
+  const { status, data, headers } = error.response;
+  const options = { status, data, cause: error };
+  const detail = typeof data === 'object' && data ? data._error_message || data.detail : null;
+  const describe = (description) => `${context}: ${detail ? t('taigaErrors.detail', { description, detail }) : description}`;
+
+  switch (status) {
+    case 401:
+      return new AuthExpiredError(describe(t('taigaErrors.authExpired')), options);
+    case 403:
+      return new PermissionDeniedError(describe(t('taigaErrors.permissionDenied')), options);
+    case 404:
+      return new NotFoundError(describe(t('taigaErrors.notFound')), options);
+    case 412:
+      return new VersionConflictError(describe(t('taigaErrors.versionConflict')), options);
+    case 429: {
+      const retryAfterMs = parseRetryAfter(headers?.['retry-after']);
+      const description = retryAfterMs === null
+        ? t('taigaErrors.rateLimitedNoDelay')
+        : t('taigaErrors.rateLimited', { seconds: Math.ceil(retryAfterMs / 1000) });
+      return new RateLimitedError(describe(description), { ...options, retryAfterMs });
+    }
+  }
+
+  if (status === 400) {
+    const fields = fieldErrors(data);
+    // Taiga reports a stale `version` as a 400 on that field
+    if (fields.version) {
+      return new VersionConflictError(`${context}: ${t('taigaErrors.versionConflict')}`, options);
+    }
+    const lines = Object.entries(fields).flatMap(([field, messages]) =>
+      messages.map(message => t('taigaErrors.field', { field, message }))
+    );
+    return new ValidationError([describe(t('taigaErrors.validation')), ...lines].join('\n'), { ...options, fields });
+  }
+
+  return new TaigaError(describe(t('taigaErrors.http', { status })), options);
+}
+
+/**
+ * Text for a tool response about a failed operation
+ * Typed errors already name the operation; other errors get the fallback as context.
+ * @param {Error} error - Caught error
+ * @param {string} fallback - What was being done, e.g. ERROR_MESSAGES.FAILED_TO_GET_EPIC
+ * @returns {string} - Error message
+ */
+export function failureMessage(error, fallback) {
+  return error instanceof TaigaError ? error.message : `${fallback}: ${error.message}`;
+}
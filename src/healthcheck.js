@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+/**
+ * Container health check
+ * In HTTP mode, probes the server's /health endpoint. In stdio mode there is no
+ * listening port to probe, so the check passes as long as Node can start.
+ */
+
+// Reads the transport and port from the configuration file as well as the environment
+import './config.js';
+import { HEALTH_PATH } from './httpServer.js';
+
+if (process.env.MCP_TRANSPORT !== 'http') {
+  process.exit(0);
+}
+
+const port = process.env.MCP_HTTP_PORT || 3000;
+
+try {
+  const response = await fetch(`http://127.0.0.1:${port}${HEALTH_PATH}`, { signal: AbortSignal.timeout(5000) });
+  process.exit(response.ok ? 0 : 1);
+} catch (error) {
+  console.error(`Health check failed: ${error.message}`);
+  process.exit(1);
+}
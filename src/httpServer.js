@@ -0,0 +1,253 @@
+/**
+ * Streamable HTTP transport
+ * Serves the MCP Streamable HTTP protocol so several clients can share one server.
+ *
+ * Endpoints:
+ * - POST/GET/DELETE /mcp  MCP protocol (one session per initialized client)
+ * - GET /health           Health report (add ?check=taiga to also probe the Taiga API)
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { TaigaService } from './taigaService.js';
+import { getProfile } from './profiles.js';
+import { SERVER_INFO } from './constants.js';
+import { logger } from './logger.js';
+
+export const MCP_PATH = '/mcp';
+export const HEALTH_PATH = '/health';
+
+// Largest accepted request body (base64 attachment uploads travel in tool arguments)
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Upper bound for the optional Taiga probe in the health endpoint
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const taigaService = new TaigaService();
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJsonRpcError(res, status, code, message, headers) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null }, headers);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<any>} - Parsed body (undefined when empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check the bearer token presented by an incoming client
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} [expectedToken] - Configured token (no check when empty)
+ * @returns {boolean} - Whether the request is authorized
+ */
+export function isAuthorized(req, expectedToken) {
+  if (!expectedToken) {
+    return true;
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return false;
+  }
+
+  const presented = Buffer.from(match[1].trim());
+  const expected = Buffer.from(expectedToken);
+  return presented.length === expected.length && timingSafeEqual(presented, expected);
+}
+
+/**
+ * Check whether a host only accepts connections from this machine
+ * @param {string} host - Interface to bind
+ * @returns {boolean} - Whether the host is a loopback address
+ */
+export function isLoopbackHost(host) {
+  return ['localhost', '::1', '[::1]'].includes(host) || /^127(\.\d{1,3}){3}$/.test(host || '');
+}
+
+/**
+ * Probe the Taiga API with the default profile
+ * @returns {Promise<Object>} - Probe result
+ */
+async function checkTaiga() {
+  const profile = getProfile();
+  const startTime = Date.now();
+
+  try {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Timed out')), HEALTH_CHECK_TIMEOUT_MS);
+    });
+    const user = await Promise.race([taigaService.getCurrentUser(), timeout]).finally(() => clearTimeout(timer));
+
+    return { ok: true, profile: profile.name, apiUrl: profile.apiUrl, user: user.username, latencyMs: Date.now() - startTime };
+  } catch (error) {
+    return { ok: false, profile: profile.name, apiUrl: profile.apiUrl, error: error.message };
+  }
+}
+
+/**
+ * Start the Streamable HTTP server
+ * @param {Object} options - Server options
+ * @param {Function} options.createServer - Factory returning a new McpServer, called with { shared: true }
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} options.host - Interface to bind
+ * @param {string} [options.authToken] - Bearer token clients must present
+ * @param {boolean} [options.allowUnauthenticated] - Serve a non-loopback host without a token anyway
+ * @returns {Promise<{httpServer: http.Server, sessions: Map, close: Function}>} - Running server
+ */
+export async function startHttpServer({ createServer, port, host, authToken, allowUnauthenticated = false }) {
+  // Every tool acts with the server's Taiga credentials, so an open port hands them to anyone who can reach it
+  if (!authToken && !isLoopbackHost(host) && !allowUnauthenticated) {
+    throw new Error(`Refusing to serve ${host} without authentication: set MCP_HTTP_AUTH_TOKEN, bind to 127.0.0.1, or set MCP_HTTP_ALLOW_NO_AUTH=true`);
+  }
+
+  // Active sessions: session ID -> transport
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  const handleMcpRequest = async (req, res) => {
+    if (!isAuthorized(req, authToken)) {
+      sendJsonRpcError(res, 401, -32001, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const transport = sessions.get(sessionId);
+      if (!transport) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    // New client: give it its own transport and server instance
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, transport);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+      }
+    };
+
+    const server = createServer({ shared: true });
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleHealthRequest = async (req, res, url) => {
+    const health = {
+      status: 'ok',
+      name: SERVER_INFO.name,
+      version: SERVER_INFO.version,
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      sessions: sessions.size
+    };
+
+    if (url.searchParams.get('check') === 'taiga') {
+      health.taiga = await checkTaiga();
+      if (!health.taiga.ok) {
+        health.status = 'degraded';
+      }
+    }
+
+    sendJson(res, health.status === 'ok' ? 200 : 503, health);
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (url.pathname === HEALTH_PATH && req.method === 'GET') {
+        await handleHealthRequest(req, res, url);
+      } else if (url.pathname === MCP_PATH) {
+        await handleMcpRequest(req, res);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      logger.error('HTTP request failed', { error, method: req.method, path: url.pathname });
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error.status || 500, -32603, error.status ? error.message : 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const close = async () => {
+    for (const transport of sessions.values()) {
+      await transport.close();
+    }
+    sessions.clear();
+    await new Promise(resolve => httpServer.close(resolve));
+  };
+
+  return { httpServer, sessions, close };
+}
@@ -0,0 +1,71 @@
+/**
+ * Response localization
+ * User-facing response text lives in the message catalogs under src/locales/.
+ * The language is chosen per tool call with the `locale` argument, falling back
+ * to TAIGA_LOCALE (config `locale`) and then to English. Keys missing from a
+ * catalog fall back to the English text.
+ */
+
+import './config.js';
+import { getToolContext } from './context.js';
+import en from './locales/en.js';
+import zhTW from './locales/zh-TW.js';
+
+const CATALOGS = {
+  en,
+  'zh-TW': zhTW
+};
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Get the language of the current tool call
+ * @returns {string} - Locale from the call, TAIGA_LOCALE or the default
+ */
+export function getLocale() {
+  const locale = getToolContext().locale || process.env.TAIGA_LOCALE;
+  return CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Look up a message by its dotted key
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Message key (e.g. "batch.summary")
+ * @returns {string|undefined} - Message template
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * Translate a message into the language of the current tool call
+ * Placeholders such as `{count}` are replaced with the matching parameter.
+ * @param {string} key - Message key (e.g. "batch.summary")
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} - Localized message, or the key when no catalog has it
+ */
+export function t(key, params = {}) {
+  const template = lookup(CATALOGS[getLocale()], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (typeof template !== 'string') {
+    return key;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Expose a catalog section as an object of localized messages
+ * Each property is read at access time, so `ERROR_MESSAGES.X` follows the locale
+ * of the tool call that reads it.
+ * @param {string} section - Catalog section (e.g. "errors")
+ * @param {Object} [base] - Non-message properties to keep
+ * @returns {Object} - Object with one getter per message in the English catalog
+ */
+export function localized(section, base = {}) {
+  const properties = Object.keys(CATALOGS[DEFAULT_LOCALE][section]).map(key => [
+    key,
+    { enumerable: true, get: () => t(`${section}.${key}`) }
+  ]);
+  return Object.defineProperties(base, Object.fromEntries(properties));
+}
@@ -17,114 +17,79 @@
  * Licensed under the ISC License
  */
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import dotenv from 'dotenv';
-import { TaigaService } from './taigaService.js';
-import { authenticate } from './taigaAuth.js';
-import { SERVER_INFO, RESOURCE_URIS } from './constants.js';
-import { registerAllTools } from './tools/index.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Get the directory of this file
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Load environment variables from the project root
-dotenv.config({ path: path.join(__dirname, '..', '.env') });
+import { parseArgs } from 'util';
+import { getConfigError, getConfigFile } from './config.js';
+import { getAuthToken, validateStaticToken } from './taigaAuth.js';
+import { getProfile, hasCredentials, usesStaticToken } from './profiles.js';
+import { createServer } from './server.js';
+import { startHttpServer, MCP_PATH, HEALTH_PATH } from './httpServer.js';
+import { logger } from './logger.js';
+
+// .env files and the configuration file are loaded by config.js; refuse to start on invalid settings
+// (plain text on stderr, so every problem is readable even when logging is silenced)
+if (getConfigError()) {
+  console.error(getConfigError().message);
+  process.exit(1);
+}
+if (getConfigFile()) {
+  logger.info(`Loaded configuration from ${getConfigFile()}`);
+}
 
-// Create a new MCP server
-const server = new McpServer({
-  name: SERVER_INFO.name,
-  version: SERVER_INFO.version,
+// Command line options (environment variables provide the defaults)
+const { values: options } = parseArgs({
+  options: {
+    transport: { type: 'string', default: process.env.MCP_TRANSPORT || 'stdio' },
+    port: { type: 'string', default: process.env.MCP_HTTP_PORT || '3000' },
+    host: { type: 'string', default: process.env.MCP_HTTP_HOST || '127.0.0.1' },
+  },
+  strict: false,
 });
 
-// Create Taiga service instance
-const taigaService = new TaigaService();
-
-// Add resources for documentation and context
-server.resource(
-  'taiga-api-docs',
-  RESOURCE_URIS.API_DOCS,
-  async (uri) => ({
-    contents: [
-      {
-        uri: uri.href,
-        text: `Taiga API Documentation
-
-This MCP server allows you to interact with Taiga using natural language.
-You can perform the following actions:
-
-1. List your projects
-2. Create user stories within a project
-3. List user stories in a project
-4. Create tasks within a user story
-5. List tasks in a user story
-6. Create issues in a project
-7. List issues in a project
-8. List sprints (milestones) in a project
-9. Get sprint details and statistics
-10. Create new sprints
-11. Get single issue details (including sprint info)
-12. Get issues by sprint
-13. Authenticate with Taiga
-
-The server connects to the Taiga API at ${process.env.TAIGA_API_URL || 'https://api.taiga.io/api/v1'}.
-
-The server will automatically authenticate with Taiga using the configured credentials (${process.env.TAIGA_USERNAME ? 'Username configured' : 'Username not configured'}, ${process.env.TAIGA_PASSWORD ? 'Password configured' : 'Password not configured'}).
-
-You can also use the 'authenticate' tool to manually authenticate or use different credentials.
-
-        `,
-      },
-    ],
-  })
-);
-
-// Add resource for projects
-server.resource(
-  'projects',
-  RESOURCE_URIS.PROJECTS,
-  async (uri) => {
-    try {
-      const projects = await taigaService.listProjects();
-      return {
-        contents: [
-          {
-            uri: uri.href,
-            text: `Your Taiga Projects:
+if (!['stdio', 'http'].includes(options.transport)) {
+  logger.error(`Unknown transport "${options.transport}". Use "stdio" or "http".`);
+  process.exit(1);
+}
 
-${projects.map(p => `- ${p.name} (ID: ${p.id}, Slug: ${p.slug})`).join('\n')}
-            `,
-          },
-        ],
-      };
-    } catch (error) {
-      return {
-        contents: [
-          {
-            uri: uri.href,
-            text: `Error fetching projects: ${error.message}`,
-          },
-        ],
-      };
-    }
+// Pre-authenticate the default profile if credentials are available (optional initialization)
+const defaultProfile = getProfile();
+if (usesStaticToken(defaultProfile)) {
+  // Pre-issued tokens are checked up front so an expired or revoked token is reported immediately
+  try {
+    const user = await validateStaticToken(defaultProfile.name);
+    logger.info(`Using ${defaultProfile.tokenType} token for profile "${defaultProfile.name}" (${user.username})`);
+  } catch (error) {
+    logger.error('Pre-issued token validation failed', { error });
   }
-);
-
-// Register all MCP tools from modules
-registerAllTools(server);
-
-// Pre-authenticate if credentials are available (optional initialization)
-if (process.env.TAIGA_USERNAME && process.env.TAIGA_PASSWORD) {
+} else if (hasCredentials(defaultProfile)) {
   try {
-    await authenticate(process.env.TAIGA_USERNAME, process.env.TAIGA_PASSWORD);
+    // Reuses (and refreshes) a saved session when TAIGA_SESSION_STORE is on, logs in otherwise
+    await getAuthToken(defaultProfile.name);
   } catch (error) {
     // Ignore pre-auth errors, will retry when needed
   }
 }
 
 // Start the server
-const transport = new StdioServerTransport();
-await server.connect(transport);
\ No newline at end of file
+if (options.transport === 'http') {
+  const authToken = process.env.MCP_HTTP_AUTH_TOKEN;
+  const port = Number(options.port);
+
+  const allowUnauthenticated = ['1', 'true', 'yes'].includes((process.env.MCP_HTTP_ALLOW_NO_AUTH || '').trim().toLowerCase());
+
+  if (!authToken) {
+    logger.warn('MCP_HTTP_AUTH_TOKEN is not set, incoming HTTP clients are not authenticated');
+  }
+
+  try {
+    await startHttpServer({ createServer, port, host: options.host, authToken, allowUnauthenticated });
+  } catch (error) {
+    logger.error('Could not start the HTTP server', { error });
+    process.exit(1);
+  }
+  logger.info(`Taiga MCP server listening on http://${options.host}:${port}${MCP_PATH} (health: ${HEALTH_PATH})`);
+} else {
+  const server = createServer();
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+}
\ No newline at end of file
@@ -0,0 +1,1043 @@
+/**
+ * English message catalog
+ * Sections in UPPER_SNAKE_CASE keys back the message tables in constants.js;
+ * the other sections hold the response text of the tool modules.
+ * Placeholders are written as {name}.
+ */
+
+export default {
+  errors: {
+    AUTHENTICATION_FAILED: 'Authentication failed',
+    PROJECT_NOT_FOUND: 'Project not found',
+    ISSUE_NOT_FOUND: 'Issue not found',
+    SPRINT_NOT_FOUND: 'Sprint not found',
+    INVALID_REFERENCE: 'Invalid reference format',
+    MISSING_PROJECT_ID: 'Project identifier is required when using reference number',
+    FAILED_TO_LIST_PROJECTS: 'Failed to list projects from Taiga',
+    FAILED_TO_CREATE_USER_STORY: 'Failed to create user story in Taiga',
+    FAILED_TO_CREATE_TASK: 'Failed to create task in Taiga',
+    FAILED_TO_CREATE_ISSUE: 'Failed to create issue in Taiga',
+    FAILED_TO_CREATE_SPRINT: 'Failed to create sprint in Taiga',
+    FAILED_TO_LIST_USER_STORIES: 'Failed to list user stories from Taiga',
+    FAILED_TO_LIST_ISSUES: 'Failed to list issues from Taiga',
+    FAILED_TO_LIST_TASKS: 'Failed to list tasks from Taiga',
+    FAILED_TO_LIST_SPRINTS: 'Failed to list sprints from Taiga',
+    FAILED_TO_GET_PROJECT: 'Failed to get project details from Taiga',
+    FAILED_TO_CREATE_PROJECT: 'Failed to create project in Taiga',
+    FAILED_TO_UPDATE_PROJECT: 'Failed to update project in Taiga',
+    FAILED_TO_DELETE_PROJECT: 'Failed to delete project from Taiga',
+    FAILED_TO_LIST_PROJECT_TEMPLATES: 'Failed to list project templates from Taiga',
+    FAILED_TO_GET_CUSTOM_ATTRIBUTES: 'Failed to get custom attributes from Taiga',
+    FAILED_TO_GET_ISSUE: 'Failed to get issue details from Taiga',
+    FAILED_TO_GET_SPRINT: 'Failed to get sprint details from Taiga',
+    FAILED_TO_GET_SPRINT_STATS: 'Failed to get sprint statistics from Taiga',
+    FAILED_TO_ADD_COMMENT: 'Failed to add comment to Taiga',
+    FAILED_TO_LIST_COMMENTS: 'Failed to list comments from Taiga',
+    FAILED_TO_EDIT_COMMENT: 'Failed to edit comment in Taiga',
+    FAILED_TO_DELETE_COMMENT: 'Failed to delete comment from Taiga',
+    COMMENT_NOT_FOUND: 'Comment not found',
+    INVALID_COMMENT_TARGET: 'Invalid comment target type',
+    FAILED_TO_UPLOAD_ATTACHMENT: 'Failed to upload attachment to Taiga',
+    FAILED_TO_LIST_ATTACHMENTS: 'Failed to list attachments from Taiga',
+    FAILED_TO_DOWNLOAD_ATTACHMENT: 'Failed to download attachment from Taiga',
+    FAILED_TO_DELETE_ATTACHMENT: 'Failed to delete attachment from Taiga',
+    ATTACHMENT_NOT_FOUND: 'Attachment not found',
+    INVALID_FILE_FORMAT: 'Invalid file format or size',
+    FILE_TOO_LARGE: 'File size exceeds maximum limit',
+    FAILED_TO_CREATE_EPIC: 'Failed to create epic in Taiga',
+    FAILED_TO_LIST_EPICS: 'Failed to list epics from Taiga',
+    FAILED_TO_GET_EPIC: 'Failed to get epic details from Taiga',
+    FAILED_TO_UPDATE_EPIC: 'Failed to update epic in Taiga',
+    FAILED_TO_LINK_STORY: 'Failed to link user story to epic',
+    FAILED_TO_UNLINK_STORY: 'Failed to unlink user story from epic',
+    EPIC_NOT_FOUND: 'Epic not found',
+    USER_STORY_NOT_FOUND: 'User story not found',
+    FAILED_TO_CREATE_WIKI: 'Failed to create wiki page in Taiga',
+    FAILED_TO_LIST_WIKI: 'Failed to list wiki pages from Taiga',
+    FAILED_TO_GET_WIKI: 'Failed to get wiki page details from Taiga',
+    FAILED_TO_UPDATE_WIKI: 'Failed to update wiki page in Taiga',
+    FAILED_TO_DELETE_WIKI: 'Failed to delete wiki page from Taiga',
+    FAILED_TO_WATCH_WIKI: 'Failed to watch/unwatch wiki page',
+    WIKI_PAGE_NOT_FOUND: 'Wiki page not found',
+    INVALID_WIKI_SLUG: 'Invalid wiki page slug format'
+  },
+
+  success: {
+    AUTHENTICATED: 'Successfully authenticated',
+    PROJECT_CREATED: 'Project created successfully!',
+    PROJECT_UPDATED: 'Project updated successfully!',
+    PROJECT_DELETED: 'Project deleted successfully!',
+    USER_STORY_CREATED: 'User story created successfully!',
+    TASK_CREATED: 'Task created successfully!',
+    ISSUE_CREATED: 'Issue created successfully!',
+    ISSUE_SPRINT_UPDATED: 'Issue sprint assignment updated successfully!',
+    ISSUE_ASSIGNMENT_UPDATED: 'Issue assignment updated successfully!',
+    SPRINT_CREATED: 'Sprint created successfully!',
+    COMMENT_ADDED: 'Comment added successfully!',
+    COMMENT_EDITED: 'Comment edited successfully!',
+    COMMENT_DELETED: 'Comment deleted successfully!',
+    ATTACHMENT_UPLOADED: 'Attachment uploaded successfully!',
+    ATTACHMENT_DOWNLOADED: 'Attachment downloaded successfully!',
+    ATTACHMENT_DELETED: 'Attachment deleted successfully!',
+    EPIC_CREATED: 'Epic created successfully!',
+    EPIC_UPDATED: 'Epic updated successfully!',
+    STORY_LINKED_TO_EPIC: 'User story linked to epic successfully!',
+    STORY_UNLINKED_FROM_EPIC: 'User story unlinked from epic successfully!',
+    WIKI_PAGE_CREATED: 'Wiki page created successfully!',
+    WIKI_PAGE_UPDATED: 'Wiki page updated successfully!',
+    WIKI_PAGE_DELETED: 'Wiki page deleted successfully!',
+    WIKI_PAGE_WATCHED: 'Wiki page watch status updated successfully!'
+  },
+
+  batch: {
+    ERROR_EMPTY_BATCH: 'Batch array cannot be empty',
+    ERROR_BATCH_TOO_LARGE: 'Batch size exceeds maximum limit',
+    ERROR_INVALID_ITEMS: 'Batch contains invalid items, nothing was created:',
+    SUCCESS_BATCH_CREATED_ISSUES: '🚀 Batch issue creation finished',
+    SUCCESS_BATCH_CREATED_STORIES: '🚀 Batch user story creation finished',
+    SUCCESS_BATCH_CREATED_TASKS: '🚀 Batch task creation finished',
+    BATCH_OPERATION_START: 'Starting batch operation...',
+    BATCH_OPERATION_COMPLETE: 'Batch operation complete!'
+  },
+
+  query: {
+    ERROR_EMPTY_QUERY: 'Query string cannot be empty',
+    ERROR_INVALID_SYNTAX: 'Invalid query syntax',
+    ERROR_UNSUPPORTED_FIELD: 'Unsupported field for this data type',
+    ERROR_INVALID_OPERATOR: 'Invalid operator',
+    ERROR_INVALID_VALUE: 'Invalid value for field',
+    ERROR_QUERY_TOO_COMPLEX: 'Query complexity exceeds maximum limit',
+    ERROR_EXECUTION_TIMEOUT: 'Query execution timeout',
+    ERROR_NO_RESULTS: 'No results found for the given query',
+    SUCCESS_QUERY_EXECUTED: '🔍 Query executed successfully',
+    SUCCESS_QUERY_VALIDATED: '✅ Query syntax is valid',
+    HINT_USE_QUOTES: 'Use quotes for values containing spaces',
+    HINT_CHECK_SPELLING: 'Check field names and operator spelling',
+    HINT_USE_LIMIT: 'Consider using LIMIT to reduce result size',
+    HINT_USE_HELP: 'Use queryHelp for syntax assistance'
+  },
+
+  responses: {
+    NO_PROJECTS: 'No projects found.',
+    NO_USER_STORIES: 'No user stories found in this project.',
+    NO_TASKS: 'No tasks found.',
+    NO_ISSUES: 'No issues found in this project.',
+    NO_SPRINTS: 'No sprints found in this project.',
+    NO_WIKI_PAGES: 'No wiki pages found in this project.',
+    PROJECT_REQUIRED_FOR_REF: 'Project identifier is required when using reference number.'
+  },
+
+  labels: {
+    ACTIVE: 'Active',
+    CLOSED: 'Closed',
+    UNKNOWN: 'Unknown',
+    NOT_SET: 'Not set',
+    NOT_AVAILABLE: 'N/A',
+    NONE: 'None',
+    UNASSIGNED: 'Unassigned',
+    NO_SPRINT: 'No Sprint',
+    NO_EPIC: 'No Epic',
+    NO_DESCRIPTION: 'No description provided',
+    NO_CONTENT: 'No content',
+    NO_TAGS: 'No tags',
+    UNKNOWN_USER: 'Unknown user',
+    DEFAULT_STATUS: 'Default status',
+    DEFAULT_PRIORITY: 'Default priority',
+    DEFAULT_SEVERITY: 'Default severity',
+    DEFAULT_TYPE: 'Default type'
+  },
+
+  fields: {
+    status: 'status',
+    priority: 'priority',
+    severity: 'severity',
+    issueType: 'issue type',
+    projectTemplate: 'project template'
+  },
+
+  format: {
+    error: '❌ Error: {message}',
+    correlationId: 'Correlation ID: {id}',
+    invalidName: 'Invalid {label} name: "{name}". Available: {available}',
+    invalidStatus: 'Invalid status name: "{status}". Available statuses for project "{project}":\n{available}',
+    issueRefNeedsProject: 'Project identifier is required when using issue reference number',
+    issueNotFoundByIdOrRef: 'Issue not found by ID "{id}" or reference number "#{id}" in project. Original errors: ID lookup: {idError}, Ref lookup: {refError}',
+    issueIdNotFound: 'Issue ID "{id}" not found. If this is a reference number, please provide projectIdentifier or use "#{id}" format.',
+    projectListItem: '- {name} (ID: {id}, Slug: {slug})',
+    userStoryListItem: '- #{ref}: {subject} (Status: {status})',
+    issueListItem: `- #{ref}: {subject}
+  Status: {status}
+  Priority: {priority}
+  Sprint: {sprint}
+  Assigned: {assignee}`,
+    sprintListItem: `- {name} (ID: {id})
+  Status: {status}
+  Duration: {start} ~ {end}`,
+    sprintIssueItem: `🔸 #{ref}: {subject}
+   Status: {status}
+   Priority: {priority}
+   Assigned: {assignee}`
+  },
+
+  parser: {
+    emptyQuery: 'Query string cannot be empty',
+    parseError: 'Query parse error: {message}',
+    invalidField: 'Invalid field: {field}',
+    invalidOperator: 'Invalid operator: {operator}',
+    noFilters: 'The query must contain at least one filter',
+    incompleteFilter: 'Each filter must have a field and an operator',
+    executionFailed: 'Query execution failed: {message}',
+    unsupportedType: 'Unsupported data type: {type}'
+  },
+
+  taigaErrors: {
+    notFound: 'not found in Taiga (it may have been deleted, or you cannot see it)',
+    permissionDenied: 'permission denied',
+    validation: 'Taiga rejected the request',
+    field: '- {field}: {message}',
+    versionConflict: 'the item was changed by someone else in the meantime; read it again and retry',
+    versionConflictFields: 'someone else changed the same fields in the meantime',
+    conflictField: '- {field}: yours {yours}, now {theirs}',
+    rateLimited: 'Taiga is rate limiting requests; try again in {seconds} s',
+    rateLimitedNoDelay: 'Taiga is rate limiting requests; try again later',
+    authExpired: 'the Taiga login has expired or was revoked; authenticate again',
+    http: 'Taiga answered HTTP {status}',
+    detail: '{description} ({detail})'
+  },
+
+  diagnostics: {
+    title: '🩺 **Taiga connection diagnostics**',
+    profile: '- Profile: {profile}',
+    apiUrl: '- API URL: {apiUrl}',
+    authentication: '- Authentication: {method}',
+    tokenAuth: '{type} token',
+    passwordAuth: 'username/password',
+    proxy: '- Proxy: {proxy}',
+    proxyWithCa: '- Proxy: {proxy}, extra CA: {caFile}',
+    noProxy: 'none',
+    reachable: '{mark} Reachable: {outcome}',
+    reachableYes: 'yes ({ms} ms)',
+    httpServer: '   HTTP server: {server}',
+    login: '{mark} Login/token: {outcome}',
+    loginValid: 'valid',
+    loginValidUntil: 'valid, expires {date}',
+    currentUser: '✅ Current user: {name} ({username}, ID {id})',
+    project: '{mark} Project: {name} ({slug}, ID {id}) - {membership}',
+    projectFailed: '❌ Project: {error}',
+    member: 'member',
+    memberAs: 'member as {role}',
+    admin: ', admin',
+    notMember: 'not a member',
+    modulesLine: '   Modules: {modules}',
+    allPermissions: '   Permissions: all permissions used by the tools are granted',
+    missingPermissions: '   ⚠️ Missing permissions: {permissions}',
+    endpoints: '**Endpoints** ({responding}/{total} responding)',
+    endpointSkipped: '⏭️ {path}: skipped, {reason}',
+    needsUserStory: 'needs a project with at least one user story',
+    modules: {
+      backlog: 'Backlog (sprints, user stories)',
+      kanban: 'Kanban',
+      issues: 'Issues',
+      epics: 'Epics',
+      wiki: 'Wiki'
+    }
+  },
+
+  dryRun: {
+    statusText: 'Dry run',
+    noWrites: '🧪 Dry run: all names and references were resolved, and this call would not send any write to Taiga.',
+    report: '🧪 Dry run: no changes were sent to Taiga. All names and references were resolved; these {count} request(s) would be sent:\n\n{requests}',
+    query: 'Query: {params}'
+  },
+
+  undo: {
+    notFound: 'Change {id} not found in the audit log of profile "{profile}"',
+    isUndo: 'Change {id} is itself an undo of change {undoOf}',
+    alreadyUndone: 'Change {id} has already been undone',
+    noRestorableFields: '{method} {endpoint} cannot be undone automatically: no restorable fields were recorded',
+    changedAgain: '{endpoint} was changed again after this change, refusing to overwrite:\n{details}',
+    conflict: '- {field}: now {current}, set by this change to {value}',
+    notUndoable: '{method} {endpoint} cannot be undone automatically. The previous values are recorded in audit entry {id}.',
+    restored: 'Restored {fields} on {endpoint}',
+    deleted: 'Deleted {endpoint} created by {tool}',
+    changedSinceCreate: '{endpoint} was changed after it was created (now version {version}, modified {modified}), refusing to delete it',
+    unknownDate: 'at an unknown time',
+    commentNotFound: 'The comment added to {endpoint} was edited or deleted since, refusing to delete it',
+    commentDeleted: 'Deleted the comment added to {endpoint}',
+    unknownTool: 'an unknown tool',
+    called: 'Called {action} on {endpoint}',
+    wikiRecreated: 'Re-created wiki page "{slug}" (new ID {id})'
+  },
+
+  resources: {
+    issueTitle: 'Issue #{ref}: {subject}',
+    userStoryTitle: 'User Story #{ref}: {subject}',
+    taskTitle: 'Task #{ref}: {subject}',
+    epicTitle: 'Epic #{ref}: {subject}',
+    sprintTitle: 'Sprint: {name}',
+    wikiTitle: 'Wiki: {slug}',
+    sprintNotInProject: 'Sprint {id} does not belong to project "{slug}"',
+    field: 'Field',
+    value: 'Value',
+    project: 'Project',
+    status: 'Status',
+    type: 'Type',
+    priority: 'Priority',
+    severity: 'Severity',
+    assignedTo: 'Assigned to',
+    sprint: 'Sprint',
+    userStory: 'User story',
+    points: 'Points',
+    closedPoints: 'Closed points',
+    color: 'Color',
+    userStoryCount: 'User stories',
+    dates: 'Dates',
+    lastModifier: 'Last modified by',
+    tags: 'Tags',
+    created: 'Created',
+    modified: 'Modified',
+    version: 'Version',
+    description: 'Description',
+    content: 'Content',
+    userStories: 'User Stories',
+    noUserStories: 'No user stories in this sprint',
+    schema: {
+      title: 'Project Schema: {project} ({slug})',
+      modulesSection: 'Modules',
+      userStoryStatuses: 'User Story Statuses',
+      taskStatuses: 'Task Statuses',
+      issueStatuses: 'Issue Statuses',
+      priorities: 'Priorities',
+      severities: 'Severities',
+      issueTypes: 'Issue Types',
+      points: 'Point Scale',
+      roles: 'Roles',
+      customAttributes: 'Custom Attributes',
+      tags: 'Tags',
+      closed: ' - closed',
+      estimates: ' - estimates points',
+      enabled: 'enabled',
+      disabled: 'disabled',
+      none: '- None',
+      modules: {
+        backlog: 'Backlog',
+        kanban: 'Kanban',
+        issues: 'Issues',
+        wiki: 'Wiki',
+        epics: 'Epics'
+      },
+      itemTypes: {
+        userStory: 'User story',
+        task: 'Task',
+        issue: 'Issue',
+        epic: 'Epic'
+      }
+    }
+  },
+
+  prompts: {
+    sprintPlanning: `Help me plan sprint "{sprint}" ({start} ~ {end}) of project {project}.
+
+Propose which backlog stories to pull into the sprint, given the points already committed. Flag stories without points or a clear description, dependencies between stories and open issues that should be fixed first. End with a one-sentence sprint goal.`,
+    bugTriage: `Help me triage the issues of sprint "{sprint}" ({start} ~ {end}) in project {project}.
+
+For each open issue, suggest a priority and severity, who should own it and whether it still belongs in this sprint. Start with unassigned and critical issues, and point out likely duplicates and issues missing reproduction steps.`,
+    dailyStandup: `Prepare today's standup for sprint "{sprint}" ({start} ~ {end}) of project {project}.
+
+Per team member, summarize what is done, what is in progress and what is blocked. Then list the risks to finishing the sprint by {end}, with the open issues that need attention today.`,
+    retrospective: `Run a retrospective for sprint "{sprint}" ({start} ~ {end}) of project {project}.
+
+Based on the data below, describe what went well and what did not, compare the committed and completed work, and propose three concrete action items for the next sprint.`,
+    filteredBy: 'Only items matching {filters} are included.',
+    sprintNotFound: 'Sprint "{sprint}" not found in project "{project}"',
+    statsSection: '## Sprint Statistics',
+    stats: `- User stories: {completedStories}/{totalStories} completed
+- Tasks: {completedTasks}/{totalTasks} completed
+- Points: {completedPoints}/{totalPoints} completed ({completionRate}%)`,
+    sprintStoriesSection: '## User Stories in the Sprint',
+    backlogSection: '## Backlog (not in a sprint)',
+    doneStoriesSection: '## Completed User Stories',
+    unfinishedStoriesSection: '## Unfinished User Stories',
+    openIssuesSection: '## Open Issues',
+    closedIssuesSection: '## Closed Issues',
+    storyLine: '- #{ref} {subject} ({status}, {points} pts, {assignee})',
+    issueLine: '- #{ref} {subject} ({type}, priority {priority}, severity {severity}, {status}, {assignee})',
+    blocked: ' ⛔ blocked',
+    unassigned: 'unassigned',
+    none: '- None'
+  },
+
+  tools: {
+    auth: {
+      missingCredentials: 'Username and password are required. Please provide them or configure them for profile "{profile}".',
+      authenticated: `{message} as {fullName} ({username}).
+
+Active profile: {profile} ({apiUrl})`,
+      otherProfiles: 'Other profiles: {profiles}',
+      failed: 'Authentication failed: {message}',
+      sharedCredentials: 'Over HTTP every session shares the server\'s Taiga login, so authenticate only uses the credentials configured for the profile. Omit username and password.',
+      sharedLogout: 'Over HTTP every session shares the login of profile "{profile}", so it cannot be logged out from one session. Restart the server to drop its tokens.',
+      staticToken: 'Profile "{profile}" uses a pre-issued {type} token, which this server does not store. To stop using it, revoke it in Taiga and remove it from the configuration.',
+      noSession: 'Profile "{profile}" ({apiUrl}) has no active session.',
+      loggedOut: 'Logged out of profile "{profile}" ({apiUrl}).',
+      sessionRemoved: 'The saved session was removed from {path}.',
+      tokensStayValid: 'Note: Taiga has no endpoint to revoke tokens. The auth token stays valid on the Taiga server until it expires{expiry}, and the refresh token until its own expiry.',
+      expiry: ' ({date})',
+      loginAgain: 'The next tool call for this profile logs in again with its configured credentials.',
+      logoutFailed: 'Logout failed: {message}'
+    },
+
+    audit: {
+      disabled: 'The audit log is disabled (TAIGA_AUDIT_LOG=off).',
+      disabledUndo: 'The audit log is disabled (TAIGA_AUDIT_LOG=off), nothing can be undone.',
+      noChanges: 'No changes recorded for profile "{profile}".',
+      changesTitle: 'Recent changes for profile "{profile}" ({shown} of {total}):',
+      entry: '- {id} {time} {tool}: {method} {endpoint}{status}',
+      unknownTool: 'unknown tool',
+      undoOf: ' (undo of {id})',
+      undone: ' (undone)',
+      listFailed: 'Failed to list changes: {message}',
+      nothingToUndo: 'No change left to undo for profile "{profile}".',
+      undoLastFailed: 'Failed to undo last change: {message}',
+      undoFailed: 'Failed to undo change: {message}'
+    },
+
+    cache: {
+      clearedProject: 'Cleared {count} cached entries for project {project} (profile "{profile}").',
+      clearedProfile: 'Cleared {count} cached entries for profile "{profile}". {note}',
+      expiry: 'Entries otherwise expire after {seconds} seconds.',
+      disabled: 'Caching is disabled (TAIGA_CACHE_TTL_MS=0).',
+      failed: 'Failed to clear cache: {message}'
+    },
+
+    diagnostics: {
+      failed: 'Failed to run diagnostics: {message}'
+    },
+
+    projects: {
+      list: 'Your Taiga Projects:\n\n{projects}',
+      failedList: 'Failed to list projects: {message}',
+      details: `Project Details:
+
+Name: {name}
+ID: {id}
+Slug: {slug}
+Description: {description}
+Created: {created}
+Total Members: {members}`,
+      failedGet: 'Failed to get project details: {message}',
+      failedSchema: 'Failed to get project schema: {message}',
+      created: `🏗️ **Project created**
+- Name: {name}
+- Project ID: {id}
+- Slug: {slug}
+- Template: {template}
+- Visibility: {visibility}`,
+      updated: `✏️ **Project updated**
+- Name: {name}
+- Project ID: {id}
+- Slug: {slug}
+- Visibility: {visibility}
+- Tags: {tags}`,
+      modulesUpdated: `🧩 **Project modules**
+- Project: {name} ({slug})
+{modules}`,
+      deleted: `🗑️ **Project deleted**
+- Deleted project: {name} ({slug})
+- Project ID: {id}`,
+      private: 'private',
+      public: 'public',
+      defaultTemplate: 'Taiga default',
+      nothingToUpdate: 'Nothing to update: give a name, description, isPrivate or tags',
+      noModules: 'Give at least one module to turn on or off: backlog, kanban, issues, wiki or epics',
+      confirmDelete: 'confirm does not match the project slug. Deleting a project removes all its items and cannot be undone; to delete it, pass the project slug in confirm.',
+      failedCreate: 'Failed to create project: {message}',
+      failedUpdate: 'Failed to update project: {message}',
+      failedModules: 'Failed to update project modules: {message}',
+      failedDelete: 'Failed to delete project: {message}'
+    },
+
+    issues: {
+      list: 'Issues in Project:\n\n{issues}',
+      failedList: 'Failed to list issues: {message}',
+      statusUpdated: `Successfully updated status for issue #{ref} to "{status}".
+
+Issue Details:
+- Subject: {subject}
+- Project: {project}
+- New Status: {status}
+- Assigned to: {assignee}
+- Sprint: {sprint}`,
+      failedUpdateStatus: 'Failed to update issue status: {message}',
+      details: `Issue Details: #{ref} - {subject}
+
+📋 Basic Information:
+- Project: {project}
+- Status: {status}
+- Priority: {priority}
+- Severity: {severity}
+- Type: {type}
+
+🎯 Assignment:
+- Assigned to: {assignee}
+- Sprint: {sprint}
+
+📅 Timeline:
+- Created: {created}
+- Modified: {modified}
+
+📝 Description:
+{description}
+
+🏷️ Tags: {tags}`,
+      failedGet: 'Failed to get issue details: {message}',
+      created: `{title}
+
+Subject: {subject}
+Reference: #{ref}
+Status: {status}
+Priority: {priority}
+Severity: {severity}
+Type: {type}
+Project: {project}`,
+      failedCreate: 'Failed to create issue: {message}',
+      sprintProjectUnknown: 'Could not determine project ID for sprint lookup',
+      sprintNotFound: 'Sprint "{sprint}" not found in project. Available sprints:\n{available}',
+      sprintUpdated: `{title}
+
+Issue: #{ref} - {subject}
+Sprint: {sprint}
+Project: {project}
+Status: {status}`,
+      unknownSprint: 'Unknown sprint',
+      removedFromSprint: 'Removed from sprint',
+      failedAddToSprint: 'Failed to add issue to sprint: {message}',
+      memberProjectUnknown: 'Could not determine project ID for member lookup',
+      userNotFound: 'User "{assignee}" not found in project. Available members:\n{available}',
+      assignmentUpdated: `{title}
+
+Issue: #{ref} - {subject}
+Assigned to: {assignee}
+Project: {project}
+Status: {status}`,
+      failedAssign: 'Failed to assign issue: {message}'
+    },
+
+    userStories: {
+      list: 'User Stories in Project:\n\n{userStories}',
+      failedList: 'Failed to list user stories: {message}',
+      details: `User Story Details: #{ref} - {subject}
+
+📋 Basic Information:
+- Project: {project}
+- Status: {status}
+- Epic: {epic}
+
+🎯 Assignment:
+- Assigned to: {assignee}
+- Sprint: {sprint}
+
+📊 Metrics:
+- Points: {points}
+- Tasks: {tasks}
+
+📝 Description:
+{description}
+
+🏷️ Tags: {tags}`,
+      failedGet: 'Failed to get user story details: {message}',
+      created: `{title}
+
+Subject: {subject}
+Reference: #{ref}
+Status: {status}
+Project: {project}`,
+      failedCreate: 'Failed to create user story: {message}',
+      assignedToSprint: 'User story #{ref} assigned to sprint {sprint}',
+      unassignedFromSprint: 'User story #{ref} unassigned from sprint',
+      failedAssignToSprint: 'Failed to assign user story to sprint: {message}',
+      statusUpdated: `Successfully updated status for user story #{ref} to "{status}".
+
+User Story Details:
+- Subject: {subject}
+- Project: {project}
+- New Status: {status}
+- Assigned to: {assignee}
+- Sprint: {sprint}`,
+      failedUpdateStatus: 'Failed to update user story status: {message}'
+    },
+
+    tasks: {
+      storyRefNotFound: 'User story with reference {ref} not found',
+      created: `{title}
+
+Subject: {subject}
+Reference: #{ref}
+Status: {status}
+Project: {project}
+User Story: #{storyRef} - {storySubject}`,
+      failedCreate: 'Failed to create task: {message}'
+    },
+
+    sprints: {
+      list: 'Sprints in Project:\n\n{sprints}',
+      failedList: 'Failed to list sprints: {message}',
+      storyItem: '  • [#{ref}] {subject} ({status})',
+      noStatus: 'No status',
+      noStories: '  No user stories assigned',
+      details: `Sprint Details: {name}
+
+📋 Basic Information:
+- ID: {id}
+- Slug: {slug}
+- Project: {project}
+- Project ID: {projectId}
+- Status: {status}
+- Order: {order}
+
+📅 Timeline:
+- Start Date: {start}
+- End Date: {end}
+- Created: {created}
+- Modified: {modified}
+
+📊 Metrics:
+- Total Points: {totalPoints}
+- Closed Points: {closedPoints}
+- Total User Stories: {storyCount}
+
+👥 Team & Access:
+- Owner: {owner}
+- Watchers: {watchers}
+- Available Roles: {roles}
+
+📝 Description:
+{description}
+
+📚 User Stories ({storyCount}):
+{stories}
+
+---
+🔗 Permalink: {permalink}
+
+📦 Complete Raw Data (JSON):
+{raw}`,
+      failedGet: 'Failed to get sprint details: {message}',
+      stats: `Sprint Details: {name}
+
+📊 Basic Information:
+- Status: {status}
+- Start Date: {start}
+- End Date: {end}
+- Project: {project}
+
+📈 Progress Statistics:
+- User Stories: {completedStories}/{totalStories} completed
+- Tasks: {completedTasks}/{totalTasks} completed
+- Points: {completedPoints}/{totalPoints} completed
+- Hours: {completedHours}/{totalHours} completed
+
+📋 User Stories Progress:
+{completedLine}
+{remainingLine}
+
+🎯 Completion Rate: {completionRate}%`,
+      completedStories: '✅ Completed: {count}',
+      noCompletedStories: '⚪ No completed stories',
+      remainingStories: '🔄 Remaining: {count}',
+      created: `{title}
+
+Name: {name}
+ID: {id}
+Start Date: {start}
+End Date: {end}
+Project: {project}
+Status: {status}`,
+      failedCreate: 'Failed to create sprint: {message}',
+      noIssues: 'No issues found in Sprint: {name}',
+      issues: `Issues in Sprint: {name}
+
+📊 Sprint Overview:
+- Sprint: {name}
+- Status: {status}
+- Duration: {start} ~ {end}
+- Total Issues: {count}
+
+📋 Issues List:
+{issues}`,
+      failedIssues: 'Failed to get issues by sprint: {message}'
+    },
+
+    batch: {
+      issues: 'issues',
+      userStories: 'user stories',
+      tasks: 'tasks',
+      created: '✅ **Created {count} {items}:**',
+      failed: '❌ **Failed {count} {items}:**',
+      summary: '📊 **Summary:** {succeeded}/{total} succeeded',
+      userStory: '📋 **User Story:** {subject} ({ref})',
+      storyNotFound: 'User story {ref} not found'
+    },
+
+    search: {
+      failed: 'Search failed: {message}',
+      examplesHint: '💡 Query syntax examples:',
+      failedHelp: 'Could not load help: {message}',
+      validated: `
+✅ **Query syntax is valid**
+
+🔍 **Parsed query:**
+- Filters: {filterCount}
+- Logic operator: {logic}
+- Order by: {orderBy}
+- Limit: {limit}
+- Group by: {groupBy}
+- Complexity: {complexity}
+
+📋 **Filters:**
+{filters}
+
+🎯 **Query type:** {type}
+`,
+      validationFailed: '❌ **Query validation failed**\n\n{message}\n\n💡 Use queryHelp for syntax help',
+      resultsTitle: '🔍 **Advanced Search Results**',
+      noResults: '🔍 **Advanced Search Results**\n\nQuery: `{query}`\nType: {type}\n\n❌ No matching results',
+      resultsSummary: `📊 Query: \`{query}\`
+📋 Type: {type}
+⚡ Execution time: {time}ms
+🎯 Found {count} results
+`,
+      limitHint: '💡 Tip: many results were found. Narrow them down with a LIMIT clause, for example: `{query} LIMIT 10`',
+      untitled: 'Untitled',
+      defaultPriority: 'Normal',
+      defaultType: 'Issue',
+      noUserStory: 'No linked user story',
+      itemStatus: '   📊 Status: {status}',
+      itemIssue: '   🎯 Type: {type} | Priority: {priority}\n   👤 Assignee: {assignee}',
+      itemUserStory: '   ⭐ Points: {points} | 👤 Assignee: {assignee}',
+      itemTask: '   👤 Assignee: {assignee}\n   📋 User story: {userStory}',
+      itemCreated: '   📅 Created: {created}',
+      examples: `
+Basic filters:
+- status:open
+- priority:high
+- assignee:john
+
+Comparisons:
+- points:>=5
+- created:>2024-01-01
+- updated:<7d
+
+Text search:
+- subject:contains:"login"
+- description:*API*
+- tags:frontend
+
+Logic:
+- status:open AND priority:high
+- type:bug OR type:feature
+- NOT status:closed
+`,
+      helpSyntax: `
+🔍 **Advanced Query Syntax Guide**
+
+## Basic syntax
+\`field:value\` - field equals value
+\`field:operator:value\` - field compared with an operator
+
+## Operators
+- \`=\` equals (default)
+- \`!=\` not equal
+- \`>\`, \`>=\` greater than, greater than or equal
+- \`<\`, \`<=\` less than, less than or equal
+- \`contains\` contains text
+- \`~\` fuzzy match
+
+## Logic operators
+- \`AND\` both conditions
+- \`OR\` either condition
+- \`NOT\` negation
+
+## Sorting and limits
+- \`ORDER BY field ASC/DESC\` sort
+- \`LIMIT number\` limit the number of results
+
+## Time keywords
+- \`today\`, \`yesterday\`
+- \`this_week\`, \`last_month\`
+- \`7d\`, \`30d\` (relative time)
+`,
+      helpOperators: `
+⚙️ **Query Operators**
+
+## Comparison operators
+- \`field:value\` - equals
+- \`field:!=value\` - not equal
+- \`field:>value\` - greater than
+- \`field:>=value\` - greater than or equal
+- \`field:<value\` - less than
+- \`field:<=value\` - less than or equal
+
+## Text operators
+- \`field:contains:"text"\` - contains text
+- \`field:~"text"\` - fuzzy match
+- \`field:*text*\` - wildcard match
+
+## Special operators
+- \`field:null\` - field is null
+- \`field:exists\` - field exists
+- \`field:empty\` - field is empty
+
+## Ranges
+- \`points:3..8\` - points between 3 and 8
+- \`created:2024-01-01..2024-12-31\` - date range
+`,
+      helpExamples: `
+📚 **Query Examples**
+
+## Issues
+\`\`\`
+status:open AND priority:high
+type:bug AND assignee:john
+created:>7d AND NOT status:closed
+priority:urgent OR severity:critical
+\`\`\`
+
+## User stories
+\`\`\`
+points:>=5 AND status:in-progress
+assignee:team-lead AND points:3..8
+milestone:"Sprint 3" AND status:!=done
+\`\`\`
+
+## Tasks
+\`\`\`
+assignee:developer AND status:open
+user_story:contains:"API" ORDER BY created DESC
+status:in-progress LIMIT 5
+\`\`\`
+
+## Complex queries
+\`\`\`
+(status:open OR status:in-progress) AND priority:high AND updated:this_week
+assignee:john AND (type:bug OR priority:urgent) ORDER BY created ASC LIMIT 10
+\`\`\`
+`,
+      helpFields: `
+📋 **Queryable Fields**
+
+## Issue fields
+- \`subject\` - title
+- \`description\` - description
+- \`status\` - status
+- \`priority\` - priority
+- \`type\` - type
+- \`assignee\` - assignee
+- \`tags\` - tags
+- \`created\` - created date
+- \`updated\` - last modified date
+
+## User story fields
+- \`subject\` - title
+- \`status\` - status
+- \`points\` - story points
+- \`assignee\` - assignee
+- \`milestone\` - sprint
+- \`tags\` - tags
+
+## Task fields
+- \`subject\` - title
+- \`status\` - status
+- \`assignee\` - assignee
+- \`user_story\` - linked user story
+- \`tags\` - tags
+
+Status, priority, type and severity names differ per project; \`getProjectSchema\` lists the project's actual values.
+`,
+      helpGeneral: `
+🎯 **Advanced Query Overview**
+
+The advanced query engine finds project items with a SQL-like syntax.
+
+## 🚀 Features
+- **Precise filters**: narrow results down with a range of operators
+- **Logic**: combine conditions with AND/OR/NOT
+- **Text search**: fuzzy and wildcard matching
+- **Sorting and limits**: custom ordering and result limits
+- **Time queries**: flexible dates and date ranges
+
+## 🔧 Tools
+- \`advancedSearch\` - run a query
+- \`queryHelp\` - show syntax help
+- \`validateQuery\` - check a query's syntax
+
+## 💡 Getting started
+1. Learn the basics with \`queryHelp syntax\`
+2. Browse examples with \`queryHelp examples\`
+3. Check your query with \`validateQuery\`
+4. Run it with \`advancedSearch\`
+`
+    },
+
+    comments: {
+      issueNeedsProject: 'Project identifier is required when working with issues. Please provide projectIdentifier parameter.',
+      issueNotInProject: 'Issue #{id} does not belong to project {project}',
+      issueNotFound: 'Issue #{id} not found in project {project}. Tried both ref and ID: {refError}, {idError}',
+      listTitle: '**{itemType} #{itemId} Comments**',
+      noComments: 'No comments yet',
+      count: '{count} comment(s)',
+      listItem: '**{index}. {user}** {date}\n{text}',
+      commentId: 'Comment ID: {id}',
+      added: '**Comment added**',
+      edited: '**Comment edited**',
+      details: 'User: {user}\nTime: {date}\nContent: {text}',
+      deleted: 'Comment #{id} was deleted'
+    },
+
+    attachments: {
+      issueNeedsProject: 'Project identifier is required when uploading attachments to issues. Please provide projectIdentifier parameter.',
+      issueNotInProject: 'Issue #{id} does not belong to project {project}',
+      issueNotFound: 'Issue #{id} not found in project {project}',
+      fileRequired: 'Please provide either filePath (recommended for Claude Client) or fileData+fileName (for programmatic use)',
+      filesDisabled: 'Over HTTP, files on the server cannot be read or written unless MCP_HTTP_FILE_DIR is set. Upload with fileData and fileName instead.',
+      outsideFileDir: 'The path "{path}" leads outside MCP_HTTP_FILE_DIR',
+      uploaded: `**Attachment**
+- File name: {name}
+- Size: {size} KB
+- Attached to: {itemType} #{itemId}
+- Uploaded: {date}`,
+      description: '- Description: {description}',
+      listTitle: '**{itemType} #{itemId} Attachments**',
+      listTitleCount: '**{itemType} #{itemId} Attachments** ({count})',
+      noAttachments: 'No attachments',
+      listItem: `**{name}**
+   - ID: {id}
+   - Size: {size} KB
+   - Uploaded: {date}
+   - Uploaded by: {owner}`,
+      itemDescription: '   - Description: {description}',
+      downloaded: `**Download**
+- File name: {name}
+- Saved to: {path}
+- File size: {size} KB`,
+      deleted: 'Attachment ID {id} was deleted'
+    },
+
+    epics: {
+      created: `🏛️ **Epic created**
+- Epic ID: {id}
+- Subject: {subject}
+- Project: {project}
+- Color: {color}
+- Created: {date}`,
+      description: '- Description: {description}',
+      tags: '- Tags: {tags}',
+      listTitle: '🏛️ **Project #{project} Epics**',
+      listTitleCount: '🏛️ **Project #{project} Epics** ({count})',
+      noEpics: 'No epics yet',
+      listItem: `{index}. **{subject}** (ID: {id})
+   - Status: {status}
+   - User stories: {storyCount}
+   - Created: {date}
+   - Color: {color}`,
+      itemDescription: '   - Description: {description}',
+      itemTags: '   - Tags: {tags}',
+      details: `🏛️ **Epic Details**
+
+**Basic Information**
+- ID: {id}
+- Subject: {subject}
+- Project: {project}
+- Status: {status}
+- Owner: {owner}
+- Color: {color}
+
+**Progress**
+- Linked user stories: {storyCount}
+- Created: {created}
+- Modified: {modified}
+`,
+      detailsDescription: '**Description**\n{description}\n',
+      detailsTags: '**Tags**\n{tags}\n',
+      detailsLink: '**Link**\n- Taiga URL: {permalink}',
+      updated: `🏛️ **Epic updated**
+- Epic ID: {id}
+- Subject: {subject}
+- Status: {status}
+- Modified: {date}`,
+      linked: `🔗 **Story linked**
+- User Story: #{storyId} "{subject}"
+- Epic: #{epicId} "{epic}"
+- Linked: {date}
+- Project: {project}`,
+      unlinked: `🔓 **Story unlinked**
+- User Story: #{storyId} "{subject}"
+- Removed from its epic
+- Unlinked: {date}
+- Project: {project}`
+    },
+
+    wiki: {
+      created: `📖 **Wiki page created**
+- Wiki ID: {id}
+- Slug: {slug}
+- Project: {project}
+- Created: {date}
+- Content length: {length} characters
+- Watchers: {watchers}`,
+      listTitle: '📖 **{project} - Wiki Pages**',
+      listTitleCount: '📖 **{project} - Wiki Pages** ({count})',
+      listItem: `📖 **{slug}**
+   - ID: {id}
+   - Modified: {date}
+   - Watchers: {watchers}
+   - Content: {content}`,
+      details: `📖 **Wiki Page Details**
+
+**Basic Information**
+- ID: {id}
+- Slug: {slug}
+- Project: {project}
+- Created: {created}
+- Modified: {modified}
+- Version: {version}
+
+**Collaboration**
+- Watchers: {watchers}
+- Owner: {owner}
+
+**Content**
+{content}`,
+      noContent: 'This wiki page has no content yet',
+      updated: `📖 **Wiki page updated**
+- Wiki ID: {id}
+- Slug: {slug}
+- Project: {project}
+- Updated: {date}
+- Version: {version}
+- Content length: {length} characters
+- Watchers: {watchers}`,
+      deleted: `🗑️ **Wiki page deleted**
+- Deleted wiki: {slug}
+- Wiki ID: {id}
+- Project: {project}
+- Deleted: {date}
+
+⚠️ This cannot be undone`,
+      watched: `👁️ **Watching wiki page**
+- Wiki: {slug}
+- Wiki ID: {id}
+- Project: {project}
+- Time: {date}
+
+🔔 You will be notified about changes to this wiki page`,
+      unwatched: `🚫 **Stopped watching wiki page**
+- Wiki: {slug}
+- Wiki ID: {id}
+- Project: {project}
+- Time: {date}
+
+🔕 You will no longer be notified about this wiki page`
+    }
+  }
+};
@@ -0,0 +1,1043 @@
+/**
+ * 繁體中文訊息目錄
+ * Traditional Chinese message catalog (same keys as en.js)
+ */
+
+export default {
+  errors: {
+    AUTHENTICATION_FAILED: '認證失敗',
+    PROJECT_NOT_FOUND: '找不到專案',
+    ISSUE_NOT_FOUND: '找不到Issue',
+    SPRINT_NOT_FOUND: '找不到Sprint',
+    INVALID_REFERENCE: '無效的引用編號格式',
+    MISSING_PROJECT_ID: '使用引用編號時必須提供專案識別符',
+    FAILED_TO_LIST_PROJECTS: '無法從Taiga取得專案列表',
+    FAILED_TO_CREATE_USER_STORY: '無法在Taiga建立用戶故事',
+    FAILED_TO_CREATE_TASK: '無法在Taiga建立任務',
+    FAILED_TO_CREATE_ISSUE: '無法在Taiga建立Issue',
+    FAILED_TO_CREATE_SPRINT: '無法在Taiga建立Sprint',
+    FAILED_TO_LIST_USER_STORIES: '無法從Taiga取得用戶故事列表',
+    FAILED_TO_LIST_ISSUES: '無法從Taiga取得Issue列表',
+    FAILED_TO_LIST_TASKS: '無法從Taiga取得任務列表',
+    FAILED_TO_LIST_SPRINTS: '無法從Taiga取得Sprint列表',
+    FAILED_TO_GET_PROJECT: '無法從Taiga取得專案詳情',
+    FAILED_TO_CREATE_PROJECT: '無法在Taiga中創建專案',
+    FAILED_TO_UPDATE_PROJECT: '無法在Taiga中更新專案',
+    FAILED_TO_DELETE_PROJECT: '無法從Taiga刪除專案',
+    FAILED_TO_LIST_PROJECT_TEMPLATES: '無法從Taiga取得專案範本列表',
+    FAILED_TO_GET_CUSTOM_ATTRIBUTES: '無法從Taiga取得自訂屬性',
+    FAILED_TO_GET_ISSUE: '無法從Taiga取得Issue詳情',
+    FAILED_TO_GET_SPRINT: '無法從Taiga取得Sprint詳情',
+    FAILED_TO_GET_SPRINT_STATS: '無法從Taiga取得Sprint統計',
+    FAILED_TO_ADD_COMMENT: '無法在Taiga新增評論',
+    FAILED_TO_LIST_COMMENTS: '無法從Taiga取得評論列表',
+    FAILED_TO_EDIT_COMMENT: '無法在Taiga編輯評論',
+    FAILED_TO_DELETE_COMMENT: '無法從Taiga刪除評論',
+    COMMENT_NOT_FOUND: '找不到評論',
+    INVALID_COMMENT_TARGET: '無效的評論目標類型',
+    FAILED_TO_UPLOAD_ATTACHMENT: '無法上傳附件到Taiga',
+    FAILED_TO_LIST_ATTACHMENTS: '無法從Taiga取得附件列表',
+    FAILED_TO_DOWNLOAD_ATTACHMENT: '無法從Taiga下載附件',
+    FAILED_TO_DELETE_ATTACHMENT: '無法從Taiga刪除附件',
+    ATTACHMENT_NOT_FOUND: '找不到附件',
+    INVALID_FILE_FORMAT: '無效的檔案格式或大小',
+    FILE_TOO_LARGE: '檔案大小超過上限',
+    FAILED_TO_CREATE_EPIC: '無法在Taiga建立Epic',
+    FAILED_TO_LIST_EPICS: '無法從Taiga取得Epic列表',
+    FAILED_TO_GET_EPIC: '無法從Taiga取得Epic詳情',
+    FAILED_TO_UPDATE_EPIC: '無法在Taiga更新Epic',
+    FAILED_TO_LINK_STORY: '無法將用戶故事連結到Epic',
+    FAILED_TO_UNLINK_STORY: '無法取消用戶故事與Epic的連結',
+    EPIC_NOT_FOUND: '找不到Epic',
+    USER_STORY_NOT_FOUND: '找不到用戶故事',
+    FAILED_TO_CREATE_WIKI: '無法在Taiga建立Wiki頁面',
+    FAILED_TO_LIST_WIKI: '無法從Taiga取得Wiki頁面列表',
+    FAILED_TO_GET_WIKI: '無法從Taiga取得Wiki頁面詳情',
+    FAILED_TO_UPDATE_WIKI: '無法在Taiga更新Wiki頁面',
+    FAILED_TO_DELETE_WIKI: '無法從Taiga刪除Wiki頁面',
+    FAILED_TO_WATCH_WIKI: '無法關注或取消關注Wiki頁面',
+    WIKI_PAGE_NOT_FOUND: '找不到Wiki頁面',
+    INVALID_WIKI_SLUG: '無效的Wiki頁面Slug格式'
+  },
+
+  success: {
+    AUTHENTICATED: '認證成功',
+    PROJECT_CREATED: '專案創建成功！',
+    PROJECT_UPDATED: '專案更新成功！',
+    PROJECT_DELETED: '專案刪除成功！',
+    USER_STORY_CREATED: '用戶故事建立成功！',
+    TASK_CREATED: '任務建立成功！',
+    ISSUE_CREATED: 'Issue建立成功！',
+    ISSUE_SPRINT_UPDATED: 'Issue的Sprint已更新！',
+    ISSUE_ASSIGNMENT_UPDATED: 'Issue的指派已更新！',
+    SPRINT_CREATED: 'Sprint建立成功！',
+    COMMENT_ADDED: '評論新增成功！',
+    COMMENT_EDITED: '評論編輯成功！',
+    COMMENT_DELETED: '評論刪除成功！',
+    ATTACHMENT_UPLOADED: '附件上傳成功！',
+    ATTACHMENT_DOWNLOADED: '附件下載成功！',
+    ATTACHMENT_DELETED: '附件刪除成功！',
+    EPIC_CREATED: 'Epic建立成功！',
+    EPIC_UPDATED: 'Epic更新成功！',
+    STORY_LINKED_TO_EPIC: '用戶故事已連結到Epic！',
+    STORY_UNLINKED_FROM_EPIC: '用戶故事已取消與Epic的連結！',
+    WIKI_PAGE_CREATED: 'Wiki頁面建立成功！',
+    WIKI_PAGE_UPDATED: 'Wiki頁面更新成功！',
+    WIKI_PAGE_DELETED: 'Wiki頁面刪除成功！',
+    WIKI_PAGE_WATCHED: 'Wiki頁面關注狀態已更新！'
+  },
+
+  batch: {
+    ERROR_EMPTY_BATCH: '批次陣列不能為空',
+    ERROR_BATCH_TOO_LARGE: '批次數量超過上限',
+    ERROR_INVALID_ITEMS: '批次中有無效項目，未建立任何項目：',
+    SUCCESS_BATCH_CREATED_ISSUES: '🚀 批次Issues創建完成',
+    SUCCESS_BATCH_CREATED_STORIES: '🚀 批次User Stories創建完成',
+    SUCCESS_BATCH_CREATED_TASKS: '🚀 批次Tasks創建完成',
+    BATCH_OPERATION_START: '開始批次操作...',
+    BATCH_OPERATION_COMPLETE: '批次操作完成！'
+  },
+
+  query: {
+    ERROR_EMPTY_QUERY: '查詢字符串不能為空',
+    ERROR_INVALID_SYNTAX: '無效的查詢語法',
+    ERROR_UNSUPPORTED_FIELD: '此數據類型不支持該字段',
+    ERROR_INVALID_OPERATOR: '無效的操作符',
+    ERROR_INVALID_VALUE: '字段值無效',
+    ERROR_QUERY_TOO_COMPLEX: '查詢複雜度超過上限',
+    ERROR_EXECUTION_TIMEOUT: '查詢執行逾時',
+    ERROR_NO_RESULTS: '沒有找到符合查詢的結果',
+    SUCCESS_QUERY_EXECUTED: '🔍 查詢執行成功',
+    SUCCESS_QUERY_VALIDATED: '✅ 查詢語法驗證通過',
+    HINT_USE_QUOTES: '包含空格的值請加上引號',
+    HINT_CHECK_SPELLING: '請檢查字段名稱與操作符拼寫',
+    HINT_USE_LIMIT: '建議使用 LIMIT 減少結果數量',
+    HINT_USE_HELP: '使用 queryHelp 獲取語法幫助'
+  },
+
+  responses: {
+    NO_PROJECTS: '沒有找到專案。',
+    NO_USER_STORIES: '此專案沒有用戶故事。',
+    NO_TASKS: '沒有找到任務。',
+    NO_ISSUES: '此專案沒有Issue。',
+    NO_SPRINTS: '此專案沒有Sprint。',
+    NO_WIKI_PAGES: '此專案沒有Wiki頁面。',
+    PROJECT_REQUIRED_FOR_REF: '使用引用編號時必須提供專案識別符。'
+  },
+
+  labels: {
+    ACTIVE: '進行中',
+    CLOSED: '已關閉',
+    UNKNOWN: '未知',
+    NOT_SET: '未設定',
+    NOT_AVAILABLE: '不適用',
+    NONE: '無',
+    UNASSIGNED: '未分配',
+    NO_SPRINT: '無Sprint',
+    NO_EPIC: '無Epic',
+    NO_DESCRIPTION: '無描述',
+    NO_CONTENT: '無內容',
+    NO_TAGS: '無標籤',
+    UNKNOWN_USER: '未知用戶',
+    DEFAULT_STATUS: '預設狀態',
+    DEFAULT_PRIORITY: '預設優先級',
+    DEFAULT_SEVERITY: '預設嚴重性',
+    DEFAULT_TYPE: '預設類型'
+  },
+
+  fields: {
+    status: '狀態',
+    priority: '優先級',
+    severity: '嚴重性',
+    issueType: 'Issue類型',
+    projectTemplate: '專案範本'
+  },
+
+  format: {
+    error: '❌ 錯誤: {message}',
+    correlationId: '關聯 ID: {id}',
+    invalidName: '無效的{label}名稱: "{name}"。可用: {available}',
+    invalidStatus: '無效的狀態名稱: "{status}"。專案 "{project}" 的可用狀態:\n{available}',
+    issueRefNeedsProject: '使用Issue引用編號時必須提供專案識別符',
+    issueNotFoundByIdOrRef: '在專案中找不到ID "{id}" 或引用編號 "#{id}" 的Issue。原始錯誤: ID查詢: {idError}, 引用查詢: {refError}',
+    issueIdNotFound: '找不到Issue ID "{id}"。如果這是引用編號，請提供 projectIdentifier 或使用 "#{id}" 格式。',
+    projectListItem: '- {name} (ID: {id}, Slug: {slug})',
+    userStoryListItem: '- #{ref}: {subject} (狀態: {status})',
+    issueListItem: `- #{ref}: {subject}
+  狀態: {status}
+  優先級: {priority}
+  Sprint: {sprint}
+  指派: {assignee}`,
+    sprintListItem: `- {name} (ID: {id})
+  狀態: {status}
+  期間: {start} ~ {end}`,
+    sprintIssueItem: `🔸 #{ref}: {subject}
+   狀態: {status}
+   優先級: {priority}
+   指派: {assignee}`
+  },
+
+  parser: {
+    emptyQuery: '查詢字符串不能為空',
+    parseError: '查詢解析錯誤: {message}',
+    invalidField: '無效的字段: {field}',
+    invalidOperator: '無效的操作符: {operator}',
+    noFilters: '查詢必須至少包含一個過濾條件',
+    incompleteFilter: '過濾條件必須包含字段和操作符',
+    executionFailed: '查詢執行失敗: {message}',
+    unsupportedType: '不支持的數據類型: {type}'
+  },
+
+  taigaErrors: {
+    notFound: '在Taiga中找不到（可能已被刪除，或您沒有檢視權限）',
+    permissionDenied: '權限不足',
+    validation: 'Taiga拒絕了此請求',
+    field: '- {field}: {message}',
+    versionConflict: '此項目已被其他人修改，請重新讀取後再試',
+    versionConflictFields: '其他人同時修改了相同的欄位',
+    conflictField: '- {field}: 您的值 {yours}，目前的值 {theirs}',
+    rateLimited: 'Taiga正在限制請求頻率，請於 {seconds} 秒後再試',
+    rateLimitedNoDelay: 'Taiga正在限制請求頻率，請稍後再試',
+    authExpired: 'Taiga登入已過期或被撤銷，請重新認證',
+    http: 'Taiga回應 HTTP {status}',
+    detail: '{description}（{detail}）'
+  },
+
+  diagnostics: {
+    title: '🩺 **Taiga連線診斷**',
+    profile: '- 設定檔: {profile}',
+    apiUrl: '- API URL: {apiUrl}',
+    authentication: '- 認證方式: {method}',
+    tokenAuth: '{type} 令牌',
+    passwordAuth: '使用者名稱/密碼',
+    proxy: '- 代理: {proxy}',
+    proxyWithCa: '- 代理: {proxy}，額外CA: {caFile}',
+    noProxy: '無',
+    reachable: '{mark} 可連線: {outcome}',
+    reachableYes: '是 ({ms} ms)',
+    httpServer: '   HTTP伺服器: {server}',
+    login: '{mark} 登入/令牌: {outcome}',
+    loginValid: '有效',
+    loginValidUntil: '有效，到期時間 {date}',
+    currentUser: '✅ 目前使用者: {name} ({username}, ID {id})',
+    project: '{mark} 專案: {name} ({slug}, ID {id}) - {membership}',
+    projectFailed: '❌ 專案: {error}',
+    member: '成員',
+    memberAs: '成員，角色為 {role}',
+    admin: '，管理員',
+    notMember: '非成員',
+    modulesLine: '   模組: {modules}',
+    allPermissions: '   權限: 工具所需的權限皆已授予',
+    missingPermissions: '   ⚠️ 缺少權限: {permissions}',
+    endpoints: '**端點** ({responding}/{total} 有回應)',
+    endpointSkipped: '⏭️ {path}: 已略過，{reason}',
+    needsUserStory: '需要至少有一個用戶故事的專案',
+    modules: {
+      backlog: 'Backlog (衝刺、用戶故事)',
+      kanban: '看板',
+      issues: '問題',
+      epics: 'Epic',
+      wiki: 'Wiki'
+    }
+  },
+
+  dryRun: {
+    statusText: '試運行',
+    noWrites: '🧪 試運行：所有名稱和參照都已解析，此呼叫不會向 Taiga 發送任何寫入。',
+    report: '🧪 試運行：沒有任何變更發送到 Taiga。所有名稱和參照都已解析；將會發送以下 {count} 個請求：\n\n{requests}',
+    query: '查詢參數: {params}'
+  },
+
+  undo: {
+    notFound: '在設定檔 "{profile}" 的稽核紀錄中找不到變更 {id}',
+    isUndo: '變更 {id} 本身是變更 {undoOf} 的復原',
+    alreadyUndone: '變更 {id} 已經復原過了',
+    noRestorableFields: '{method} {endpoint} 無法自動復原：沒有記錄可還原的欄位',
+    changedAgain: '{endpoint} 在此變更之後又被修改，拒絕覆寫:\n{details}',
+    conflict: '- {field}: 目前為 {current}，此變更設定為 {value}',
+    notUndoable: '{method} {endpoint} 無法自動復原。先前的值記錄在稽核紀錄 {id} 中。',
+    restored: '已還原 {endpoint} 的 {fields}',
+    deleted: '已刪除由 {tool} 建立的 {endpoint}',
+    changedSinceCreate: '{endpoint} 在建立後已被修改（目前版本 {version}，修改於 {modified}），拒絕刪除',
+    unknownDate: '未知時間',
+    commentNotFound: '新增到 {endpoint} 的評論之後已被編輯或刪除，拒絕刪除',
+    commentDeleted: '已刪除新增到 {endpoint} 的評論',
+    unknownTool: '未知工具',
+    called: '已對 {endpoint} 呼叫 {action}',
+    wikiRecreated: '已重新建立Wiki頁面 "{slug}" (新ID {id})'
+  },
+
+  resources: {
+    issueTitle: 'Issue #{ref}: {subject}',
+    userStoryTitle: '用戶故事 #{ref}: {subject}',
+    taskTitle: '任務 #{ref}: {subject}',
+    epicTitle: 'Epic #{ref}: {subject}',
+    sprintTitle: 'Sprint: {name}',
+    wikiTitle: 'Wiki: {slug}',
+    sprintNotInProject: 'Sprint {id} 不屬於專案 "{slug}"',
+    field: '欄位',
+    value: '值',
+    project: '專案',
+    status: '狀態',
+    type: '類型',
+    priority: '優先級',
+    severity: '嚴重程度',
+    assignedTo: '指派給',
+    sprint: 'Sprint',
+    userStory: '用戶故事',
+    points: '點數',
+    closedPoints: '已完成點數',
+    color: '顏色',
+    userStoryCount: '用戶故事數',
+    dates: '日期',
+    lastModifier: '最後修改者',
+    tags: '標籤',
+    created: '創建時間',
+    modified: '修改時間',
+    version: '版本',
+    description: '描述',
+    content: '內容',
+    userStories: '用戶故事',
+    noUserStories: '此Sprint沒有用戶故事',
+    schema: {
+      title: '專案結構: {project} ({slug})',
+      modulesSection: '模組',
+      userStoryStatuses: '用戶故事狀態',
+      taskStatuses: '任務狀態',
+      issueStatuses: 'Issue 狀態',
+      priorities: '優先級',
+      severities: '嚴重程度',
+      issueTypes: 'Issue 類型',
+      points: '點數刻度',
+      roles: '角色',
+      customAttributes: '自訂屬性',
+      tags: '標籤',
+      closed: ' - 已關閉',
+      estimates: ' - 參與估點',
+      enabled: '已啟用',
+      disabled: '已停用',
+      none: '- 無',
+      modules: {
+        backlog: '待辦清單',
+        kanban: '看板',
+        issues: 'Issue',
+        wiki: 'Wiki',
+        epics: 'Epic'
+      },
+      itemTypes: {
+        userStory: '用戶故事',
+        task: '任務',
+        issue: 'Issue',
+        epic: 'Epic'
+      }
+    }
+  },
+
+  prompts: {
+    sprintPlanning: `請協助我規劃專案 {project} 的 Sprint「{sprint}」（{start} ~ {end}）。
+
+根據已承諾的點數，建議要從待辦清單中拉入此 Sprint 的用戶故事。標出沒有點數或描述不清的故事、故事之間的相依性，以及應優先修正的未關閉 Issue。最後用一句話寫出 Sprint 目標。`,
+    bugTriage: `請協助我分類專案 {project} 中 Sprint「{sprint}」（{start} ~ {end}）的 Issue。
+
+針對每個未關閉的 Issue，建議優先級與嚴重程度、負責人，以及它是否仍屬於此 Sprint。先處理未指派與嚴重的 Issue，並指出可能重複或缺少重現步驟的 Issue。`,
+    dailyStandup: `請為專案 {project} 的 Sprint「{sprint}」（{start} ~ {end}）準備今天的站立會議。
+
+依團隊成員整理已完成、進行中與受阻的工作。接著列出在 {end} 前完成 Sprint 的風險，以及今天需要處理的未關閉 Issue。`,
+    retrospective: `請為專案 {project} 的 Sprint「{sprint}」（{start} ~ {end}）進行回顧。
+
+根據以下資料，說明哪些做得好、哪些不好，比較承諾與完成的工作，並為下一個 Sprint 提出三個具體的改進行動。`,
+    filteredBy: '僅包含符合 {filters} 的項目。',
+    sprintNotFound: '在專案 "{project}" 中找不到 Sprint "{sprint}"',
+    statsSection: '## Sprint 統計',
+    stats: `- 用戶故事: 已完成 {completedStories}/{totalStories}
+- 任務: 已完成 {completedTasks}/{totalTasks}
+- 點數: 已完成 {completedPoints}/{totalPoints}（{completionRate}%）`,
+    sprintStoriesSection: '## Sprint 中的用戶故事',
+    backlogSection: '## 待辦清單（不在 Sprint 中）',
+    doneStoriesSection: '## 已完成的用戶故事',
+    unfinishedStoriesSection: '## 未完成的用戶故事',
+    openIssuesSection: '## 未關閉的 Issue',
+    closedIssuesSection: '## 已關閉的 Issue',
+    storyLine: '- #{ref} {subject}（{status}，{points} 點，{assignee}）',
+    issueLine: '- #{ref} {subject}（{type}，優先級 {priority}，嚴重程度 {severity}，{status}，{assignee}）',
+    blocked: ' ⛔ 受阻',
+    unassigned: '未指派',
+    none: '- 無'
+  },
+
+  tools: {
+    auth: {
+      missingCredentials: '需要使用者名稱和密碼。請提供，或為設定檔 "{profile}" 設定它們。',
+      authenticated: `{message}：{fullName} ({username})。
+
+目前設定檔: {profile} ({apiUrl})`,
+      otherProfiles: '其他設定檔: {profiles}',
+      failed: '認證失敗: {message}',
+      sharedCredentials: '透過HTTP時所有工作階段共用伺服器的Taiga登入，因此authenticate只使用設定檔中設定的帳號密碼。請勿提供username和password。',
+      sharedLogout: '透過HTTP時所有工作階段共用設定檔 "{profile}" 的登入，無法從單一工作階段登出。請重新啟動伺服器以清除其令牌。',
+      staticToken: '設定檔 "{profile}" 使用預先核發的 {type} 令牌，此伺服器不會儲存它。若要停止使用，請在Taiga中撤銷它並從設定中移除。',
+      noSession: '設定檔 "{profile}" ({apiUrl}) 沒有登入中的工作階段。',
+      loggedOut: '已登出設定檔 "{profile}" ({apiUrl})。',
+      sessionRemoved: '已從 {path} 移除儲存的工作階段。',
+      tokensStayValid: '注意：Taiga沒有撤銷令牌的端點。認證令牌在Taiga伺服器上會保持有效直到過期{expiry}，刷新令牌則到其本身的到期時間。',
+      expiry: ' ({date})',
+      loginAgain: '此設定檔的下一次工具呼叫會使用設定的帳號密碼重新登入。',
+      logoutFailed: '登出失敗: {message}'
+    },
+
+    audit: {
+      disabled: '稽核紀錄已停用 (TAIGA_AUDIT_LOG=off)。',
+      disabledUndo: '稽核紀錄已停用 (TAIGA_AUDIT_LOG=off)，無法復原任何變更。',
+      noChanges: '設定檔 "{profile}" 沒有記錄任何變更。',
+      changesTitle: '設定檔 "{profile}" 的最近變更 ({total} 筆中的 {shown} 筆):',
+      entry: '- {id} {time} {tool}: {method} {endpoint}{status}',
+      unknownTool: '未知工具',
+      undoOf: ' (復原 {id})',
+      undone: ' (已復原)',
+      listFailed: '列出變更失敗: {message}',
+      nothingToUndo: '設定檔 "{profile}" 沒有可復原的變更。',
+      undoLastFailed: '復原最近的變更失敗: {message}',
+      undoFailed: '復原變更失敗: {message}'
+    },
+
+    cache: {
+      clearedProject: '已清除專案 {project} 的 {count} 筆快取 (設定檔 "{profile}")。',
+      clearedProfile: '已清除設定檔 "{profile}" 的 {count} 筆快取。{note}',
+      expiry: '其他快取會在 {seconds} 秒後過期。',
+      disabled: '快取已停用 (TAIGA_CACHE_TTL_MS=0)。',
+      failed: '清除快取失敗: {message}'
+    },
+
+    diagnostics: {
+      failed: '執行診斷失敗: {message}'
+    },
+
+    projects: {
+      list: '您的Taiga專案:\n\n{projects}',
+      failedList: '無法取得專案列表: {message}',
+      details: `專案詳情:
+
+名稱: {name}
+ID: {id}
+Slug: {slug}
+描述: {description}
+創建時間: {created}
+成員總數: {members}`,
+      failedGet: '無法取得專案詳情: {message}',
+      failedSchema: '無法取得專案結構: {message}',
+      created: `🏗️ **專案已創建**
+- 名稱: {name}
+- 專案ID: {id}
+- Slug: {slug}
+- 範本: {template}
+- 可見性: {visibility}`,
+      updated: `✏️ **專案已更新**
+- 名稱: {name}
+- 專案ID: {id}
+- Slug: {slug}
+- 可見性: {visibility}
+- 標籤: {tags}`,
+      modulesUpdated: `🧩 **專案模組**
+- 專案: {name} ({slug})
+{modules}`,
+      deleted: `🗑️ **專案已刪除**
+- 已刪除專案: {name} ({slug})
+- 專案ID: {id}`,
+      private: '私人',
+      public: '公開',
+      defaultTemplate: 'Taiga 預設',
+      nothingToUpdate: '沒有要更新的內容: 請提供 name、description、isPrivate 或 tags',
+      noModules: '請至少指定一個要開啟或關閉的模組: backlog、kanban、issues、wiki 或 epics',
+      confirmDelete: 'confirm 與專案的 slug 不符。刪除專案會移除其所有項目且無法復原；若要刪除，請在 confirm 中傳入專案的 slug。',
+      failedCreate: '無法創建專案: {message}',
+      failedUpdate: '無法更新專案: {message}',
+      failedModules: '無法更新專案模組: {message}',
+      failedDelete: '無法刪除專案: {message}'
+    },
+
+    issues: {
+      list: '專案中的Issues:\n\n{issues}',
+      failedList: '無法取得Issue列表: {message}',
+      statusUpdated: `已將Issue #{ref} 的狀態更新為 "{status}"。
+
+Issue詳情:
+- 標題: {subject}
+- 專案: {project}
+- 新狀態: {status}
+- 指派給: {assignee}
+- Sprint: {sprint}`,
+      failedUpdateStatus: '無法更新Issue狀態: {message}',
+      details: `Issue詳情: #{ref} - {subject}
+
+📋 基本信息:
+- 專案: {project}
+- 狀態: {status}
+- 優先級: {priority}
+- 嚴重性: {severity}
+- 類型: {type}
+
+🎯 指派:
+- 指派給: {assignee}
+- Sprint: {sprint}
+
+📅 時間:
+- 創建: {created}
+- 修改: {modified}
+
+📝 描述:
+{description}
+
+🏷️ 標籤: {tags}`,
+      failedGet: '無法取得Issue詳情: {message}',
+      created: `{title}
+
+標題: {subject}
+引用編號: #{ref}
+狀態: {status}
+優先級: {priority}
+嚴重性: {severity}
+類型: {type}
+專案: {project}`,
+      failedCreate: '無法建立Issue: {message}',
+      sprintProjectUnknown: '無法確定查詢Sprint所需的專案ID',
+      sprintNotFound: '在專案中找不到Sprint "{sprint}"。可用的Sprint:\n{available}',
+      sprintUpdated: `{title}
+
+Issue: #{ref} - {subject}
+Sprint: {sprint}
+專案: {project}
+狀態: {status}`,
+      unknownSprint: '未知Sprint',
+      removedFromSprint: '已從Sprint移除',
+      failedAddToSprint: '無法將Issue加入Sprint: {message}',
+      memberProjectUnknown: '無法確定查詢成員所需的專案ID',
+      userNotFound: '在專案中找不到用戶 "{assignee}"。可用的成員:\n{available}',
+      assignmentUpdated: `{title}
+
+Issue: #{ref} - {subject}
+指派給: {assignee}
+專案: {project}
+狀態: {status}`,
+      failedAssign: '無法指派Issue: {message}'
+    },
+
+    userStories: {
+      list: '專案中的用戶故事:\n\n{userStories}',
+      failedList: '無法取得用戶故事列表: {message}',
+      details: `用戶故事詳情: #{ref} - {subject}
+
+📋 基本信息:
+- 專案: {project}
+- 狀態: {status}
+- Epic: {epic}
+
+🎯 指派:
+- 指派給: {assignee}
+- Sprint: {sprint}
+
+📊 指標:
+- 點數: {points}
+- 任務: {tasks}
+
+📝 描述:
+{description}
+
+🏷️ 標籤: {tags}`,
+      failedGet: '無法取得用戶故事詳情: {message}',
+      created: `{title}
+
+標題: {subject}
+引用編號: #{ref}
+狀態: {status}
+專案: {project}`,
+      failedCreate: '無法建立用戶故事: {message}',
+      assignedToSprint: '用戶故事 #{ref} 已指派到Sprint {sprint}',
+      unassignedFromSprint: '用戶故事 #{ref} 已從Sprint移除',
+      failedAssignToSprint: '無法將用戶故事指派到Sprint: {message}',
+      statusUpdated: `已將用戶故事 #{ref} 的狀態更新為 "{status}"。
+
+用戶故事詳情:
+- 標題: {subject}
+- 專案: {project}
+- 新狀態: {status}
+- 指派給: {assignee}
+- Sprint: {sprint}`,
+      failedUpdateStatus: '無法更新用戶故事狀態: {message}'
+    },
+
+    tasks: {
+      storyRefNotFound: '找不到引用編號為 {ref} 的用戶故事',
+      created: `{title}
+
+標題: {subject}
+引用編號: #{ref}
+狀態: {status}
+專案: {project}
+用戶故事: #{storyRef} - {storySubject}`,
+      failedCreate: '無法建立任務: {message}'
+    },
+
+    sprints: {
+      list: '專案中的Sprints:\n\n{sprints}',
+      failedList: '無法取得Sprint列表: {message}',
+      storyItem: '  • [#{ref}] {subject} ({status})',
+      noStatus: '無狀態',
+      noStories: '  尚未指派用戶故事',
+      details: `Sprint詳情: {name}
+
+📋 基本信息:
+- ID: {id}
+- Slug: {slug}
+- 專案: {project}
+- 專案ID: {projectId}
+- 狀態: {status}
+- 排序: {order}
+
+📅 時間:
+- 開始日期: {start}
+- 結束日期: {end}
+- 創建: {created}
+- 修改: {modified}
+
+📊 指標:
+- 總點數: {totalPoints}
+- 已完成點數: {closedPoints}
+- 用戶故事總數: {storyCount}
+
+👥 團隊與權限:
+- 擁有者: {owner}
+- 關注者: {watchers}
+- 可用角色: {roles}
+
+📝 描述:
+{description}
+
+📚 用戶故事 ({storyCount}):
+{stories}
+
+---
+🔗 永久連結: {permalink}
+
+📦 完整原始數據 (JSON):
+{raw}`,
+      failedGet: '無法取得Sprint詳情: {message}',
+      stats: `Sprint詳情: {name}
+
+📊 基本信息:
+- 狀態: {status}
+- 開始日期: {start}
+- 結束日期: {end}
+- 專案: {project}
+
+📈 進度統計:
+- 用戶故事: 已完成 {completedStories}/{totalStories}
+- 任務: 已完成 {completedTasks}/{totalTasks}
+- 點數: 已完成 {completedPoints}/{totalPoints}
+- 工時: 已完成 {completedHours}/{totalHours}
+
+📋 用戶故事進度:
+{completedLine}
+{remainingLine}
+
+🎯 完成率: {completionRate}%`,
+      completedStories: '✅ 已完成: {count}',
+      noCompletedStories: '⚪ 尚無已完成的故事',
+      remainingStories: '🔄 剩餘: {count}',
+      created: `{title}
+
+名稱: {name}
+ID: {id}
+開始日期: {start}
+結束日期: {end}
+專案: {project}
+狀態: {status}`,
+      failedCreate: '無法建立Sprint: {message}',
+      noIssues: 'Sprint中沒有Issue: {name}',
+      issues: `Sprint中的Issues: {name}
+
+📊 Sprint概覽:
+- Sprint: {name}
+- 狀態: {status}
+- 期間: {start} ~ {end}
+- Issue總數: {count}
+
+📋 Issue列表:
+{issues}`,
+      failedIssues: '無法取得Sprint中的Issues: {message}'
+    },
+
+    batch: {
+      issues: 'Issues',
+      userStories: 'User Stories',
+      tasks: 'Tasks',
+      created: '✅ **成功創建 {count} 個{items}:**',
+      failed: '❌ **失敗 {count} 個{items}:**',
+      summary: '📊 **總結:** {succeeded}/{total} 成功',
+      userStory: '📋 **User Story:** {subject} ({ref})',
+      storyNotFound: '找不到用戶故事 {ref}'
+    },
+
+    search: {
+      failed: '搜索失敗: {message}',
+      examplesHint: '💡 查詢語法示例:',
+      failedHelp: '無法獲取幫助信息: {message}',
+      validated: `
+✅ **查詢語法驗證通過**
+
+🔍 **解析結果:**
+- 過濾條件數量: {filterCount}
+- 邏輯操作符: {logic}
+- 排序: {orderBy}
+- 限制: {limit}
+- 分組: {groupBy}
+- 複雜度: {complexity}
+
+📋 **過濾條件詳情:**
+{filters}
+
+🎯 **查詢類型:** {type}
+`,
+      validationFailed: '❌ **查詢語法驗證失敗**\n\n{message}\n\n💡 使用 queryHelp 獲取語法幫助',
+      resultsTitle: '🔍 **高級搜索結果**',
+      noResults: '🔍 **高級搜索結果**\n\n查詢: `{query}`\n類型: {type}\n\n❌ 沒有找到匹配的結果',
+      resultsSummary: `📊 查詢: \`{query}\`
+📋 類型: {type}
+⚡ 執行時間: {time}ms
+🎯 找到 {count} 個結果
+`,
+      limitHint: '💡 提示: 結果較多，建議使用 LIMIT 子句限制結果數量，例如: `{query} LIMIT 10`',
+      untitled: '無標題',
+      defaultPriority: '普通',
+      defaultType: '問題',
+      noUserStory: '無關聯故事',
+      itemStatus: '   📊 狀態: {status}',
+      itemIssue: '   🎯 類型: {type} | 優先級: {priority}\n   👤 指派: {assignee}',
+      itemUserStory: '   ⭐ 點數: {points} | 👤 指派: {assignee}',
+      itemTask: '   👤 指派: {assignee}\n   📋 用戶故事: {userStory}',
+      itemCreated: '   📅 創建: {created}',
+      examples: `
+基礎查詢:
+- status:open
+- priority:high
+- assignee:john
+
+比較查詢:
+- points:>=5
+- created:>2024-01-01
+- updated:<7d
+
+文本搜索:
+- subject:contains:"登入"
+- description:*API*
+- tags:frontend
+
+邏輯組合:
+- status:open AND priority:high
+- type:bug OR type:feature
+- NOT status:closed
+`,
+      helpSyntax: `
+🔍 **高級查詢語法指南**
+
+## 基本語法
+\`field:value\` - 字段等於值
+\`field:operator:value\` - 字段操作符值
+
+## 操作符
+- \`=\` 等於 (預設)
+- \`!=\` 不等於
+- \`>\`, \`>=\` 大於, 大於等於
+- \`<\`, \`<=\` 小於, 小於等於
+- \`contains\` 包含文本
+- \`~\` 模糊匹配
+
+## 邏輯操作符
+- \`AND\` 且條件
+- \`OR\` 或條件
+- \`NOT\` 非條件
+
+## 排序和限制
+- \`ORDER BY field ASC/DESC\` 排序
+- \`LIMIT number\` 限制結果數量
+
+## 時間關鍵字
+- \`today\`, \`yesterday\`
+- \`this_week\`, \`last_month\`
+- \`7d\`, \`30d\` (相對時間)
+`,
+      helpOperators: `
+⚙️ **查詢操作符詳解**
+
+## 比較操作符
+- \`field:value\` - 等於
+- \`field:!=value\` - 不等於
+- \`field:>value\` - 大於
+- \`field:>=value\` - 大於等於
+- \`field:<value\` - 小於
+- \`field:<=value\` - 小於等於
+
+## 文本操作符
+- \`field:contains:"text"\` - 包含文本
+- \`field:~"text"\` - 模糊匹配
+- \`field:*text*\` - 通配符匹配
+
+## 特殊操作符
+- \`field:null\` - 字段為空
+- \`field:exists\` - 字段存在
+- \`field:empty\` - 字段為空值
+
+## 範圍查詢
+- \`points:3..8\` - 點數在3到8之間
+- \`created:2024-01-01..2024-12-31\` - 日期範圍
+`,
+      helpExamples: `
+📚 **查詢示例大全**
+
+## 問題(Issues)查詢
+\`\`\`
+status:open AND priority:high
+type:bug AND assignee:john
+created:>7d AND NOT status:closed
+priority:urgent OR severity:critical
+\`\`\`
+
+## 用戶故事查詢
+\`\`\`
+points:>=5 AND status:in-progress
+assignee:team-lead AND points:3..8
+milestone:"Sprint 3" AND status:!=done
+\`\`\`
+
+## 任務查詢
+\`\`\`
+assignee:developer AND status:open
+user_story:contains:"API" ORDER BY created DESC
+status:in-progress LIMIT 5
+\`\`\`
+
+## 複雜查詢
+\`\`\`
+(status:open OR status:in-progress) AND priority:high AND updated:this_week
+assignee:john AND (type:bug OR priority:urgent) ORDER BY created ASC LIMIT 10
+\`\`\`
+`,
+      helpFields: `
+📋 **可查詢字段列表**
+
+## Issues 字段
+- \`subject\` - 標題
+- \`description\` - 描述
+- \`status\` - 狀態
+- \`priority\` - 優先級
+- \`type\` - 類型
+- \`assignee\` - 指派人
+- \`tags\` - 標籤
+- \`created\` - 創建時間
+- \`updated\` - 更新時間
+
+## User Stories 字段
+- \`subject\` - 標題
+- \`status\` - 狀態
+- \`points\` - 故事點數
+- \`assignee\` - 指派人
+- \`milestone\` - 里程碑
+- \`tags\` - 標籤
+
+## Tasks 字段
+- \`subject\` - 標題
+- \`status\` - 狀態
+- \`assignee\` - 指派人
+- \`user_story\` - 關聯用戶故事
+- \`tags\` - 標籤
+
+狀態、優先級、類型與嚴重程度的名稱因專案而異；\`getProjectSchema\` 會列出專案實際使用的值。
+`,
+      helpGeneral: `
+🎯 **高級查詢功能概述**
+
+歡迎使用Taiga MCP Server的高級查詢功能！這個強大的搜索引擎讓您能夠用類似SQL的語法精確查找項目數據。
+
+## 🚀 主要功能
+- **精確過濾**: 使用多種操作符精確篩選數據
+- **邏輯組合**: 使用AND/OR/NOT組合複雜條件
+- **文本搜索**: 模糊匹配和通配符搜索
+- **排序限制**: 自定義排序和結果數量限制
+- **時間查詢**: 靈活的日期和時間範圍查詢
+
+## 🔧 可用工具
+- \`advancedSearch\` - 執行高級查詢
+- \`queryHelp\` - 獲取語法幫助
+- \`validateQuery\` - 驗證查詢語法
+
+## 💡 快速開始
+1. 使用 \`queryHelp syntax\` 學習基本語法
+2. 使用 \`queryHelp examples\` 查看示例
+3. 使用 \`validateQuery\` 驗證您的查詢
+4. 使用 \`advancedSearch\` 執行搜索
+`
+    },
+
+    comments: {
+      issueNeedsProject: '處理Issue時必須提供專案識別符，請提供 projectIdentifier 參數。',
+      issueNotInProject: 'Issue #{id} 不屬於專案 {project}',
+      issueNotFound: '在專案 {project} 中找不到Issue #{id}。已嘗試引用編號與ID: {refError}, {idError}',
+      listTitle: '**{itemType} #{itemId} 評論列表**',
+      noComments: '目前沒有評論',
+      count: '共 {count} 個評論',
+      listItem: '**{index}. {user}** {date}\n{text}',
+      commentId: '評論ID: {id}',
+      added: '**評論已添加**',
+      edited: '**評論已編輯**',
+      details: '用戶: {user}\n時間: {date}\n內容: {text}',
+      deleted: '評論 #{id} 已成功刪除'
+    },
+
+    attachments: {
+      issueNeedsProject: '上傳附件到Issue時必須提供專案識別符，請提供 projectIdentifier 參數。',
+      issueNotInProject: 'Issue #{id} 不屬於專案 {project}',
+      issueNotFound: '在專案 {project} 中找不到Issue #{id}',
+      fileRequired: '請提供 filePath (Claude Client 建議使用) 或 fileData+fileName (程式化使用)',
+      filesDisabled: '透過HTTP時，除非設定了 MCP_HTTP_FILE_DIR，否則無法讀寫伺服器上的檔案。請改用 fileData 和 fileName 上傳。',
+      outsideFileDir: '路徑 "{path}" 超出了 MCP_HTTP_FILE_DIR',
+      uploaded: `**附件信息**
+- 文件名: {name}
+- 大小: {size} KB
+- 附件到: {itemType} #{itemId}
+- 上傳時間: {date}`,
+      description: '- 描述: {description}',
+      listTitle: '**{itemType} #{itemId} 附件列表**',
+      listTitleCount: '**{itemType} #{itemId} 附件列表** (共 {count} 個)',
+      noAttachments: '暫無附件',
+      listItem: `**{name}**
+   - ID: {id}
+   - 大小: {size} KB
+   - 上傳日期: {date}
+   - 上傳者: {owner}`,
+      itemDescription: '   - 描述: {description}',
+      downloaded: `**下載信息**
+- 文件名: {name}
+- 保存位置: {path}
+- 文件大小: {size} KB`,
+      deleted: '附件 ID: {id} 已成功刪除'
+    },
+
+    epics: {
+      created: `🏛️ **Epic創建成功**
+- Epic ID: {id}
+- 標題: {subject}
+- 專案: {project}
+- 顏色: {color}
+- 創建時間: {date}`,
+      description: '- 描述: {description}',
+      tags: '- 標籤: {tags}',
+      listTitle: '🏛️ **專案 #{project} Epic列表**',
+      listTitleCount: '🏛️ **專案 #{project} Epic列表** (共 {count} 個)',
+      noEpics: '暫無Epic',
+      listItem: `{index}. **{subject}** (ID: {id})
+   - 狀態: {status}
+   - 用戶故事: {storyCount} 個
+   - 創建日期: {date}
+   - 顏色: {color}`,
+      itemDescription: '   - 描述: {description}',
+      itemTags: '   - 標籤: {tags}',
+      details: `🏛️ **Epic詳細信息**
+
+**基本信息**
+- ID: {id}
+- 標題: {subject}
+- 專案: {project}
+- 狀態: {status}
+- 負責人: {owner}
+- 顏色: {color}
+
+**進度統計**
+- 關聯用戶故事: {storyCount} 個
+- 創建時間: {created}
+- 最後修改: {modified}
+`,
+      detailsDescription: '**描述**\n{description}\n',
+      detailsTags: '**標籤**\n{tags}\n',
+      detailsLink: '**項目鏈接**\n- Taiga URL: {permalink}',
+      updated: `🏛️ **Epic更新完成**
+- Epic ID: {id}
+- 標題: {subject}
+- 狀態: {status}
+- 最後修改: {date}`,
+      linked: `🔗 **故事連結成功**
+- User Story: #{storyId} "{subject}"
+- Epic: #{epicId} "{epic}"
+- 連結時間: {date}
+- 專案: {project}`,
+      unlinked: `🔓 **故事取消連結**
+- User Story: #{storyId} "{subject}"
+- 已從Epic移除
+- 操作時間: {date}
+- 專案: {project}`
+    },
+
+    wiki: {
+      created: `📖 **Wiki頁面創建成功**
+- Wiki ID: {id}
+- Slug: {slug}
+- 專案: {project}
+- 創建時間: {date}
+- 內容長度: {length} 字符
+- 關注者: {watchers} 人`,
+      listTitle: '📖 **{project} - Wiki頁面列表**',
+      listTitleCount: '📖 **{project} - Wiki頁面列表** ({count}個)',
+      listItem: `📖 **{slug}**
+   - ID: {id}
+   - 修改時間: {date}
+   - 關注者: {watchers} 人
+   - 內容: {content}`,
+      details: `📖 **Wiki頁面詳情**
+
+**基本信息**
+- ID: {id}
+- Slug: {slug}
+- 專案: {project}
+- 創建時間: {created}
+- 修改時間: {modified}
+- 版本: {version}
+
+**協作信息**
+- 關注者: {watchers} 人
+- 擁有者: {owner}
+
+**內容**
+{content}`,
+      noContent: '此Wiki頁面暫無內容',
+      updated: `📖 **Wiki頁面更新成功**
+- Wiki ID: {id}
+- Slug: {slug}
+- 專案: {project}
+- 更新時間: {date}
+- 版本: {version}
+- 內容長度: {length} 字符
+- 關注者: {watchers} 人`,
+      deleted: `🗑️ **Wiki頁面刪除成功**
+- 已刪除Wiki: {slug}
+- Wiki ID: {id}
+- 專案: {project}
+- 刪除時間: {date}
+
+⚠️ 注意：此操作不可逆轉`,
+      watched: `👁️ **Wiki頁面關注成功**
+- Wiki: {slug}
+- Wiki ID: {id}
+- 專案: {project}
+- 操作: 關注
+- 時間: {date}
+
+🔔 您將收到此Wiki頁面的變更通知`,
+      unwatched: `🚫 **Wiki頁面取消關注成功**
+- Wiki: {slug}
+- Wiki ID: {id}
+- 專案: {project}
+- 操作: 取消關注
+- 時間: {date}
+
+🔕 您將不再收到此Wiki頁面的通知`
+    }
+  }
+};
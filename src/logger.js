@@ -0,0 +1,187 @@
+/**
+ * Structured logger
+ * Writes one JSON object per line to stderr (stdout carries the stdio MCP protocol)
+ * or, when TAIGA_LOG_FILE is set, appends to that file. Entries logged during a
+ * tool call carry its correlation ID, tool name and profile.
+ *
+ * Everything passed to the logger goes through redact(): auth tokens, passwords
+ * and base64 attachment data never reach the log, whatever the level.
+ *
+ * Environment:
+ * - TAIGA_LOG_LEVEL  debug | info | warn | error | silent (default: info)
+ * - TAIGA_LOG_FILE   Path of a log file (default: stderr)
+ */
+
+import fs from 'fs';
+import { getToolContext } from './context.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are always secrets
+const SECRET_KEY_PATTERN = /pass(word)?$|token|secret|authorization|cookie|^refresh$|api[-_]?key/i;
+
+// Object keys whose values carry file contents
+const BINARY_KEY_PATTERN = /base64|^fileData$|^attached_file$/i;
+
+// Secrets that can appear inside free text (error messages, response bodies)
+const SECRET_TEXT_PATTERNS = [
+  [/\b(Bearer|Application)\s+[\w.~+/=-]+/g, `$1 ${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[REDACTED JWT]'],
+  [/data:[\w.+/-]+;base64,[A-Za-z0-9+/=]+/g, '[REDACTED data URL]'],
+  [/[A-Za-z0-9+/]{200,}={0,2}/g, '[REDACTED base64]'],
+];
+
+// Keep a single log entry bounded
+const MAX_DEPTH = 6;
+
+/**
+ * Get the configured minimum level
+ * @returns {number} - Numeric level
+ */
+function getMinimumLevel() {
+  const name = (process.env.TAIGA_LOG_LEVEL || 'info').toLowerCase();
+  return LOG_LEVELS[name] ?? LOG_LEVELS.info;
+}
+
+/**
+ * Check whether a level is enabled
+ * @param {string} level - Level name
+ * @returns {boolean} - Whether entries at this level are written
+ */
+export function isLevelEnabled(level) {
+  return LOG_LEVELS[level] >= getMinimumLevel();
+}
+
+/**
+ * Redact secrets from free text
+ * @param {string} text - Text to clean
+ * @returns {string} - Text with tokens and base64 payloads removed
+ */
+function redactText(text) {
+  return SECRET_TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Turn an error into a loggable object
+ * Axios errors keep the method, URL, status and response body, but never the
+ * request headers or body.
+ * @param {Error} error - Error to serialize
+ * @returns {Object} - Plain object
+ */
+export function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+
+  const serialized = { name: error.name, message: error.message };
+
+  if (error.code) {
+    serialized.code = error.code;
+  }
+  if (error.config) {
+    serialized.method = error.config.method?.toUpperCase();
+    serialized.url = error.config.url;
+  }
+  if (error.response) {
+    serialized.status = error.response.status;
+    serialized.response = error.response.data;
+  }
+
+  return serialized;
+}
+
+/**
+ * Deep-copy a value with secrets removed
+ * @param {any} value - Value to redact
+ * @param {number} [depth] - Current nesting depth
+ * @returns {any} - Redacted copy
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[binary ${value.length} bytes]`;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined || item === null || item === '') {
+      result[key] = item;
+    } else if (SECRET_KEY_PATTERN.test(key)) {
+      result[key] = REDACTED;
+    } else if (BINARY_KEY_PATTERN.test(key)) {
+      result[key] = typeof item === 'string' ? `[REDACTED ${item.length} chars]` : REDACTED;
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  }
+  return result;
+}
+
+/**
+ * Write a formatted line to the configured destination
+ * @param {string} line - JSON line
+ */
+function writeLine(line) {
+  const file = process.env.TAIGA_LOG_FILE;
+
+  if (!file) {
+    process.stderr.write(`${line}\n`);
+    return;
+  }
+
+  try {
+    // Appending by path keeps working when the file is rotated or removed
+    fs.appendFileSync(file, `${line}\n`, { mode: 0o600 });
+  } catch (error) {
+    // Never lose the entry because the log file is unusable
+    process.stderr.write(`${line}\n`);
+  }
+}
+
+/**
+ * Write a log entry
+ * @param {string} level - Level name
+ * @param {string} message - Message
+ * @param {Object} [fields] - Extra structured fields (an `error` field is serialized)
+ */
+export function log(level, message, fields = {}) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  const { correlationId, tool, profile } = getToolContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(message),
+    ...(correlationId && { correlationId }),
+    ...(tool && { tool }),
+    ...(profile && { profile }),
+    ...redact(fields)
+  };
+
+  writeLine(JSON.stringify(entry));
+}
+
+export const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+};
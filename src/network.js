@@ -0,0 +1,207 @@
+/**
+ * Network settings for the Taiga HTTP client
+ * Builds the axios options shared by every request a profile makes (API calls,
+ * logins, attachment uploads and downloads): proxy, extra CA certificates, client
+ * certificate and timeout.
+ *
+ * Proxies are used through HTTP CONNECT tunnels, so TLS is negotiated end to end
+ * with Taiga and the custom CA and client certificate apply to Taiga, not the proxy.
+ * The standard HTTP_PROXY/HTTPS_PROXY variables are not used; set TAIGA_PROXY (or
+ * the profile's `proxy`) instead.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+
+// Agents keep connections alive, so build them once per distinct setting
+const agents = new Map();
+
+/**
+ * Check whether a host is excluded from the proxy
+ * @param {string} host - Target host name
+ * @param {string} [noProxy] - Comma-separated hosts or domain suffixes ("*" matches all)
+ * @returns {boolean} - Whether to connect directly
+ */
+export function bypassesProxy(host, noProxy) {
+  const hostname = String(host || '').toLowerCase();
+
+  return (noProxy || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).some((entry) => {
+    if (entry === '*') {
+      return true;
+    }
+    const domain = entry.replace(/^\*?\./, '').replace(/:\d+$/, '');
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Open a CONNECT tunnel through a proxy
+ * @param {URL} proxy - Proxy URL
+ * @param {Object} options - Connection options of the target (host, port, ca, timeout)
+ * @param {Function} callback - Called with (error, socket)
+ */
+function openTunnel(proxy, options, callback) {
+  const host = options.host.includes(':') ? `[${options.host}]` : options.host;
+  const target = `${host}:${options.port}`;
+  const headers = { host: target };
+
+  if (proxy.username) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const secureProxy = proxy.protocol === 'https:';
+  const request = (secureProxy ? https : http).request({
+    host: proxy.hostname,
+    port: proxy.port || (secureProxy ? 443 : 80),
+    method: 'CONNECT',
+    path: target,
+    headers,
+    agent: false,
+    ...(secureProxy && { ca: options.ca })
+  });
+
+  if (options.tunnelTimeout) {
+    request.setTimeout(options.tunnelTimeout, () => {
+      request.destroy(Object.assign(new Error(`Proxy ${proxy.host} did not open a tunnel to ${target} in time`), { code: 'ETIMEDOUT' }));
+    });
+  }
+
+  request.once('connect', (response, socket) => {
+    request.setTimeout(0);
+    if (response.statusCode === 200) {
+      callback(null, socket);
+      return;
+    }
+    socket.destroy();
+    callback(new Error(`Proxy ${proxy.host} refused the tunnel to ${target} (HTTP ${response.statusCode})`));
+  });
+  request.once('error', callback);
+  request.end();
+}
+
+/**
+ * Agent for http:// targets behind a proxy
+ */
+class HttpTunnelAgent extends http.Agent {
+  constructor(proxy, noProxy, options) {
+    super(options);
+    this.proxy = proxy;
+    this.noProxy = noProxy;
+  }
+
+  createConnection(options, callback) {
+    if (bypassesProxy(options.host, this.noProxy)) {
+      return super.createConnection(options, callback);
+    }
+    openTunnel(this.proxy, options, callback);
+    return undefined;
+  }
+}
+
+/**
+ * Agent for https:// targets behind a proxy, negotiating TLS inside the tunnel
+ */
+class HttpsTunnelAgent extends https.Agent {
+  constructor(proxy, noProxy, options) {
+    super(options);
+    this.proxy = proxy;
+    this.noProxy = noProxy;
+  }
+
+  createConnection(options, callback) {
+    if (bypassesProxy(options.host, this.noProxy)) {
+      return super.createConnection(options);
+    }
+    openTunnel(this.proxy, options, (error, socket) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+    return undefined;
+  }
+}
+
+/**
+ * Read a PEM file named in a profile
+ * @param {Object} profile - Profile definition
+ * @param {string} setting - Setting name (for error messages)
+ * @returns {Buffer|undefined} - File contents, or undefined when not configured
+ */
+function readPemFile(profile, setting) {
+  const file = profile[setting];
+  if (!file) {
+    return undefined;
+  }
+
+  try {
+    return fs.readFileSync(file);
+  } catch (error) {
+    throw new Error(`Cannot read ${setting} "${file}" for profile "${profile.name}": ${error.message}`);
+  }
+}
+
+/**
+ * Parse a profile's proxy URL
+ * @param {Object} profile - Profile definition
+ * @returns {URL|null} - Proxy URL, or null when no proxy is configured
+ */
+function parseProxy(profile) {
+  if (!profile.proxy) {
+    return null;
+  }
+
+  try {
+    const proxy = new URL(profile.proxy);
+    if (!['http:', 'https:'].includes(proxy.protocol)) {
+      throw new Error('expected an http:// or https:// URL');
+    }
+    return proxy;
+  } catch (error) {
+    throw new Error(`Invalid proxy for profile "${profile.name}": ${error.message}`);
+  }
+}
+
+/**
+ * Get the axios options for a profile's requests
+ * @param {Object} profile - Profile definition
+ * @returns {Object} - Options to spread into axios.create() or a request config
+ */
+export function getRequestOptions(profile) {
+  const settings = [profile.proxy, profile.noProxy, profile.caFile, profile.certFile, profile.keyFile, profile.keyPassphrase, profile.timeoutMs];
+  const key = JSON.stringify(settings);
+
+  if (!agents.has(key)) {
+    const ca = readPemFile(profile, 'caFile');
+    const tlsOptions = {
+      keepAlive: true,
+      // Extra CAs are trusted in addition to Node's bundled ones
+      ...(ca && { ca: [...tls.rootCertificates, ca] }),
+      ...(profile.certFile && { cert: readPemFile(profile, 'certFile') }),
+      ...(profile.keyFile && { key: readPemFile(profile, 'keyFile') }),
+      ...(profile.keyPassphrase && { passphrase: profile.keyPassphrase })
+    };
+    const proxy = parseProxy(profile);
+
+    agents.set(key, proxy
+      ? {
+        httpAgent: new HttpTunnelAgent(proxy, profile.noProxy, { keepAlive: true, tunnelTimeout: profile.timeoutMs }),
+        httpsAgent: new HttpsTunnelAgent(proxy, profile.noProxy, { ...tlsOptions, tunnelTimeout: profile.timeoutMs })
+      }
+      : {
+        httpAgent: new http.Agent({ keepAlive: true }),
+        httpsAgent: new https.Agent(tlsOptions)
+      });
+  }
+
+  return {
+    ...agents.get(key),
+    // The agents handle proxying; stop axios from applying HTTP_PROXY itself
+    proxy: false,
+    timeout: profile.timeoutMs > 0 ? profile.timeoutMs : 0
+  };
+}
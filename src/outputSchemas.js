@@ -0,0 +1,570 @@
+/**
+ * Structured tool output
+ * Tools return `structuredContent` next to their prose text, so clients can chain
+ * calls without parsing "Reference: #123" out of a message. The shapes below are
+ * declared as the tools' `outputSchema`; the `to*` functions map Taiga API objects
+ * onto them. Field names are camelCase and names of related objects (status,
+ * assignee, sprint) are resolved next to their IDs.
+ */
+
+import { z } from 'zod';
+import { PROJECT_MODULES } from './constants.js';
+
+const id = z.number().int().nullable();
+const text = z.string().nullable();
+const timestamp = z.string().nullable().describe('ISO 8601 timestamp');
+const tags = z.array(z.string());
+
+export const issueSchema = z.object({
+  id,
+  ref: id,
+  subject: z.string(),
+  description: text,
+  projectId: id,
+  project: text,
+  statusId: id,
+  status: text,
+  isClosed: z.boolean(),
+  priority: text,
+  severity: text,
+  type: text,
+  assignedToId: id,
+  assignedTo: text,
+  sprintId: id,
+  sprint: text,
+  tags,
+  version: id,
+  createdDate: timestamp,
+  modifiedDate: timestamp
+});
+
+export const userStorySchema = z.object({
+  id,
+  ref: id,
+  subject: z.string(),
+  description: text,
+  projectId: id,
+  project: text,
+  statusId: id,
+  status: text,
+  isClosed: z.boolean(),
+  assignedToId: id,
+  assignedTo: text,
+  sprintId: id,
+  sprint: text,
+  epicIds: z.array(z.number().int()),
+  totalPoints: z.number().nullable(),
+  tags,
+  version: id,
+  createdDate: timestamp,
+  modifiedDate: timestamp
+});
+
+export const taskSchema = z.object({
+  id,
+  ref: id,
+  subject: z.string(),
+  description: text,
+  projectId: id,
+  project: text,
+  userStoryId: id,
+  userStoryRef: id,
+  statusId: id,
+  status: text,
+  isClosed: z.boolean(),
+  assignedToId: id,
+  assignedTo: text,
+  sprintId: id,
+  tags,
+  version: id,
+  createdDate: timestamp,
+  modifiedDate: timestamp
+});
+
+export const sprintSchema = z.object({
+  id,
+  name: z.string(),
+  slug: text,
+  projectId: id,
+  project: text,
+  estimatedStart: text.describe('YYYY-MM-DD'),
+  estimatedFinish: text.describe('YYYY-MM-DD'),
+  closed: z.boolean(),
+  totalPoints: z.number().nullable(),
+  closedPoints: z.number().nullable(),
+  userStoryIds: z.array(z.number().int()),
+  createdDate: timestamp,
+  modifiedDate: timestamp
+});
+
+export const sprintStatsSchema = z.object({
+  totalUserStories: z.number(),
+  completedUserStories: z.number(),
+  totalTasks: z.number(),
+  completedTasks: z.number(),
+  totalPoints: z.number(),
+  completedPoints: z.number(),
+  completionRate: z.number().describe('Completed user stories, in percent')
+});
+
+export const epicSchema = z.object({
+  id,
+  ref: id,
+  subject: z.string(),
+  description: text,
+  projectId: id,
+  project: text,
+  statusId: id,
+  status: text,
+  isClosed: z.boolean(),
+  assignedToId: id,
+  assignedTo: text,
+  color: text,
+  userStoryCount: z.number().int(),
+  tags,
+  version: id,
+  createdDate: timestamp,
+  modifiedDate: timestamp
+});
+
+export const wikiPageSchema = z.object({
+  id,
+  slug: z.string(),
+  projectId: id,
+  content: z.string(),
+  ownerId: id,
+  lastModifier: text,
+  watcherIds: z.array(z.number().int()),
+  version: id,
+  createdDate: timestamp,
+  modifiedDate: timestamp
+});
+
+export const commentSchema = z.object({
+  id: z.union([z.string(), z.number()]).nullable(),
+  comment: z.string(),
+  authorId: id,
+  author: text,
+  createdDate: timestamp,
+  editedDate: timestamp
+});
+
+export const attachmentSchema = z.object({
+  id,
+  name: z.string(),
+  size: z.number().nullable().describe('Bytes'),
+  description: text,
+  url: text,
+  objectId: id,
+  projectId: id,
+  owner: text,
+  createdDate: timestamp
+});
+
+export const downloadSchema = z.object({
+  attachmentId: z.number().int(),
+  filename: z.string(),
+  savedPath: z.string(),
+  size: z.number().describe('Bytes')
+});
+
+export const batchFailureSchema = z.object({
+  index: z.number().int().describe('1-based position in the request'),
+  subject: z.string(),
+  error: z.string()
+});
+
+// Whether each Taiga module is turned on
+const modules = z.object(Object.fromEntries(Object.keys(PROJECT_MODULES).map(module => [module, z.boolean()])));
+
+export const projectSchema = z.object({
+  id,
+  name: z.string(),
+  slug: z.string(),
+  description: text,
+  isPrivate: z.boolean(),
+  tags,
+  modules,
+  createdDate: timestamp,
+  modifiedDate: timestamp
+});
+
+const catalogEntry = z.object({ id, name: z.string(), color: text });
+const statusEntry = catalogEntry.extend({ isClosed: z.boolean() });
+const customAttributes = z.array(z.object({
+  id,
+  name: z.string(),
+  type: z.string().describe('text, multiline, richtext, date, url, dropdown, checkbox or number'),
+  description: text
+}));
+
+export const projectMetadataSchema = z.object({
+  projectId: id,
+  project: z.string(),
+  slug: z.string(),
+  userStoryStatuses: z.array(statusEntry),
+  taskStatuses: z.array(statusEntry),
+  issueStatuses: z.array(statusEntry),
+  priorities: z.array(catalogEntry),
+  severities: z.array(catalogEntry),
+  issueTypes: z.array(catalogEntry),
+  points: z.array(z.object({ id, name: z.string(), value: z.number().nullable() })).describe('Point scale'),
+  roles: z.array(z.object({ id, name: z.string(), computable: z.boolean().describe('Estimates points') })),
+  customAttributes: z.object({ userStory: customAttributes, task: customAttributes, issue: customAttributes, epic: customAttributes }),
+  tags: z.array(z.object({ name: z.string(), color: text })),
+  modules
+});
+
+/**
+ * Read a name from an `*_extra_info` object
+ * @param {Object} [info] - Taiga extra info
+ * @returns {string|null} - Name
+ */
+function nameOf(info) {
+  return info?.name ?? info?.full_name_display ?? info?.full_name ?? info?.username ?? null;
+}
+
+/**
+ * Normalize an optional value to null
+ * @param {any} value - Value
+ * @returns {any} - Value, or null when undefined
+ */
+function orNull(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Normalize an ID (Taiga echoes IDs sent as strings) to a number
+ * @param {any} value - ID
+ * @returns {number|null} - Numeric ID, or null when missing
+ */
+function idOf(value) {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || !Number.isInteger(number) ? null : number;
+}
+
+/**
+ * Normalize Taiga tags ([name, color] pairs or plain names) to names
+ * @param {Array} [list] - Tags
+ * @returns {Array<string>} - Tag names
+ */
+function tagNames(list) {
+  return (list || []).map(tag => (Array.isArray(tag) ? tag[0] : tag)).filter(tag => typeof tag === 'string');
+}
+
+/**
+ * Normalize Taiga points (a number, or a map of role ID to points) to a total
+ * @param {number|Object} [points] - Points
+ * @returns {number} - Total points
+ */
+function pointsOf(points) {
+  return points && typeof points === 'object'
+    ? Object.values(points).reduce((sum, value) => sum + (Number(value) || 0), 0)
+    : Number(points) || 0;
+}
+
+/**
+ * Map a Taiga issue
+ * @param {Object} issue - Issue from the API
+ * @returns {Object} - issueSchema value
+ */
+export function toIssue(issue) {
+  return {
+    id: idOf(issue.id),
+    ref: idOf(issue.ref),
+    subject: issue.subject || '',
+    description: orNull(issue.description),
+    projectId: idOf(issue.project),
+    project: nameOf(issue.project_extra_info),
+    statusId: idOf(issue.status),
+    status: nameOf(issue.status_extra_info),
+    isClosed: issue.is_closed === true || issue.status_extra_info?.is_closed === true,
+    priority: nameOf(issue.priority_extra_info),
+    severity: nameOf(issue.severity_extra_info),
+    type: nameOf(issue.type_extra_info),
+    assignedToId: idOf(issue.assigned_to),
+    assignedTo: nameOf(issue.assigned_to_extra_info),
+    sprintId: idOf(issue.milestone),
+    sprint: nameOf(issue.milestone_extra_info) ?? orNull(issue.milestone_name),
+    tags: tagNames(issue.tags),
+    version: idOf(issue.version),
+    createdDate: orNull(issue.created_date),
+    modifiedDate: orNull(issue.modified_date)
+  };
+}
+
+/**
+ * Map a Taiga user story
+ * @param {Object} story - User story from the API
+ * @returns {Object} - userStorySchema value
+ */
+export function toUserStory(story) {
+  const epics = story.epics || (story.epic ? [{ id: story.epic }] : []);
+  return {
+    id: idOf(story.id),
+    ref: idOf(story.ref),
+    subject: story.subject || '',
+    description: orNull(story.description),
+    projectId: idOf(story.project),
+    project: nameOf(story.project_extra_info),
+    statusId: idOf(story.status),
+    status: nameOf(story.status_extra_info),
+    isClosed: story.is_closed === true || story.status_extra_info?.is_closed === true,
+    assignedToId: idOf(story.assigned_to),
+    assignedTo: nameOf(story.assigned_to_extra_info),
+    sprintId: idOf(story.milestone),
+    sprint: nameOf(story.milestone_extra_info) ?? orNull(story.milestone_name),
+    epicIds: epics.map(epic => idOf(typeof epic === 'object' ? epic.id : epic)).filter(Number.isInteger),
+    totalPoints: orNull(story.total_points),
+    tags: tagNames(story.tags),
+    version: idOf(story.version),
+    createdDate: orNull(story.created_date),
+    modifiedDate: orNull(story.modified_date)
+  };
+}
+
+/**
+ * Map a Taiga task
+ * @param {Object} task - Task from the API
+ * @returns {Object} - taskSchema value
+ */
+export function toTask(task) {
+  return {
+    id: idOf(task.id),
+    ref: idOf(task.ref),
+    subject: task.subject || '',
+    description: orNull(task.description),
+    projectId: idOf(task.project),
+    project: nameOf(task.project_extra_info),
+    userStoryId: idOf(task.user_story),
+    userStoryRef: idOf(task.user_story_extra_info?.ref),
+    statusId: idOf(task.status),
+    status: nameOf(task.status_extra_info),
+    isClosed: task.is_closed === true || task.status_extra_info?.is_closed === true,
+    assignedToId: idOf(task.assigned_to),
+    assignedTo: nameOf(task.assigned_to_extra_info),
+    sprintId: idOf(task.milestone),
+    tags: tagNames(task.tags),
+    version: idOf(task.version),
+    createdDate: orNull(task.created_date),
+    modifiedDate: orNull(task.modified_date)
+  };
+}
+
+/**
+ * Map a Taiga milestone (sprint)
+ * @param {Object} milestone - Milestone from the API
+ * @returns {Object} - sprintSchema value
+ */
+export function toSprint(milestone) {
+  return {
+    id: idOf(milestone.id),
+    name: milestone.name || '',
+    slug: orNull(milestone.slug),
+    projectId: idOf(milestone.project),
+    project: nameOf(milestone.project_extra_info),
+    estimatedStart: orNull(milestone.estimated_start),
+    estimatedFinish: orNull(milestone.estimated_finish),
+    closed: milestone.closed === true,
+    totalPoints: orNull(milestone.total_points),
+    closedPoints: orNull(milestone.closed_points),
+    userStoryIds: (milestone.user_stories || []).map(story => idOf(story.id)).filter(Number.isInteger),
+    createdDate: orNull(milestone.created_date),
+    modifiedDate: orNull(milestone.modified_date)
+  };
+}
+
+/**
+ * Map Taiga milestone statistics
+ * @param {Object} stats - Statistics from the API
+ * @param {number} completionRate - Completed user stories, in percent
+ * @returns {Object} - sprintStatsSchema value
+ */
+export function toSprintStats(stats, completionRate) {
+  return {
+    totalUserStories: stats.total_userstories || 0,
+    completedUserStories: stats.completed_userstories || 0,
+    totalTasks: stats.total_tasks || 0,
+    completedTasks: stats.completed_tasks || 0,
+    totalPoints: pointsOf(stats.total_points),
+    completedPoints: pointsOf(stats.completed_points),
+    completionRate: Number(completionRate) || 0
+  };
+}
+
+/**
+ * Map a Taiga epic
+ * @param {Object} epic - Epic from the API
+ * @returns {Object} - epicSchema value
+ */
+export function toEpic(epic) {
+  return {
+    id: idOf(epic.id),
+    ref: idOf(epic.ref),
+    subject: epic.subject || '',
+    description: orNull(epic.description),
+    projectId: idOf(epic.project),
+    project: nameOf(epic.project_extra_info),
+    statusId: idOf(epic.status),
+    status: nameOf(epic.status_extra_info),
+    isClosed: epic.is_closed === true || epic.status_extra_info?.is_closed === true,
+    assignedToId: idOf(epic.assigned_to),
+    assignedTo: nameOf(epic.assigned_to_extra_info),
+    color: orNull(epic.color),
+    userStoryCount: epic.user_stories_counts?.total || 0,
+    tags: tagNames(epic.tags),
+    version: idOf(epic.version),
+    createdDate: orNull(epic.created_date),
+    modifiedDate: orNull(epic.modified_date)
+  };
+}
+
+/**
+ * Read which modules a project has turned on
+ * @param {Object} project - Project from the API
+ * @returns {Object} - Module name to enabled flag
+ */
+function modulesOf(project) {
+  return Object.fromEntries(Object.entries(PROJECT_MODULES).map(([module, flag]) => [module, project[flag] === true]));
+}
+
+/**
+ * Map a Taiga project
+ * @param {Object} project - Project from the API
+ * @returns {Object} - projectSchema value
+ */
+export function toProject(project) {
+  return {
+    id: idOf(project.id),
+    name: project.name || '',
+    slug: project.slug || '',
+    description: orNull(project.description),
+    isPrivate: project.is_private === true,
+    tags: tagNames(project.tags),
+    modules: modulesOf(project),
+    createdDate: orNull(project.created_date),
+    modifiedDate: orNull(project.modified_date)
+  };
+}
+
+/**
+ * Map a Taiga wiki page
+ * @param {Object} page - Wiki page from the API
+ * @returns {Object} - wikiPageSchema value
+ */
+export function toWikiPage(page) {
+  return {
+    id: idOf(page.id),
+    slug: page.slug || '',
+    projectId: idOf(page.project),
+    content: page.content || '',
+    ownerId: idOf(page.owner),
+    lastModifier: nameOf(page.last_modifier_extra_info) ?? orNull(page.owner_full_name),
+    watcherIds: (page.watchers || []).map(idOf).filter(Number.isInteger),
+    version: idOf(page.version),
+    createdDate: orNull(page.created_date),
+    modifiedDate: orNull(page.modified_date)
+  };
+}
+
+/**
+ * Map a Taiga history entry carrying a comment
+ * @param {Object} entry - History entry from the API
+ * @returns {Object} - commentSchema value
+ */
+export function toComment(entry) {
+  return {
+    id: orNull(entry.id),
+    comment: entry.comment || '',
+    authorId: idOf(entry.user?.pk ?? entry.user?.id),
+    author: nameOf(entry.user),
+    createdDate: orNull(entry.created_at),
+    editedDate: orNull(entry.edit_comment_date)
+  };
+}
+
+/**
+ * Map a Taiga attachment
+ * @param {Object} attachment - Attachment from the API
+ * @returns {Object} - attachmentSchema value
+ */
+export function toAttachment(attachment) {
+  return {
+    id: idOf(attachment.id),
+    name: attachment.name || '',
+    size: orNull(attachment.size),
+    description: orNull(attachment.description),
+    url: orNull(attachment.url),
+    objectId: idOf(attachment.object_id),
+    projectId: idOf(attachment.project),
+    owner: orNull(attachment.owner_name) ?? nameOf(attachment.owner_extra_info),
+    createdDate: orNull(attachment.created_date)
+  };
+}
+
+/**
+ * Sort a Taiga catalog by its configured order
+ * @param {Array<Object>} [entries] - Catalog entries with order
+ * @returns {Array<Object>} - Sorted copy
+ */
+function inOrder(entries) {
+  return [...(entries || [])].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * Map a project's workflow configuration
+ * @param {Object} project - Project detail from the API (with its embedded catalogs)
+ * @param {Object} attributes - Custom attribute definitions by item type { userStory, task, issue, epic }
+ * @returns {Object} - projectMetadataSchema value
+ */
+export function toProjectMetadata(project, attributes) {
+  const catalog = entries => inOrder(entries).map(entry => ({ id: idOf(entry.id), name: entry.name || '', color: orNull(entry.color) }));
+  const statuses = entries => inOrder(entries).map(entry => ({
+    id: idOf(entry.id), name: entry.name || '', color: orNull(entry.color), isClosed: entry.is_closed === true
+  }));
+  const customs = entries => inOrder(entries).map(entry => ({
+    id: idOf(entry.id), name: entry.name || '', type: entry.type || 'text', description: orNull(entry.description)
+  }));
+  // tags_colors is a {tag: color} map; older Taiga versions send [tag, color] pairs
+  const tagColors = Array.isArray(project.tags_colors) ? project.tags_colors : Object.entries(project.tags_colors || {});
+
+  return {
+    projectId: idOf(project.id),
+    project: project.name || '',
+    slug: project.slug || '',
+    userStoryStatuses: statuses(project.us_statuses),
+    taskStatuses: statuses(project.task_statuses),
+    issueStatuses: statuses(project.issue_statuses),
+    priorities: catalog(project.priorities),
+    severities: catalog(project.severities),
+    issueTypes: catalog(project.issue_types),
+    points: inOrder(project.points).map(point => ({
+      id: idOf(point.id), name: point.name || '', value: point.value === null || point.value === undefined ? null : Number(point.value)
+    })),
+    roles: inOrder(project.roles).map(role => ({ id: idOf(role.id), name: role.name || '', computable: role.computable === true })),
+    customAttributes: {
+      userStory: customs(attributes.userStory),
+      task: customs(attributes.task),
+      issue: customs(attributes.issue),
+      epic: customs(attributes.epic)
+    },
+    tags: tagColors.map(([name, color]) => ({ name, color: orNull(color) })).sort((a, b) => a.name.localeCompare(b.name)),
+    modules: modulesOf(project)
+  };
+}
+
+/**
+ * Split batch outcomes into created items and failures
+ * @param {Array<PromiseSettledResult>} outcomes - Results of Promise.allSettled
+ * @param {Array<Object>} items - Requested items, in the same order
+ * @param {Function} map - Mapper for created items (toIssue, toUserStory, toTask)
+ * @returns {{created: Array<Object>, failed: Array<Object>}} - Batch output
+ */
+export function toBatchResult(outcomes, items, map) {
+  return {
+    created: outcomes.filter(outcome => outcome.status === 'fulfilled').map(outcome => map(outcome.value)),
+    failed: outcomes.flatMap((outcome, i) => (outcome.status === 'rejected'
+      ? [{ index: i + 1, subject: items[i].subject, error: outcome.reason.message }]
+      : []))
+  };
+}
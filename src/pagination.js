@@ -3,6 +3,8 @@
  * Separated to avoid circular dependencies
  */
 
+import { logger } from './logger.js';
+
 /**
  * Fetch all paginated results from Taiga API
  * Handles both paginated responses (with next/previous links) and non-paginated arrays
@@ -62,14 +64,18 @@ export async function fetchAllPaginated(fetchFunction, initialParams = {}, maxPa
 
       currentPage++;
     } catch (error) {
-      // If pagination fails, return what we have so far
-      console.warn(`Pagination stopped at page ${currentPage}: ${error.message}`);
+      // A failed first page means the list itself failed; the caller reports why
+      if (currentPage === 1) {
+        throw error;
+      }
+      // If a later page fails, return what we have so far
+      logger.warn(`Pagination stopped at page ${currentPage}`, { error });
       break;
     }
   }
 
   if (currentPage > maxPages) {
-    console.warn(`Reached maximum page limit (${maxPages}). Results may be incomplete.`);
+    logger.warn(`Reached maximum page limit (${maxPages}). Results may be incomplete.`);
   }
 
   return allItems;
@@ -0,0 +1,191 @@
+/**
+ * Named connection profiles
+ * Each profile holds a Taiga API URL and a credential set, so one server can talk
+ * to several Taiga instances or accounts.
+ *
+ * Profiles come from the TAIGA_PROFILES environment variable (a JSON object keyed
+ * by profile name). TAIGA_API_URL / TAIGA_USERNAME / TAIGA_PASSWORD still work and
+ * define the "default" profile.
+ *
+ * A profile authenticates either with username/password or with a pre-issued token
+ * (`token`, plus `tokenType` "Bearer" for an auth token or "Application" for a
+ * Taiga application token).
+ *
+ * Network settings (`proxy`, `noProxy`, `caFile`, `certFile`, `keyFile`,
+ * `keyPassphrase`, `timeoutMs`) can be set per profile; profiles without them use
+ * TAIGA_PROXY, TAIGA_NO_PROXY, TAIGA_CA_FILE, TAIGA_CLIENT_CERT_FILE,
+ * TAIGA_CLIENT_KEY_FILE, TAIGA_CLIENT_KEY_PASSPHRASE and TAIGA_TIMEOUT_MS
+ * (see network.js).
+ *
+ * All of these can also come from the configuration file (see config.js).
+ */
+
+import './config.js';
+import { getToolContext } from './context.js';
+
+export const DEFAULT_API_URL = 'https://api.taiga.io/api/v1';
+export const DEFAULT_PROFILE_NAME = 'default';
+export const TOKEN_TYPES = ['Bearer', 'Application'];
+export const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * Parse the TAIGA_PROFILES environment variable
+ * @returns {Object} - Profile definitions keyed by name
+ */
+function parseProfilesVariable() {
+  if (!process.env.TAIGA_PROFILES) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(process.env.TAIGA_PROFILES);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object keyed by profile name');
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid TAIGA_PROFILES: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize the configured token type ("bearer", "application", ...)
+ * @param {string} profileName - Profile name (for error messages)
+ * @param {string} [tokenType] - Configured token type
+ * @returns {string} - "Bearer" or "Application"
+ */
+function normalizeTokenType(profileName, tokenType) {
+  if (!tokenType) {
+    return 'Bearer';
+  }
+
+  const match = TOKEN_TYPES.find(type => type.toLowerCase() === String(tokenType).toLowerCase());
+  if (!match) {
+    throw new Error(`Invalid token type "${tokenType}" for profile "${profileName}". Expected one of: ${TOKEN_TYPES.join(', ')}`);
+  }
+  return match;
+}
+
+/**
+ * Get all configured profiles
+ * @returns {Object} - Normalized profiles keyed by name
+ */
+export function getProfiles() {
+  const profiles = {};
+
+  if (process.env.TAIGA_API_URL || process.env.TAIGA_USERNAME || process.env.TAIGA_PASSWORD || process.env.TAIGA_AUTH_TOKEN) {
+    profiles[DEFAULT_PROFILE_NAME] = {
+      apiUrl: process.env.TAIGA_API_URL,
+      username: process.env.TAIGA_USERNAME,
+      password: process.env.TAIGA_PASSWORD,
+      token: process.env.TAIGA_AUTH_TOKEN,
+      tokenType: process.env.TAIGA_AUTH_TOKEN_TYPE
+    };
+  }
+
+  for (const [name, profile] of Object.entries(parseProfilesVariable())) {
+    profiles[name] = { ...profile };
+  }
+
+  if (Object.keys(profiles).length === 0) {
+    profiles[DEFAULT_PROFILE_NAME] = {};
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    profiles[name] = {
+      name,
+      apiUrl: (profile.apiUrl || DEFAULT_API_URL).replace(/\/+$/, ''),
+      username: profile.username,
+      password: profile.password,
+      token: profile.token,
+      tokenType: normalizeTokenType(name, profile.tokenType),
+      proxy: profile.proxy ?? process.env.TAIGA_PROXY,
+      noProxy: profile.noProxy ?? process.env.TAIGA_NO_PROXY,
+      caFile: profile.caFile ?? process.env.TAIGA_CA_FILE,
+      certFile: profile.certFile ?? process.env.TAIGA_CLIENT_CERT_FILE,
+      keyFile: profile.keyFile ?? process.env.TAIGA_CLIENT_KEY_FILE,
+      keyPassphrase: profile.keyPassphrase ?? process.env.TAIGA_CLIENT_KEY_PASSPHRASE,
+      timeoutMs: Number(profile.timeoutMs ?? process.env.TAIGA_TIMEOUT_MS ?? DEFAULT_TIMEOUT_MS)
+    };
+  }
+
+  return profiles;
+}
+
+/**
+ * Get the name of the default profile
+ * @returns {string} - Profile name
+ */
+export function getDefaultProfileName() {
+  const profiles = getProfiles();
+  const configured = process.env.TAIGA_DEFAULT_PROFILE;
+
+  if (configured && profiles[configured]) {
+    return configured;
+  }
+  if (profiles[DEFAULT_PROFILE_NAME]) {
+    return DEFAULT_PROFILE_NAME;
+  }
+  return Object.keys(profiles)[0];
+}
+
+/**
+ * Get the name of the profile in effect for the current call
+ * Order: per-call `profile` argument, profile the MCP session chose via authenticate,
+ * default profile.
+ * @returns {string} - Profile name
+ */
+export function getCurrentProfileName() {
+  const { profile, session } = getToolContext();
+  return profile || session?.activeProfile || getDefaultProfileName();
+}
+
+/**
+ * Look up a profile by name
+ * @param {string} [name] - Profile name (defaults to the current profile)
+ * @returns {Object} - Profile definition
+ */
+export function getProfile(name = getCurrentProfileName()) {
+  const profiles = getProfiles();
+  const profile = profiles[name];
+
+  if (!profile) {
+    throw new Error(`Unknown Taiga profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Make a profile the active one for the rest of the current MCP session
+ * Other sessions (HTTP clients) keep their own choice.
+ * @param {string} name - Profile name
+ * @returns {Object} - Profile definition
+ */
+export function setActiveProfile(name) {
+  const profile = getProfile(name);
+  const { session } = getToolContext();
+  if (!session) {
+    throw new Error('The active profile can only be switched within an MCP session');
+  }
+  session.activeProfile = name;
+  return profile;
+}
+
+/**
+ * Check whether a profile uses a pre-issued token instead of a password login
+ * @param {Object} profile - Profile definition
+ * @returns {boolean} - Whether a token is configured
+ */
+export function usesStaticToken(profile) {
+  return !!profile.token;
+}
+
+/**
+ * Check whether a profile has credentials to log in with
+ * @param {Object} profile - Profile definition
+ * @returns {boolean} - Whether a token or username/password is configured
+ */
+export function hasCredentials(profile) {
+  return usesStaticToken(profile) || !!(profile.username && profile.password);
+}
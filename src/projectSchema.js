@@ -0,0 +1,80 @@
+/**
+ * Project schema
+ * A project's workflow configuration as it is set up in Taiga: user story, task
+ * and issue statuses (with their closed flags), priorities, severities, issue
+ * types, the point scale, roles, custom attributes, tag colors and enabled
+ * modules. Agents read it before creating or filtering items, instead of
+ * guessing names like "In progress" that differ from project to project.
+ * Served as the taiga://project/{slug}/schema resource and the getProjectSchema tool.
+ */
+
+import { TaigaService } from './taigaService.js';
+import { t } from './i18n.js';
+import { toProjectMetadata } from './outputSchemas.js';
+import { findProject } from './utils.js';
+
+const taigaService = new TaigaService();
+
+/**
+ * Fetch a project's workflow configuration
+ * @param {string} projectIdentifier - Project ID or slug
+ * @returns {Promise<Object>} - projectMetadataSchema value
+ */
+export async function loadProjectSchema(projectIdentifier) {
+  const project = await findProject(projectIdentifier);
+
+  // Statuses, priorities, points, roles, ... are embedded in the project detail;
+  // custom attributes have their own endpoints
+  const [userStory, task, issue, epic] = await Promise.all(
+    ['user_story', 'task', 'issue', 'epic'].map(itemType => taigaService.getCustomAttributes(itemType, project.id))
+  );
+
+  return toProjectMetadata(project, { userStory, task, issue, epic });
+}
+
+/**
+ * Render a markdown section, or "None" when it has no lines
+ * @param {string} heading - Catalog key of the heading
+ * @param {Array<string>} lines - Section lines
+ * @returns {string} - Markdown
+ */
+function section(heading, lines) {
+  return `## ${t(heading)}\n\n${lines.length > 0 ? lines.join('\n') : t('resources.schema.none')}`;
+}
+
+/**
+ * Render catalog entries as list lines: name, ID and color
+ * @param {Array<Object>} entries - Statuses, priorities, ...
+ * @returns {Array<string>} - Lines
+ */
+function catalogLines(entries) {
+  return entries.map(entry => `- ${entry.name} (ID ${entry.id}${entry.color ? `, ${entry.color}` : ''})${entry.isClosed ? t('resources.schema.closed') : ''}`);
+}
+
+/**
+ * Render a project's workflow configuration as markdown
+ * @param {Object} schema - projectMetadataSchema value
+ * @returns {string} - Markdown
+ */
+export function renderProjectSchema(schema) {
+  const moduleLines = Object.entries(schema.modules).map(([name, enabled]) =>
+    `- ${t(`resources.schema.modules.${name}`)}: ${t(enabled ? 'resources.schema.enabled' : 'resources.schema.disabled')}`);
+  const customAttributeLines = Object.entries(schema.customAttributes).flatMap(([itemType, attributes]) =>
+    attributes.map(attribute => `- ${t(`resources.schema.itemTypes.${itemType}`)}: ${attribute.name} (${attribute.type})${attribute.description ? ` - ${attribute.description}` : ''}`));
+
+  const sections = [
+    `# ${t('resources.schema.title', { project: schema.project, slug: schema.slug })}`,
+    section('resources.schema.modulesSection', moduleLines),
+    section('resources.schema.userStoryStatuses', catalogLines(schema.userStoryStatuses)),
+    section('resources.schema.taskStatuses', catalogLines(schema.taskStatuses)),
+    section('resources.schema.issueStatuses', catalogLines(schema.issueStatuses)),
+    section('resources.schema.priorities', catalogLines(schema.priorities)),
+    section('resources.schema.severities', catalogLines(schema.severities)),
+    section('resources.schema.issueTypes', catalogLines(schema.issueTypes)),
+    section('resources.schema.points', schema.points.map(point => `- ${point.name} (ID ${point.id}${point.value === null ? '' : `, ${point.value}`})`)),
+    section('resources.schema.roles', schema.roles.map(role => `- ${role.name} (ID ${role.id})${role.computable ? t('resources.schema.estimates') : ''}`)),
+    section('resources.schema.customAttributes', customAttributeLines),
+    section('resources.schema.tags', schema.tags.map(tag => `- ${tag.name}${tag.color ? ` (${tag.color})` : ''}`))
+  ];
+  return `${sections.join('\n\n')}\n`;
+}
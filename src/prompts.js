@@ -0,0 +1,273 @@
+/**
+ * Agile workflow prompts
+ * Parameterized MCP prompts for sprint planning, bug triage, daily standup and
+ * sprint retrospective. Each takes a project and a sprint, gathers the sprint's
+ * statistics, issues and user stories from Taiga and embeds them below the
+ * instructions, so every team member starts these workflows from the same data.
+ * Bug triage can be narrowed by issue status, priority and type, and the standup
+ * to one member. Arguments complete from the project's catalogs (completions.js).
+ */
+
+import { z } from 'zod';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { TaigaService } from './taigaService.js';
+import { STATUS_LABELS } from './constants.js';
+import { getDefaultProject } from './config.js';
+import { NotFoundError } from './errors.js';
+import { t } from './i18n.js';
+import { findProject, formatDate, calculateCompletionPercentage } from './utils.js';
+import { toIssue, toUserStory, toSprintStats } from './outputSchemas.js';
+import {
+  completeProjectSlug,
+  completeSprintName,
+  completeIssueStatus,
+  completeIssuePriority,
+  completeIssueType,
+  completeMemberName
+} from './completions.js';
+
+const taigaService = new TaigaService();
+
+/**
+ * Find a sprint of a project by ID or name
+ * @param {Object} project - Taiga project
+ * @param {string} sprint - Milestone ID or name (case-insensitive)
+ * @returns {Promise<Object>} - Milestone from the API
+ */
+async function findSprint(project, sprint) {
+  const milestones = await taigaService.listMilestones(project.id);
+  const wanted = String(sprint).trim().toLowerCase();
+  const milestone = milestones.find(candidate => String(candidate.id) === wanted)
+    || milestones.find(candidate => candidate.name?.toLowerCase() === wanted);
+
+  if (!milestone) {
+    throw new NotFoundError(t('prompts.sprintNotFound', { sprint, project: project.slug }), { status: 404 });
+  }
+  return milestone;
+}
+
+/**
+ * Gather what the prompts embed about a sprint
+ * @param {Object} args - Prompt arguments { projectIdentifier, sprint }
+ * @returns {Promise<Object>} - { project, milestone, stats, issues, sprintStories, backlog, blocked }
+ */
+async function gatherSprintData({ projectIdentifier, sprint }) {
+  const project = await findProject(projectIdentifier || getDefaultProject());
+  const milestone = await findSprint(project, sprint);
+
+  const [stats, issues, stories] = await Promise.all([
+    taigaService.getMilestoneStats(milestone.id),
+    taigaService.getIssuesByMilestone(project.id, milestone.id),
+    taigaService.listUserStories(project.id)
+  ]);
+
+  const userStories = stories.map(toUserStory);
+  return {
+    project,
+    milestone,
+    stats,
+    issues: issues.map(toIssue),
+    sprintStories: userStories.filter(story => story.sprintId === milestone.id),
+    backlog: userStories.filter(story => story.sprintId === null && !story.isClosed),
+    blocked: new Set(stories.filter(story => story.is_blocked).map(story => story.id))
+  };
+}
+
+/**
+ * Render a markdown section, or "None" when it has no lines
+ * @param {string} heading - Catalog key of the heading
+ * @param {Array<string>} lines - Section lines
+ * @returns {string} - Markdown
+ */
+function section(heading, lines) {
+  return `${t(heading)}\n\n${lines.length > 0 ? lines.join('\n') : t('prompts.none')}`;
+}
+
+/**
+ * Render user stories as list lines
+ * @param {Array<Object>} stories - Normalized user stories
+ * @param {Set<number>} blocked - IDs of blocked stories
+ * @returns {Array<string>} - Lines
+ */
+function storyLines(stories, blocked) {
+  return stories.map(story => t('prompts.storyLine', {
+    ref: story.ref,
+    subject: story.subject,
+    status: story.status || STATUS_LABELS.UNKNOWN,
+    points: story.totalPoints ?? 0,
+    assignee: story.assignedTo || t('prompts.unassigned')
+  }) + (blocked.has(story.id) ? t('prompts.blocked') : ''));
+}
+
+/**
+ * Render issues as list lines
+ * @param {Array<Object>} issues - Normalized issues
+ * @returns {Array<string>} - Lines
+ */
+function issueLines(issues) {
+  return issues.map(issue => t('prompts.issueLine', {
+    ref: issue.ref,
+    subject: issue.subject,
+    type: issue.type || STATUS_LABELS.UNKNOWN,
+    priority: issue.priority || STATUS_LABELS.UNKNOWN,
+    severity: issue.severity || STATUS_LABELS.UNKNOWN,
+    status: issue.status || STATUS_LABELS.UNKNOWN,
+    assignee: issue.assignedTo || t('prompts.unassigned')
+  }));
+}
+
+/**
+ * Compare names case-insensitively
+ * @param {string|null} name - Name of an item's status, priority, assignee, ...
+ * @param {string} wanted - Name given as a prompt argument
+ * @returns {boolean} - Whether they match
+ */
+function sameName(name, wanted) {
+  return typeof name === 'string' && name.toLowerCase() === wanted.trim().toLowerCase();
+}
+
+/**
+ * Keep the issues matching the status, priority and type arguments
+ * @param {Array<Object>} issues - Normalized issues
+ * @param {Object} args - Prompt arguments
+ * @returns {Array<Object>} - Matching issues
+ */
+function filterIssues(issues, { status, priority, type }) {
+  return issues.filter(issue =>
+    (!status || sameName(issue.status, status))
+    && (!priority || sameName(issue.priority, priority))
+    && (!type || sameName(issue.type, type)));
+}
+
+/**
+ * Render the sprint statistics section
+ * @param {Object} stats - Milestone stats from the API
+ * @returns {string} - Markdown
+ */
+function statsSection(stats) {
+  const summary = toSprintStats(stats, calculateCompletionPercentage(stats.completed_userstories || 0, stats.total_userstories || 0));
+  return `${t('prompts.statsSection')}\n\n${t('prompts.stats', {
+    completedStories: summary.completedUserStories,
+    totalStories: summary.totalUserStories,
+    completedTasks: summary.completedTasks,
+    totalTasks: summary.totalTasks,
+    completedPoints: summary.completedPoints,
+    totalPoints: summary.totalPoints,
+    completionRate: summary.completionRate
+  })}`;
+}
+
+// Prompt definitions: instructions, optional filter arguments and the sections embedded below them
+const PROMPTS = [
+  {
+    name: 'sprintPlanning',
+    title: 'Sprint planning',
+    description: 'Plan a sprint: choose backlog stories given the committed points, with the sprint\'s statistics, stories and open issues embedded',
+    sections: (data) => [
+      statsSection(data.stats),
+      section('prompts.sprintStoriesSection', storyLines(data.sprintStories, data.blocked)),
+      section('prompts.backlogSection', storyLines(data.backlog, data.blocked)),
+      section('prompts.openIssuesSection', issueLines(data.issues.filter(issue => !issue.isClosed)))
+    ]
+  },
+  {
+    name: 'bugTriage',
+    title: 'Bug triage',
+    description: 'Triage a sprint\'s issues: priority, severity, owner and whether each belongs in the sprint',
+    filters: {
+      status: { label: 'resources.status', description: 'Only issues with this status', complete: completeIssueStatus },
+      priority: { label: 'resources.priority', description: 'Only issues with this priority', complete: completeIssuePriority },
+      type: { label: 'resources.type', description: 'Only issues of this type', complete: completeIssueType }
+    },
+    sections: (data) => {
+      const issues = filterIssues(data.issues, data.args);
+      return [
+        section('prompts.openIssuesSection', issueLines(issues.filter(issue => !issue.isClosed))),
+        section('prompts.closedIssuesSection', issueLines(issues.filter(issue => issue.isClosed)))
+      ];
+    }
+  },
+  {
+    name: 'dailyStandup',
+    title: 'Daily standup',
+    description: 'Prepare a daily standup: done, in progress and blocked work per member, and risks to the sprint',
+    filters: {
+      member: { label: 'resources.assignedTo', description: 'Only the work assigned to this member (full name)', complete: completeMemberName }
+    },
+    sections: (data) => {
+      const { member } = data.args;
+      const mine = item => !member || sameName(item.assignedTo, member);
+      return [
+        statsSection(data.stats),
+        section('prompts.sprintStoriesSection', storyLines(data.sprintStories.filter(mine), data.blocked)),
+        section('prompts.openIssuesSection', issueLines(data.issues.filter(issue => !issue.isClosed && mine(issue))))
+      ];
+    }
+  },
+  {
+    name: 'retrospective',
+    title: 'Sprint retrospective',
+    description: 'Run a sprint retrospective: what went well, what did not and action items, based on committed and completed work',
+    sections: (data) => [
+      statsSection(data.stats),
+      section('prompts.doneStoriesSection', storyLines(data.sprintStories.filter(story => story.isClosed), data.blocked)),
+      section('prompts.unfinishedStoriesSection', storyLines(data.sprintStories.filter(story => !story.isClosed), data.blocked)),
+      section('prompts.closedIssuesSection', issueLines(data.issues.filter(issue => issue.isClosed))),
+      section('prompts.openIssuesSection', issueLines(data.issues.filter(issue => !issue.isClosed)))
+    ]
+  }
+];
+
+/**
+ * Build the text of a prompt
+ * @param {Object} definition - Entry of PROMPTS
+ * @param {Object} args - Prompt arguments { projectIdentifier, sprint, ...filters }
+ * @returns {Promise<string>} - Instructions followed by the embedded data
+ */
+async function buildPromptText(definition, args) {
+  const data = { ...await gatherSprintData(args), args };
+  const intro = t(`prompts.${definition.name}`, {
+    sprint: data.milestone.name,
+    project: data.project.name,
+    start: formatDate(data.milestone.estimated_start),
+    end: formatDate(data.milestone.estimated_finish)
+  });
+
+  const filters = Object.entries(definition.filters || {})
+    .filter(([name]) => args[name])
+    .map(([name, filter]) => `${t(filter.label)}: ${args[name]}`);
+  const scope = filters.length > 0 ? [t('prompts.filteredBy', { filters: filters.join(', ') })] : [];
+
+  return [intro, ...scope, ...definition.sections(data)].join('\n\n');
+}
+
+/**
+ * Register the workflow prompts
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server - MCP server
+ */
+export function registerPrompts(server) {
+  const defaultProject = getDefaultProject();
+  const projectArgs = {
+    projectIdentifier: completable(defaultProject
+      ? z.string().optional().describe(`Project ID or slug (default: ${defaultProject})`)
+      : z.string().describe('Project ID or slug'), completeProjectSlug),
+    sprint: completable(z.string().describe('Sprint (milestone) ID or name'), completeSprintName('projectIdentifier'))
+  };
+
+  for (const definition of PROMPTS) {
+    const filterArgs = Object.fromEntries(Object.entries(definition.filters || {}).map(([name, filter]) =>
+      [name, completable(z.string().optional().describe(filter.description), filter.complete('projectIdentifier'))]));
+
+    server.registerPrompt(definition.name, {
+      title: definition.title,
+      description: definition.description,
+      argsSchema: { ...projectArgs, ...filterArgs }
+    }, async (args) => ({
+      description: definition.description,
+      messages: [{
+        role: 'user',
+        content: { type: 'text', text: await buildPromptText(definition, args) }
+      }]
+    }));
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * 查詢錯誤
+ * Error raised when an advanced query cannot be parsed or executed
+ */
+
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
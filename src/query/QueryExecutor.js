@@ -4,6 +4,10 @@
  */
 
 import { OPERATORS, TIME_KEYWORDS } from './queryGrammar.js';
+import { ADVANCED_QUERY } from '../constants.js';
+import { logger } from '../logger.js';
+import { t } from '../i18n.js';
+import { QueryError } from './QueryError.js';
 
 export class QueryExecutor {
   constructor(taigaService) {
@@ -36,10 +40,8 @@ export class QueryExecutor {
         data = this.applyGrouping(data, query.groupBy);
       }
       
-      // 應用限制
-      if (query.limit) {
-        data = data.slice(0, query.limit);
-      }
+      // 應用限制（不超過 ADVANCED_QUERY.MAX_RESULTS）
+      data = data.slice(0, Math.min(query.limit || Infinity, ADVANCED_QUERY.MAX_RESULTS));
       
       return {
         results: data,
@@ -49,7 +51,7 @@ export class QueryExecutor {
       };
       
     } catch (error) {
-      throw new Error(`查詢執行失敗: ${error.message}`);
+      throw new QueryError(t('parser.executionFailed', { message: error.message }));
     }
   }
 
@@ -66,7 +68,7 @@ export class QueryExecutor {
         // 獲取所有任務（需要遍歷用戶故事）
         return await this.fetchAllTasks(projectId);
       default:
-        throw new Error(`不支持的數據類型: ${type}`);
+        throw new QueryError(t('parser.unsupportedType', { type }));
     }
   }
 
@@ -75,18 +77,19 @@ export class QueryExecutor {
    */
   async fetchAllTasks(projectId) {
     const userStories = await this.taigaService.listUserStories(projectId);
-    const allTasks = [];
-    
-    for (const story of userStories) {
-      try {
-        const tasks = await this.taigaService.listTasks(story.id);
-        allTasks.push(...tasks);
-      } catch (error) {
-        console.warn(`無法獲取用戶故事 ${story.id} 的任務:`, error.message);
+
+    // 並行獲取，請求數量由客戶端的排程器限制
+    const results = await Promise.allSettled(
+      userStories.map(story => this.taigaService.listTasks(story.id))
+    );
+
+    return results.flatMap((result, index) => {
+      if (result.status === 'rejected') {
+        logger.warn('Could not fetch tasks for user story', { userStoryId: userStories[index].id, error: result.reason });
+        return [];
       }
-    }
-    
-    return allTasks;
+      return result.value;
+    });
   }
 
   /**
@@ -156,7 +159,7 @@ export class QueryExecutor {
         return this.isEmpty(itemValue);
       
       default:
-        console.warn(`不支持的操作符: ${operator}`);
+        logger.warn('Unsupported query operator', { operator });
         return true;
     }
   }
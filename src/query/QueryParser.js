@@ -11,6 +11,9 @@ import {
   VALIDATION_RULES,
   FIELD_TYPES
 } from './queryGrammar.js';
+import { logger } from '../logger.js';
+import { t } from '../i18n.js';
+import { QueryError } from './QueryError.js';
 
 export class QueryParser {
   constructor() {
@@ -26,7 +29,7 @@ export class QueryParser {
    */
   parse(queryString, type = 'ISSUE') {
     if (!queryString || typeof queryString !== 'string') {
-      throw new Error('查詢字符串不能為空');
+      throw new QueryError(t('parser.emptyQuery'));
     }
 
     this.tokens = this.tokenize(queryString);
@@ -46,7 +49,7 @@ export class QueryParser {
       this.parseExpression(query);
       return query;
     } catch (error) {
-      throw new Error(`查詢解析錯誤: ${error.message}`);
+      throw new QueryError(t('parser.parseError', { message: error.message }));
     }
   }
 
@@ -194,7 +197,7 @@ export class QueryParser {
 
     // 驗證字段
     if (!VALIDATION_RULES.isValidField(field, this.dataType)) {
-      throw new Error(`無效的字段: ${field}`);
+      throw new QueryError(t('parser.invalidField', { field }));
     }
 
     // 標準化操作符
@@ -202,12 +205,12 @@ export class QueryParser {
     
     // 驗證操作符
     if (!VALIDATION_RULES.isValidOperator(normalizedOperator)) {
-      throw new Error(`無效的操作符: ${operator}`);
+      throw new QueryError(t('parser.invalidOperator', { operator }));
     }
 
     // 驗證值
     if (!VALIDATION_RULES.isValidValue(field, value, this.dataType)) {
-      console.warn(`字段 ${field} 的值可能無效: ${value}`);
+      logger.warn('Query value may be invalid for field', { field, value });
     }
 
     query.filters.push({
@@ -326,13 +329,13 @@ export class QueryParser {
    */
   validateQuery(query) {
     if (!query.filters || query.filters.length === 0) {
-      throw new Error('查詢必須至少包含一個過濾條件');
+      throw new QueryError(t('parser.noFilters'));
     }
 
     // 驗證每個過濾條件
     for (const filter of query.filters) {
       if (!filter.field || !filter.operator) {
-        throw new Error('過濾條件必須包含字段和操作符');
+        throw new QueryError(t('parser.incompleteFilter'));
       }
     }
 
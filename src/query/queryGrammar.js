@@ -116,22 +116,6 @@ export const TIME_KEYWORDS = {
   '90d': () => new Date(Date.now() - 90 * 24 * 60 * 60 * 1000)
 };
 
-// 狀態枚舉值 (根據 Taiga 實際狀態)
-export const STATUS_VALUES = {
-  ISSUE: ['new', 'in-progress', 'ready-for-test', 'closed', 'needs-info', 'rejected'],
-  USER_STORY: ['new', 'in-progress', 'ready-for-test', 'done'],
-  TASK: ['new', 'in-progress', 'ready-for-test', 'closed']
-};
-
-// 優先級枚舉值
-export const PRIORITY_VALUES = ['low', 'normal', 'high', 'urgent'];
-
-// 類型枚舉值
-export const TYPE_VALUES = ['bug', 'feature', 'enhancement', 'task', 'story'];
-
-// 嚴重性枚舉值  
-export const SEVERITY_VALUES = ['minor', 'normal', 'important', 'critical'];
-
 // 查詢語法範例
 export const QUERY_EXAMPLES = {
   basic: [
@@ -223,11 +207,7 @@ export const VALIDATION_RULES = {
       case 'date':
         return !isNaN(Date.parse(value)) || TIME_KEYWORDS[value];
       case 'enum':
-        // 根據字段檢查枚舉值
-        if (field === 'status') return STATUS_VALUES[type].includes(value);
-        if (field === 'priority') return PRIORITY_VALUES.includes(value);
-        if (field === 'type') return TYPE_VALUES.includes(value);
-        if (field === 'severity') return SEVERITY_VALUES.includes(value);
+        // 狀態、優先級、類型與嚴重性的值由各專案自行設定 (見 getProjectSchema)，無法以固定清單驗證
         return true;
       case 'array':
         return true; // 標籤可以是任意字符串
@@ -243,10 +223,6 @@ export default {
   LOGIC_OPERATORS,
   SORT_DIRECTIONS,
   TIME_KEYWORDS,
-  STATUS_VALUES,
-  PRIORITY_VALUES,
-  TYPE_VALUES,
-  SEVERITY_VALUES,
   QUERY_EXAMPLES,
   VALIDATION_RULES
 };
\ No newline at end of file
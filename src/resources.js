@@ -0,0 +1,398 @@
+/**
+ * Taiga item resources
+ * Resource templates let a client attach a single issue, user story, task, epic,
+ * sprint or wiki page as context without a tool call, e.g.
+ * `taiga://project/demo/issue/45`. Each resource is a markdown rendering of the
+ * item with its metadata. resources/list enumerates the most recently modified
+ * items of the default project (TAIGA_DEFAULT_PROJECT), or of the user's most
+ * recently modified projects. Project slugs, sprint IDs and wiki page slugs in
+ * the URIs can be completed. `taiga://project/{slug}/schema` describes the
+ * project's workflow configuration (projectSchema.js).
+ */
+
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import { TaigaService } from './taigaService.js';
+import { RESOURCE_URIS, STATUS_LABELS } from './constants.js';
+import { getDefaultProject } from './config.js';
+import { NotFoundError } from './errors.js';
+import { t } from './i18n.js';
+import { formatDate, formatDateTime } from './utils.js';
+import { toIssue, toUserStory, toTask, toEpic, toSprint, toWikiPage } from './outputSchemas.js';
+import { logger } from './logger.js';
+import { completeProjectSlug, completeSprintId, completeWikiSlug } from './completions.js';
+import { loadProjectSchema, renderProjectSchema } from './projectSchema.js';
+
+const taigaService = new TaigaService();
+
+// resources/list shows at most this many items of each kind per project
+export const RECENT_ITEMS_LIMIT = 10;
+
+// ...of at most this many projects when no default project is configured
+export const RECENT_PROJECTS_LIMIT = 5;
+
+const MARKDOWN = 'text/markdown';
+
+/**
+ * Sort Taiga objects by modification date, newest first
+ * @param {Array<Object>} items - Taiga objects with modified_date
+ * @returns {Array<Object>} - Sorted copy
+ */
+function byRecentChange(items) {
+  return [...items].sort((a, b) => String(b.modified_date || '').localeCompare(String(a.modified_date || '')));
+}
+
+/**
+ * Render an item as markdown: a title, a field table and an optional body
+ * Empty fields are left out.
+ * @param {string} title - Heading
+ * @param {Array<[string, any]>} fields - Label and value pairs
+ * @param {Object} [body] - { heading, text } shown below the table
+ * @returns {string} - Markdown
+ */
+export function renderMarkdown(title, fields, body) {
+  const rows = fields
+    .filter(([, value]) => value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([label, value]) => `| ${label} | ${String(Array.isArray(value) ? value.join(', ') : value).replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`);
+
+  const lines = [`# ${title}`, '', `| ${t('resources.field')} | ${t('resources.value')} |`, '|---|---|', ...rows];
+  if (body) {
+    lines.push('', `## ${body.heading}`, '', body.text);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Status with a closed marker
+ * @param {Object} item - Normalized item with status and isClosed
+ * @returns {string|null} - Status text
+ */
+function statusOf(item) {
+  return item.status && `${item.status}${item.isClosed ? ` (${STATUS_LABELS.CLOSED})` : ''}`;
+}
+
+/**
+ * Fields every ref-addressed item shares, in display order
+ * @param {Object} project - Taiga project
+ * @param {Object} item - Normalized item
+ * @param {Array<[string, any]>} specific - Fields of this kind of item
+ * @returns {Array<[string, any]>} - Fields
+ */
+function itemFields(project, item, specific) {
+  return [
+    [t('resources.project'), `${project.name} (${project.slug})`],
+    [t('resources.status'), statusOf(item)],
+    ...specific,
+    [t('resources.assignedTo'), item.assignedTo],
+    [t('resources.tags'), item.tags],
+    [t('resources.created'), item.createdDate && formatDateTime(item.createdDate)],
+    [t('resources.modified'), item.modifiedDate && formatDateTime(item.modifiedDate)],
+    [t('resources.version'), item.version]
+  ];
+}
+
+// Items addressed by their project reference number
+const REF_ITEMS = [
+  {
+    name: 'taiga-issue',
+    uriTemplate: RESOURCE_URIS.ISSUE,
+    itemType: 'issue',
+    path: 'issue',
+    description: 'A Taiga issue as markdown',
+    normalize: toIssue,
+    title: item => t('resources.issueTitle', { ref: item.ref, subject: item.subject }),
+    fields: item => [
+      [t('resources.type'), item.type],
+      [t('resources.priority'), item.priority],
+      [t('resources.severity'), item.severity],
+      [t('resources.sprint'), item.sprint]
+    ]
+  },
+  {
+    name: 'taiga-userstory',
+    uriTemplate: RESOURCE_URIS.USER_STORY,
+    itemType: 'user_story',
+    path: 'userstory',
+    description: 'A Taiga user story as markdown',
+    normalize: toUserStory,
+    title: item => t('resources.userStoryTitle', { ref: item.ref, subject: item.subject }),
+    fields: item => [
+      [t('resources.sprint'), item.sprint],
+      [t('resources.points'), item.totalPoints]
+    ]
+  },
+  {
+    name: 'taiga-task',
+    uriTemplate: RESOURCE_URIS.TASK,
+    itemType: 'task',
+    path: 'task',
+    description: 'A Taiga task as markdown',
+    normalize: toTask,
+    title: item => t('resources.taskTitle', { ref: item.ref, subject: item.subject }),
+    fields: (item, raw) => [
+      [t('resources.userStory'), item.userStoryRef && `#${item.userStoryRef} ${raw.user_story_extra_info?.subject || ''}`.trim()]
+    ]
+  },
+  {
+    name: 'taiga-epic',
+    uriTemplate: RESOURCE_URIS.EPIC,
+    itemType: 'epic',
+    path: 'epic',
+    description: 'A Taiga epic as markdown',
+    normalize: toEpic,
+    title: item => t('resources.epicTitle', { ref: item.ref, subject: item.subject }),
+    fields: item => [
+      [t('resources.color'), item.color],
+      [t('resources.userStoryCount'), item.userStoryCount]
+    ]
+  }
+];
+
+/**
+ * Render an issue, user story, task or epic with its description
+ * @param {Object} definition - Entry of REF_ITEMS
+ * @param {Object} project - Taiga project
+ * @param {Object} raw - Item from the API
+ * @returns {string} - Markdown
+ */
+function renderRefItem(definition, project, raw) {
+  const item = definition.normalize(raw);
+  return renderMarkdown(
+    definition.title(item),
+    itemFields(project, item, definition.fields(item, raw)),
+    { heading: t('resources.description'), text: item.description || STATUS_LABELS.NO_DESCRIPTION }
+  );
+}
+
+/**
+ * Render a sprint with its user stories
+ * @param {Object} project - Taiga project
+ * @param {Object} milestone - Milestone from the API
+ * @returns {string} - Markdown
+ */
+function renderSprint(project, milestone) {
+  const sprint = toSprint(milestone);
+  const stories = (milestone.user_stories || []).map(story =>
+    `- #${story.ref} ${story.subject}${story.status_extra_info?.name ? ` (${story.status_extra_info.name})` : ''}`
+  );
+
+  return renderMarkdown(t('resources.sprintTitle', { name: sprint.name }), [
+    [t('resources.project'), `${project.name} (${project.slug})`],
+    [t('resources.status'), sprint.closed ? STATUS_LABELS.CLOSED : STATUS_LABELS.ACTIVE],
+    [t('resources.dates'), `${formatDate(sprint.estimatedStart)} ~ ${formatDate(sprint.estimatedFinish)}`],
+    [t('resources.points'), sprint.totalPoints],
+    [t('resources.closedPoints'), sprint.closedPoints],
+    [t('resources.created'), sprint.createdDate && formatDateTime(sprint.createdDate)],
+    [t('resources.modified'), sprint.modifiedDate && formatDateTime(sprint.modifiedDate)]
+  ], {
+    heading: t('resources.userStories'),
+    text: stories.length > 0 ? stories.join('\n') : t('resources.noUserStories')
+  });
+}
+
+/**
+ * Render a wiki page with its content
+ * @param {Object} project - Taiga project
+ * @param {Object} page - Wiki page from the API
+ * @returns {string} - Markdown
+ */
+function renderWikiPage(project, page) {
+  const wikiPage = toWikiPage(page);
+
+  return renderMarkdown(t('resources.wikiTitle', { slug: wikiPage.slug }), [
+    [t('resources.project'), `${project.name} (${project.slug})`],
+    [t('resources.lastModifier'), wikiPage.lastModifier],
+    [t('resources.created'), wikiPage.createdDate && formatDateTime(wikiPage.createdDate)],
+    [t('resources.modified'), wikiPage.modifiedDate && formatDateTime(wikiPage.modifiedDate)],
+    [t('resources.version'), wikiPage.version]
+  ], {
+    heading: t('resources.content'),
+    text: wikiPage.content || STATUS_LABELS.NO_CONTENT
+  });
+}
+
+/**
+ * Fetch an issue, user story, task or epic by its URI variables
+ * @param {Object} definition - Entry of REF_ITEMS
+ * @param {Object} variables - { slug, ref }
+ * @returns {Promise<{project: Object, item: Object}>} - Project and item from the API
+ */
+async function loadRefItem(definition, { slug, ref }) {
+  const project = await taigaService.getProjectBySlug(slug);
+  const item = await taigaService.getItemByRef(definition.itemType, ref, project.id);
+  return { project, item };
+}
+
+/**
+ * Fetch a sprint by its URI variables
+ * @param {Object} variables - { slug, id }
+ * @returns {Promise<{project: Object, item: Object}>} - Project and milestone from the API
+ */
+async function loadSprint({ slug, id }) {
+  const project = await taigaService.getProjectBySlug(slug);
+  const milestone = await taigaService.getMilestone(id);
+  // Milestone IDs are global; do not show another project's sprint under this slug
+  if (Number(milestone.project) !== Number(project.id)) {
+    throw new NotFoundError(t('resources.sprintNotInProject', { id, slug }), { status: 404 });
+  }
+  return { project, item: milestone };
+}
+
+/**
+ * Fetch a wiki page by its URI variables
+ * @param {Object} variables - { slug, pageSlug }
+ * @returns {Promise<{project: Object, item: Object}>} - Project and wiki page from the API
+ */
+async function loadWikiPage({ slug, pageSlug }) {
+  const project = await taigaService.getProjectBySlug(slug);
+  const page = await taigaService.getWikiPageBySlug(pageSlug, project.id);
+  return { project, item: page };
+}
+
+// URI template and loader of every item resource
+const ITEM_LOADERS = [
+  ...REF_ITEMS.map(definition => ({
+    template: new UriTemplate(definition.uriTemplate),
+    load: variables => loadRefItem(definition, variables)
+  })),
+  { template: new UriTemplate(RESOURCE_URIS.MILESTONE), load: loadSprint },
+  { template: new UriTemplate(RESOURCE_URIS.WIKI_PAGE), load: loadWikiPage }
+];
+
+/**
+ * Fetch the Taiga object behind an item resource URI
+ * @param {string} uri - Resource URI, e.g. taiga://project/demo/issue/45
+ * @returns {Promise<Object|null>} - Item from the API (with version and modified_date), or null when the URI is not an item resource
+ */
+export async function loadItemResource(uri) {
+  for (const { template, load } of ITEM_LOADERS) {
+    const variables = template.match(uri);
+    if (variables) {
+      return (await load(variables)).item;
+    }
+  }
+  return null;
+}
+
+/**
+ * Wrap markdown as a resource read result
+ * @param {URL} uri - Resource URI
+ * @param {string} text - Markdown
+ * @returns {Object} - ReadResourceResult
+ */
+function markdownContents(uri, text) {
+  return { contents: [{ uri: uri.href, mimeType: MARKDOWN, text }] };
+}
+
+// Projects whose items one resources/list request enumerates, shared by all templates of the request
+const listedProjects = new WeakMap();
+
+/**
+ * Get the projects resources/list enumerates
+ * @param {Object} extra - Request handler extra, the same object for every template of one request
+ * @returns {Promise<Array<Object>>} - Taiga projects
+ */
+function getListedProjects(extra) {
+  if (!listedProjects.has(extra)) {
+    const defaultProject = getDefaultProject();
+    listedProjects.set(extra, defaultProject
+      ? taigaService.getProjectBySlug(defaultProject).then(project => [project])
+      : taigaService.listProjects().then(projects => byRecentChange(projects).slice(0, RECENT_PROJECTS_LIMIT)));
+  }
+  return listedProjects.get(extra);
+}
+
+/**
+ * Build a list callback that enumerates recent items of the listed projects
+ * A failure leaves these items out of the list instead of failing resources/list.
+ * @param {string} kind - What is listed, for the log
+ * @param {Function} listProjectItems - (project) => Promise<Array<Object>> of resource entries
+ * @returns {Function} - ResourceTemplate list callback
+ */
+function recentItemsList(kind, listProjectItems) {
+  return async (extra) => {
+    try {
+      const projects = await getListedProjects(extra);
+      const perProject = await Promise.all(projects.map(project => listProjectItems(project)));
+      return { resources: perProject.flat() };
+    } catch (error) {
+      logger.warn(`Could not list recent ${kind} resources`, { error });
+      return { resources: [] };
+    }
+  };
+}
+
+/**
+ * Register the item resource templates
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server - MCP server
+ */
+export function registerItemResources(server) {
+  for (const definition of REF_ITEMS) {
+    const template = new ResourceTemplate(definition.uriTemplate, {
+      complete: { slug: completeProjectSlug },
+      list: recentItemsList(definition.path, async (project) => {
+        const items = await taigaService.listRecentItems(definition.itemType, project.id, RECENT_ITEMS_LIMIT);
+        return items.map(raw => {
+          const item = definition.normalize(raw);
+          return {
+            uri: `taiga://project/${project.slug}/${definition.path}/${item.ref}`,
+            name: `${project.slug}/${definition.path}/${item.ref}`,
+            title: definition.title(item)
+          };
+        });
+      })
+    });
+
+    server.registerResource(definition.name, template, { description: definition.description, mimeType: MARKDOWN }, async (uri, variables) => {
+      const { project, item } = await loadRefItem(definition, variables);
+      return markdownContents(uri, renderRefItem(definition, project, item));
+    });
+  }
+
+  const sprintTemplate = new ResourceTemplate(RESOURCE_URIS.MILESTONE, {
+    complete: { slug: completeProjectSlug, id: completeSprintId('slug') },
+    list: recentItemsList('milestone', async (project) => {
+      const milestones = byRecentChange(await taigaService.listMilestones(project.id)).slice(0, RECENT_ITEMS_LIMIT);
+      return milestones.map(milestone => ({
+        uri: `taiga://project/${project.slug}/milestone/${milestone.id}`,
+        name: `${project.slug}/milestone/${milestone.id}`,
+        title: t('resources.sprintTitle', { name: milestone.name })
+      }));
+    })
+  });
+
+  server.registerResource('taiga-milestone', sprintTemplate, { description: 'A Taiga sprint (milestone) with its user stories as markdown', mimeType: MARKDOWN }, async (uri, variables) => {
+    const { project, item } = await loadSprint(variables);
+    return markdownContents(uri, renderSprint(project, item));
+  });
+
+  const wikiTemplate = new ResourceTemplate(RESOURCE_URIS.WIKI_PAGE, {
+    complete: { slug: completeProjectSlug, pageSlug: completeWikiSlug('slug') },
+    list: recentItemsList('wiki', async (project) => {
+      const pages = byRecentChange(await taigaService.listWikiPages(project.id)).slice(0, RECENT_ITEMS_LIMIT);
+      return pages.map(page => ({
+        uri: `taiga://project/${project.slug}/wiki/${page.slug}`,
+        name: `${project.slug}/wiki/${page.slug}`,
+        title: t('resources.wikiTitle', { slug: page.slug })
+      }));
+    })
+  });
+
+  server.registerResource('taiga-wiki-page', wikiTemplate, { description: 'A Taiga wiki page as markdown', mimeType: MARKDOWN }, async (uri, variables) => {
+    const { project, item } = await loadWikiPage(variables);
+    return markdownContents(uri, renderWikiPage(project, item));
+  });
+
+  const schemaTemplate = new ResourceTemplate(RESOURCE_URIS.PROJECT_SCHEMA, {
+    complete: { slug: completeProjectSlug },
+    list: recentItemsList('schema', async (project) => [{
+      uri: `taiga://project/${project.slug}/schema`,
+      name: `${project.slug}/schema`,
+      title: t('resources.schema.title', { project: project.name, slug: project.slug })
+    }])
+  });
+
+  server.registerResource('taiga-project-schema', schemaTemplate, { description: 'A Taiga project\'s statuses, priorities, severities, issue types, points, roles, custom attributes, tags and modules as markdown', mimeType: MARKDOWN }, async (uri, { slug }) => {
+    return markdownContents(uri, renderProjectSchema(await loadProjectSchema(slug)));
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * Retry layer for the Taiga HTTP client
+ * Replays requests that failed for transient reasons (throttling, gateway errors,
+ * connection resets) with exponential backoff and full jitter.
+ *
+ * Only idempotent requests are replayed, with one exception: a 429 response means
+ * the server refused the request without processing it, so it is safe to replay
+ * whatever the method. A caller can opt a single non-idempotent request in with
+ * `client.post(url, data, { retry: { nonIdempotent: true } })`, or turn retries off
+ * with `{ retry: false }`.
+ */
+
+import './config.js';
+
+export const RETRY_DEFAULTS = {
+  retries: Number(process.env.TAIGA_RETRY_MAX ?? 3),
+  baseDelayMs: Number(process.env.TAIGA_RETRY_BASE_DELAY_MS ?? 500),
+  maxDelayMs: Number(process.env.TAIGA_RETRY_MAX_DELAY_MS ?? 10000),
+  // Give up instead of waiting when the server asks for a longer pause than this
+  maxRetryAfterMs: 60000,
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNABORTED'];
+
+/**
+ * Parse a Retry-After header
+ * @param {string} [value] - Header value (delay in seconds or an HTTP date)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null when absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Compute the backoff delay for a retry attempt (full jitter)
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Retry options
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoff(attempt, options = RETRY_DEFAULTS) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Decide whether a failed request may be replayed
+ * @param {Error} error - Axios error
+ * @returns {boolean} - Whether the failure is transient and safe to replay
+ */
+export function isRetryable(error) {
+  const config = error.config;
+  if (!config || config.retry === false) {
+    return false;
+  }
+
+  const status = error.response?.status;
+  if (status === 429) {
+    return true;
+  }
+
+  const transient = status ? RETRYABLE_STATUSES.includes(status) : RETRYABLE_ERROR_CODES.includes(error.code);
+  if (!transient) {
+    return false;
+  }
+
+  const method = (config.method || 'get').toLowerCase();
+  return IDEMPOTENT_METHODS.includes(method) || config.retry?.nonIdempotent === true;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Attach the retry layer to an axios instance
+ * @param {import('axios').AxiosInstance} client - Axios instance
+ * @param {Object} [options] - Overrides for RETRY_DEFAULTS
+ * @returns {import('axios').AxiosInstance} - The same instance
+ */
+export function attachRetry(client, options = {}) {
+  const settings = { ...RETRY_DEFAULTS, ...options };
+
+  client.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    const attempt = config?._retryCount || 0;
+
+    if (attempt >= settings.retries || !isRetryable(error)) {
+      throw error;
+    }
+
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null && retryAfter > settings.maxRetryAfterMs) {
+      throw error;
+    }
+
+    config._retryCount = attempt + 1;
+    await sleep(retryAfter ?? computeBackoff(attempt, settings));
+
+    return client.request(config);
+  });
+
+  return client;
+}
@@ -0,0 +1,135 @@
+/**
+ * Request scheduler for the Taiga HTTP client
+ * Every request a profile's client sends waits for a slot: at most
+ * TAIGA_MAX_CONCURRENCY requests are in flight at once, and requests start at
+ * most TAIGA_MAX_REQUESTS_PER_SECOND times per second. Fan-outs (batch creates,
+ * per-story task lookups) can then run in parallel without tripping Taiga's
+ * throttling.
+ *
+ * A slot is held only while the request is on the wire: it is released before
+ * retries back off or an expired token is renewed, and re-acquired for the replay.
+ */
+
+import './config.js';
+
+export const SCHEDULER_DEFAULTS = {
+  concurrency: Number(process.env.TAIGA_MAX_CONCURRENCY ?? 4),
+  // 0 removes the ceiling
+  requestsPerSecond: Number(process.env.TAIGA_MAX_REQUESTS_PER_SECOND ?? 10),
+};
+
+// One scheduler per profile, shared by all of its clients
+const schedulers = new Map();
+
+/**
+ * Create a scheduler
+ * @param {Object} [options] - Overrides for SCHEDULER_DEFAULTS
+ * @returns {{acquire: Function, release: Function, run: Function, stats: Function}} - Scheduler
+ */
+export function createScheduler(options = {}) {
+  const settings = { ...SCHEDULER_DEFAULTS, ...options };
+  const concurrency = Math.max(1, settings.concurrency || 1);
+  const interval = settings.requestsPerSecond > 0 ? 1000 / settings.requestsPerSecond : 0;
+  const queue = [];
+  let active = 0;
+  let nextStart = 0;
+  let timer = null;
+
+  const pump = () => {
+    while (queue.length > 0 && active < concurrency) {
+      const wait = nextStart - Date.now();
+      if (wait > 0) {
+        timer = timer || setTimeout(() => {
+          timer = null;
+          pump();
+        }, wait);
+        return;
+      }
+
+      active++;
+      nextStart = Math.max(nextStart, Date.now()) + interval;
+      queue.shift()();
+    }
+  };
+
+  const acquire = () => new Promise((resolve) => {
+    queue.push(resolve);
+    pump();
+  });
+
+  const release = () => {
+    active--;
+    pump();
+  };
+
+  return {
+    acquire,
+    release,
+
+    /**
+     * Run a task in a slot
+     * @param {Function} task - Async function
+     * @returns {Promise<any>} - Task result
+     */
+    async run(task) {
+      await acquire();
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    },
+
+    stats: () => ({ active, queued: queue.length })
+  };
+}
+
+/**
+ * Get the scheduler of a profile
+ * @param {string} profileName - Profile name
+ * @returns {Object} - Scheduler
+ */
+export function getScheduler(profileName) {
+  if (!schedulers.has(profileName)) {
+    schedulers.set(profileName, createScheduler());
+  }
+  return schedulers.get(profileName);
+}
+
+/**
+ * Run requests through a profile's scheduler
+ * Attach before any other response interceptor, so the slot is released before
+ * retries and token renewal replay the request.
+ * @param {import('axios').AxiosInstance} client - Axios instance
+ * @param {string} profileName - Profile the client belongs to
+ * @returns {import('axios').AxiosInstance} - The same instance
+ */
+export function attachScheduler(client, profileName) {
+  const scheduler = getScheduler(profileName);
+
+  const release = (config) => {
+    if (config?._scheduled) {
+      config._scheduled = false;
+      scheduler.release();
+    }
+  };
+
+  // Request interceptors run in reverse order, so this one runs last, right before sending
+  client.interceptors.request.use(async (config) => {
+    if (!config._dryRun) {
+      await scheduler.acquire();
+      config._scheduled = true;
+    }
+    return config;
+  });
+
+  client.interceptors.response.use((response) => {
+    release(response.config);
+    return response;
+  }, (error) => {
+    release(error.config);
+    throw error;
+  });
+
+  return client;
+}
@@ -0,0 +1,130 @@
+/**
+ * MCP server factory
+ * Builds a fully configured server (resources, prompts and tools). The stdio transport
+ * uses a single instance; the HTTP transport creates one per session.
+ */
+
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { TaigaService } from './taigaService.js';
+import { getProfile, getProfiles, usesStaticToken } from './profiles.js';
+import { SERVER_INFO, RESOURCE_URIS } from './constants.js';
+import { registerAllTools } from './tools/index.js';
+import { registerItemResources } from './resources.js';
+import { enableSubscriptions } from './subscriptions.js';
+import { registerPrompts } from './prompts.js';
+import { runWithToolContext } from './context.js';
+
+// Create Taiga service instance
+const taigaService = new TaigaService();
+
+/**
+ * Create a new MCP server with all resources, prompts and tools registered
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.shared] - The server is one of several sessions of this process (HTTP)
+ * @returns {McpServer} - Configured MCP server
+ */
+export function createServer({ shared = false } = {}) {
+  // Create a new MCP server
+  const server = new McpServer({
+    name: SERVER_INFO.name,
+    version: SERVER_INFO.version,
+  });
+
+  // Add resources for documentation and context
+  server.resource(
+    'taiga-api-docs',
+    RESOURCE_URIS.API_DOCS,
+    async (uri) => ({
+      contents: [
+        {
+          uri: uri.href,
+          text: `Taiga API Documentation
+
+This MCP server allows you to interact with Taiga using natural language.
+You can perform the following actions:
+
+1. List your projects
+2. Create user stories within a project
+3. List user stories in a project
+4. Create tasks within a user story
+5. List tasks in a user story
+6. Create issues in a project
+7. List issues in a project
+8. List sprints (milestones) in a project
+9. Get sprint details and statistics
+10. Create new sprints
+11. Get single issue details (including sprint info)
+12. Get issues by sprint
+13. Authenticate with Taiga
+
+The server connects to the Taiga API at ${getProfile().apiUrl} (profile "${getProfile().name}").
+
+The server will automatically authenticate with Taiga using the configured credentials (${usesStaticToken(getProfile()) ? `${getProfile().tokenType} token configured` : `${getProfile().username ? 'Username configured' : 'Username not configured'}, ${getProfile().password ? 'Password configured' : 'Password not configured'}`}).
+
+Configured connection profiles: ${Object.keys(getProfiles()).join(', ')}.
+Every tool accepts an optional 'profile' argument to run against another profile.
+
+You can also use the 'authenticate' tool to manually authenticate, switch the active profile or use different credentials.
+
+          `,
+        },
+      ],
+    })
+  );
+
+  // Add resource for projects
+  server.resource(
+    'projects',
+    RESOURCE_URIS.PROJECTS,
+    async (uri) => {
+      try {
+        const projects = await taigaService.listProjects();
+        return {
+          contents: [
+            {
+              uri: uri.href,
+              text: `Your Taiga Projects:
+
+${projects.map(p => `- ${p.name} (ID: ${p.id}, Slug: ${p.slug})`).join('\n')}
+              `,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          contents: [
+            {
+              uri: uri.href,
+              text: `Error fetching projects: ${error.message}`,
+            },
+          ],
+        };
+      }
+    }
+  );
+
+  // Issues, user stories, tasks, epics, sprints and wiki pages as markdown (taiga://project/{slug}/...)
+  registerItemResources(server);
+
+  // resources/subscribe for those items, polled for changes
+  enableSubscriptions(server);
+
+  // Sprint planning, bug triage, standup and retrospective prompts
+  registerPrompts(server);
+
+  // Register all MCP tools from modules
+  registerAllTools(server);
+
+  // State of this server's session, such as the profile chosen with authenticate. Every
+  // message of the session is handled with it in its context, so HTTP clients (one
+  // server each) do not switch profiles for one another.
+  const session = { activeProfile: null, shared };
+  const connect = server.connect.bind(server);
+  server.connect = async (transport) => {
+    await connect(transport);
+    const handleMessage = transport.onmessage;
+    transport.onmessage = (...args) => runWithToolContext({ session }, () => handleMessage(...args));
+  };
+
+  return server;
+}
@@ -0,0 +1,138 @@
+/**
+ * Saved auth sessions
+ * When enabled, the auth and refresh tokens obtained by a password login are saved
+ * to disk, so a restarted server reuses (and refreshes) them instead of logging in
+ * again. Sessions are keyed by profile name, API URL and username: a profile pointed
+ * at another Taiga instance or user never sends the old tokens. Only logins with the
+ * profile's configured username are saved, not ad-hoc ones. The file is readable by
+ * its owner only (0600, in a 0700 directory). Pre-issued tokens are never saved.
+ *
+ * Environment:
+ * - TAIGA_SESSION_STORE  "on" for ~/.taiga-mcp/sessions.json, or a path (default: off)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Get the session store path
+ * @param {Object} [env] - Environment variables
+ * @returns {string|null} - Path, or null when sessions are not saved
+ */
+export function getSessionStorePath(env = process.env) {
+  const configured = (env.TAIGA_SESSION_STORE || '').trim();
+  const normalized = configured.toLowerCase();
+
+  if (!configured || ['off', 'false', '0', 'no', 'none'].includes(normalized)) {
+    return null;
+  }
+  if (['on', 'true', '1', 'yes'].includes(normalized)) {
+    return path.join(os.homedir(), '.taiga-mcp', 'sessions.json');
+  }
+  return configured;
+}
+
+/**
+ * Key of a profile's entry in the store
+ * @param {Object} profile - Profile definition
+ * @returns {string} - Profile name, API URL and username
+ */
+function sessionKey(profile) {
+  return `${profile.name} ${profile.apiUrl} ${profile.username}`;
+}
+
+/**
+ * Read all saved sessions
+ * A store that other users can read is restricted to its owner first.
+ * @param {string} file - Store path
+ * @returns {Object} - Sessions by key
+ */
+function readSessions(file) {
+  try {
+    const { mode } = fs.statSync(file);
+    if (process.platform !== 'win32' && (mode & 0o077)) {
+      logger.warn(`Session store ${file} was accessible to other users, restricting it to its owner`);
+      fs.chmodSync(file, 0o600);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Could not read the session store, logging in again', { error, file });
+    }
+    return {};
+  }
+}
+
+/**
+ * Replace the saved sessions
+ * @param {string} file - Store path
+ * @param {Object} sessions - Sessions by key
+ */
+function writeSessions(file, sessions) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    // Write a private temporary file and rename it over the store, so tokens are never briefly readable
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(sessions, null, 2), { mode: 0o600 });
+    fs.renameSync(temporary, file);
+  } catch (error) {
+    // Losing the saved session only costs a login on the next start
+    logger.error('Failed to write the session store', { error, file });
+  }
+}
+
+/**
+ * Get the saved session of a profile
+ * @param {Object} profile - Profile definition
+ * @returns {Object|null} - { authToken, refreshToken, tokenExpiration, savedAt }, or null
+ */
+export function loadSession(profile) {
+  const file = getSessionStorePath();
+  if (!file) {
+    return null;
+  }
+  return readSessions(file)[sessionKey(profile)] || null;
+}
+
+/**
+ * Save the tokens of a profile
+ * @param {Object} profile - Profile definition
+ * @param {Object} session - Session state with authToken, refreshToken and tokenExpiration
+ */
+export function saveSession(profile, session) {
+  const file = getSessionStorePath();
+  if (!file) {
+    return;
+  }
+
+  const sessions = readSessions(file);
+  sessions[sessionKey(profile)] = {
+    authToken: session.authToken,
+    refreshToken: session.refreshToken,
+    tokenExpiration: session.tokenExpiration,
+    savedAt: new Date().toISOString()
+  };
+  writeSessions(file, sessions);
+}
+
+/**
+ * Remove the saved session of a profile
+ * @param {Object} profile - Profile definition
+ * @returns {Object|null} - The removed session, or null when none was saved
+ */
+export function deleteSession(profile) {
+  const file = getSessionStorePath();
+  if (!file) {
+    return null;
+  }
+
+  const sessions = readSessions(file);
+  const removed = sessions[sessionKey(profile)] || null;
+  if (removed) {
+    delete sessions[sessionKey(profile)];
+    writeSessions(file, sessions);
+  }
+  return removed;
+}
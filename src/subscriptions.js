@@ -0,0 +1,155 @@
+/**
+ * Resource subscriptions
+ * Clients can subscribe to item resources (taiga://project/{slug}/issue/{ref} and
+ * the other templates in resources.js) with resources/subscribe. Taiga has no push
+ * API, so a poller fetches every subscribed item each TAIGA_SUBSCRIPTION_POLL_MS
+ * and sends notifications/resources/updated when its version or modified_date
+ * changed. A deleted item is reported once and its subscription dropped.
+ *
+ * At most TAIGA_MAX_SUBSCRIPTIONS items are watched at once, counted across all
+ * sessions of the HTTP transport, so polling load on Taiga stays bounded.
+ */
+
+import './config.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema, McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { loadItemResource } from './resources.js';
+import { NotFoundError } from './errors.js';
+import { logger } from './logger.js';
+
+export const SUBSCRIPTION_DEFAULTS = {
+  pollIntervalMs: Number(process.env.TAIGA_SUBSCRIPTION_POLL_MS ?? 30000),
+  maxSubscriptions: Number(process.env.TAIGA_MAX_SUBSCRIPTIONS ?? 50),
+};
+
+// Subscriptions of all servers, checked against maxSubscriptions
+let totalSubscriptions = 0;
+
+/**
+ * What identifies a revision of an item
+ * @param {Object} item - Item from the API
+ * @returns {string} - Version and modification date
+ */
+function fingerprint(item) {
+  return `${item.version ?? ''}|${item.modified_date ?? ''}`;
+}
+
+/**
+ * Handle resources/subscribe and resources/unsubscribe for a server and poll the subscribed items
+ * Call after the resources are registered and before connecting a transport.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server - MCP server
+ * @param {Object} [options] - Overrides for SUBSCRIPTION_DEFAULTS
+ * @returns {{poll: Function, stop: Function, size: Function}} - Subscriptions of this server
+ */
+export function enableSubscriptions(server, options = {}) {
+  const settings = { ...SUBSCRIPTION_DEFAULTS, ...options };
+  // URI -> fingerprint of the last revision seen (null while the first fetch is pending)
+  const subscriptions = new Map();
+  let timer = null;
+  let polling = false;
+
+  const remove = (uri) => {
+    if (subscriptions.delete(uri)) {
+      totalSubscriptions--;
+    }
+    if (subscriptions.size === 0 && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  const notify = async (uri) => {
+    await server.server.sendResourceUpdated({ uri });
+  };
+
+  /**
+   * Fetch every subscribed item once and notify about the changed ones
+   */
+  const poll = async () => {
+    // A slow Taiga must not stack up overlapping rounds
+    if (polling) {
+      return;
+    }
+    polling = true;
+
+    try {
+      for (const [uri, seen] of [...subscriptions]) {
+        if (seen === null) {
+          continue;
+        }
+        try {
+          const current = fingerprint(await loadItemResource(uri));
+          if (subscriptions.has(uri) && current !== seen) {
+            subscriptions.set(uri, current);
+            await notify(uri);
+          }
+        } catch (error) {
+          if (error instanceof NotFoundError) {
+            logger.info(`Subscribed resource ${uri} no longer exists, dropping the subscription`);
+            remove(uri);
+            await notify(uri).catch(() => {});
+          } else {
+            logger.warn(`Could not check subscribed resource ${uri}`, { error });
+          }
+        }
+      }
+    } finally {
+      polling = false;
+    }
+  };
+
+  const stop = () => {
+    for (const uri of [...subscriptions.keys()]) {
+      remove(uri);
+    }
+  };
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+    const { uri } = params;
+    if (subscriptions.has(uri)) {
+      return {};
+    }
+    if (totalSubscriptions >= settings.maxSubscriptions) {
+      throw new McpError(ErrorCode.InvalidRequest,
+        `Subscription limit reached (${settings.maxSubscriptions} resources); unsubscribe from another resource first`);
+    }
+
+    // Hold the slot while the item is fetched, so concurrent subscribes cannot pass the limit
+    subscriptions.set(uri, null);
+    totalSubscriptions++;
+    try {
+      const item = await loadItemResource(uri);
+      if (!item) {
+        throw new McpError(ErrorCode.InvalidParams, `Only Taiga item resources can be subscribed to, not ${uri}`);
+      }
+      subscriptions.set(uri, fingerprint(item));
+    } catch (error) {
+      remove(uri);
+      throw error;
+    }
+
+    if (!timer) {
+      timer = setInterval(() => {
+        poll().catch(error => logger.error('Subscription poll failed', { error }));
+      }, settings.pollIntervalMs);
+      timer.unref?.();
+    }
+    logger.debug(`Subscribed to ${uri}`, { subscriptions: subscriptions.size });
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+    remove(params.uri);
+    return {};
+  });
+
+  // Free the slots when the client disconnects
+  const previousOnClose = server.server.onclose;
+  server.server.onclose = () => {
+    stop();
+    previousOnClose?.();
+  };
+
+  return { poll, stop, size: () => subscriptions.size };
+}
@@ -1,72 +1,328 @@
 import axios from 'axios';
-import dotenv from 'dotenv';
+import { getProfile, hasCredentials, usesStaticToken } from './profiles.js';
+import { attachRetry } from './retry.js';
+import { attachCacheInvalidation } from './cache.js';
+import { attachDryRun } from './dryRun.js';
+import { attachAudit } from './audit.js';
+import { getRequestOptions } from './network.js';
+import { attachScheduler } from './scheduler.js';
+import { logger } from './logger.js';
+import { AuthExpiredError } from './errors.js';
+import { loadSession, saveSession, deleteSession } from './sessionStore.js';
 
-dotenv.config();
+// Fallback lifetime when the auth token carries no readable expiry (Taiga default is 24 hours)
+const DEFAULT_TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000;
 
-// Taiga API configuration
-const TAIGA_API_URL = process.env.TAIGA_API_URL || 'https://api.taiga.io/api/v1';
+// Renew the token this long before it actually expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
 
-// Store the auth token
-let authToken = null;
-let tokenExpiration = null;
+// Auth state per profile: { authToken, refreshToken, tokenExpiration, username, pendingRenewal }
+const sessions = new Map();
+
+/**
+ * Get (or create) the auth state of a profile
+ * @param {string} profileName - Profile name
+ * @returns {Object} - Mutable session state
+ */
+function getSession(profileName) {
+  if (!sessions.has(profileName)) {
+    // Start from the tokens an earlier run saved, if any (see sessionStore.js)
+    const profile = getProfile(profileName);
+    const stored = loadSession(profile);
+    sessions.set(profileName, {
+      authToken: stored?.authToken || null,
+      refreshToken: stored?.refreshToken || null,
+      tokenExpiration: stored?.tokenExpiration || null,
+      // Saved sessions always belong to the configured user (see storeTokens)
+      username: stored ? profile.username : null,
+      pendingRenewal: null
+    });
+  }
+  return sessions.get(profileName);
+}
+
+/**
+ * Read the expiry time from a JWT auth token
+ * @param {string} token - Auth token returned by Taiga
+ * @returns {number|null} - Expiry timestamp in milliseconds, or null if unknown
+ */
+export function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store tokens from an /auth or /auth/refresh response
+ * Only sessions of the profile's configured user go to the session store: tokens of
+ * an ad-hoc login with other credentials last until the server stops.
+ * @param {Object} profile - Profile definition
+ * @param {Object} session - Session state
+ * @param {Object} data - Response body containing auth_token and refresh
+ */
+function storeTokens(profile, session, data) {
+  session.authToken = data.auth_token;
+  session.refreshToken = data.refresh || session.refreshToken;
+  session.tokenExpiration = getTokenExpiry(session.authToken) || Date.now() + DEFAULT_TOKEN_LIFETIME_MS;
+  if (session.username === profile.username) {
+    saveSession(profile, session);
+  }
+}
+
+/**
+ * Forget the tokens of a profile so the next call authenticates from scratch
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
+ */
+export function clearAuthTokens(profileName = getProfile().name) {
+  sessions.delete(profileName);
+}
+
+/**
+ * Log a profile out: forget its tokens in memory and in the session store
+ * Taiga has no endpoint to revoke an auth or refresh token, so tokens already
+ * issued stay valid on the server until they expire.
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
+ * @returns {{loggedIn: boolean, removedStored: boolean, tokenExpiration: number|null}} - What was cleared
+ */
+export function logout(profileName) {
+  const profile = getProfile(profileName);
+  const session = sessions.get(profile.name);
+  const stored = deleteSession(profile);
+
+  sessions.delete(profile.name);
+
+  return {
+    loggedIn: Boolean(session?.authToken || stored),
+    removedStored: Boolean(stored),
+    tokenExpiration: session?.tokenExpiration || stored?.tokenExpiration || null
+  };
+}
 
 /**
  * Authenticate with Taiga API and get an auth token
  * @param {string} username - Taiga username or email
  * @param {string} password - Taiga password
+ * @param {string} [profileName] - Profile to authenticate (defaults to the current profile)
  * @returns {Promise<string>} - Auth token
  */
-export async function authenticate(username, password) {
+export async function authenticate(username, password, profileName) {
+  const profile = getProfile(profileName);
+  const session = getSession(profile.name);
+
   try {
-    const response = await axios.post(`${TAIGA_API_URL}/auth`, {
+    const response = await axios.post(`${profile.apiUrl}/auth`, {
       type: 'normal',
       username,
       password
-    });
+    }, getRequestOptions(profile));
 
-    authToken = response.data.auth_token;
-    // Set token expiration to 24 hours from now
-    tokenExpiration = Date.now() + 24 * 60 * 60 * 1000;
+    session.username = username;
+    storeTokens(profile, session, response.data);
 
-    return authToken;
+    return session.authToken;
   } catch (error) {
-    console.error('Authentication failed:', error.message);
-    throw new Error('Failed to authenticate with Taiga');
+    logger.error(`Authentication failed for profile "${profile.name}"`, { error });
+    throw new Error('Failed to authenticate with Taiga', { cause: error });
+  }
+}
+
+/**
+ * Exchange the stored refresh token for a new auth token
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
+ * @returns {Promise<string>} - New auth token
+ */
+export async function refreshAuthToken(profileName) {
+  const profile = getProfile(profileName);
+  const session = getSession(profile.name);
+
+  if (!session.refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  try {
+    const response = await axios.post(`${profile.apiUrl}/auth/refresh`, {
+      refresh: session.refreshToken
+    }, getRequestOptions(profile));
+
+    storeTokens(profile, session, response.data);
+
+    return session.authToken;
+  } catch (error) {
+    logger.error(`Token refresh failed for profile "${profile.name}"`, { error });
+    throw new Error('Failed to refresh Taiga auth token', { cause: error });
+  }
+}
+
+/**
+ * Log in again with the credentials configured for a profile
+ * @param {Object} profile - Profile definition
+ * @returns {Promise<string>} - New auth token
+ */
+async function loginWithProfileCredentials(profile) {
+  if (!hasCredentials(profile)) {
+    throw new Error(`Taiga credentials not found for profile "${profile.name}"`);
   }
+
+  return await authenticate(profile.username, profile.password, profile.name);
+}
+
+/**
+ * Build the error reported when Taiga rejects a pre-issued token
+ * @param {Object} profile - Profile definition
+ * @returns {AuthExpiredError} - Error explaining that the token must be replaced
+ */
+function rejectedTokenError(profile) {
+  return new AuthExpiredError(`The configured ${profile.tokenType.toLowerCase()} token for profile "${profile.name}" was rejected by Taiga: it has expired or been revoked. Issue a new token and update the configuration.`, { status: 401 });
+}
+
+/**
+ * Renew the auth token, preferring the refresh token over a full login
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
+ * @returns {Promise<string>} - Fresh auth token
+ */
+export async function renewAuthToken(profileName) {
+  const profile = getProfile(profileName);
+  const session = getSession(profile.name);
+
+  // Pre-issued tokens cannot be renewed from here
+  if (usesStaticToken(profile)) {
+    throw rejectedTokenError(profile);
+  }
+
+  if (!session.pendingRenewal) {
+    session.pendingRenewal = (async () => {
+      if (session.refreshToken) {
+        try {
+          return await refreshAuthToken(profile.name);
+        } catch (error) {
+          // Refresh token expired or revoked, fall back to a full login
+          session.refreshToken = null;
+        }
+      }
+      return await loginWithProfileCredentials(profile);
+    })().finally(() => {
+      session.pendingRenewal = null;
+    });
+  }
+
+  return await session.pendingRenewal;
 }
 
 /**
  * Get the current auth token, refreshing if necessary
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
  * @returns {Promise<string>} - Auth token
  */
-export async function getAuthToken() {
-  // If token doesn't exist or is expired, authenticate again
-  if (!authToken || Date.now() > tokenExpiration) {
-    const username = process.env.TAIGA_USERNAME;
-    const password = process.env.TAIGA_PASSWORD;
-
-    if (!username || !password) {
-      throw new Error('Taiga credentials not found in environment variables');
-    }
+export async function getAuthToken(profileName) {
+  const profile = getProfile(profileName);
+  const session = getSession(profile.name);
+
+  // Pre-issued tokens skip /auth entirely
+  if (usesStaticToken(profile)) {
+    return profile.token;
+  }
+
+  // If token doesn't exist or is about to expire, renew it
+  if (!session.authToken || Date.now() > session.tokenExpiration - TOKEN_REFRESH_MARGIN_MS) {
+    await renewAuthToken(profile.name);
+  }
+
+  return session.authToken;
+}
 
-    await authenticate(username, password);
+/**
+ * Get the Authorization header value for a profile
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
+ * @returns {Promise<string>} - e.g. "Bearer <token>" or "Application <token>"
+ */
+export async function getAuthorizationHeader(profileName) {
+  const profile = getProfile(profileName);
+  const token = await getAuthToken(profile.name);
+  const scheme = usesStaticToken(profile) ? profile.tokenType : 'Bearer';
+  return `${scheme} ${token}`;
+}
+
+/**
+ * Check a pre-issued token against /users/me
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
+ * @returns {Promise<Object>} - The user the token belongs to
+ */
+export async function validateStaticToken(profileName) {
+  const profile = getProfile(profileName);
+
+  if (!usesStaticToken(profile)) {
+    throw new Error(`Profile "${profile.name}" does not use a pre-issued token`);
   }
 
-  return authToken;
+  try {
+    const response = await axios.get(`${profile.apiUrl}/users/me`, {
+      ...getRequestOptions(profile),
+      headers: { 'Authorization': await getAuthorizationHeader(profile.name) }
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      throw rejectedTokenError(profile);
+    }
+    throw new Error(`Could not validate the token for profile "${profile.name}": ${error.message}`);
+  }
 }
 
 /**
- * Create an axios instance with auth headers
+ * Create an axios instance with auth headers for a profile
+ * Proxy, CA, client certificate and timeout settings come from the profile
+ * (see network.js), and requests wait for a slot in the profile's scheduler
+ * (see scheduler.js). A 401 response renews the token and replays the request
+ * once; transient failures are retried with backoff (see retry.js), writes to catalog
+ * endpoints invalidate cached lookups (see cache.js), writes are only
+ * recorded during dry-run calls (see dryRun.js), and successful writes are
+ * appended to the audit log (see audit.js).
+ * @param {string} [profileName] - Profile name (defaults to the current profile)
  * @returns {Promise<import('axios').AxiosInstance>} - Axios instance with auth headers
  */
-export async function createAuthenticatedClient() {
-  const token = await getAuthToken();
+export async function createAuthenticatedClient(profileName) {
+  const profile = getProfile(profileName);
+  const authorization = await getAuthorizationHeader(profile.name);
 
-  return axios.create({
-    baseURL: TAIGA_API_URL,
+  const client = axios.create({
+    ...getRequestOptions(profile),
+    baseURL: profile.apiUrl,
     headers: {
-      'Authorization': `Bearer ${token}`,
+      'Authorization': authorization,
       'Content-Type': 'application/json'
     }
   });
+
+  // First, so the request slot is freed before the layers below replay a request
+  attachScheduler(client, profile.name);
+
+  client.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+
+    if (error.response?.status !== 401 || !config || config._authRetried) {
+      throw error;
+    }
+
+    if (usesStaticToken(profile)) {
+      throw rejectedTokenError(profile);
+    }
+
+    // Token died server-side before our local expiry, renew and replay once
+    config._authRetried = true;
+    const newToken = await renewAuthToken(profile.name);
+    config.headers['Authorization'] = `Bearer ${newToken}`;
+    client.defaults.headers['Authorization'] = `Bearer ${newToken}`;
+
+    return client.request(config);
+  });
+
+  attachRetry(client);
+  attachCacheInvalidation(client, profile.name);
+  attachDryRun(client);
+  attachAudit(client, profile);
+
+  return client;
 }
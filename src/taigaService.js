@@ -1,6 +1,11 @@
 import { createAuthenticatedClient, getAuthToken } from './taigaAuth.js';
+import { getProfile, hasCredentials } from './profiles.js';
 import { API_ENDPOINTS, ERROR_MESSAGES } from './constants.js';
 import { fetchAllPaginated } from './pagination.js';
+import { cached } from './cache.js';
+import { logger } from './logger.js';
+import { toTaigaError, TaigaError } from './errors.js';
+import { patchWithVersion } from './versionedUpdate.js';
 
 /**
  * Service for interacting with the Taiga API
@@ -12,10 +17,8 @@ export class TaigaService {
    */
   isAuthenticated() {
     try {
-      // Check if we have the required environment variables
-      const username = process.env.TAIGA_USERNAME;
-      const password = process.env.TAIGA_PASSWORD;
-      return !!(username && password);
+      // Check if the current profile has credentials configured
+      return hasCredentials(getProfile());
     } catch (error) {
       return false;
     }
@@ -46,8 +49,8 @@ export class TaigaService {
       const allProjects = await fetchAllPaginated(fetchPage);
       return allProjects;
     } catch (error) {
-      console.error('Failed to list projects:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_LIST_PROJECTS);
+      logger.error('Failed to list projects', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_LIST_PROJECTS);
     }
   }
 
@@ -62,8 +65,8 @@ export class TaigaService {
       const response = await client.get(`${API_ENDPOINTS.PROJECTS}/${projectId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get project ${projectId}:`, error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_GET_PROJECT);
+      logger.error(`Failed to get project ${projectId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_GET_PROJECT);
     }
   }
 
@@ -73,13 +76,81 @@ export class TaigaService {
    * @returns {Promise<Object>} - Project details
    */
   async getProjectBySlug(slug) {
+    try {
+      return await cached(`slug:${slug}`, 'project', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(`/projects/by_slug?slug=${slug}`);
+        return response.data;
+      });
+    } catch (error) {
+      logger.error(`Failed to get project by slug ${slug}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_GET_PROJECT);
+    }
+  }
+
+  /**
+   * List the project templates new projects can be created from
+   * @returns {Promise<Array>} - Project templates (e.g. Scrum, Kanban)
+   */
+  async listProjectTemplates() {
+    try {
+      return await cached('projects', 'projectTemplates', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(API_ENDPOINTS.PROJECT_TEMPLATES);
+        return response.data;
+      });
+    } catch (error) {
+      logger.error('Failed to list project templates', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_LIST_PROJECT_TEMPLATES);
+    }
+  }
+
+  /**
+   * Create a new project
+   * @param {Object} projectData - Project data (name, description, creation_template, is_private, tags)
+   * @returns {Promise<Object>} - Created project
+   */
+  async createProject(projectData) {
+    try {
+      const client = await createAuthenticatedClient();
+      const response = await client.post(API_ENDPOINTS.PROJECTS, projectData);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create project', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_CREATE_PROJECT);
+    }
+  }
+
+  /**
+   * Update a project's settings
+   * Projects carry no version, so the patch is sent as is.
+   * @param {number} projectId - Project ID
+   * @param {Object} updateData - Fields to change (name, description, is_private, tags, is_*_activated)
+   * @returns {Promise<Object>} - Updated project
+   */
+  async updateProject(projectId, updateData) {
     try {
       const client = await createAuthenticatedClient();
-      const response = await client.get(`/projects/by_slug?slug=${slug}`);
+      const response = await client.patch(`${API_ENDPOINTS.PROJECTS}/${projectId}`, updateData);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get project by slug ${slug}:`, error.message);
-      throw new Error(`Failed to get project details from Taiga`);
+      logger.error(`Failed to update project ${projectId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_UPDATE_PROJECT);
+    }
+  }
+
+  /**
+   * Delete a project with all its items
+   * @param {number} projectId - Project ID
+   * @returns {Promise<void>}
+   */
+  async deleteProject(projectId) {
+    try {
+      const client = await createAuthenticatedClient();
+      await client.delete(`${API_ENDPOINTS.PROJECTS}/${projectId}`);
+    } catch (error) {
+      logger.error(`Failed to delete project ${projectId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_DELETE_PROJECT);
     }
   }
 
@@ -105,8 +176,8 @@ export class TaigaService {
       const allUserStories = await fetchAllPaginated(fetchPage);
       return allUserStories;
     } catch (error) {
-      console.error(`Failed to list user stories for project ${projectId}:`, error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_LIST_USER_STORIES);
+      logger.error(`Failed to list user stories for project ${projectId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_LIST_USER_STORIES);
     }
   }
 
@@ -121,8 +192,8 @@ export class TaigaService {
       const response = await client.get(`${API_ENDPOINTS.USER_STORIES}/${userStoryId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get user story ${userStoryId}:`, error.message);
-      throw new Error('Failed to get user story details from Taiga');
+      logger.error(`Failed to get user story ${userStoryId}`, { error });
+      throw toTaigaError(error, 'Failed to get user story details from Taiga');
     }
   }
 
@@ -142,8 +213,8 @@ export class TaigaService {
       const response = await client.post(API_ENDPOINTS.USER_STORIES, userStoryData);
       return response.data;
     } catch (error) {
-      console.error('Failed to create user story:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_CREATE_USER_STORY);
+      logger.error('Failed to create user story', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_CREATE_USER_STORY);
     }
   }
 
@@ -156,19 +227,10 @@ export class TaigaService {
   async updateUserStory(userStoryId, updateData) {
     try {
       const client = await createAuthenticatedClient();
-      
-      // Get current user story to get version for update
-      const currentUserStory = await this.getUserStory(userStoryId);
-      const dataWithVersion = {
-        ...updateData,
-        version: currentUserStory.version
-      };
-
-      const response = await client.patch(`${API_ENDPOINTS.USER_STORIES}/${userStoryId}`, dataWithVersion);
-      return response.data;
+      return await patchWithVersion(client, `${API_ENDPOINTS.USER_STORIES}/${userStoryId}`, updateData, 'Failed to update user story in Taiga');
     } catch (error) {
-      console.error('Failed to update user story:', error.message);
-      throw new Error('Failed to update user story in Taiga');
+      logger.error('Failed to update user story', { error });
+      throw toTaigaError(error, 'Failed to update user story in Taiga');
     }
   }
 
@@ -179,14 +241,16 @@ export class TaigaService {
    */
   async getUserStoryStatuses(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(API_ENDPOINTS.USER_STORY_STATUSES, {
-        params: { project: projectId }
+      return await cached(projectId, 'userStoryStatuses', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(API_ENDPOINTS.USER_STORY_STATUSES, {
+          params: { project: projectId }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
-      console.error(`Failed to get user story statuses for project ${projectId}:`, error.message);
-      throw new Error('Failed to get user story statuses from Taiga');
+      logger.error(`Failed to get user story statuses for project ${projectId}`, { error });
+      throw toTaigaError(error, 'Failed to get user story statuses from Taiga');
     }
   }
 
@@ -200,8 +264,8 @@ export class TaigaService {
       const response = await client.get(API_ENDPOINTS.USERS_ME);
       return response.data;
     } catch (error) {
-      console.error('Failed to get current user:', error.message);
-      throw new Error('Failed to get user information from Taiga');
+      logger.error('Failed to get current user', { error });
+      throw toTaigaError(error, 'Failed to get user information from Taiga');
     }
   }
 
@@ -222,8 +286,33 @@ export class TaigaService {
       const response = await client.post(API_ENDPOINTS.TASKS, taskData);
       return response.data;
     } catch (error) {
-      console.error('Failed to create task:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_CREATE_TASK);
+      logger.error('Failed to create task', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_CREATE_TASK);
+    }
+  }
+
+  /**
+   * List the tasks of a user story
+   * @param {string} userStoryId - User Story ID
+   * @returns {Promise<Array>} - List of tasks
+   */
+  async listTasks(userStoryId) {
+    try {
+      const client = await createAuthenticatedClient();
+
+      const fetchPage = async (params) => {
+        return await client.get(API_ENDPOINTS.TASKS, {
+          params: {
+            user_story: userStoryId,
+            ...params
+          }
+        });
+      };
+
+      return await fetchAllPaginated(fetchPage);
+    } catch (error) {
+      logger.error(`Failed to list tasks for user story ${userStoryId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_LIST_TASKS);
     }
   }
 
@@ -234,14 +323,16 @@ export class TaigaService {
    */
   async getTaskStatuses(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(API_ENDPOINTS.TASK_STATUSES, {
-        params: { project: projectId }
+      return await cached(projectId, 'taskStatuses', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(API_ENDPOINTS.TASK_STATUSES, {
+          params: { project: projectId }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
-      console.error(`Failed to get task statuses for project ${projectId}:`, error.message);
-      throw new Error('Failed to get task statuses from Taiga');
+      logger.error(`Failed to get task statuses for project ${projectId}`, { error });
+      throw toTaigaError(error, 'Failed to get task statuses from Taiga');
     }
   }
 
@@ -267,8 +358,8 @@ export class TaigaService {
       const allIssues = await fetchAllPaginated(fetchPage);
       return allIssues;
     } catch (error) {
-      console.error(`Failed to list issues for project ${projectId}:`, error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_LIST_ISSUES);
+      logger.error(`Failed to list issues for project ${projectId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_LIST_ISSUES);
     }
   }
 
@@ -292,8 +383,8 @@ export class TaigaService {
       const response = await client.post(API_ENDPOINTS.ISSUES, issueData);
       return response.data;
     } catch (error) {
-      console.error('Failed to create issue:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_CREATE_ISSUE);
+      logger.error('Failed to create issue', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_CREATE_ISSUE);
     }
   }
 
@@ -304,14 +395,16 @@ export class TaigaService {
    */
   async getIssueStatuses(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(API_ENDPOINTS.ISSUE_STATUSES, {
-        params: { project: projectId }
+      return await cached(projectId, 'issueStatuses', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(API_ENDPOINTS.ISSUE_STATUSES, {
+          params: { project: projectId }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
-      console.error(`Failed to get issue statuses for project ${projectId}:`, error.message);
-      throw new Error('Failed to get issue statuses from Taiga');
+      logger.error(`Failed to get issue statuses for project ${projectId}`, { error });
+      throw toTaigaError(error, 'Failed to get issue statuses from Taiga');
     }
   }
 
@@ -322,14 +415,16 @@ export class TaigaService {
    */
   async getIssuePriorities(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(API_ENDPOINTS.PRIORITIES, {
-        params: { project: projectId }
+      return await cached(projectId, 'issuePriorities', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(API_ENDPOINTS.PRIORITIES, {
+          params: { project: projectId }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
-      console.error(`Failed to get issue priorities for project ${projectId}:`, error.message);
-      throw new Error('Failed to get issue priorities from Taiga');
+      logger.error(`Failed to get issue priorities for project ${projectId}`, { error });
+      throw toTaigaError(error, 'Failed to get issue priorities from Taiga');
     }
   }
 
@@ -340,14 +435,16 @@ export class TaigaService {
    */
   async getIssueSeverities(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(API_ENDPOINTS.SEVERITIES, {
-        params: { project: projectId }
+      return await cached(projectId, 'issueSeverities', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(API_ENDPOINTS.SEVERITIES, {
+          params: { project: projectId }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
-      console.error(`Failed to get issue severities for project ${projectId}:`, error.message);
-      throw new Error('Failed to get issue severities from Taiga');
+      logger.error(`Failed to get issue severities for project ${projectId}`, { error });
+      throw toTaigaError(error, 'Failed to get issue severities from Taiga');
     }
   }
 
@@ -358,14 +455,16 @@ export class TaigaService {
    */
   async getIssueTypes(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(API_ENDPOINTS.ISSUE_TYPES, {
-        params: { project: projectId }
+      return await cached(projectId, 'issueTypes', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(API_ENDPOINTS.ISSUE_TYPES, {
+          params: { project: projectId }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
-      console.error(`Failed to get issue types for project ${projectId}:`, error.message);
-      throw new Error('Failed to get issue types from Taiga');
+      logger.error(`Failed to get issue types for project ${projectId}`, { error });
+      throw toTaigaError(error, 'Failed to get issue types from Taiga');
     }
   }
 
@@ -376,14 +475,37 @@ export class TaigaService {
    */
   async getProjectMembers(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(API_ENDPOINTS.MEMBERSHIPS, {
-        params: { project: projectId }
+      return await cached(projectId, 'members', async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(API_ENDPOINTS.MEMBERSHIPS, {
+          params: { project: projectId }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
-      console.error(`Failed to get project members for project ${projectId}:`, error.message);
-      throw new Error('Failed to get project members from Taiga');
+      logger.error(`Failed to get project members for project ${projectId}`, { error });
+      throw toTaigaError(error, 'Failed to get project members from Taiga');
+    }
+  }
+
+  /**
+   * Get the custom attributes defined for user stories, tasks, issues or epics of a project
+   * @param {string} itemType - 'user_story', 'task', 'issue' or 'epic'
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} - List of custom attribute definitions
+   */
+  async getCustomAttributes(itemType, projectId) {
+    try {
+      return await cached(projectId, `${itemType}CustomAttributes`, async () => {
+        const client = await createAuthenticatedClient();
+        const response = await client.get(this.getCustomAttributesEndpoint(itemType), {
+          params: { project: projectId }
+        });
+        return response.data;
+      });
+    } catch (error) {
+      logger.error(`Failed to get ${itemType} custom attributes for project ${projectId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_GET_CUSTOM_ATTRIBUTES);
     }
   }
 
@@ -396,19 +518,10 @@ export class TaigaService {
   async updateIssue(issueId, updateData) {
     try {
       const client = await createAuthenticatedClient();
-      
-      // Get current issue to get version for update
-      const currentIssue = await this.getIssue(issueId);
-      const dataWithVersion = {
-        ...updateData,
-        version: currentIssue.version
-      };
-
-      const response = await client.patch(`${API_ENDPOINTS.ISSUES}/${issueId}`, dataWithVersion);
-      return response.data;
+      return await patchWithVersion(client, `${API_ENDPOINTS.ISSUES}/${issueId}`, updateData, 'Failed to update issue in Taiga');
     } catch (error) {
-      console.error('Failed to update issue:', error.message);
-      throw new Error('Failed to update issue in Taiga');
+      logger.error('Failed to update issue', { error });
+      throw toTaigaError(error, 'Failed to update issue in Taiga');
     }
   }
 
@@ -434,8 +547,8 @@ export class TaigaService {
       const allMilestones = await fetchAllPaginated(fetchPage);
       return allMilestones;
     } catch (error) {
-      console.error(`Failed to list milestones for project ${projectId}:`, error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_LIST_MILESTONES);
+      logger.error(`Failed to list milestones for project ${projectId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_LIST_SPRINTS);
     }
   }
 
@@ -450,8 +563,8 @@ export class TaigaService {
       const response = await client.get(`${API_ENDPOINTS.MILESTONES}/${milestoneId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get milestone ${milestoneId}:`, error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_GET_MILESTONE);
+      logger.error(`Failed to get milestone ${milestoneId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_GET_SPRINT);
     }
   }
 
@@ -466,8 +579,8 @@ export class TaigaService {
       const response = await client.get(`${API_ENDPOINTS.MILESTONES}/${milestoneId}/stats`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get milestone stats for ${milestoneId}:`, error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_GET_MILESTONE_STATS);
+      logger.error(`Failed to get milestone stats for ${milestoneId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_GET_SPRINT_STATS);
     }
   }
 
@@ -483,8 +596,8 @@ export class TaigaService {
       const response = await client.get(url);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get issue ${issueId}:`, error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_GET_ISSUE);
+      logger.error(`Failed to get issue ${issueId}`, { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_GET_ISSUE);
     }
   }
 
@@ -502,8 +615,50 @@ export class TaigaService {
       const response = await client.get(url, { params });
       return response.data;
     } catch (error) {
-      console.error(`Failed to get issue by ref ${ref}:`, error.message);
-      throw new Error('Failed to get issue by reference from Taiga');
+      logger.error(`Failed to get issue by ref ${ref}`, { error });
+      throw toTaigaError(error, 'Failed to get issue by reference from Taiga');
+    }
+  }
+
+  /**
+   * Get an issue, user story, task or epic by its reference number
+   * @param {string} itemType - Type of item ('issue', 'user_story', 'task', 'epic')
+   * @param {number} ref - Reference number within the project
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Object>} - Item details
+   */
+  async getItemByRef(itemType, ref, projectId) {
+    try {
+      const client = await createAuthenticatedClient();
+      const response = await client.get(`${this.getItemEndpoint(itemType)}/by_ref`, {
+        params: { ref, project: projectId }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to get ${itemType} by ref ${ref}`, { error });
+      throw toTaigaError(error, `Failed to get ${itemType.replace('_', ' ')} #${ref} from Taiga`);
+    }
+  }
+
+  /**
+   * List the most recently modified issues, user stories, tasks or epics of a project
+   * Only the first page is fetched.
+   * @param {string} itemType - Type of item ('issue', 'user_story', 'task', 'epic')
+   * @param {number} projectId - Project ID
+   * @param {number} limit - Maximum number of items
+   * @returns {Promise<Array>} - Items, most recently modified first
+   */
+  async listRecentItems(itemType, projectId, limit) {
+    try {
+      const client = await createAuthenticatedClient();
+      const response = await client.get(this.getItemEndpoint(itemType), {
+        params: { project: projectId, order_by: '-modified_date', page: 1, page_size: limit }
+      });
+      const items = Array.isArray(response.data) ? response.data : response.data?.results || [];
+      return items.slice(0, limit);
+    } catch (error) {
+      logger.error(`Failed to list recent ${itemType} items for project ${projectId}`, { error });
+      throw toTaigaError(error, `Failed to list recent ${itemType.replace('_', ' ')} items from Taiga`);
     }
   }
 
@@ -531,8 +686,8 @@ export class TaigaService {
       const allIssues = await fetchAllPaginated(fetchPage);
       return allIssues;
     } catch (error) {
-      console.error(`Failed to get issues for milestone ${milestoneId}:`, error.message);
-      throw new Error('Failed to get issues by milestone from Taiga');
+      logger.error(`Failed to get issues for milestone ${milestoneId}`, { error });
+      throw toTaigaError(error, 'Failed to get issues by milestone from Taiga');
     }
   }
 
@@ -552,8 +707,8 @@ export class TaigaService {
       const response = await client.post(API_ENDPOINTS.MILESTONES, milestoneData);
       return response.data;
     } catch (error) {
-      console.error('Failed to create milestone:', error.message);
-      throw new Error('Failed to create milestone in Taiga');
+      logger.error('Failed to create milestone', { error });
+      throw toTaigaError(error, 'Failed to create milestone in Taiga');
     }
   }
 
@@ -568,34 +723,13 @@ export class TaigaService {
     try {
       const client = await createAuthenticatedClient();
       
-      // 首先获取当前项目版本（必需用于版本控制）
-      const currentVersion = await this.getItemVersion(itemType, itemId);
-      
       // Taiga使用歷史API來處理評論
       // 通過更新項目並添加評論來創建評論記錄
       const endpoint = this.getItemEndpoint(itemType);
       
-      const updateData = {
-        comment: commentData.comment,
-        version: currentVersion
-      };
-      
-      const response = await client.patch(`${endpoint}/${itemId}`, updateData);
-      return response.data;
+      return await patchWithVersion(client, `${endpoint}/${itemId}`, { comment: commentData.comment }, ERROR_MESSAGES.FAILED_TO_ADD_COMMENT);
     } catch (error) {
-      // 提供更具体的错误信息
-      if (error.response?.status === 400) {
-        const errorMsg = error.response?.data?.version ? 
-          'Version parameter is invalid. The item may have been modified by another user.' :
-          'Bad request. Please check the comment data format.';
-        throw new Error(`Failed to add comment to Taiga: ${errorMsg}`);
-      } else if (error.response?.status === 403) {
-        throw new Error('Failed to add comment to Taiga: Permission denied. Check your access rights.');
-      } else if (error.response?.status === 404) {
-        throw new Error(`Failed to add comment to Taiga: ${itemType} #${itemId} not found.`);
-      } else {
-        throw new Error(`Failed to add comment to Taiga: ${error.message}`);
-      }
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_ADD_COMMENT);
     }
   }
 
@@ -612,8 +746,8 @@ export class TaigaService {
       const response = await client.get(`${API_ENDPOINTS.HISTORY}/${objectType}/${itemId}`);
       return response.data;
     } catch (error) {
-      console.error('Failed to get item history:', error.message);
-      throw new Error('Failed to get item history from Taiga');
+      logger.error('Failed to get item history', { error });
+      throw toTaigaError(error, 'Failed to get item history from Taiga');
     }
   }
 
@@ -632,8 +766,8 @@ export class TaigaService {
       });
       return response.data;
     } catch (error) {
-      console.error('Failed to edit comment:', error.message);
-      throw new Error('Failed to edit comment in Taiga');
+      logger.error('Failed to edit comment', { error });
+      throw toTaigaError(error, 'Failed to edit comment in Taiga');
     }
   }
 
@@ -649,8 +783,8 @@ export class TaigaService {
         data: { id: commentId }
       });
     } catch (error) {
-      console.error('Failed to delete comment:', error.message);
-      throw new Error('Failed to delete comment from Taiga');
+      logger.error('Failed to delete comment', { error });
+      throw toTaigaError(error, 'Failed to delete comment from Taiga');
     }
   }
 
@@ -664,8 +798,8 @@ export class TaigaService {
       const response = await client.get(API_ENDPOINTS.USERS_ME);
       return response.data.id;
     } catch (error) {
-      console.error('Failed to get current user:', error.message);
-      throw new Error('Failed to get current user from Taiga');
+      logger.error('Failed to get current user', { error });
+      throw toTaigaError(error, 'Failed to get current user from Taiga');
     }
   }
 
@@ -677,11 +811,26 @@ export class TaigaService {
     const endpoints = {
       'issue': API_ENDPOINTS.ISSUES,
       'user_story': API_ENDPOINTS.USER_STORIES,
-      'task': API_ENDPOINTS.TASKS
+      'task': API_ENDPOINTS.TASKS,
+      'epic': API_ENDPOINTS.EPICS
     };
     return endpoints[itemType] || API_ENDPOINTS.ISSUES;
   }
 
+  /**
+   * Get custom attribute endpoint based on item type
+   * @private
+   */
+  getCustomAttributesEndpoint(itemType) {
+    const endpoints = {
+      'issue': API_ENDPOINTS.ISSUE_CUSTOM_ATTRIBUTES,
+      'user_story': API_ENDPOINTS.USER_STORY_CUSTOM_ATTRIBUTES,
+      'task': API_ENDPOINTS.TASK_CUSTOM_ATTRIBUTES,
+      'epic': API_ENDPOINTS.EPIC_CUSTOM_ATTRIBUTES
+    };
+    return endpoints[itemType] || API_ENDPOINTS.ISSUE_CUSTOM_ATTRIBUTES;
+  }
+
   /**
    * Get history object type based on item type
    * @private
@@ -695,34 +844,6 @@ export class TaigaService {
     return types[itemType] || 'issue';
   }
 
-  /**
-   * Get current version of an item (needed for comment updates)
-   * @private
-   */
-  async getItemVersion(itemType, itemId) {
-    try {
-      const client = await createAuthenticatedClient();
-      const endpoint = this.getItemEndpoint(itemType);
-      const response = await client.get(`${endpoint}/${itemId}`);
-      
-      const version = response.data.version;
-      
-      if (typeof version !== 'number') {
-        return 1; // 默認版本
-      }
-      
-      return version;
-    } catch (error) {
-      if (error.response?.status === 404) {
-        throw new Error(`${itemType} #${itemId} not found`);
-      } else if (error.response?.status === 403) {
-        throw new Error(`Permission denied accessing ${itemType} #${itemId}`);
-      } else {
-        throw new Error(`Failed to get ${itemType} version: ${error.message}`);
-      }
-    }
-  }
-
   /**
    * Upload attachment to an item (issue, user story, or task)
    * @param {string} itemType - Type of item ('issue', 'user_story', 'task')
@@ -788,7 +909,8 @@ export class TaigaService {
       }
 
       // Use axios with FormData (client already has auth headers)
-      const response = await client.post(endpoint, formData, {
+      // Sent as a buffer so the body can be replayed on retry or token renewal
+      const response = await client.post(endpoint, formData.getBuffer(), {
         headers: {
           ...formData.getHeaders()
           // Don't add Authorization header - client already has it
@@ -805,17 +927,13 @@ export class TaigaService {
       if (error.message.includes('Invalid base64')) {
         throw new Error(`Invalid file data format: ${error.message}`);
       } else if (error.message.includes('cb is not a function')) {
-        console.error('Callback error detected - this might be a form-data compatibility issue');
+        logger.error('Callback error detected - this might be a form-data compatibility issue', { error });
         throw new Error('Upload failed due to form-data callback issue');
       } else if (error.response?.status === 413) {
-        throw new Error('File too large for upload');
-      } else if (error.response?.status === 401) {
-        throw new Error('Authentication failed - please check credentials');
-      } else if (error.response?.status === 404) {
-        throw new Error('Upload endpoint not found - check item ID and type');
+        throw toTaigaError(error, ERROR_MESSAGES.FILE_TOO_LARGE);
       }
       
-      throw new Error(`Failed to upload attachment to Taiga: ${error.message}`);
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_UPLOAD_ATTACHMENT);
     }
   }
 
@@ -897,6 +1015,10 @@ export class TaigaService {
       return await this.uploadAttachment(itemType, itemId, fileData, fileName, mimeType, description);
       
     } catch (error) {
+      // Keep the type of errors Taiga returned for the upload itself
+      if (error instanceof TaigaError) {
+        throw error;
+      }
       throw new Error(`Failed to upload attachment from path: ${error.message}`);
     }
   }
@@ -945,15 +1067,15 @@ export class TaigaService {
       
       return response.data;
     } catch (error) {
-      console.error('Failed to list attachments:', error.message);
-      throw new Error('Failed to list attachments from Taiga');
+      logger.error('Failed to list attachments', { error });
+      throw toTaigaError(error, 'Failed to list attachments from Taiga');
     }
   }
 
   /**
    * Download attachment by ID
    * @param {number} attachmentId - ID of the attachment
-   * @param {string} [downloadPath] - Optional path to save the file
+   * @param {string} [downloadPath] - Optional path (file or existing directory) to save the file
    * @returns {Promise<Object>} - Download result with filename and path
    */
   async downloadAttachment(attachmentId, downloadPath) {
@@ -972,8 +1094,12 @@ export class TaigaService {
       });
       
       // Determine save path
-      const filename = attachment.name || `attachment_${attachmentId}`;
-      const savedPath = downloadPath || path.default.join(process.cwd(), filename);
+      // Only the base name of Taiga's file name is used, so it cannot point elsewhere
+      const filename = path.default.basename(attachment.name || `attachment_${attachmentId}`);
+      const directory = !downloadPath || (fs.default.existsSync(downloadPath) && fs.default.statSync(downloadPath).isDirectory())
+        ? downloadPath || process.cwd()
+        : null;
+      const savedPath = directory ? path.default.join(directory, filename) : downloadPath;
       
       // Save file
       const writer = fs.default.createWriteStream(savedPath);
@@ -990,8 +1116,8 @@ export class TaigaService {
         writer.on('error', reject);
       });
     } catch (error) {
-      console.error('Failed to download attachment:', error.message);
-      throw new Error('Failed to download attachment from Taiga');
+      logger.error('Failed to download attachment', { error });
+      throw toTaigaError(error, 'Failed to download attachment from Taiga');
     }
   }
 
@@ -1005,8 +1131,8 @@ export class TaigaService {
       const client = await createAuthenticatedClient();
       await client.delete(`${API_ENDPOINTS.ISSUE_ATTACHMENTS}/${attachmentId}`);
     } catch (error) {
-      console.error('Failed to delete attachment:', error.message);
-      throw new Error('Failed to delete attachment from Taiga');
+      logger.error('Failed to delete attachment', { error });
+      throw toTaigaError(error, 'Failed to delete attachment from Taiga');
     }
   }
 
@@ -1045,8 +1171,8 @@ export class TaigaService {
       const response = await client.post(API_ENDPOINTS.EPICS, epicData);
       return response.data;
     } catch (error) {
-      console.error('Failed to create epic:', error.message);
-      throw new Error('Failed to create epic in Taiga');
+      logger.error('Failed to create epic', { error });
+      throw toTaigaError(error, 'Failed to create epic in Taiga');
     }
   }
 
@@ -1072,8 +1198,8 @@ export class TaigaService {
       const allEpics = await fetchAllPaginated(fetchPage);
       return allEpics;
     } catch (error) {
-      console.error('Failed to list epics:', error.message);
-      throw new Error('Failed to list epics from Taiga');
+      logger.error('Failed to list epics', { error });
+      throw toTaigaError(error, 'Failed to list epics from Taiga');
     }
   }
 
@@ -1088,8 +1214,8 @@ export class TaigaService {
       const response = await client.get(`${API_ENDPOINTS.EPICS}/${epicId}`);
       return response.data;
     } catch (error) {
-      console.error('Failed to get epic:', error.message);
-      throw new Error('Failed to get epic details from Taiga');
+      logger.error('Failed to get epic', { error });
+      throw toTaigaError(error, 'Failed to get epic details from Taiga');
     }
   }
 
@@ -1102,19 +1228,10 @@ export class TaigaService {
   async updateEpic(epicId, updateData) {
     try {
       const client = await createAuthenticatedClient();
-      
-      // Get current Epic to get version for update
-      const currentEpic = await this.getEpic(epicId);
-      const dataWithVersion = {
-        ...updateData,
-        version: currentEpic.version
-      };
-      
-      const response = await client.patch(`${API_ENDPOINTS.EPICS}/${epicId}`, dataWithVersion);
-      return response.data;
+      return await patchWithVersion(client, `${API_ENDPOINTS.EPICS}/${epicId}`, updateData, 'Failed to update epic in Taiga');
     } catch (error) {
-      console.error('Failed to update epic:', error.message);
-      throw new Error('Failed to update epic in Taiga');
+      logger.error('Failed to update epic', { error });
+      throw toTaigaError(error, 'Failed to update epic in Taiga');
     }
   }
 
@@ -1127,19 +1244,10 @@ export class TaigaService {
   async linkStoryToEpic(userStoryId, epicId) {
     try {
       const client = await createAuthenticatedClient();
-      
-      // Get current User Story to get version for update
-      const currentStory = await client.get(`${API_ENDPOINTS.USER_STORIES}/${userStoryId}`);
-      const updateData = {
-        epic: epicId,
-        version: currentStory.data.version
-      };
-      
-      const response = await client.patch(`${API_ENDPOINTS.USER_STORIES}/${userStoryId}`, updateData);
-      return response.data;
+      return await patchWithVersion(client, `${API_ENDPOINTS.USER_STORIES}/${userStoryId}`, { epic: epicId }, 'Failed to link user story to epic');
     } catch (error) {
-      console.error('Failed to link story to epic:', error.message);
-      throw new Error('Failed to link user story to epic');
+      logger.error('Failed to link story to epic', { error });
+      throw toTaigaError(error, 'Failed to link user story to epic');
     }
   }
 
@@ -1151,19 +1259,10 @@ export class TaigaService {
   async unlinkStoryFromEpic(userStoryId) {
     try {
       const client = await createAuthenticatedClient();
-      
-      // Get current User Story to get version for update
-      const currentStory = await client.get(`${API_ENDPOINTS.USER_STORIES}/${userStoryId}`);
-      const updateData = {
-        epic: null,
-        version: currentStory.data.version
-      };
-      
-      const response = await client.patch(`${API_ENDPOINTS.USER_STORIES}/${userStoryId}`, updateData);
-      return response.data;
+      return await patchWithVersion(client, `${API_ENDPOINTS.USER_STORIES}/${userStoryId}`, { epic: null }, 'Failed to unlink user story from epic');
     } catch (error) {
-      console.error('Failed to unlink story from epic:', error.message);
-      throw new Error('Failed to unlink user story from epic');
+      logger.error('Failed to unlink story from epic', { error });
+      throw toTaigaError(error, 'Failed to unlink user story from epic');
     }
   }
 
@@ -1180,8 +1279,8 @@ export class TaigaService {
       const response = await client.post(API_ENDPOINTS.WIKI, wikiData);
       return response.data;
     } catch (error) {
-      console.error('Failed to create wiki page:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_CREATE_WIKI);
+      logger.error('Failed to create wiki page', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_CREATE_WIKI);
     }
   }
 
@@ -1207,8 +1306,8 @@ export class TaigaService {
       const allWikiPages = await fetchAllPaginated(fetchPage);
       return allWikiPages;
     } catch (error) {
-      console.error('Failed to list wiki pages:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_LIST_WIKI);
+      logger.error('Failed to list wiki pages', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_LIST_WIKI);
     }
   }
 
@@ -1223,8 +1322,8 @@ export class TaigaService {
       const response = await client.get(`${API_ENDPOINTS.WIKI}/${wikiPageId}`);
       return response.data;
     } catch (error) {
-      console.error('Failed to get wiki page:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_GET_WIKI);
+      logger.error('Failed to get wiki page', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_GET_WIKI);
     }
   }
 
@@ -1245,8 +1344,8 @@ export class TaigaService {
       });
       return response.data;
     } catch (error) {
-      console.error('Failed to get wiki page by slug:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_GET_WIKI);
+      logger.error('Failed to get wiki page by slug', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_GET_WIKI);
     }
   }
 
@@ -1259,19 +1358,10 @@ export class TaigaService {
   async updateWikiPage(wikiPageId, updateData) {
     try {
       const client = await createAuthenticatedClient();
-      
-      // Get current wiki page to get version for update
-      const currentWiki = await client.get(`${API_ENDPOINTS.WIKI}/${wikiPageId}`);
-      const dataWithVersion = {
-        ...updateData,
-        version: currentWiki.data.version
-      };
-      
-      const response = await client.patch(`${API_ENDPOINTS.WIKI}/${wikiPageId}`, dataWithVersion);
-      return response.data;
+      return await patchWithVersion(client, `${API_ENDPOINTS.WIKI}/${wikiPageId}`, updateData, ERROR_MESSAGES.FAILED_TO_UPDATE_WIKI);
     } catch (error) {
-      console.error('Failed to update wiki page:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_UPDATE_WIKI);
+      logger.error('Failed to update wiki page', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_UPDATE_WIKI);
     }
   }
 
@@ -1285,8 +1375,8 @@ export class TaigaService {
       const client = await createAuthenticatedClient();
       await client.delete(`${API_ENDPOINTS.WIKI}/${wikiPageId}`);
     } catch (error) {
-      console.error('Failed to delete wiki page:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_DELETE_WIKI);
+      logger.error('Failed to delete wiki page', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_DELETE_WIKI);
     }
   }
 
@@ -1306,8 +1396,8 @@ export class TaigaService {
       const response = await client.post(endpoint);
       return response.data;
     } catch (error) {
-      console.error('Failed to watch/unwatch wiki page:', error.message);
-      throw new Error(ERROR_MESSAGES.FAILED_TO_WATCH_WIKI);
+      logger.error('Failed to watch/unwatch wiki page', { error });
+      throw toTaigaError(error, ERROR_MESSAGES.FAILED_TO_WATCH_WIKI);
     }
   }
 }
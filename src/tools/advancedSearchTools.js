@@ -5,7 +5,7 @@
 
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { ERROR_MESSAGES, SUCCESS_MESSAGES } from '../constants.js';
+import { STATUS_LABELS } from '../constants.js';
 import { 
   resolveProjectId,
   createErrorResponse,
@@ -13,10 +13,11 @@ import {
   formatDateTime,
   getSafeValue
 } from '../utils.js';
+import { t } from '../i18n.js';
 
 import { QueryParser } from '../query/QueryParser.js';
 import { QueryExecutor } from '../query/QueryExecutor.js';
-import { QUERY_EXAMPLES } from '../query/queryGrammar.js';
+import { QueryError } from '../query/QueryError.js';
 
 const taigaService = new TaigaService();
 
@@ -25,6 +26,7 @@ const taigaService = new TaigaService();
  */
 export const advancedSearchTool = {
   name: 'advancedSearch',
+  readOnly: true,
   schema: {
     projectIdentifier: z.string().describe('Project ID, slug, or name'),
     query: z.string().describe('Advanced search query using special syntax'),
@@ -59,10 +61,10 @@ export const advancedSearchTool = {
       return createSuccessResponse(formattedResults);
       
     } catch (error) {
-      if (error.message.includes('查詢解析錯誤') || error.message.includes('查詢執行失敗')) {
-        return createErrorResponse(`${error.message}\n\n💡 查詢語法示例:\n${getQueryExamples()}`);
+      if (error instanceof QueryError) {
+        return createErrorResponse(`${error.message}\n\n${t('tools.search.examplesHint')}\n${t('tools.search.examples')}`);
       }
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_LIST_ISSUES}: ${error.message}`);
+      return createErrorResponse(t('tools.search.failed', { message: error.message }));
     }
   }
 };
@@ -72,6 +74,7 @@ export const advancedSearchTool = {
  */
 export const queryHelpTool = {
   name: 'queryHelp',
+  readOnly: true,
   schema: {
     topic: z.enum(['syntax', 'operators', 'examples', 'fields']).optional().describe('Help topic to show')
   },
@@ -81,26 +84,26 @@ export const queryHelpTool = {
       
       switch (topic) {
         case 'syntax':
-          helpContent = getQuerySyntaxHelp();
+          helpContent = t('tools.search.helpSyntax');
           break;
         case 'operators':
-          helpContent = getOperatorsHelp();
+          helpContent = t('tools.search.helpOperators');
           break;
         case 'examples':
-          helpContent = getQueryExamplesHelp();
+          helpContent = t('tools.search.helpExamples');
           break;
         case 'fields':
-          helpContent = getFieldsHelp();
+          helpContent = t('tools.search.helpFields');
           break;
         default:
-          helpContent = getGeneralHelp();
+          helpContent = t('tools.search.helpGeneral');
           break;
       }
       
       return createSuccessResponse(helpContent);
       
     } catch (error) {
-      return createErrorResponse(`無法獲取幫助信息: ${error.message}`);
+      return createErrorResponse(t('tools.search.failedHelp', { message: error.message }));
     }
   }
 };
@@ -110,6 +113,7 @@ export const queryHelpTool = {
  */
 export const validateQueryTool = {
   name: 'validateQuery',
+  readOnly: true,
   schema: {
     query: z.string().describe('Query string to validate'),
     type: z.enum(['issues', 'user_stories', 'tasks']).optional().default('issues').describe('Type of items to validate against')
@@ -124,29 +128,23 @@ export const validateQueryTool = {
       const parsedQuery = parser.parse(query, dataType);
       const stats = parser.getQueryStats(parsedQuery);
       
-      const validationResult = `
-✅ **查詢語法驗證通過**
-
-🔍 **解析結果:**
-- 過濾條件數量: ${stats.filterCount}
-- 邏輯操作符: ${parsedQuery.logic}
-- 排序: ${stats.hasOrderBy ? `${parsedQuery.orderBy.field} ${parsedQuery.orderBy.direction}` : '無'}
-- 限制: ${stats.hasLimit ? parsedQuery.limit : '無'}
-- 分組: ${stats.hasGroupBy ? parsedQuery.groupBy : '無'}
-- 複雜度: ${stats.complexity}
-
-📋 **過濾條件詳情:**
-${parsedQuery.filters.map((filter, index) => 
-  `${index + 1}. ${filter.field} ${filter.operator} ${JSON.stringify(filter.value)}`
-).join('\n')}
-
-🎯 **查詢類型:** ${type}
-`;
+      const validationResult = t('tools.search.validated', {
+        filterCount: stats.filterCount,
+        logic: parsedQuery.logic,
+        orderBy: stats.hasOrderBy ? `${parsedQuery.orderBy.field} ${parsedQuery.orderBy.direction}` : STATUS_LABELS.NONE,
+        limit: stats.hasLimit ? parsedQuery.limit : STATUS_LABELS.NONE,
+        groupBy: stats.hasGroupBy ? parsedQuery.groupBy : STATUS_LABELS.NONE,
+        complexity: stats.complexity,
+        filters: parsedQuery.filters.map((filter, index) =>
+          `${index + 1}. ${filter.field} ${filter.operator} ${JSON.stringify(filter.value)}`
+        ).join('\n'),
+        type
+      });
       
       return createSuccessResponse(validationResult);
       
     } catch (error) {
-      return createErrorResponse(`❌ **查詢語法驗證失敗**\n\n${error.message}\n\n💡 使用 queryHelp 獲取語法幫助`);
+      return createErrorResponse(t('tools.search.validationFailed', { message: error.message }));
     }
   }
 };
@@ -156,14 +154,11 @@ ${parsedQuery.filters.map((filter, index) =>
  */
 function formatAdvancedSearchResults(results, type, query, executionTime) {
   if (!results || results.length === 0) {
-    return `🔍 **高級搜索結果**\n\n查詢: \`${query}\`\n類型: ${type}\n\n❌ 沒有找到匹配的結果`;
+    return t('tools.search.noResults', { query, type });
   }
   
-  let output = `🔍 **高級搜索結果**\n\n`;
-  output += `📊 查詢: \`${query}\`\n`;
-  output += `📋 類型: ${type}\n`;
-  output += `⚡ 執行時間: ${executionTime}ms\n`;
-  output += `🎯 找到 ${results.length} 個結果\n\n`;
+  let output = `${t('tools.search.resultsTitle')}\n\n`;
+  output += `${t('tools.search.resultsSummary', { query, type, time: executionTime, count: results.length })}\n`;
   
   // 根據類型格式化結果
   results.forEach((item, index) => {
@@ -173,7 +168,7 @@ function formatAdvancedSearchResults(results, type, query, executionTime) {
   
   // 如果結果太多，提示使用限制
   if (results.length > 20) {
-    output += `\n💡 提示: 結果較多，建議使用 LIMIT 子句限制結果數量，例如: \`${query} LIMIT 10\``;
+    output += `\n${t('tools.search.limitHint', { query })}`;
   }
   
   return output;
@@ -184,234 +179,36 @@ function formatAdvancedSearchResults(results, type, query, executionTime) {
  */
 function formatSearchItem(item, type, index) {
   const ref = getSafeValue(item, 'ref', index);
-  const subject = getSafeValue(item, 'subject', '無標題');
-  const status = getSafeValue(item, 'status_extra_info.name', item.status || '未知');
+  const subject = getSafeValue(item, 'subject', t('tools.search.untitled'));
+  const status = getSafeValue(item, 'status_extra_info.name', item.status || STATUS_LABELS.UNKNOWN);
   const created = formatDateTime(item.created_date);
   
   let output = `**${index}. #${ref}: ${subject}**\n`;
-  output += `   📊 狀態: ${status}\n`;
+  output += `${t('tools.search.itemStatus', { status })}\n`;
   
   if (type === 'issues') {
-    const priority = getSafeValue(item, 'priority_extra_info.name', item.priority || '普通');
-    const type_name = getSafeValue(item, 'type_extra_info.name', item.type || '問題');
-    const assignee = getSafeValue(item, 'assigned_to_extra_info.full_name', '未分配');
+    const priority = getSafeValue(item, 'priority_extra_info.name', item.priority || t('tools.search.defaultPriority'));
+    const type_name = getSafeValue(item, 'type_extra_info.name', item.type || t('tools.search.defaultType'));
+    const assignee = getSafeValue(item, 'assigned_to_extra_info.full_name', STATUS_LABELS.UNASSIGNED);
     
-    output += `   🎯 類型: ${type_name} | 優先級: ${priority}\n`;
-    output += `   👤 指派: ${assignee}\n`;
+    output += `${t('tools.search.itemIssue', { type: type_name, priority, assignee })}\n`;
   } else if (type === 'user_stories') {
     const points = getSafeValue(item, 'total_points', 0);
-    const assignee = getSafeValue(item, 'assigned_to_extra_info.full_name', '未分配');
+    const assignee = getSafeValue(item, 'assigned_to_extra_info.full_name', STATUS_LABELS.UNASSIGNED);
     
-    output += `   ⭐ 點數: ${points} | 👤 指派: ${assignee}\n`;
+    output += `${t('tools.search.itemUserStory', { points, assignee })}\n`;
   } else if (type === 'tasks') {
-    const assignee = getSafeValue(item, 'assigned_to_extra_info.full_name', '未分配');
-    const userStory = getSafeValue(item, 'user_story_extra_info.subject', '無關聯故事');
+    const assignee = getSafeValue(item, 'assigned_to_extra_info.full_name', STATUS_LABELS.UNASSIGNED);
+    const userStory = getSafeValue(item, 'user_story_extra_info.subject', t('tools.search.noUserStory'));
     
-    output += `   👤 指派: ${assignee}\n`;
-    output += `   📋 用戶故事: ${userStory}\n`;
+    output += `${t('tools.search.itemTask', { assignee, userStory })}\n`;
   }
   
-  output += `   📅 創建: ${created}`;
+  output += t('tools.search.itemCreated', { created });
   
   return output;
 }
 
-/**
- * 獲取查詢示例
- */
-function getQueryExamples() {
-  return `
-基礎查詢:
-- status:open
-- priority:high  
-- assignee:john
-
-比較查詢:
-- points:>=5
-- created:>2024-01-01
-- updated:<7d
-
-文本搜索:
-- subject:contains:"登入"
-- description:*API*
-- tags:frontend
-
-邏輯組合:
-- status:open AND priority:high
-- type:bug OR type:feature
-- NOT status:closed
-`;
-}
-
-/**
- * 獲取查詢語法幫助
- */
-function getQuerySyntaxHelp() {
-  return `
-🔍 **高級查詢語法指南**
-
-## 基本語法
-\`field:value\` - 字段等於值
-\`field:operator:value\` - 字段操作符值
-
-## 操作符
-- \`=\` 等於 (預設)
-- \`!=\` 不等於  
-- \`>\`, \`>=\` 大於, 大於等於
-- \`<\`, \`<=\` 小於, 小於等於
-- \`contains\` 包含文本
-- \`~\` 模糊匹配
-
-## 邏輯操作符
-- \`AND\` 且條件
-- \`OR\` 或條件  
-- \`NOT\` 非條件
-
-## 排序和限制
-- \`ORDER BY field ASC/DESC\` 排序
-- \`LIMIT number\` 限制結果數量
-
-## 時間關鍵字
-- \`today\`, \`yesterday\`
-- \`this_week\`, \`last_month\`
-- \`7d\`, \`30d\` (相對時間)
-`;
-}
-
-/**
- * 獲取操作符幫助
- */
-function getOperatorsHelp() {
-  return `
-⚙️ **查詢操作符詳解**
-
-## 比較操作符
-- \`field:value\` - 等於
-- \`field:!=value\` - 不等於
-- \`field:>value\` - 大於
-- \`field:>=value\` - 大於等於
-- \`field:<value\` - 小於
-- \`field:<=value\` - 小於等於
-
-## 文本操作符
-- \`field:contains:"text"\` - 包含文本
-- \`field:~"text"\` - 模糊匹配
-- \`field:*text*\` - 通配符匹配
-
-## 特殊操作符
-- \`field:null\` - 字段為空
-- \`field:exists\` - 字段存在
-- \`field:empty\` - 字段為空值
-
-## 範圍查詢
-- \`points:3..8\` - 點數在3到8之間
-- \`created:2024-01-01..2024-12-31\` - 日期範圍
-`;
-}
-
-/**
- * 獲取查詢示例幫助
- */
-function getQueryExamplesHelp() {
-  return `
-📚 **查詢示例大全**
-
-## 問題(Issues)查詢
-\`\`\`
-status:open AND priority:high
-type:bug AND assignee:john
-created:>7d AND NOT status:closed
-priority:urgent OR severity:critical
-\`\`\`
-
-## 用戶故事查詢  
-\`\`\`
-points:>=5 AND status:in-progress
-assignee:team-lead AND points:3..8
-milestone:"Sprint 3" AND status:!=done
-\`\`\`
-
-## 任務查詢
-\`\`\`
-assignee:developer AND status:open
-user_story:contains:"API" ORDER BY created DESC
-status:in-progress LIMIT 5
-\`\`\`
-
-## 複雜查詢
-\`\`\`
-(status:open OR status:in-progress) AND priority:high AND updated:this_week
-assignee:john AND (type:bug OR priority:urgent) ORDER BY created ASC LIMIT 10
-\`\`\`
-`;
-}
-
-/**
- * 獲取字段幫助  
- */
-function getFieldsHelp() {
-  return `
-📋 **可查詢字段列表**
-
-## Issues 字段
-- \`subject\` - 標題
-- \`description\` - 描述
-- \`status\` - 狀態
-- \`priority\` - 優先級
-- \`type\` - 類型
-- \`assignee\` - 指派人
-- \`tags\` - 標籤
-- \`created\` - 創建時間
-- \`updated\` - 更新時間
-
-## User Stories 字段
-- \`subject\` - 標題  
-- \`status\` - 狀態
-- \`points\` - 故事點數
-- \`assignee\` - 指派人
-- \`milestone\` - 里程碑
-- \`tags\` - 標籤
-
-## Tasks 字段
-- \`subject\` - 標題
-- \`status\` - 狀態
-- \`assignee\` - 指派人
-- \`user_story\` - 關聯用戶故事
-- \`tags\` - 標籤
-`;
-}
-
-/**
- * 獲取通用幫助
- */
-function getGeneralHelp() {
-  return `
-🎯 **高級查詢功能概述**
-
-歡迎使用Taiga MCP Server的高級查詢功能！這個強大的搜索引擎讓您能夠用類似SQL的語法精確查找項目數據。
-
-## 🚀 主要功能
-- **精確過濾**: 使用多種操作符精確篩選數據
-- **邏輯組合**: 使用AND/OR/NOT組合複雜條件  
-- **文本搜索**: 模糊匹配和通配符搜索
-- **排序限制**: 自定義排序和結果數量限制
-- **時間查詢**: 靈活的日期和時間範圍查詢
-
-## 🔧 可用工具
-- \`advancedSearch\` - 執行高級查詢
-- \`queryHelp\` - 獲取語法幫助
-- \`validateQuery\` - 驗證查詢語法
-
-## 💡 快速開始
-1. 使用 \`queryHelp syntax\` 學習基本語法
-2. 使用 \`queryHelp examples\` 查看示例
-3. 使用 \`validateQuery\` 驗證您的查詢
-4. 使用 \`advancedSearch\` 執行搜索
-
-開始您的高級查詢之旅吧！🔍
-`;
-}
-
 /**
  * 註冊高級搜索工具
  */
@@ -3,13 +3,59 @@
  * Handles file uploads, downloads, listing, and deletion for Issues, User Stories, and Tasks
  */
 
+import fs from 'fs';
+import path from 'path';
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { createSuccessResponse, createErrorResponse, resolveProjectId } from '../utils.js';
-import { ERROR_MESSAGES, SUCCESS_MESSAGES } from '../constants.js';
+import { createSuccessResponse, createErrorResponse, resolveProjectId, formatDate, formatDateTime } from '../utils.js';
+import { ERROR_MESSAGES, SUCCESS_MESSAGES, STATUS_LABELS } from '../constants.js';
+import { NotFoundError, failureMessage } from '../errors.js';
+import { t } from '../i18n.js';
+import { attachmentSchema, downloadSchema, toAttachment } from '../outputSchemas.js';
+import { logger } from '../logger.js';
+import { isSharedSession } from '../context.js';
 
 const taigaService = new TaigaService();
 
+/**
+ * Resolve symlinks of a path whose last parts may not exist yet
+ * @param {string} target - Absolute path
+ * @returns {string} - Real path
+ */
+function realPath(target) {
+  try {
+    return fs.realpathSync(target);
+  } catch (error) {
+    const parent = path.dirname(target);
+    return parent === target ? target : path.join(realPath(parent), path.basename(target));
+  }
+}
+
+/**
+ * Resolve a path on the server's filesystem given in the tool arguments
+ * Over stdio the client runs on the same machine and paths are used as given. HTTP
+ * clients are remote: they may only reach inside MCP_HTTP_FILE_DIR, if it is set.
+ * @param {string} [requested] - Path from the tool arguments
+ * @returns {string|undefined} - Path to use (MCP_HTTP_FILE_DIR itself when none was given over HTTP)
+ */
+function localPath(requested) {
+  if (!isSharedSession()) {
+    return requested;
+  }
+
+  const directory = process.env.MCP_HTTP_FILE_DIR;
+  if (!directory) {
+    throw new Error(t('tools.attachments.filesDisabled'));
+  }
+
+  const root = realPath(path.resolve(directory));
+  const resolved = realPath(path.resolve(root, requested || '.'));
+  if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+    throw new Error(t('tools.attachments.outsideFileDir', { path: requested }));
+  }
+  return resolved;
+}
+
 /**
  * Upload attachment tool
  * Uploads a file attachment to an Issue, User Story, or Task
@@ -29,16 +75,19 @@ export const uploadAttachmentTool = {
     mimeType: z.string().optional().describe('MIME type of the file (auto-detected if not provided)'),
     description: z.string().optional().describe('Optional description for the attachment')
   },
+  outputSchema: { attachment: attachmentSchema },
   
   handler: async ({ itemType, itemId, projectIdentifier, fileData, fileName, mimeType, filePath, description }) => {
     try {
+      const sourcePath = filePath && localPath(filePath);
+
       if (!taigaService.isAuthenticated()) {
         return createErrorResponse(ERROR_MESSAGES.AUTHENTICATION_FAILED);
       }
 
       // 對於issues，projectIdentifier是必需的
       if (itemType === 'issue' && !projectIdentifier) {
-        return createErrorResponse('Project identifier is required when uploading attachments to issues. Please provide projectIdentifier parameter.');
+        return createErrorResponse(t('tools.attachments.issueNeedsProject'));
       }
 
       // 解析項目ID並驗證item存在
@@ -53,39 +102,47 @@ export const uploadAttachmentTool = {
           try {
             const actualItem = await taigaService.getIssue(itemId);
             if (actualItem.project !== projectId) {
-              throw new Error(`Issue #${itemId} does not belong to project ${projectIdentifier}`);
+              throw new Error(t('tools.attachments.issueNotInProject', { id: itemId, project: projectIdentifier }));
             }
             actualItemId = actualItem.id;
           } catch (idError) {
-            throw new Error(`Issue #${itemId} not found in project ${projectIdentifier}`);
+            throw new Error(t('tools.attachments.issueNotFound', { id: itemId, project: projectIdentifier }));
           }
         }
       }
 
       // 智能檢測使用哪種上傳模式
       let uploadResult;
-      if (filePath) {
+      if (sourcePath) {
         // 主要方式：使用文件路徑 (Claude Client 支援)
-        uploadResult = await taigaService.uploadAttachmentFromPath(itemType, actualItemId, filePath, description);
+        uploadResult = await taigaService.uploadAttachmentFromPath(itemType, actualItemId, sourcePath, description);
       } else if (fileData && fileName) {
         // 進階方式：使用 Base64 數據 (程式化使用)
         uploadResult = await taigaService.uploadAttachment(itemType, actualItemId, fileData, fileName, mimeType, description);
       } else {
-        throw new Error('Please provide either filePath (recommended for Claude Client) or fileData+fileName (for programmatic use)');
+        throw new Error(t('tools.attachments.fileRequired'));
       }
       
+      const lines = [
+        t('tools.attachments.uploaded', {
+          name: uploadResult.name,
+          size: (uploadResult.size / 1024).toFixed(2),
+          itemType,
+          itemId,
+          date: formatDateTime(uploadResult.created_date)
+        })
+      ];
+      if (uploadResult.description) {
+        lines.push(t('tools.attachments.description', { description: uploadResult.description }));
+      }
+
       return createSuccessResponse(
-        `${SUCCESS_MESSAGES.ATTACHMENT_UPLOADED}\n\n` +
-        `**附件信息**\n` +
-        `- 文件名: ${uploadResult.name}\n` +
-        `- 大小: ${(uploadResult.size / 1024).toFixed(2)} KB\n` +
-        `- 附件到: ${itemType} #${itemId}\n` +
-        `- 上傳時間: ${new Date(uploadResult.created_date).toLocaleString()}\n` +
-        `${uploadResult.description ? `- 描述: ${uploadResult.description}\n` : ''}`
+        `${SUCCESS_MESSAGES.ATTACHMENT_UPLOADED}\n\n${lines.join('\n')}\n`,
+        { attachment: toAttachment(uploadResult) }
       );
     } catch (error) {
-      console.error('Error uploading attachment:', error);
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_UPLOAD_ATTACHMENT}: ${error.message}`);
+      logger.error('Error uploading attachment', { error });
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_UPLOAD_ATTACHMENT));
     }
   }
 };
@@ -97,10 +154,12 @@ export const uploadAttachmentTool = {
 export const listAttachmentsTool = {
   name: 'listAttachments',
   description: 'List all attachments for an Issue, User Story, or Task',
+  readOnly: true,
   schema: {
     itemType: z.enum(['issue', 'user_story', 'task']).describe('Type of item to list attachments for'),
     itemId: z.number().describe('ID of the item to list attachments for')
   },
+  outputSchema: { attachments: z.array(attachmentSchema) },
   
   handler: async ({ itemType, itemId }) => {
     try {
@@ -112,31 +171,34 @@ export const listAttachmentsTool = {
       
       if (attachments.length === 0) {
         return createSuccessResponse(
-          `**${itemType} #${itemId} 附件列表**\n\n` +
-          `暫無附件`
+          `${t('tools.attachments.listTitle', { itemType, itemId })}\n\n${t('tools.attachments.noAttachments')}`,
+          { attachments: [] }
         );
       }
 
       const attachmentList = attachments.map(att => {
-        const sizeKB = (att.size / 1024).toFixed(2);
-        const uploadDate = new Date(att.created_date).toLocaleDateString();
-        return (
-          `**${att.name}**\n` +
-          `   - ID: ${att.id}\n` +
-          `   - 大小: ${sizeKB} KB\n` +
-          `   - 上傳日期: ${uploadDate}\n` +
-          `   - 上傳者: ${att.owner_name || '未知'}\n` +
-          `${att.description ? `   - 描述: ${att.description}\n` : ''}`
-        );
+        const lines = [
+          t('tools.attachments.listItem', {
+            name: att.name,
+            id: att.id,
+            size: (att.size / 1024).toFixed(2),
+            date: formatDate(att.created_date),
+            owner: att.owner_name || STATUS_LABELS.UNKNOWN
+          })
+        ];
+        if (att.description) {
+          lines.push(t('tools.attachments.itemDescription', { description: att.description }));
+        }
+        return `${lines.join('\n')}\n`;
       }).join('\n');
 
       return createSuccessResponse(
-        `**${itemType} #${itemId} 附件列表** (共 ${attachments.length} 個)\n\n` +
-        attachmentList
+        `${t('tools.attachments.listTitleCount', { itemType, itemId, count: attachments.length })}\n\n${attachmentList}`,
+        { attachments: attachments.map(toAttachment) }
       );
     } catch (error) {
-      console.error('Error listing attachments:', error);
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_LIST_ATTACHMENTS);
+      logger.error('Error listing attachments', { error });
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_LIST_ATTACHMENTS));
     }
   }
 };
@@ -148,32 +210,38 @@ export const listAttachmentsTool = {
 export const downloadAttachmentTool = {
   name: 'downloadAttachment',
   description: 'Download an attachment by ID',
+  readOnly: true,
   schema: {
     attachmentId: z.number().describe('ID of the attachment to download'),
-    downloadPath: z.string().optional().describe('Optional local path to save the file')
+    downloadPath: z.string().optional().describe('Optional local path (file or directory) to save the file')
   },
+  outputSchema: { download: downloadSchema },
   
   handler: async ({ attachmentId, downloadPath }) => {
     try {
+      const targetPath = localPath(downloadPath);
+
       if (!taigaService.isAuthenticated()) {
         return createErrorResponse(ERROR_MESSAGES.AUTHENTICATION_FAILED);
       }
 
-      const result = await taigaService.downloadAttachment(attachmentId, downloadPath);
+      const result = await taigaService.downloadAttachment(attachmentId, targetPath);
       
       return createSuccessResponse(
         `${SUCCESS_MESSAGES.ATTACHMENT_DOWNLOADED}\n\n` +
-        `**下載信息**\n` +
-        `- 文件名: ${result.filename}\n` +
-        `- 保存位置: ${result.savedPath}\n` +
-        `- 文件大小: ${(result.size / 1024).toFixed(2)} KB`
+        t('tools.attachments.downloaded', {
+          name: result.filename,
+          path: result.savedPath,
+          size: (result.size / 1024).toFixed(2)
+        }),
+        { download: { attachmentId, filename: result.filename, savedPath: result.savedPath, size: result.size } }
       );
     } catch (error) {
-      console.error('Error downloading attachment:', error);
-      if (error.response?.status === 404) {
+      logger.error('Error downloading attachment', { error });
+      if (error instanceof NotFoundError) {
         return createErrorResponse(ERROR_MESSAGES.ATTACHMENT_NOT_FOUND);
       }
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_DOWNLOAD_ATTACHMENT);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_DOWNLOAD_ATTACHMENT));
     }
   }
 };
@@ -185,6 +253,7 @@ export const downloadAttachmentTool = {
 export const deleteAttachmentTool = {
   name: 'deleteAttachment',
   description: 'Delete an attachment by ID',
+  destructive: true,
   schema: {
     attachmentId: z.number().describe('ID of the attachment to delete')
   },
@@ -198,15 +267,14 @@ export const deleteAttachmentTool = {
       await taigaService.deleteAttachment(attachmentId);
       
       return createSuccessResponse(
-        `${SUCCESS_MESSAGES.ATTACHMENT_DELETED}\n\n` +
-        `附件 ID: ${attachmentId} 已成功刪除`
+        `${SUCCESS_MESSAGES.ATTACHMENT_DELETED}\n\n${t('tools.attachments.deleted', { id: attachmentId })}`
       );
     } catch (error) {
-      console.error('Error deleting attachment:', error);
-      if (error.response?.status === 404) {
+      logger.error('Error deleting attachment', { error });
+      if (error instanceof NotFoundError) {
         return createErrorResponse(ERROR_MESSAGES.ATTACHMENT_NOT_FOUND);
       }
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_DELETE_ATTACHMENT);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_DELETE_ATTACHMENT));
     }
   }
 };
@@ -0,0 +1,135 @@
+/**
+ * Audit log and undo MCP tools
+ */
+
+import { z } from 'zod';
+import { getAuditLogPath, readAuditEntries } from '../audit.js';
+import { findAuditEntry, getUndoableEntries, undoAuditEntry } from '../undo.js';
+import { getProfile } from '../profiles.js';
+import { t } from '../i18n.js';
+import { createErrorResponse, createSuccessResponse } from '../utils.js';
+
+/**
+ * Format an audit entry as a single line
+ * @param {Object} entry - Audit entry
+ * @param {Set<string>} undone - IDs of entries that were undone
+ * @returns {string} - Formatted line
+ */
+function formatEntry(entry, undone) {
+  const status = entry.undoOf
+    ? t('tools.audit.undoOf', { id: entry.undoOf })
+    : undone.has(entry.id) ? t('tools.audit.undone') : '';
+  return t('tools.audit.entry', {
+    id: entry.id,
+    time: entry.time,
+    tool: entry.tool || t('tools.audit.unknownTool'),
+    method: entry.method,
+    endpoint: entry.endpoint,
+    status
+  });
+}
+
+/**
+ * Tool to list recent changes from the audit log
+ */
+export const listChangesTool = {
+  name: 'listChanges',
+  description: 'List recent changes made through this server (from the audit log), newest first, with the IDs used by undoChange',
+  readOnly: true,
+  schema: {
+    limit: z.number().int().positive().optional().describe('Maximum number of changes to list (default: 20)'),
+  },
+  handler: async ({ limit = 20 }) => {
+    try {
+      if (!getAuditLogPath()) {
+        return createErrorResponse(t('tools.audit.disabled'));
+      }
+
+      const profile = getProfile();
+      const entries = readAuditEntries().filter(entry => entry.profile === profile.name);
+      if (entries.length === 0) {
+        return createSuccessResponse(t('tools.audit.noChanges', { profile: profile.name }));
+      }
+
+      const undone = new Set(entries.filter(entry => entry.undoOf).map(entry => entry.undoOf));
+      const lines = entries.slice(-limit).reverse().map(entry => formatEntry(entry, undone));
+
+      const title = t('tools.audit.changesTitle', { profile: profile.name, shown: lines.length, total: entries.length });
+      return createSuccessResponse(`${title}\n\n${lines.join('\n')}`);
+    } catch (error) {
+      return createErrorResponse(t('tools.audit.listFailed', { message: error.message }));
+    }
+  }
+};
+
+/**
+ * Undo audit entries one by one, newest first, stopping at the first failure
+ * @param {Array<Object>} entries - Entries to undo, oldest first
+ * @returns {Promise<Object>} - MCP response
+ */
+async function undoEntries(entries) {
+  const done = [];
+
+  for (const entry of [...entries].reverse()) {
+    try {
+      done.push(`✅ ${entry.id}: ${await undoAuditEntry(entry)}`);
+    } catch (error) {
+      const summary = done.length > 0 ? `${done.join('\n')}\n` : '';
+      return createErrorResponse(`${summary}❌ ${entry.id}: ${error.message}`);
+    }
+  }
+
+  return createSuccessResponse(done.join('\n'));
+}
+
+/**
+ * Tool to undo the most recent tool call that changed something
+ */
+export const undoLastChangeTool = {
+  name: 'undoLastChange',
+  description: 'Undo the most recent tool call that changed Taiga (every write it made), deleting created items and added comments and restoring previous field values. Refuses when the item or comment was changed again since.',
+  schema: {},
+  handler: async () => {
+    try {
+      if (!getAuditLogPath()) {
+        return createErrorResponse(t('tools.audit.disabledUndo'));
+      }
+
+      const entries = getUndoableEntries();
+      const last = entries.at(-1);
+      if (!last) {
+        return createErrorResponse(t('tools.audit.nothingToUndo', { profile: getProfile().name }));
+      }
+
+      // A tool call can make several writes (batch tools), undo them together
+      const sameCall = last.correlationId
+        ? entries.filter(entry => entry.correlationId === last.correlationId)
+        : [last];
+      return await undoEntries(sameCall);
+    } catch (error) {
+      return createErrorResponse(t('tools.audit.undoLastFailed', { message: error.message }));
+    }
+  }
+};
+
+/**
+ * Tool to undo a single change by its audit log ID
+ */
+export const undoChangeTool = {
+  name: 'undoChange',
+  description: 'Undo a single change by its ID from listChanges, deleting a created item or added comment or restoring previous field values. Refuses when the item or comment was changed again since.',
+  schema: {
+    changeId: z.string().describe('Change ID from listChanges'),
+  },
+  handler: async ({ changeId }) => {
+    try {
+      if (!getAuditLogPath()) {
+        return createErrorResponse(t('tools.audit.disabledUndo'));
+      }
+
+      return await undoEntries([findAuditEntry(changeId)]);
+    } catch (error) {
+      return createErrorResponse(t('tools.audit.undoFailed', { message: error.message }));
+    }
+  }
+};
@@ -4,11 +4,16 @@
 
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { authenticate } from '../taigaAuth.js';
+import { authenticate, validateStaticToken, logout } from '../taigaAuth.js';
+import { getSessionStorePath } from '../sessionStore.js';
+import { getProfile, getProfiles, setActiveProfile, usesStaticToken, hasCredentials } from '../profiles.js';
+import { runWithToolContext, isSharedSession } from '../context.js';
+import { t } from '../i18n.js';
 import { SUCCESS_MESSAGES } from '../constants.js';
-import { 
+import {
   createErrorResponse,
-  createSuccessResponse
+  createSuccessResponse,
+  formatDateTime
 } from '../utils.js';
 
 const taigaService = new TaigaService();
@@ -18,26 +23,105 @@ const taigaService = new TaigaService();
  */
 export const authenticateTool = {
   name: 'authenticate',
+  readOnly: true,
   schema: {
+    profile: z.string().optional().describe('Connection profile to switch to (defaults to the active profile)'),
     username: z.string().optional(),
     password: z.string().optional(),
   },
-  handler: async ({ username, password }) => {
+  handler: async ({ profile: profileName, username, password }) => {
     try {
-      // Use provided credentials or fall back to environment variables
-      const user = username || process.env.TAIGA_USERNAME;
-      const pass = password || process.env.TAIGA_PASSWORD;
+      const profile = getProfile(profileName);
+      let currentUser;
 
-      if (!user || !pass) {
-        return createErrorResponse('Error: Username and password are required. Please provide them or set them in the environment variables.');
+      // Tokens are kept per profile for the whole process: over HTTP, logging in as
+      // someone else would hand that login to every other session
+      if (isSharedSession() && (username || password)) {
+        return createErrorResponse(t('tools.auth.sharedCredentials'));
       }
 
-      await authenticate(user, pass);
-      const currentUser = await taigaService.getCurrentUser();
+      if (usesStaticToken(profile)) {
+        // Pre-issued token: nothing to log in with, just check it is still accepted
+        currentUser = await validateStaticToken(profile.name);
+        setActiveProfile(profile.name);
+      } else {
+        // Use provided credentials or fall back to the profile's configured ones
+        const user = username || profile.username;
+        const pass = password || profile.password;
 
-      return createSuccessResponse(`${SUCCESS_MESSAGES.AUTHENTICATED} as ${currentUser.full_name} (${currentUser.username}).`);
+        if (!user || !pass) {
+          return createErrorResponse(t('tools.auth.missingCredentials', { profile: profile.name }));
+        }
+
+        await authenticate(user, pass, profile.name);
+        setActiveProfile(profile.name);
+
+        currentUser = await runWithToolContext({ profile: profile.name }, () => taigaService.getCurrentUser());
+      }
+
+      const otherProfiles = Object.keys(getProfiles()).filter(name => name !== profile.name);
+
+      const lines = [t('tools.auth.authenticated', {
+        message: SUCCESS_MESSAGES.AUTHENTICATED,
+        fullName: currentUser.full_name,
+        username: currentUser.username,
+        profile: profile.name,
+        apiUrl: profile.apiUrl
+      })];
+      if (otherProfiles.length > 0) {
+        lines.push(t('tools.auth.otherProfiles', { profiles: otherProfiles.join(', ') }));
+      }
+
+      return createSuccessResponse(lines.join('\n'));
+    } catch (error) {
+      return createErrorResponse(t('tools.auth.failed', { message: error.message }));
+    }
+  }
+};
+
+/**
+ * Tool to log out of a profile
+ * Taiga cannot revoke issued tokens, so this only makes the server forget them.
+ */
+export const logoutTool = {
+  name: 'logout',
+  description: 'Forget the auth and refresh tokens of a connection profile, in memory and in the saved session store. Taiga has no way to revoke issued tokens, so they stay valid on the server until they expire.',
+  readOnly: true,
+  schema: {},
+  handler: async () => {
+    try {
+      const profile = getProfile();
+
+      if (isSharedSession()) {
+        return createErrorResponse(t('tools.auth.sharedLogout', { profile: profile.name }));
+      }
+
+      if (usesStaticToken(profile)) {
+        return createErrorResponse(t('tools.auth.staticToken', { profile: profile.name, type: profile.tokenType.toLowerCase() }));
+      }
+
+      const { loggedIn, removedStored, tokenExpiration } = logout(profile.name);
+      if (!loggedIn) {
+        return createSuccessResponse(t('tools.auth.noSession', { profile: profile.name, apiUrl: profile.apiUrl }));
+      }
+
+      const lines = [t('tools.auth.loggedOut', { profile: profile.name, apiUrl: profile.apiUrl })];
+      if (removedStored) {
+        lines.push(t('tools.auth.sessionRemoved', { path: getSessionStorePath() }));
+      }
+      lines.push(
+        '',
+        t('tools.auth.tokensStayValid', {
+          expiry: tokenExpiration ? t('tools.auth.expiry', { date: formatDateTime(tokenExpiration) }) : ''
+        })
+      );
+      if (hasCredentials(profile)) {
+        lines.push(t('tools.auth.loginAgain'));
+      }
+
+      return createSuccessResponse(lines.join('\n'));
     } catch (error) {
-      return createErrorResponse(`Authentication failed: ${error.message}`);
+      return createErrorResponse(t('tools.auth.logoutFailed', { message: error.message }));
     }
   }
-};
\ No newline at end of file
+};
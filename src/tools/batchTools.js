@@ -11,13 +11,17 @@ import {
   BATCH_OPERATIONS,
   RESPONSE_TEMPLATES
 } from '../constants.js';
+import { failureMessage } from '../errors.js';
 import { 
   resolveProjectId,
+  requireIdByName,
   createErrorResponse,
   createSuccessResponse,
   formatDateTime,
   getSafeValue
 } from '../utils.js';
+import { t } from '../i18n.js';
+import { issueSchema, userStorySchema, taskSchema, batchFailureSchema, toIssue, toUserStory, toTask, toBatchResult } from '../outputSchemas.js';
 
 const taigaService = new TaigaService();
 
@@ -37,6 +41,7 @@ export const batchCreateIssuesTool = {
       tags: z.array(z.string()).optional().describe('Issue tags')
     })).describe('Array of issues to create')
   },
+  outputSchema: { created: z.array(issueSchema), failed: z.array(batchFailureSchema) },
   handler: async ({ projectIdentifier, issues }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -49,61 +54,83 @@ export const batchCreateIssuesTool = {
         return createErrorResponse(`${BATCH_OPERATIONS.ERROR_BATCH_TOO_LARGE} (max: ${BATCH_OPERATIONS.MAX_BATCH_SIZE})`);
       }
 
+      // Resolve every name before writing, so a typo does not leave a half-created batch.
+      // Catalog lookups are cached (and shared while in flight), so resolving names per issue adds no requests.
+      const resolveName = async (name, loadCatalog, field) => name
+        ? requireIdByName(await loadCatalog(projectId), name, field)
+        : undefined;
+      const resolved = await Promise.allSettled(issues.map(async issue => {
+        const [type, priority, severity] = await Promise.all([
+          resolveName(issue.type, id => taigaService.getIssueTypes(id), t('fields.issueType')),
+          resolveName(issue.priority, id => taigaService.getIssuePriorities(id), t('fields.priority')),
+          resolveName(issue.severity, id => taigaService.getIssueSeverities(id), t('fields.severity'))
+        ]);
+        return {
+          project: projectId,
+          subject: issue.subject,
+          description: issue.description || '',
+          type,
+          priority,
+          severity,
+          tags: issue.tags || []
+        };
+      }));
+
+      const invalid = resolved
+        .map((outcome, i) => outcome.status === 'rejected' ? `${i + 1}. ${issues[i].subject} - ${outcome.reason.message}` : null)
+        .filter(Boolean);
+      const payloads = resolved.map(outcome => outcome.value);
+
+      if (invalid.length > 0) {
+        return createErrorResponse(`${BATCH_OPERATIONS.ERROR_INVALID_ITEMS}\n${invalid.join('\n')}`);
+      }
+
+      // Created in parallel; the client's request scheduler bounds how many run at once
+      const outcomes = await Promise.allSettled(payloads.map(payload => taigaService.createIssue(payload)));
       const results = [];
       const errors = [];
-      
-      for (let i = 0; i < issues.length; i++) {
-        const issue = issues[i];
-        try {
-          const createdIssue = await taigaService.createIssue({
-            projectId,
-            subject: issue.subject,
-            description: issue.description || '',
-            type: issue.type,
-            priority: issue.priority,
-            severity: issue.severity,
-            tags: issue.tags || []
-          });
-          
+
+      outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
           results.push({
             index: i + 1,
-            subject: issue.subject,
-            ref: createdIssue.ref,
-            id: createdIssue.id,
+            subject: issues[i].subject,
+            ref: outcome.value.ref,
+            id: outcome.value.id,
             status: 'success'
           });
-        } catch (error) {
+        } else {
           errors.push({
             index: i + 1,
-            subject: issue.subject,
-            error: error.message,
+            subject: issues[i].subject,
+            error: outcome.reason.message,
             status: 'failed'
           });
         }
-      }
+      });
 
       // Format response
       let responseText = `${BATCH_OPERATIONS.SUCCESS_BATCH_CREATED_ISSUES}\n\n`;
       
       if (results.length > 0) {
-        responseText += `✅ **成功創建 ${results.length} 個Issues:**\n`;
+        responseText += `${t('tools.batch.created', { count: results.length, items: t('tools.batch.issues') })}\n`;
         results.forEach(result => {
           responseText += `${result.index}. ${result.subject} (#${result.ref})\n`;
         });
       }
       
       if (errors.length > 0) {
-        responseText += `\n❌ **失敗 ${errors.length} 個Issues:**\n`;
+        responseText += `\n${t('tools.batch.failed', { count: errors.length, items: t('tools.batch.issues') })}\n`;
         errors.forEach(error => {
           responseText += `${error.index}. ${error.subject} - ${error.error}\n`;
         });
       }
 
-      responseText += `\n📊 **總結:** ${results.length}/${issues.length} 成功`;
+      responseText += `\n${t('tools.batch.summary', { succeeded: results.length, total: issues.length })}`;
       
-      return createSuccessResponse(responseText);
+      return createSuccessResponse(responseText, toBatchResult(outcomes, issues, toIssue));
     } catch (error) {
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_CREATE_ISSUE}: ${error.message}`);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_CREATE_ISSUE));
     }
   }
 };
@@ -122,6 +149,7 @@ export const batchCreateUserStoriesTool = {
       tags: z.array(z.string()).optional().describe('User story tags')
     })).describe('Array of user stories to create')
   },
+  outputSchema: { created: z.array(userStorySchema), failed: z.array(batchFailureSchema) },
   handler: async ({ projectIdentifier, userStories }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -134,59 +162,58 @@ export const batchCreateUserStoriesTool = {
         return createErrorResponse(`${BATCH_OPERATIONS.ERROR_BATCH_TOO_LARGE} (max: ${BATCH_OPERATIONS.MAX_BATCH_SIZE})`);
       }
 
+      // Created in parallel; the client's request scheduler bounds how many run at once
+      const outcomes = await Promise.allSettled(userStories.map(story => taigaService.createUserStory({
+        project: projectId,
+        subject: story.subject,
+        description: story.description || '',
+        points: story.points,
+        tags: story.tags || []
+      })));
       const results = [];
       const errors = [];
-      
-      for (let i = 0; i < userStories.length; i++) {
-        const story = userStories[i];
-        try {
-          const createdStory = await taigaService.createUserStory({
-            projectId,
-            subject: story.subject,
-            description: story.description || '',
-            points: story.points,
-            tags: story.tags || []
-          });
-          
+
+      outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
           results.push({
             index: i + 1,
-            subject: story.subject,
-            ref: createdStory.ref,
-            id: createdStory.id,
+            subject: userStories[i].subject,
+            ref: outcome.value.ref,
+            id: outcome.value.id,
             status: 'success'
           });
-        } catch (error) {
+        } else {
           errors.push({
             index: i + 1,
-            subject: story.subject,
-            error: error.message,
+            subject: userStories[i].subject,
+            error: outcome.reason.message,
             status: 'failed'
           });
         }
-      }
+      });
 
       // Format response
       let responseText = `${BATCH_OPERATIONS.SUCCESS_BATCH_CREATED_STORIES}\n\n`;
       
       if (results.length > 0) {
-        responseText += `✅ **成功創建 ${results.length} 個User Stories:**\n`;
+        responseText += `${t('tools.batch.created', { count: results.length, items: t('tools.batch.userStories') })}\n`;
         results.forEach(result => {
           responseText += `${result.index}. ${result.subject} (#${result.ref})\n`;
         });
       }
       
       if (errors.length > 0) {
-        responseText += `\n❌ **失敗 ${errors.length} 個User Stories:**\n`;
+        responseText += `\n${t('tools.batch.failed', { count: errors.length, items: t('tools.batch.userStories') })}\n`;
         errors.forEach(error => {
           responseText += `${error.index}. ${error.subject} - ${error.error}\n`;
         });
       }
 
-      responseText += `\n📊 **總結:** ${results.length}/${userStories.length} 成功`;
+      responseText += `\n${t('tools.batch.summary', { succeeded: results.length, total: userStories.length })}`;
       
-      return createSuccessResponse(responseText);
+      return createSuccessResponse(responseText, toBatchResult(outcomes, userStories, toUserStory));
     } catch (error) {
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_CREATE_USER_STORY}: ${error.message}`);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_CREATE_USER_STORY));
     }
   }
 };
@@ -205,6 +232,7 @@ export const batchCreateTasksTool = {
       tags: z.array(z.string()).optional().describe('Task tags')
     })).describe('Array of tasks to create')
   },
+  outputSchema: { created: z.array(taskSchema), failed: z.array(batchFailureSchema) },
   handler: async ({ projectIdentifier, userStoryRef, tasks }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -223,63 +251,62 @@ export const batchCreateTasksTool = {
       const userStory = userStories.find(story => story.ref === parseInt(refNumber));
       
       if (!userStory) {
-        return createErrorResponse(`User story ${userStoryRef} not found`);
+        return createErrorResponse(t('tools.batch.storyNotFound', { ref: userStoryRef }));
       }
 
+      // Created in parallel; the client's request scheduler bounds how many run at once
+      const outcomes = await Promise.allSettled(tasks.map(task => taigaService.createTask({
+        project: projectId,
+        user_story: userStory.id,
+        subject: task.subject,
+        description: task.description || '',
+        tags: task.tags || []
+      })));
       const results = [];
       const errors = [];
-      
-      for (let i = 0; i < tasks.length; i++) {
-        const task = tasks[i];
-        try {
-          const createdTask = await taigaService.createTask({
-            projectId,
-            userStoryId: userStory.id,
-            subject: task.subject,
-            description: task.description || '',
-            tags: task.tags || []
-          });
-          
+
+      outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
           results.push({
             index: i + 1,
-            subject: task.subject,
-            ref: createdTask.ref,
-            id: createdTask.id,
+            subject: tasks[i].subject,
+            ref: outcome.value.ref,
+            id: outcome.value.id,
             status: 'success'
           });
-        } catch (error) {
+        } else {
           errors.push({
             index: i + 1,
-            subject: task.subject,
-            error: error.message,
+            subject: tasks[i].subject,
+            error: outcome.reason.message,
             status: 'failed'
           });
         }
-      }
+      });
 
       // Format response
       let responseText = `${BATCH_OPERATIONS.SUCCESS_BATCH_CREATED_TASKS}\n\n`;
-      responseText += `📋 **User Story:** ${userStory.subject} (${userStoryRef})\n\n`;
+      responseText += `${t('tools.batch.userStory', { subject: userStory.subject, ref: userStoryRef })}\n\n`;
       
       if (results.length > 0) {
-        responseText += `✅ **成功創建 ${results.length} 個Tasks:**\n`;
+        responseText += `${t('tools.batch.created', { count: results.length, items: t('tools.batch.tasks') })}\n`;
         results.forEach(result => {
           responseText += `${result.index}. ${result.subject} (#${result.ref})\n`;
         });
       }
       
       if (errors.length > 0) {
-        responseText += `\n❌ **失敗 ${errors.length} 個Tasks:**\n`;
+        responseText += `\n${t('tools.batch.failed', { count: errors.length, items: t('tools.batch.tasks') })}\n`;
         errors.forEach(error => {
           responseText += `${error.index}. ${error.subject} - ${error.error}\n`;
         });
       }
 
-      responseText += `\n📊 **總結:** ${results.length}/${tasks.length} 成功`;
+      responseText += `\n${t('tools.batch.summary', { succeeded: results.length, total: tasks.length })}`;
       
-      return createSuccessResponse(responseText);
+      return createSuccessResponse(responseText, toBatchResult(outcomes, tasks, toTask));
     } catch (error) {
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_CREATE_TASK}: ${error.message}`);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_CREATE_TASK));
     }
   }
 };
@@ -0,0 +1,44 @@
+/**
+ * Cache management MCP tools
+ */
+
+import { z } from 'zod';
+import { clearCache, CACHE_TTL_MS } from '../cache.js';
+import { getProfile } from '../profiles.js';
+import { t } from '../i18n.js';
+import {
+  createErrorResponse,
+  createSuccessResponse,
+  resolveProjectId
+} from '../utils.js';
+
+/**
+ * Tool to drop cached project catalogs (statuses, priorities, members, ...)
+ */
+export const clearCacheTool = {
+  name: 'clearCache',
+  description: 'Clear cached project catalogs (statuses, priorities, severities, types, members, projects) so they are fetched fresh from Taiga',
+  readOnly: true,
+  schema: {
+    projectIdentifier: z.string().optional().describe('Project ID or slug (omit to clear every project of the current profile)'),
+  },
+  handler: async ({ projectIdentifier }) => {
+    try {
+      const profile = getProfile();
+
+      if (projectIdentifier) {
+        const projectId = await resolveProjectId(projectIdentifier);
+        const removed = clearCache({ projectId });
+        return createSuccessResponse(t('tools.cache.clearedProject', { count: removed, project: projectIdentifier, profile: profile.name }));
+      }
+
+      const removed = clearCache();
+      const note = CACHE_TTL_MS > 0
+        ? t('tools.cache.expiry', { seconds: Math.round(CACHE_TTL_MS / 1000) })
+        : t('tools.cache.disabled');
+      return createSuccessResponse(t('tools.cache.clearedProfile', { count: removed, profile: profile.name, note }));
+    } catch (error) {
+      return createErrorResponse(t('tools.cache.failed', { message: error.message }));
+    }
+  }
+};
@@ -5,7 +5,8 @@
 
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { ERROR_MESSAGES, SUCCESS_MESSAGES } from '../constants.js';
+import { ERROR_MESSAGES, SUCCESS_MESSAGES, STATUS_LABELS } from '../constants.js';
+import { NotFoundError, failureMessage } from '../errors.js';
 import { 
   resolveProjectId,
   createErrorResponse,
@@ -13,6 +14,8 @@ import {
   formatDateTime,
   getSafeValue
 } from '../utils.js';
+import { t } from '../i18n.js';
+import { commentSchema, toComment } from '../outputSchemas.js';
 
 const taigaService = new TaigaService();
 
@@ -26,7 +29,7 @@ const taigaService = new TaigaService();
 async function resolveAndGetItem(itemType, itemId, projectIdentifier) {
   // 對於issues，projectIdentifier是必需的
   if (itemType === 'issue' && !projectIdentifier) {
-    throw new Error('Project identifier is required when working with issues. Please provide projectIdentifier parameter.');
+    throw new Error(t('tools.comments.issueNeedsProject'));
   }
 
   // 解析項目ID
@@ -45,10 +48,15 @@ async function resolveAndGetItem(itemType, itemId, projectIdentifier) {
         actualItem = await taigaService.getIssue(itemId);
         // 檢查是否屬於正確的項目
         if (actualItem.project !== projectId) {
-          throw new Error(`Issue #${itemId} does not belong to project ${projectIdentifier}`);
+          throw new Error(t('tools.comments.issueNotInProject', { id: itemId, project: projectIdentifier }));
         }
       } catch (idError) {
-        throw new Error(`Issue #${itemId} not found in project ${projectIdentifier}. Tried both ref and ID: ${refError.message}, ${idError.message}`);
+        throw new Error(t('tools.comments.issueNotFound', {
+          id: itemId,
+          project: projectIdentifier,
+          refError: refError.message,
+          idError: idError.message
+        }));
       }
     }
   } else {
@@ -70,6 +78,7 @@ export const addCommentTool = {
     projectIdentifier: z.string().optional().describe('Project ID or slug (required for issues)'),
     comment: z.string().min(1).describe('Comment content to add')
   },
+  outputSchema: { comment: commentSchema },
   handler: async ({ itemType, itemId, projectIdentifier, comment }) => {
     try {
       // 檢查認證狀態
@@ -90,10 +99,10 @@ export const addCommentTool = {
       
       // 格式化響應
       const result = formatCommentResponse(response, 'added');
-      return createSuccessResponse(`${SUCCESS_MESSAGES.COMMENT_ADDED}\n\n${result}`);
+      return createSuccessResponse(`${SUCCESS_MESSAGES.COMMENT_ADDED}\n\n${result}`, { comment: toComment(response) });
       
     } catch (error) {
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_ADD_COMMENT}: ${error.message}`);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_ADD_COMMENT));
     }
   }
 };
@@ -103,11 +112,13 @@ export const addCommentTool = {
  */
 export const listCommentsTool = {
   name: 'listComments',
+  readOnly: true,
   schema: {
     itemType: z.enum(['issue', 'user_story', 'task']).describe('Type of item to get comments for'),
     itemId: z.number().describe('ID of the issue, user story, or task'),
     projectIdentifier: z.string().optional().describe('Project ID or slug (required for issues)')
   },
+  outputSchema: { comments: z.array(commentSchema) },
   handler: async ({ itemType, itemId, projectIdentifier }) => {
     try {
       // 檢查認證狀態
@@ -125,15 +136,16 @@ export const listCommentsTool = {
       const comments = filterCommentsFromHistory(history);
       
       if (!comments || comments.length === 0) {
-        return createSuccessResponse(`**${itemType} #${itemId} 評論列表**\n\n目前沒有評論`);
+        const emptyText = `${t('tools.comments.listTitle', { itemType, itemId })}\n\n${t('tools.comments.noComments')}`;
+        return createSuccessResponse(emptyText, { comments: [] });
       }
       
       // 格式化評論列表
       const formattedComments = formatCommentsList(comments, itemType, itemId);
-      return createSuccessResponse(formattedComments);
+      return createSuccessResponse(formattedComments, { comments: comments.map(toComment) });
       
     } catch (error) {
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_LIST_COMMENTS}: ${error.message}`);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_LIST_COMMENTS));
     }
   }
 };
@@ -147,6 +159,7 @@ export const editCommentTool = {
     commentId: z.number().describe('ID of the comment to edit'),
     newComment: z.string().min(1).describe('New comment content')
   },
+  outputSchema: { comment: commentSchema },
   handler: async ({ commentId, newComment }) => {
     try {
       // 編輯評論
@@ -154,13 +167,13 @@ export const editCommentTool = {
       
       // 格式化響應
       const result = formatCommentResponse(response, 'edited');
-      return createSuccessResponse(`${SUCCESS_MESSAGES.COMMENT_EDITED}\n\n${result}`);
+      return createSuccessResponse(`${SUCCESS_MESSAGES.COMMENT_EDITED}\n\n${result}`, { comment: toComment(response) });
       
     } catch (error) {
-      if (error.response?.status === 404) {
+      if (error instanceof NotFoundError) {
         return createErrorResponse(ERROR_MESSAGES.COMMENT_NOT_FOUND);
       }
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_EDIT_COMMENT}: ${error.message}`);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_EDIT_COMMENT));
     }
   }
 };
@@ -170,6 +183,7 @@ export const editCommentTool = {
  */
 export const deleteCommentTool = {
   name: 'deleteComment',
+  destructive: true,
   schema: {
     commentId: z.number().describe('ID of the comment to delete')
   },
@@ -178,13 +192,13 @@ export const deleteCommentTool = {
       // 刪除評論
       await taigaService.deleteComment(commentId);
       
-      return createSuccessResponse(`${SUCCESS_MESSAGES.COMMENT_DELETED}\n\n評論 #${commentId} 已成功刪除`);
+      return createSuccessResponse(`${SUCCESS_MESSAGES.COMMENT_DELETED}\n\n${t('tools.comments.deleted', { id: commentId })}`);
       
     } catch (error) {
-      if (error.response?.status === 404) {
+      if (error instanceof NotFoundError) {
         return createErrorResponse(ERROR_MESSAGES.COMMENT_NOT_FOUND);
       }
-      return createErrorResponse(`${ERROR_MESSAGES.FAILED_TO_DELETE_COMMENT}: ${error.message}`);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_DELETE_COMMENT));
     }
   }
 };
@@ -208,18 +222,17 @@ function filterCommentsFromHistory(history) {
  * 格式化評論列表
  */
 function formatCommentsList(comments, itemType, itemId) {
-  let output = `**${itemType.replace('_', ' ')} #${itemId} 評論列表**\n\n`;
-  output += `共 ${comments.length} 個評論\n\n`;
+  let output = `${t('tools.comments.listTitle', { itemType: itemType.replace('_', ' '), itemId })}\n\n`;
+  output += `${t('tools.comments.count', { count: comments.length })}\n\n`;
   
   comments.forEach((comment, index) => {
-    const user = comment.user?.full_name || comment.user?.username || '未知用戶';
+    const user = comment.user?.full_name || comment.user?.username || STATUS_LABELS.UNKNOWN_USER;
     const createdDate = formatDateTime(comment.created_at);
-    const commentText = comment.comment || '無內容';
+    const commentText = comment.comment || STATUS_LABELS.NO_CONTENT;
     
-    output += `**${index + 1}. ${user}** ${createdDate}\n`;
-    output += `${commentText}\n`;
+    output += `${t('tools.comments.listItem', { index: index + 1, user, date: createdDate, text: commentText })}\n`;
     if (comment.id) {
-      output += `評論ID: ${comment.id}\n`;
+      output += `${t('tools.comments.commentId', { id: comment.id })}\n`;
     }
     output += '\n';
   });
@@ -231,16 +244,14 @@ function formatCommentsList(comments, itemType, itemId) {
  * 格式化單個評論響應
  */
 function formatCommentResponse(response, action) {
-  const user = response.user?.full_name || response.user?.username || '未知用戶';
+  const user = response.user?.full_name || response.user?.username || STATUS_LABELS.UNKNOWN_USER;
   const createdDate = formatDateTime(response.created_at);
-  const commentText = response.comment || '無內容';
+  const commentText = response.comment || STATUS_LABELS.NO_CONTENT;
   
-  let output = `**評論已${action === 'added' ? '添加' : '編輯'}**\n\n`;
-  output += `用戶: ${user}\n`;
-  output += `時間: ${createdDate}\n`;
-  output += `內容: ${commentText}\n`;
+  let output = `${t(action === 'added' ? 'tools.comments.added' : 'tools.comments.edited')}\n\n`;
+  output += `${t('tools.comments.details', { user, date: createdDate, text: commentText })}\n`;
   if (response.id) {
-    output += `評論ID: ${response.id}`;
+    output += t('tools.comments.commentId', { id: response.id });
   }
   
   return output;
@@ -0,0 +1,28 @@
+/**
+ * Diagnostics MCP tools
+ */
+
+import { z } from 'zod';
+import { runDiagnostics, formatDiagnostics } from '../diagnostics.js';
+import { createErrorResponse, createSuccessResponse } from '../utils.js';
+import { t } from '../i18n.js';
+
+/**
+ * Tool to check connectivity, authentication, permissions and API compatibility
+ */
+export const diagnoseTool = {
+  name: 'diagnose',
+  description: 'Check the connection to Taiga: API URL, latency, login/token validity, current user, project membership, permissions and modules, and whether each API endpoint responds',
+  readOnly: true,
+  schema: {
+    projectIdentifier: z.string().optional().describe('Project ID or slug to check membership, permissions and modules for'),
+  },
+  handler: async ({ projectIdentifier }) => {
+    try {
+      const report = await runDiagnostics(projectIdentifier);
+      return createSuccessResponse(formatDiagnostics(report));
+    } catch (error) {
+      return createErrorResponse(t('tools.diagnostics.failed', { message: error.message }));
+    }
+  }
+};
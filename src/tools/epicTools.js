@@ -5,8 +5,12 @@
 
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { createSuccessResponse, createErrorResponse } from '../utils.js';
-import { ERROR_MESSAGES, SUCCESS_MESSAGES } from '../constants.js';
+import { createSuccessResponse, createErrorResponse, formatDate, formatDateTime } from '../utils.js';
+import { ERROR_MESSAGES, SUCCESS_MESSAGES, STATUS_LABELS } from '../constants.js';
+import { NotFoundError, failureMessage } from '../errors.js';
+import { t } from '../i18n.js';
+import { epicSchema, userStorySchema, toEpic, toUserStory } from '../outputSchemas.js';
+import { logger } from '../logger.js';
 
 const taigaService = new TaigaService();
 
@@ -24,6 +28,7 @@ export const createEpicTool = {
     color: z.string().optional().describe('Optional color code for the Epic (e.g., #FF5733)'),
     tags: z.array(z.string()).optional().describe('Optional tags for categorization'),
   },
+  outputSchema: { epic: epicSchema },
   
   handler: async ({ project, subject, description, color, tags }) => {
     try {
@@ -41,20 +46,29 @@ export const createEpicTool = {
 
       const result = await taigaService.createEpic(epicData);
       
+      const lines = [
+        t('tools.epics.created', {
+          id: result.id,
+          subject: result.subject,
+          project: result.project_extra_info?.name || project,
+          color: result.color,
+          date: formatDateTime(result.created_date)
+        })
+      ];
+      if (result.description) {
+        lines.push(t('tools.epics.description', { description: result.description }));
+      }
+      if (result.tags && result.tags.length > 0) {
+        lines.push(t('tools.epics.tags', { tags: result.tags.join(', ') }));
+      }
+
       return createSuccessResponse(
-        `${SUCCESS_MESSAGES.EPIC_CREATED}\n\n` +
-        `🏛️ **Epic創建成功**\n` +
-        `- Epic ID: ${result.id}\n` +
-        `- 標題: ${result.subject}\n` +
-        `- 專案: ${result.project_extra_info?.name || project}\n` +
-        `- 顏色: ${result.color}\n` +
-        `- 創建時間: ${new Date(result.created_date).toLocaleString()}\n` +
-        `${result.description ? `- 描述: ${result.description}\n` : ''}` +
-        `${result.tags && result.tags.length > 0 ? `- 標籤: ${result.tags.join(', ')}\n` : ''}`
+        `${SUCCESS_MESSAGES.EPIC_CREATED}\n\n${lines.join('\n')}\n`,
+        { epic: toEpic(result) }
       );
     } catch (error) {
-      console.error('Error creating epic:', error);
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_CREATE_EPIC);
+      logger.error('Error creating epic', { error });
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_CREATE_EPIC));
     }
   }
 };
@@ -66,9 +80,11 @@ export const createEpicTool = {
 export const listEpicsTool = {
   name: 'listEpics',
   description: 'List all Epics in a project',
+  readOnly: true,
   schema: {
     project: z.number().describe('Project ID to list Epics from')
   },
+  outputSchema: { epics: z.array(epicSchema) },
   
   handler: async ({ project }) => {
     try {
@@ -80,34 +96,40 @@ export const listEpicsTool = {
       
       if (epics.length === 0) {
         return createSuccessResponse(
-          `🏛️ **專案 #${project} Epic列表**\n\n` +
-          `暫無Epic`
+          `${t('tools.epics.listTitle', { project })}\n\n${t('tools.epics.noEpics')}`,
+          { epics: [] }
         );
       }
 
       const epicList = epics.map((epic, index) => {
-        const createdDate = new Date(epic.created_date).toLocaleDateString();
-        const storyCount = epic.user_stories_counts?.total || 0;
-        const statusInfo = epic.status_extra_info?.name || '未設定';
-        
-        return (
-          `${index + 1}. **${epic.subject}** (ID: ${epic.id})\n` +
-          `   - 狀態: ${statusInfo}\n` +
-          `   - 用戶故事: ${storyCount} 個\n` +
-          `   - 創建日期: ${createdDate}\n` +
-          `   - 顏色: ${epic.color}\n` +
-          `${epic.description ? `   - 描述: ${epic.description.substring(0, 100)}${epic.description.length > 100 ? '...' : ''}\n` : ''}` +
-          `${epic.tags && epic.tags.length > 0 ? `   - 標籤: ${epic.tags.join(', ')}\n` : ''}`
-        );
+        const lines = [
+          t('tools.epics.listItem', {
+            index: index + 1,
+            subject: epic.subject,
+            id: epic.id,
+            status: epic.status_extra_info?.name || STATUS_LABELS.NOT_SET,
+            storyCount: epic.user_stories_counts?.total || 0,
+            date: formatDate(epic.created_date),
+            color: epic.color
+          })
+        ];
+        if (epic.description) {
+          const description = `${epic.description.substring(0, 100)}${epic.description.length > 100 ? '...' : ''}`;
+          lines.push(t('tools.epics.itemDescription', { description }));
+        }
+        if (epic.tags && epic.tags.length > 0) {
+          lines.push(t('tools.epics.itemTags', { tags: epic.tags.join(', ') }));
+        }
+        return `${lines.join('\n')}\n`;
       }).join('\n');
 
       return createSuccessResponse(
-        `🏛️ **專案 #${project} Epic列表** (共 ${epics.length} 個)\n\n` +
-        epicList
+        `${t('tools.epics.listTitleCount', { project, count: epics.length })}\n\n${epicList}`,
+        { epics: epics.map(toEpic) }
       );
     } catch (error) {
-      console.error('Error listing epics:', error);
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_LIST_EPICS);
+      logger.error('Error listing epics', { error });
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_LIST_EPICS));
     }
   }
 };
@@ -119,9 +141,11 @@ export const listEpicsTool = {
 export const getEpicTool = {
   name: 'getEpic',
   description: 'Get detailed information about a specific Epic',
+  readOnly: true,
   schema: {
     epicId: z.number().describe('ID of the Epic to get details for')
   },
+  outputSchema: { epic: epicSchema },
   
   handler: async ({ epicId }) => {
     try {
@@ -131,36 +155,34 @@ export const getEpicTool = {
 
       const epic = await taigaService.getEpic(epicId);
       
-      const createdDate = new Date(epic.created_date).toLocaleString();
-      const modifiedDate = new Date(epic.modified_date).toLocaleString();
-      const storyCount = epic.user_stories_counts?.total || 0;
-      const statusInfo = epic.status_extra_info?.name || '未設定';
-      const ownerInfo = epic.owner_extra_info?.full_name || '未分配';
-      
-      return createSuccessResponse(
-        `🏛️ **Epic詳細信息**\n\n` +
-        `**基本信息**\n` +
-        `- ID: ${epic.id}\n` +
-        `- 標題: ${epic.subject}\n` +
-        `- 專案: ${epic.project_extra_info?.name || epic.project}\n` +
-        `- 狀態: ${statusInfo}\n` +
-        `- 負責人: ${ownerInfo}\n` +
-        `- 顏色: ${epic.color}\n\n` +
-        `**進度統計**\n` +
-        `- 關聯用戶故事: ${storyCount} 個\n` +
-        `- 創建時間: ${createdDate}\n` +
-        `- 最後修改: ${modifiedDate}\n\n` +
-        `${epic.description ? `**描述**\n${epic.description}\n\n` : ''}` +
-        `${epic.tags && epic.tags.length > 0 ? `**標籤**\n${epic.tags.join(', ')}\n\n` : ''}` +
-        `**項目鏈接**\n` +
-        `- Taiga URL: ${epic.permalink || '無'}`
-      );
+      const sections = [
+        t('tools.epics.details', {
+          id: epic.id,
+          subject: epic.subject,
+          project: epic.project_extra_info?.name || epic.project,
+          status: epic.status_extra_info?.name || STATUS_LABELS.NOT_SET,
+          owner: epic.owner_extra_info?.full_name || STATUS_LABELS.UNASSIGNED,
+          color: epic.color,
+          storyCount: epic.user_stories_counts?.total || 0,
+          created: formatDateTime(epic.created_date),
+          modified: formatDateTime(epic.modified_date)
+        })
+      ];
+      if (epic.description) {
+        sections.push(t('tools.epics.detailsDescription', { description: epic.description }));
+      }
+      if (epic.tags && epic.tags.length > 0) {
+        sections.push(t('tools.epics.detailsTags', { tags: epic.tags.join(', ') }));
+      }
+      sections.push(t('tools.epics.detailsLink', { permalink: epic.permalink || STATUS_LABELS.NONE }));
+
+      return createSuccessResponse(sections.join('\n'), { epic: toEpic(epic) });
     } catch (error) {
-      console.error('Error getting epic:', error);
-      if (error.response?.status === 404) {
+      logger.error('Error getting epic', { error });
+      if (error instanceof NotFoundError) {
         return createErrorResponse(ERROR_MESSAGES.EPIC_NOT_FOUND);
       }
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_GET_EPIC);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_GET_EPIC));
     }
   }
 };
@@ -180,6 +202,7 @@ export const updateEpicTool = {
     tags: z.array(z.string()).optional().describe('New tags for the Epic'),
     status: z.number().optional().describe('New status ID for the Epic')
   },
+  outputSchema: { epic: epicSchema },
   
   handler: async ({ epicId, subject, description, color, tags, status }) => {
     try {
@@ -198,19 +221,23 @@ export const updateEpicTool = {
       
       return createSuccessResponse(
         `${SUCCESS_MESSAGES.EPIC_UPDATED}\n\n` +
-        `🏛️ **Epic更新完成**\n` +
-        `- Epic ID: ${result.id}\n` +
-        `- 標題: ${result.subject}\n` +
-        `- 狀態: ${result.status_extra_info?.name || '未設定'}\n` +
-        `- 最後修改: ${new Date(result.modified_date).toLocaleString()}\n` +
-        `${result.description ? `- 描述: ${result.description.substring(0, 150)}${result.description.length > 150 ? '...' : ''}\n` : ''}`
+        `${t('tools.epics.updated', {
+          id: result.id,
+          subject: result.subject,
+          status: result.status_extra_info?.name || STATUS_LABELS.NOT_SET,
+          date: formatDateTime(result.modified_date)
+        })}\n` +
+        `${result.description ? `${t('tools.epics.description', {
+          description: `${result.description.substring(0, 150)}${result.description.length > 150 ? '...' : ''}`
+        })}\n` : ''}`,
+        { epic: toEpic(result) }
       );
     } catch (error) {
-      console.error('Error updating epic:', error);
-      if (error.response?.status === 404) {
+      logger.error('Error updating epic', { error });
+      if (error instanceof NotFoundError) {
         return createErrorResponse(ERROR_MESSAGES.EPIC_NOT_FOUND);
       }
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_UPDATE_EPIC);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_UPDATE_EPIC));
     }
   }
 };
@@ -226,6 +253,7 @@ export const linkStoryToEpicTool = {
     userStoryId: z.number().describe('ID of the User Story to link'),
     epicId: z.number().describe('ID of the Epic to link the story to')
   },
+  outputSchema: { userStory: userStorySchema },
   
   handler: async ({ userStoryId, epicId }) => {
     try {
@@ -237,18 +265,22 @@ export const linkStoryToEpicTool = {
       
       return createSuccessResponse(
         `${SUCCESS_MESSAGES.STORY_LINKED_TO_EPIC}\n\n` +
-        `🔗 **故事連結成功**\n` +
-        `- User Story: #${userStoryId} "${result.subject}"\n` +
-        `- Epic: #${epicId} "${result.epic?.subject || 'Epic'}"\n` +
-        `- 連結時間: ${new Date().toLocaleString()}\n` +
-        `- 專案: ${result.project_extra_info?.name || result.project}`
+        t('tools.epics.linked', {
+          storyId: userStoryId,
+          subject: result.subject,
+          epicId,
+          epic: result.epic?.subject || 'Epic',
+          date: formatDateTime(new Date().toISOString()),
+          project: result.project_extra_info?.name || result.project
+        }),
+        { userStory: toUserStory(result) }
       );
     } catch (error) {
-      console.error('Error linking story to epic:', error);
-      if (error.response?.status === 404) {
+      logger.error('Error linking story to epic', { error });
+      if (error instanceof NotFoundError) {
         return createErrorResponse(ERROR_MESSAGES.USER_STORY_NOT_FOUND);
       }
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_LINK_STORY);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_LINK_STORY));
     }
   }
 };
@@ -263,6 +295,7 @@ export const unlinkStoryFromEpicTool = {
   schema: {
     userStoryId: z.number().describe('ID of the User Story to unlink')
   },
+  outputSchema: { userStory: userStorySchema },
   
   handler: async ({ userStoryId }) => {
     try {
@@ -274,18 +307,20 @@ export const unlinkStoryFromEpicTool = {
       
       return createSuccessResponse(
         `${SUCCESS_MESSAGES.STORY_UNLINKED_FROM_EPIC}\n\n` +
-        `🔓 **故事取消連結**\n` +
-        `- User Story: #${userStoryId} "${result.subject}"\n` +
-        `- 已從Epic移除\n` +
-        `- 操作時間: ${new Date().toLocaleString()}\n` +
-        `- 專案: ${result.project_extra_info?.name || result.project}`
+        t('tools.epics.unlinked', {
+          storyId: userStoryId,
+          subject: result.subject,
+          date: formatDateTime(new Date().toISOString()),
+          project: result.project_extra_info?.name || result.project
+        }),
+        { userStory: toUserStory(result) }
       );
     } catch (error) {
-      console.error('Error unlinking story from epic:', error);
-      if (error.response?.status === 404) {
+      logger.error('Error unlinking story from epic', { error });
+      if (error instanceof NotFoundError) {
         return createErrorResponse(ERROR_MESSAGES.USER_STORY_NOT_FOUND);
       }
-      return createErrorResponse(ERROR_MESSAGES.FAILED_TO_UNLINK_STORY);
+      return createErrorResponse(failureMessage(error, ERROR_MESSAGES.FAILED_TO_UNLINK_STORY));
     }
   }
 };
\ No newline at end of file
@@ -3,9 +3,18 @@
  * Centralizes all tool definitions for easy management
  */
 
+import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import { runWithToolContext } from '../context.js';
+import { logger, log } from '../logger.js';
+import { isGlobalDryRun, formatDryRunReport, withDryRunOutput } from '../dryRun.js';
+import { createSuccessResponse } from '../utils.js';
+import { getDefaultProject } from '../config.js';
+import { SUPPORTED_LOCALES } from '../i18n.js';
+
 // Import all tool modules
-import { authenticateTool } from './authTools.js';
-import { listProjectsTool, getProjectTool } from './projectTools.js';
+import { authenticateTool, logoutTool } from './authTools.js';
+import { listProjectsTool, getProjectTool, getProjectSchemaTool, createProjectTool, updateProjectTool, setProjectModulesTool, deleteProjectTool } from './projectTools.js';
 import { listUserStoriesTool, getUserStoryTool, createUserStoryTool, assignUserStoryToSprintTool, updateUserStoryStatusTool } from './userStoryTools.js';
 import { createTaskTool } from './taskTools.js';
 import { listIssuesTool, getIssueTool, createIssueTool, addIssueToSprintTool, assignIssueTool, updateIssueStatusTool } from './issueTools.js';
@@ -16,6 +25,9 @@ import { addCommentTool, listCommentsTool, editCommentTool, deleteCommentTool }
 import { uploadAttachmentTool, listAttachmentsTool, downloadAttachmentTool, deleteAttachmentTool } from './attachmentTools.js';
 import { createEpicTool, listEpicsTool, getEpicTool, updateEpicTool, linkStoryToEpicTool, unlinkStoryFromEpicTool } from './epicTools.js';
 import { createWikiPageTool, listWikiPagesTool, getWikiPageTool, updateWikiPageTool, deleteWikiPageTool, watchWikiPageTool } from './wikiTools.js';
+import { clearCacheTool } from './cacheTools.js';
+import { listChangesTool, undoLastChangeTool, undoChangeTool } from './auditTools.js';
+import { diagnoseTool } from './diagnosticsTools.js';
 
 /**
  * Registry of all available MCP tools
@@ -24,13 +36,19 @@ import { createWikiPageTool, listWikiPagesTool, getWikiPageTool, updateWikiPageT
 export const toolRegistry = {
   // Authentication tools
   auth: [
-    authenticateTool
+    authenticateTool,
+    logoutTool
   ],
   
   // Project management tools
   projects: [
     listProjectsTool,
-    getProjectTool
+    getProjectTool,
+    getProjectSchemaTool,
+    createProjectTool,
+    updateProjectTool,
+    setProjectModulesTool,
+    deleteProjectTool
   ],
   
   // User story tools
@@ -114,6 +132,23 @@ export const toolRegistry = {
     updateWikiPageTool,
     deleteWikiPageTool,
     watchWikiPageTool
+  ],
+
+  // Cache management tools
+  cache: [
+    clearCacheTool
+  ],
+
+  // Audit log and undo tools
+  audit: [
+    listChangesTool,
+    undoLastChangeTool,
+    undoChangeTool
+  ],
+
+  // Diagnostics tools
+  diagnostics: [
+    diagnoseTool
   ]
 };
 
@@ -140,25 +175,194 @@ export function getToolsByCategory(category) {
   return toolRegistry[category] || [];
 }
 
+/**
+ * Schema for the connection profile argument accepted by every tool
+ */
+export const profileArgument = z.string().optional().describe('Connection profile to use for this call (defaults to the active profile)');
+
+/**
+ * Schema for the response language argument accepted by every tool
+ */
+export const localeArgument = z.enum(SUPPORTED_LOCALES).optional().describe('Language of the response text (defaults to TAIGA_LOCALE, else "en")');
+
+/**
+ * Schema for the dry-run argument accepted by every mutating tool
+ */
+export const dryRunArgument = z.boolean().optional().describe('Resolve and validate everything, then return the exact requests instead of changing Taiga');
+
+/**
+ * Make a required projectIdentifier optional when a default project is configured
+ * @param {Object} schema - Tool argument schema
+ * @param {string} [defaultProject] - Configured default project
+ * @returns {Object} - The same schema, or a copy with an optional projectIdentifier
+ */
+function withDefaultProject(schema, defaultProject) {
+  const argument = schema.projectIdentifier;
+  if (!defaultProject || !argument || argument.isOptional()) {
+    return schema;
+  }
+  return {
+    ...schema,
+    projectIdentifier: argument.optional().describe(`${argument.description} (defaults to "${defaultProject}")`)
+  };
+}
+
 /**
  * Register a tool with the MCP server
+ * Every tool accepts an optional `profile` argument selecting the Taiga connection for the call,
+ * and an optional `locale` argument selecting the language of its response text (see i18n.js).
+ * Each call runs with its own correlation ID, which tags its log entries and error responses.
+ * Tools flagged `readOnly` are announced to clients with the `readOnlyHint` annotation; all
+ * other tools accept a `dryRun` argument (see dryRun.js) and carry `destructiveHint`, true only
+ * for tools flagged `destructive` (deletes): MCP assumes writes are destructive unless told
+ * otherwise. With TAIGA_DEFAULT_PROJECT set,
+ * `projectIdentifier` may be omitted and falls back to that project. Tools with an
+ * `outputSchema` (see outputSchemas.js) return `structuredContent` next to their text.
  * @param {Object} server - MCP server instance
  * @param {Object} tool - Tool definition
  */
 export function registerTool(server, tool) {
-  server.tool(tool.name, tool.schema, tool.handler);
+  const defaultProject = getDefaultProject();
+  const toolSchema = withDefaultProject(tool.schema, defaultProject);
+  const schema = tool.readOnly
+    ? { profile: profileArgument, locale: localeArgument, ...toolSchema }
+    : { profile: profileArgument, locale: localeArgument, dryRun: dryRunArgument, ...toolSchema };
+  const annotations = tool.readOnly
+    ? { readOnlyHint: true }
+    : { readOnlyHint: false, destructiveHint: tool.destructive === true };
+  const outputSchema = tool.outputSchema && (tool.readOnly ? tool.outputSchema : withDryRunOutput(tool.outputSchema));
+
+  server.registerTool(tool.name, {
+    description: tool.description,
+    inputSchema: schema,
+    ...(outputSchema && { outputSchema }),
+    annotations
+  }, (callArgs, extra) => {
+    const args = toolSchema !== tool.schema && !callArgs.projectIdentifier
+      ? { ...callArgs, projectIdentifier: defaultProject }
+      : callArgs;
+    const context = {
+      profile: args.profile,
+      locale: args.locale,
+      tool: tool.name,
+      args,
+      correlationId: randomUUID(),
+      dryRun: !tool.readOnly && (isGlobalDryRun() || args.dryRun === true),
+      plannedRequests: []
+    };
+
+    return runWithToolContext(context, async () => {
+      const startTime = Date.now();
+      logger.debug('Tool call started', { args });
+
+      try {
+        const result = await tool.handler(args, extra);
+        log(result?.isError ? 'warn' : 'info', 'Tool call finished', {
+          durationMs: Date.now() - startTime,
+          isError: Boolean(result?.isError),
+          ...(context.dryRun && { dryRun: true, plannedRequests: context.plannedRequests.length })
+        });
+
+        // Validation errors are reported as usual; otherwise show what would have been sent
+        if (context.dryRun && !result?.isError) {
+          return createSuccessResponse(
+            formatDryRunReport(context.plannedRequests),
+            outputSchema && { dryRun: true, plannedRequests: context.plannedRequests }
+          );
+        }
+        return result;
+      } catch (error) {
+        logger.error('Tool call failed', { durationMs: Date.now() - startTime, error });
+        throw error;
+      }
+    });
+  });
+}
+
+/**
+ * Parse a comma-separated list setting
+ * @param {string} [value] - Raw value
+ * @returns {Array<string>|undefined} - List of entries, or undefined when unset
+ */
+function parseList(value) {
+  if (!value || !value.trim()) {
+    return undefined;
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Read which tools to expose from the environment
+ * - TAIGA_READ_ONLY       Only expose tools that do not change Taiga data
+ * - TAIGA_TOOL_CATEGORIES Comma-separated toolRegistry categories to expose
+ * - TAIGA_ALLOWED_TOOLS   Comma-separated tool names to expose
+ * - TAIGA_DENIED_TOOLS    Comma-separated tool names to hide
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} - Tool selection for selectTools()
+ */
+export function getToolSelectionFromEnv(env = process.env) {
+  return {
+    readOnly: ['1', 'true', 'yes'].includes((env.TAIGA_READ_ONLY || '').trim().toLowerCase()),
+    categories: parseList(env.TAIGA_TOOL_CATEGORIES),
+    allowedTools: parseList(env.TAIGA_ALLOWED_TOOLS),
+    deniedTools: parseList(env.TAIGA_DENIED_TOOLS) || []
+  };
+}
+
+/**
+ * Select the tools to expose
+ * A tool is exposed only when it passes every configured filter. Unknown category
+ * or tool names are rejected, so a typo cannot silently expose a tool meant to be hidden.
+ * @param {Object} [selection] - Tool selection
+ * @param {boolean} [selection.readOnly] - Only tools flagged `readOnly`
+ * @param {Array<string>} [selection.categories] - Categories to expose (default: all)
+ * @param {Array<string>} [selection.allowedTools] - Tool names to expose (default: all)
+ * @param {Array<string>} [selection.deniedTools] - Tool names to hide
+ * @returns {Array} - Selected tool definitions
+ */
+export function selectTools({ readOnly = false, categories, allowedTools, deniedTools = [] } = {}) {
+  const toolNames = getAllTools().map(tool => tool.name);
+
+  const unknownCategories = (categories || []).filter(category => !toolRegistry[category]);
+  if (unknownCategories.length > 0) {
+    throw new Error(`Unknown tool categories: ${unknownCategories.join(', ')}. Available: ${Object.keys(toolRegistry).join(', ')}`);
+  }
+
+  const unknownTools = [...(allowedTools || []), ...deniedTools].filter(name => !toolNames.includes(name));
+  if (unknownTools.length > 0) {
+    throw new Error(`Unknown tool names: ${unknownTools.join(', ')}`);
+  }
+
+  const selected = [];
+
+  for (const [category, tools] of Object.entries(toolRegistry)) {
+    if (categories && !categories.includes(category)) {
+      continue;
+    }
+
+    selected.push(...tools.filter(tool =>
+      (!allowedTools || allowedTools.includes(tool.name)) &&
+      !deniedTools.includes(tool.name) &&
+      (!readOnly || tool.readOnly === true)
+    ));
+  }
+
+  return selected;
 }
 
 /**
- * Register all tools with the MCP server
+ * Register the selected tools with the MCP server
  * @param {Object} server - MCP server instance
+ * @param {Object} [selection] - Tool selection (defaults to the environment settings)
  */
-export function registerAllTools(server) {
-  const tools = getAllTools();
+export function registerAllTools(server, selection = getToolSelectionFromEnv()) {
+  const tools = selectTools(selection);
   
   tools.forEach(tool => {
     registerTool(server, tool);
   });
   
-  console.error(`Registered ${tools.length} MCP tools across ${Object.keys(toolRegistry).length} categories`);
-}
\ No newline at end of file
+  const hidden = getAllTools().length - tools.length;
+  const mode = selection.readOnly ? ' (read-only mode)' : '';
+  logger.info(`Registered ${tools.length} MCP tools across ${Object.keys(toolRegistry).length} categories${mode}`, { hidden });
+}
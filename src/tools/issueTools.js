@@ -9,12 +9,15 @@ import {
   resolveProjectId,
   resolveIssue,
   findIdByName,
+  requireIdByName,
   formatIssueList,
   formatDateTime,
   getSafeValue,
   createErrorResponse,
   createSuccessResponse
 } from '../utils.js';
+import { t } from '../i18n.js';
+import { issueSchema, toIssue } from '../outputSchemas.js';
 
 const taigaService = new TaigaService();
 
@@ -23,9 +26,11 @@ const taigaService = new TaigaService();
  */
 export const listIssuesTool = {
   name: 'listIssues',
+  readOnly: true,
   schema: {
     projectIdentifier: z.string().describe('Project ID or slug'),
   },
+  outputSchema: { issues: z.array(issueSchema) },
   handler: async ({ projectIdentifier }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -35,10 +40,10 @@ export const listIssuesTool = {
         return createErrorResponse(RESPONSE_TEMPLATES.NO_ISSUES);
       }
 
-      const issuesText = `Issues in Project:\n\n${formatIssueList(issues)}`;
-      return createSuccessResponse(issuesText);
+      const issuesText = t('tools.issues.list', { issues: formatIssueList(issues) });
+      return createSuccessResponse(issuesText, { issues: issues.map(toIssue) });
     } catch (error) {
-      return createErrorResponse(`Failed to list issues: ${error.message}`);
+      return createErrorResponse(t('tools.issues.failedList', { message: error.message }));
     }
   }
 };
@@ -53,6 +58,7 @@ export const updateIssueStatusTool = {
     status: z.string().describe('Name of the target status (e.g., "In Progress", "Done")'),
     projectIdentifier: z.string().optional().describe('Project ID or slug (required if using reference number)'),
   },
+  outputSchema: { issue: issueSchema },
   handler: async ({ issueIdentifier, status, projectIdentifier }) => {
     try {
       const issue = await resolveIssue(issueIdentifier, projectIdentifier);
@@ -64,24 +70,24 @@ export const updateIssueStatusTool = {
       if (!statusId) {
         const availableStatuses = statuses.map(s => `- ${s.name} (ID: ${s.id})`).join('\n');
         return createErrorResponse(
-          `Invalid status name: "${status}". Available statuses for project "${issue.project_extra_info?.name}":\n${availableStatuses}`
+          t('format.invalidStatus', { status, project: issue.project_extra_info?.name, available: availableStatuses })
         );
       }
 
       const updatedIssue = await taigaService.updateIssue(issue.id, { status: statusId });
 
-      const successMessage = `Successfully updated status for issue #${updatedIssue.ref} to "${updatedIssue.status_extra_info?.name}".
+      const successMessage = t('tools.issues.statusUpdated', {
+        ref: updatedIssue.ref,
+        status: getSafeValue(updatedIssue.status_extra_info?.name),
+        subject: updatedIssue.subject,
+        project: getSafeValue(updatedIssue.project_extra_info?.name),
+        assignee: getSafeValue(updatedIssue.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED),
+        sprint: getSafeValue(updatedIssue.milestone_extra_info?.name, STATUS_LABELS.NO_SPRINT)
+      });
 
-Issue Details:
-- Subject: ${updatedIssue.subject}
-- Project: ${getSafeValue(updatedIssue.project_extra_info?.name)}
-- New Status: ${getSafeValue(updatedIssue.status_extra_info?.name)}
-- Assigned to: ${getSafeValue(updatedIssue.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED)}
-- Sprint: ${getSafeValue(updatedIssue.milestone_extra_info?.name, STATUS_LABELS.NO_SPRINT)}`;
-
-      return createSuccessResponse(successMessage);
+      return createSuccessResponse(successMessage, { issue: toIssue(updatedIssue) });
     } catch (error) {
-      return createErrorResponse(`Failed to update issue status: ${error.message}`);
+      return createErrorResponse(t('tools.issues.failedUpdateStatus', { message: error.message }));
     }
   }
 };
@@ -91,39 +97,35 @@ Issue Details:
  */
 export const getIssueTool = {
   name: 'getIssue',
+  readOnly: true,
   schema: {
     issueIdentifier: z.string().describe('Issue ID or reference number (e.g., "123", "#45", or "45" - auto-detects format)'),
     projectIdentifier: z.string().optional().describe('Project ID or slug (required if using reference number)'),
   },
+  outputSchema: { issue: issueSchema },
   handler: async ({ issueIdentifier, projectIdentifier }) => {
     try {
       const issue = await resolveIssue(issueIdentifier, projectIdentifier);
 
-      const issueDetails = `Issue Details: #${issue.ref} - ${issue.subject}
-
-📋 Basic Information:
-- Project: ${getSafeValue(issue.project_extra_info?.name)}
-- Status: ${getSafeValue(issue.status_extra_info?.name)}
-- Priority: ${getSafeValue(issue.priority_extra_info?.name)}
-- Severity: ${getSafeValue(issue.severity_extra_info?.name)}
-- Type: ${getSafeValue(issue.type_extra_info?.name)}
-
-🎯 Assignment:
-- Assigned to: ${getSafeValue(issue.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED)}
-- Sprint: ${getSafeValue(issue.milestone_extra_info?.name, STATUS_LABELS.NO_SPRINT)}
-
-📅 Timeline:
-- Created: ${formatDateTime(issue.created_date)}
-- Modified: ${formatDateTime(issue.modified_date)}
-
-📝 Description:
-${getSafeValue(issue.description, STATUS_LABELS.NO_DESCRIPTION)}
-
-🏷️ Tags: ${getSafeValue(issue.tags?.join(', '), STATUS_LABELS.NO_TAGS)}`;
-
-      return createSuccessResponse(issueDetails);
+      const issueDetails = t('tools.issues.details', {
+        ref: issue.ref,
+        subject: issue.subject,
+        project: getSafeValue(issue.project_extra_info?.name),
+        status: getSafeValue(issue.status_extra_info?.name),
+        priority: getSafeValue(issue.priority_extra_info?.name),
+        severity: getSafeValue(issue.severity_extra_info?.name),
+        type: getSafeValue(issue.type_extra_info?.name),
+        assignee: getSafeValue(issue.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED),
+        sprint: getSafeValue(issue.milestone_extra_info?.name, STATUS_LABELS.NO_SPRINT),
+        created: formatDateTime(issue.created_date),
+        modified: formatDateTime(issue.modified_date),
+        description: getSafeValue(issue.description, STATUS_LABELS.NO_DESCRIPTION),
+        tags: getSafeValue(issue.tags?.join(', '), STATUS_LABELS.NO_TAGS)
+      });
+
+      return createSuccessResponse(issueDetails, { issue: toIssue(issue) });
     } catch (error) {
-      return createErrorResponse(`Failed to get issue details: ${error.message}`);
+      return createErrorResponse(t('tools.issues.failedGet', { message: error.message }));
     }
   }
 };
@@ -143,6 +145,7 @@ export const createIssueTool = {
     type: z.string().optional().describe('Issue type name (e.g., "Bug", "Enhancement")'),
     tags: z.array(z.string()).optional().describe('Array of tags'),
   },
+  outputSchema: { issue: issueSchema },
   handler: async ({ projectIdentifier, subject, description, status, priority, severity, type, tags }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -151,28 +154,28 @@ export const createIssueTool = {
       let statusId = undefined;
       if (status) {
         const statuses = await taigaService.getIssueStatuses(projectId);
-        statusId = findIdByName(statuses, status);
+        statusId = requireIdByName(statuses, status, t('fields.status'));
       }
 
       // Get priority ID if a priority name was provided
       let priorityId = undefined;
       if (priority) {
         const priorities = await taigaService.getIssuePriorities(projectId);
-        priorityId = findIdByName(priorities, priority);
+        priorityId = requireIdByName(priorities, priority, t('fields.priority'));
       }
 
       // Get severity ID if a severity name was provided
       let severityId = undefined;
       if (severity) {
         const severities = await taigaService.getIssueSeverities(projectId);
-        severityId = findIdByName(severities, severity);
+        severityId = requireIdByName(severities, severity, t('fields.severity'));
       }
 
       // Get type ID if a type name was provided
       let typeId = undefined;
       if (type) {
         const types = await taigaService.getIssueTypes(projectId);
-        typeId = findIdByName(types, type);
+        typeId = requireIdByName(types, type, t('fields.issueType'));
       }
 
       // Create the issue
@@ -189,19 +192,20 @@ export const createIssueTool = {
 
       const createdIssue = await taigaService.createIssue(issueData);
 
-      const creationDetails = `${SUCCESS_MESSAGES.ISSUE_CREATED}
-
-Subject: ${createdIssue.subject}
-Reference: #${createdIssue.ref}
-Status: ${getSafeValue(createdIssue.status_extra_info?.name, 'Default status')}
-Priority: ${getSafeValue(createdIssue.priority_extra_info?.name, 'Default priority')}
-Severity: ${getSafeValue(createdIssue.severity_extra_info?.name, 'Default severity')}
-Type: ${getSafeValue(createdIssue.type_extra_info?.name, 'Default type')}
-Project: ${getSafeValue(createdIssue.project_extra_info?.name)}`;
-
-      return createSuccessResponse(creationDetails);
+      const creationDetails = t('tools.issues.created', {
+        title: SUCCESS_MESSAGES.ISSUE_CREATED,
+        subject: createdIssue.subject,
+        ref: createdIssue.ref,
+        status: getSafeValue(createdIssue.status_extra_info?.name, STATUS_LABELS.DEFAULT_STATUS),
+        priority: getSafeValue(createdIssue.priority_extra_info?.name, STATUS_LABELS.DEFAULT_PRIORITY),
+        severity: getSafeValue(createdIssue.severity_extra_info?.name, STATUS_LABELS.DEFAULT_SEVERITY),
+        type: getSafeValue(createdIssue.type_extra_info?.name, STATUS_LABELS.DEFAULT_TYPE),
+        project: getSafeValue(createdIssue.project_extra_info?.name)
+      });
+
+      return createSuccessResponse(creationDetails, { issue: toIssue(createdIssue) });
     } catch (error) {
-      return createErrorResponse(`Failed to create issue: ${error.message}`);
+      return createErrorResponse(t('tools.issues.failedCreate', { message: error.message }));
     }
   }
 };
@@ -216,6 +220,7 @@ export const addIssueToSprintTool = {
     sprintIdentifier: z.string().describe('Sprint ID or name (or "remove" to remove from sprint)'),
     projectIdentifier: z.string().optional().describe('Project ID or slug (required if using reference number)'),
   },
+  outputSchema: { issue: issueSchema },
   handler: async ({ issueIdentifier, sprintIdentifier, projectIdentifier }) => {
     try {
       // Resolve the issue first
@@ -230,7 +235,7 @@ export const addIssueToSprintTool = {
         // Get project ID for sprint lookup
         const projectId = issue.project || (projectIdentifier ? await resolveProjectId(projectIdentifier) : null);
         if (!projectId) {
-          return createErrorResponse('Could not determine project ID for sprint lookup');
+          return createErrorResponse(t('tools.issues.sprintProjectUnknown'));
         }
         
         // Try to find sprint by ID first, then by name
@@ -261,7 +266,7 @@ export const addIssueToSprintTool = {
           ).join('\n');
           
           return createErrorResponse(
-            `Sprint "${sprintIdentifier}" not found in project. Available sprints:\n${availableSprints}`
+            t('tools.issues.sprintNotFound', { sprint: sprintIdentifier, available: availableSprints })
           );
         }
         
@@ -275,19 +280,20 @@ export const addIssueToSprintTool = {
       
       const updatedIssue = await taigaService.updateIssue(issue.id, updateData);
       
-      const sprintDetails = `${SUCCESS_MESSAGES.ISSUE_CREATED.replace('created', 'sprint assignment updated')}
-
-Issue: #${updatedIssue.ref} - ${updatedIssue.subject}
-Sprint: ${milestoneId ? 
-  (updatedIssue.milestone_extra_info?.name || 'Unknown sprint') : 
-  'Removed from sprint'
-}
-Project: ${getSafeValue(updatedIssue.project_extra_info?.name)}
-Status: ${getSafeValue(updatedIssue.status_extra_info?.name)}`;
-
-      return createSuccessResponse(sprintDetails);
+      const sprintDetails = t('tools.issues.sprintUpdated', {
+        title: SUCCESS_MESSAGES.ISSUE_SPRINT_UPDATED,
+        ref: updatedIssue.ref,
+        subject: updatedIssue.subject,
+        sprint: milestoneId
+          ? (updatedIssue.milestone_extra_info?.name || t('tools.issues.unknownSprint'))
+          : t('tools.issues.removedFromSprint'),
+        project: getSafeValue(updatedIssue.project_extra_info?.name),
+        status: getSafeValue(updatedIssue.status_extra_info?.name)
+      });
+
+      return createSuccessResponse(sprintDetails, { issue: toIssue(updatedIssue) });
     } catch (error) {
-      return createErrorResponse(`Failed to add issue to sprint: ${error.message}`);
+      return createErrorResponse(t('tools.issues.failedAddToSprint', { message: error.message }));
     }
   }
 };
@@ -302,6 +308,7 @@ export const assignIssueTool = {
     assignee: z.string().describe('Username or user ID to assign the issue to (or "unassign" to remove assignment)'),
     projectIdentifier: z.string().optional().describe('Project ID or slug (required if using reference number)'),
   },
+  outputSchema: { issue: issueSchema },
   handler: async ({ issueIdentifier, assignee, projectIdentifier }) => {
     try {
       // Resolve the issue first
@@ -316,7 +323,7 @@ export const assignIssueTool = {
         // Get project members to find the assignee
         const projectId = issue.project || (projectIdentifier ? await resolveProjectId(projectIdentifier) : null);
         if (!projectId) {
-          return createErrorResponse('Could not determine project ID for member lookup');
+          return createErrorResponse(t('tools.issues.memberProjectUnknown'));
         }
         
         const members = await taigaService.getProjectMembers(projectId);
@@ -336,7 +343,7 @@ export const assignIssueTool = {
           ).join('\n');
           
           return createErrorResponse(
-            `User "${assignee}" not found in project. Available members:\n${availableMembers}`
+            t('tools.issues.userNotFound', { assignee, available: availableMembers })
           );
         }
         
@@ -350,19 +357,20 @@ export const assignIssueTool = {
       
       const updatedIssue = await taigaService.updateIssue(issue.id, updateData);
       
-      const assignmentDetails = `${SUCCESS_MESSAGES.ISSUE_CREATED.replace('created', 'assignment updated')}
-
-Issue: #${updatedIssue.ref} - ${updatedIssue.subject}
-Assigned to: ${assignedToId ? 
-  (updatedIssue.assigned_to_extra_info?.full_name || updatedIssue.assigned_to_extra_info?.username || 'Unknown user') : 
-  'Unassigned'
-}
-Project: ${getSafeValue(updatedIssue.project_extra_info?.name)}
-Status: ${getSafeValue(updatedIssue.status_extra_info?.name)}`;
-
-      return createSuccessResponse(assignmentDetails);
+      const assignmentDetails = t('tools.issues.assignmentUpdated', {
+        title: SUCCESS_MESSAGES.ISSUE_ASSIGNMENT_UPDATED,
+        ref: updatedIssue.ref,
+        subject: updatedIssue.subject,
+        assignee: assignedToId
+          ? (updatedIssue.assigned_to_extra_info?.full_name || updatedIssue.assigned_to_extra_info?.username || STATUS_LABELS.UNKNOWN_USER)
+          : STATUS_LABELS.UNASSIGNED,
+        project: getSafeValue(updatedIssue.project_extra_info?.name),
+        status: getSafeValue(updatedIssue.status_extra_info?.name)
+      });
+
+      return createSuccessResponse(assignmentDetails, { issue: toIssue(updatedIssue) });
     } catch (error) {
-      return createErrorResponse(`Failed to assign issue: ${error.message}`);
+      return createErrorResponse(t('tools.issues.failedAssign', { message: error.message }));
     }
   }
 };
\ No newline at end of file
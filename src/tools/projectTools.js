@@ -4,22 +4,53 @@
 
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { RESPONSE_TEMPLATES } from '../constants.js';
+import { PROJECT_MODULES, RESPONSE_TEMPLATES, STATUS_LABELS, SUCCESS_MESSAGES } from '../constants.js';
 import { 
+  findProject,
   formatProjectList,
   formatDateTime,
   createErrorResponse,
   createSuccessResponse,
-  getSafeValue
+  getSafeValue,
+  requireIdByName
 } from '../utils.js';
+import { t } from '../i18n.js';
+import { projectMetadataSchema, projectSchema, toProject } from '../outputSchemas.js';
+import { loadProjectSchema, renderProjectSchema } from '../projectSchema.js';
 
 const taigaService = new TaigaService();
 
+/**
+ * Find a project template by ID, slug or name
+ * @param {string} template - Template ID, slug or name (e.g. "scrum", "Kanban")
+ * @returns {Promise<Object>} - Project template
+ */
+async function findProjectTemplate(template) {
+  const templates = await taigaService.listProjectTemplates();
+  const wanted = template.trim().toLowerCase();
+  const match = templates.find(candidate => String(candidate.id) === wanted || candidate.slug === wanted);
+  if (match) {
+    return match;
+  }
+  const id = requireIdByName(templates, template, t('fields.projectTemplate'));
+  return templates.find(candidate => candidate.id === id);
+}
+
+/**
+ * Visibility of a project
+ * @param {Object} project - Taiga project
+ * @returns {string} - Localized private or public
+ */
+function visibilityOf(project) {
+  return t(project.is_private ? 'tools.projects.private' : 'tools.projects.public');
+}
+
 /**
  * Tool to list all user projects
  */
 export const listProjectsTool = {
   name: 'listProjects',
+  readOnly: true,
   schema: {},
   handler: async () => {
     try {
@@ -29,10 +60,10 @@ export const listProjectsTool = {
         return createErrorResponse(RESPONSE_TEMPLATES.NO_PROJECTS);
       }
 
-      const projectsText = `Your Taiga Projects:\n\n${formatProjectList(projects)}`;
+      const projectsText = t('tools.projects.list', { projects: formatProjectList(projects) });
       return createSuccessResponse(projectsText);
     } catch (error) {
-      return createErrorResponse(`Failed to list projects: ${error.message}`);
+      return createErrorResponse(t('tools.projects.failedList', { message: error.message }));
     }
   }
 };
@@ -42,6 +73,7 @@ export const listProjectsTool = {
  */
 export const getProjectTool = {
   name: 'getProject',
+  readOnly: true,
   schema: {
     projectIdentifier: z.string().describe('Project ID or slug'),
   },
@@ -62,18 +94,193 @@ export const getProjectTool = {
         project = await taigaService.getProjectBySlug(projectIdentifier);
       }
 
-      const projectDetails = `Project Details:
-
-Name: ${project.name}
-ID: ${project.id}
-Slug: ${project.slug}
-Description: ${getSafeValue(project.description, 'No description')}
-Created: ${formatDateTime(project.created_date)}
-Total Members: ${project.total_memberships}`;
+      const projectDetails = t('tools.projects.details', {
+        name: project.name,
+        id: project.id,
+        slug: project.slug,
+        description: getSafeValue(project.description, STATUS_LABELS.NO_DESCRIPTION),
+        created: formatDateTime(project.created_date),
+        members: project.total_memberships
+      });
 
       return createSuccessResponse(projectDetails);
     } catch (error) {
-      return createErrorResponse(`Failed to get project details: ${error.message}`);
+      return createErrorResponse(t('tools.projects.failedGet', { message: error.message }));
+    }
+  }
+};
+
+/**
+ * Tool to get a project's workflow configuration
+ */
+export const getProjectSchemaTool = {
+  name: 'getProjectSchema',
+  description: 'Get the statuses (with closed flags), priorities, severities, issue types, point scale, roles, custom attributes, tag colors and enabled modules a project actually uses',
+  readOnly: true,
+  schema: {
+    projectIdentifier: z.string().describe('Project ID or slug'),
+  },
+  outputSchema: { schema: projectMetadataSchema },
+  handler: async ({ projectIdentifier }) => {
+    try {
+      const schema = await loadProjectSchema(projectIdentifier);
+      return createSuccessResponse(renderProjectSchema(schema), { schema });
+    } catch (error) {
+      return createErrorResponse(t('tools.projects.failedSchema', { message: error.message }));
     }
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Tool to create a project
+ */
+export const createProjectTool = {
+  name: 'createProject',
+  description: 'Create a project, optionally from a Taiga project template (e.g. Scrum or Kanban)',
+  schema: {
+    name: z.string().describe('Project name'),
+    description: z.string().describe('Project description'),
+    template: z.string().optional().describe('Project template ID, slug or name (default: Taiga\'s default template)'),
+    isPrivate: z.boolean().optional().describe('Whether only members can see the project'),
+    tags: z.array(z.string()).optional().describe('Array of tags'),
+  },
+  outputSchema: { project: projectSchema },
+  handler: async ({ name, description, template, isPrivate, tags }) => {
+    try {
+      const projectTemplate = template ? await findProjectTemplate(template) : undefined;
+
+      const createdProject = await taigaService.createProject({
+        name,
+        description,
+        creation_template: projectTemplate?.id,
+        is_private: isPrivate,
+        tags
+      });
+
+      return createSuccessResponse(`${SUCCESS_MESSAGES.PROJECT_CREATED}\n\n` + t('tools.projects.created', {
+        name: createdProject.name,
+        id: createdProject.id,
+        slug: createdProject.slug,
+        template: projectTemplate?.name || t('tools.projects.defaultTemplate'),
+        visibility: visibilityOf(createdProject)
+      }), { project: toProject(createdProject) });
+    } catch (error) {
+      return createErrorResponse(t('tools.projects.failedCreate', { message: error.message }));
+    }
+  }
+};
+
+/**
+ * Tool to update a project's name, description, privacy and tags
+ */
+export const updateProjectTool = {
+  name: 'updateProject',
+  description: 'Update a project\'s name, description, privacy or tags',
+  schema: {
+    projectIdentifier: z.string().describe('Project ID or slug'),
+    name: z.string().optional().describe('New project name'),
+    description: z.string().optional().describe('New project description'),
+    isPrivate: z.boolean().optional().describe('Whether only members can see the project'),
+    tags: z.array(z.string()).optional().describe('Complete new list of tags (replaces the current tags)'),
+  },
+  outputSchema: { project: projectSchema },
+  handler: async ({ projectIdentifier, name, description, isPrivate, tags }) => {
+    try {
+      const updateData = {};
+      if (name !== undefined) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+      if (isPrivate !== undefined) updateData.is_private = isPrivate;
+      if (tags !== undefined) updateData.tags = tags;
+
+      if (Object.keys(updateData).length === 0) {
+        return createErrorResponse(t('tools.projects.nothingToUpdate'));
+      }
+
+      const project = await findProject(projectIdentifier);
+      const updatedProject = await taigaService.updateProject(project.id, updateData);
+
+      return createSuccessResponse(`${SUCCESS_MESSAGES.PROJECT_UPDATED}\n\n` + t('tools.projects.updated', {
+        name: updatedProject.name,
+        id: updatedProject.id,
+        slug: updatedProject.slug,
+        visibility: visibilityOf(updatedProject),
+        tags: (updatedProject.tags || []).join(', ') || STATUS_LABELS.NONE
+      }), { project: toProject(updatedProject) });
+    } catch (error) {
+      return createErrorResponse(t('tools.projects.failedUpdate', { message: error.message }));
+    }
+  }
+};
+
+/**
+ * Tool to turn project modules on or off
+ */
+export const setProjectModulesTool = {
+  name: 'setProjectModules',
+  description: 'Turn a project\'s backlog, kanban, issues, wiki or epics module on or off',
+  schema: {
+    projectIdentifier: z.string().describe('Project ID or slug'),
+    ...Object.fromEntries(Object.keys(PROJECT_MODULES).map(module =>
+      [module, z.boolean().optional().describe(`Turn the ${module} module on (true) or off (false)`)])),
+  },
+  outputSchema: { project: projectSchema },
+  handler: async ({ projectIdentifier, ...args }) => {
+    try {
+      const updateData = Object.fromEntries(Object.entries(PROJECT_MODULES)
+        .filter(([module]) => args[module] !== undefined)
+        .map(([module, flag]) => [flag, args[module]]));
+
+      if (Object.keys(updateData).length === 0) {
+        return createErrorResponse(t('tools.projects.noModules'));
+      }
+
+      const project = await findProject(projectIdentifier);
+      const updatedProject = await taigaService.updateProject(project.id, updateData);
+
+      const modules = Object.entries(PROJECT_MODULES).map(([module, flag]) => `- ${t(`resources.schema.modules.${module}`)}: ${
+        t(updatedProject[flag] ? 'resources.schema.enabled' : 'resources.schema.disabled')}`);
+
+      return createSuccessResponse(`${SUCCESS_MESSAGES.PROJECT_UPDATED}\n\n` + t('tools.projects.modulesUpdated', {
+        name: updatedProject.name,
+        slug: updatedProject.slug,
+        modules: modules.join('\n')
+      }), { project: toProject(updatedProject) });
+    } catch (error) {
+      return createErrorResponse(t('tools.projects.failedModules', { message: error.message }));
+    }
+  }
+};
+
+/**
+ * Tool to delete a project
+ * The project's slug must be typed again in `confirm`, so a project is never
+ * deleted by a guessed or mistyped identifier.
+ */
+export const deleteProjectTool = {
+  name: 'deleteProject',
+  description: 'Delete a project with all its user stories, tasks, issues, sprints and wiki pages (irreversible action). Requires confirm set to the project slug',
+  destructive: true,
+  schema: {
+    projectIdentifier: z.string().describe('Project ID or slug'),
+    confirm: z.string().describe('The project slug, typed again to confirm the deletion'),
+  },
+  handler: async ({ projectIdentifier, confirm }) => {
+    try {
+      const project = await findProject(projectIdentifier);
+
+      if (confirm.trim() !== project.slug) {
+        return createErrorResponse(t('tools.projects.confirmDelete'));
+      }
+
+      await taigaService.deleteProject(project.id);
+
+      return createSuccessResponse(`${SUCCESS_MESSAGES.PROJECT_DELETED}\n\n` + t('tools.projects.deleted', {
+        name: project.name,
+        slug: project.slug,
+        id: project.id
+      }));
+    } catch (error) {
+      return createErrorResponse(t('tools.projects.failedDelete', { message: error.message }));
+    }
+  }
+};
@@ -4,7 +4,7 @@
 
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { RESPONSE_TEMPLATES, SUCCESS_MESSAGES } from '../constants.js';
+import { RESPONSE_TEMPLATES, SUCCESS_MESSAGES, STATUS_LABELS } from '../constants.js';
 import { 
   resolveProjectId,
   formatSprintList,
@@ -16,6 +16,8 @@ import {
   createErrorResponse,
   createSuccessResponse
 } from '../utils.js';
+import { t } from '../i18n.js';
+import { sprintSchema, sprintStatsSchema, issueSchema, toSprint, toSprintStats, toIssue } from '../outputSchemas.js';
 
 const taigaService = new TaigaService();
 
@@ -24,9 +26,11 @@ const taigaService = new TaigaService();
  */
 export const listSprintsTool = {
   name: 'listMilestones',
+  readOnly: true,
   schema: {
     projectIdentifier: z.string().describe('Project ID or slug'),
   },
+  outputSchema: { sprints: z.array(sprintSchema) },
   handler: async ({ projectIdentifier }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -36,10 +40,10 @@ export const listSprintsTool = {
         return createErrorResponse(RESPONSE_TEMPLATES.NO_SPRINTS);
       }
 
-      const sprintsList = `Sprints in Project:\n\n${formatSprintList(milestones)}`;
-      return createSuccessResponse(sprintsList);
+      const sprintsList = t('tools.sprints.list', { sprints: formatSprintList(milestones) });
+      return createSuccessResponse(sprintsList, { sprints: milestones.map(toSprint) });
     } catch (error) {
-      return createErrorResponse(`Failed to list sprints: ${error.message}`);
+      return createErrorResponse(t('tools.sprints.failedList', { message: error.message }));
     }
   }
 };
@@ -49,9 +53,11 @@ export const listSprintsTool = {
  */
 export const getMilestoneTool = {
   name: 'getMilestone',
+  readOnly: true,
   schema: {
     milestoneId: z.string().describe('Milestone (Sprint) ID'),
   },
+  outputSchema: { sprint: sprintSchema },
   handler: async ({ milestoneId }) => {
     try {
       const milestone = await taigaService.getMilestone(milestoneId);
@@ -62,55 +68,45 @@ export const getMilestoneTool = {
 
       // Format user stories list
       const userStoriesInfo = milestone.user_stories?.length > 0
-        ? milestone.user_stories.map(story => `  • [#${story.ref}] ${story.subject} (${story.status_extra_info?.name || 'No status'})`).join('\n')
-        : '  No user stories assigned';
+        ? milestone.user_stories.map(story => t('tools.sprints.storyItem', {
+          ref: story.ref,
+          subject: story.subject,
+          status: story.status_extra_info?.name || t('tools.sprints.noStatus')
+        })).join('\n')
+        : t('tools.sprints.noStories');
 
       // Format watchers list
       const watchersInfo = milestone.watchers?.length > 0
         ? milestone.watchers.join(', ')
-        : 'None';
-
-      const milestoneDetails = `Sprint Details: ${milestone.name}
-
-📋 Basic Information:
-- ID: ${milestone.id}
-- Slug: ${getSafeValue(milestone.slug, 'N/A')}
-- Project: ${getSafeValue(milestone.project_extra_info?.name)}
-- Project ID: ${milestone.project}
-- Status: ${status}
-- Order: ${getSafeValue(milestone.order, 'N/A')}
-
-📅 Timeline:
-- Start Date: ${startDate}
-- End Date: ${endDate}
-- Created: ${formatDate(milestone.created_date)}
-- Modified: ${formatDate(milestone.modified_date)}
-
-📊 Metrics:
-- Total Points: ${getSafeValue(milestone.total_points, '0')}
-- Closed Points: ${getSafeValue(milestone.closed_points, '0')}
-- Total User Stories: ${milestone.user_stories?.length || 0}
-
-👥 Team & Access:
-- Owner: ${getSafeValue(milestone.owner_extra_info?.full_name_display, 'N/A')}
-- Watchers: ${watchersInfo}
-- Available Roles: ${milestone.available_roles?.join(', ') || 'None'}
-
-📝 Description:
-${getSafeValue(milestone.description, 'No description provided')}
-
-📚 User Stories (${milestone.user_stories?.length || 0}):
-${userStoriesInfo}
-
----
-🔗 Permalink: ${milestone.permalink || 'N/A'}
-
-📦 Complete Raw Data (JSON):
-${JSON.stringify(milestone, null, 2)}`;
-
-      return createSuccessResponse(milestoneDetails);
+        : STATUS_LABELS.NONE;
+
+      const milestoneDetails = t('tools.sprints.details', {
+        name: milestone.name,
+        id: milestone.id,
+        slug: getSafeValue(milestone.slug, STATUS_LABELS.NOT_AVAILABLE),
+        project: getSafeValue(milestone.project_extra_info?.name),
+        projectId: milestone.project,
+        status,
+        order: getSafeValue(milestone.order, STATUS_LABELS.NOT_AVAILABLE),
+        start: startDate,
+        end: endDate,
+        created: formatDate(milestone.created_date),
+        modified: formatDate(milestone.modified_date),
+        totalPoints: getSafeValue(milestone.total_points, '0'),
+        closedPoints: getSafeValue(milestone.closed_points, '0'),
+        storyCount: milestone.user_stories?.length || 0,
+        owner: getSafeValue(milestone.owner_extra_info?.full_name_display, STATUS_LABELS.NOT_AVAILABLE),
+        watchers: watchersInfo,
+        roles: milestone.available_roles?.join(', ') || STATUS_LABELS.NONE,
+        description: getSafeValue(milestone.description, STATUS_LABELS.NO_DESCRIPTION),
+        stories: userStoriesInfo,
+        permalink: milestone.permalink || STATUS_LABELS.NOT_AVAILABLE,
+        raw: JSON.stringify(milestone, null, 2)
+      });
+
+      return createSuccessResponse(milestoneDetails, { sprint: toSprint(milestone) });
     } catch (error) {
-      return createErrorResponse(`Failed to get sprint details: ${error.message}`);
+      return createErrorResponse(t('tools.sprints.failedGet', { message: error.message }));
     }
   }
 };
@@ -121,9 +117,11 @@ ${JSON.stringify(milestone, null, 2)}`;
  */
 export const getSprintStatsTool = {
   name: 'getMilestoneStats',
+  readOnly: true,
   schema: {
     milestoneId: z.string().describe('Milestone (Sprint) ID'),
   },
+  outputSchema: { sprint: sprintSchema, stats: sprintStatsSchema },
   handler: async ({ milestoneId }) => {
     try {
       // Get both milestone details and statistics
@@ -137,29 +135,36 @@ export const getSprintStatsTool = {
       const status = getStatusLabel(milestone.closed);
       const completionRate = calculateCompletionPercentage(stats.completed_userstories || 0, stats.total_userstories || 0);
 
-      const milestoneDetails = `Sprint Details: ${milestone.name}
-
-📊 Basic Information:
-- Status: ${status}
-- Start Date: ${startDate}
-- End Date: ${endDate}
-- Project: ${getSafeValue(milestone.project_extra_info?.name)}
-
-📈 Progress Statistics:
-- User Stories: ${stats.completed_userstories || 0}/${stats.total_userstories || 0} completed
-- Tasks: ${stats.completed_tasks || 0}/${stats.total_tasks || 0} completed
-- Points: ${stats.completed_points || 0}/${stats.total_points || 0} completed
-- Hours: ${stats.completed_hours || 0}/${stats.total_hours || 0} completed
-
-📋 User Stories Progress:
-${stats.completed_userstories || 0 > 0 ? `✅ Completed: ${stats.completed_userstories}` : '⚪ No completed stories'}
-${(stats.total_userstories || 0) - (stats.completed_userstories || 0) > 0 ? `🔄 Remaining: ${(stats.total_userstories || 0) - (stats.completed_userstories || 0)}` : ''}
-
-🎯 Completion Rate: ${completionRate}%`;
-
-      return createSuccessResponse(milestoneDetails);
+      const completedStories = stats.completed_userstories || 0;
+      const remainingStories = (stats.total_userstories || 0) - completedStories;
+
+      const milestoneDetails = t('tools.sprints.stats', {
+        name: milestone.name,
+        status,
+        start: startDate,
+        end: endDate,
+        project: getSafeValue(milestone.project_extra_info?.name),
+        completedStories,
+        totalStories: stats.total_userstories || 0,
+        completedTasks: stats.completed_tasks || 0,
+        totalTasks: stats.total_tasks || 0,
+        completedPoints: stats.completed_points || 0,
+        totalPoints: stats.total_points || 0,
+        completedHours: stats.completed_hours || 0,
+        totalHours: stats.total_hours || 0,
+        completedLine: completedStories > 0
+          ? t('tools.sprints.completedStories', { count: completedStories })
+          : t('tools.sprints.noCompletedStories'),
+        remainingLine: remainingStories > 0 ? t('tools.sprints.remainingStories', { count: remainingStories }) : '',
+        completionRate
+      });
+
+      return createSuccessResponse(milestoneDetails, {
+        sprint: toSprint(milestone),
+        stats: toSprintStats(stats, completionRate)
+      });
     } catch (error) {
-      return createErrorResponse(`Failed to get sprint details: ${error.message}`);
+      return createErrorResponse(t('tools.sprints.failedGet', { message: error.message }));
     }
   }
 };
@@ -175,6 +180,7 @@ export const createSprintTool = {
     estimatedStart: z.string().optional().describe('Estimated start date (YYYY-MM-DD)'),
     estimatedFinish: z.string().optional().describe('Estimated finish date (YYYY-MM-DD)'),
   },
+  outputSchema: { sprint: sprintSchema },
   handler: async ({ projectIdentifier, name, estimatedStart, estimatedFinish }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -189,18 +195,19 @@ export const createSprintTool = {
 
       const createdMilestone = await taigaService.createMilestone(milestoneData);
 
-      const creationDetails = `${SUCCESS_MESSAGES.SPRINT_CREATED}
-
-Name: ${createdMilestone.name}
-ID: ${createdMilestone.id}
-Start Date: ${getSafeValue(createdMilestone.estimated_start, 'Not set')}
-End Date: ${getSafeValue(createdMilestone.estimated_finish, 'Not set')}
-Project: ${getSafeValue(createdMilestone.project_extra_info?.name)}
-Status: ${getStatusLabel(createdMilestone.closed)}`;
-
-      return createSuccessResponse(creationDetails);
+      const creationDetails = t('tools.sprints.created', {
+        title: SUCCESS_MESSAGES.SPRINT_CREATED,
+        name: createdMilestone.name,
+        id: createdMilestone.id,
+        start: getSafeValue(createdMilestone.estimated_start, STATUS_LABELS.NOT_SET),
+        end: getSafeValue(createdMilestone.estimated_finish, STATUS_LABELS.NOT_SET),
+        project: getSafeValue(createdMilestone.project_extra_info?.name),
+        status: getStatusLabel(createdMilestone.closed)
+      });
+
+      return createSuccessResponse(creationDetails, { sprint: toSprint(createdMilestone) });
     } catch (error) {
-      return createErrorResponse(`Failed to create sprint: ${error.message}`);
+      return createErrorResponse(t('tools.sprints.failedCreate', { message: error.message }));
     }
   }
 };
@@ -210,10 +217,12 @@ Status: ${getStatusLabel(createdMilestone.closed)}`;
  */
 export const getIssuesBySprintTool = {
   name: 'getIssuesByMilestone',
+  readOnly: true,
   schema: {
     projectIdentifier: z.string().describe('Project ID or slug'),
     milestoneId: z.string().describe('Sprint (Milestone) ID'),
   },
+  outputSchema: { sprint: sprintSchema, issues: z.array(issueSchema) },
   handler: async ({ projectIdentifier, milestoneId }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -225,23 +234,24 @@ export const getIssuesBySprintTool = {
       ]);
 
       if (issues.length === 0) {
-        return createErrorResponse(`No issues found in Sprint: ${milestone.name}`);
+        return createErrorResponse(t('tools.sprints.noIssues', { name: milestone.name }));
       }
 
-      const sprintOverview = `Issues in Sprint: ${milestone.name}
-
-📊 Sprint Overview:
-- Sprint: ${milestone.name}
-- Status: ${getStatusLabel(milestone.closed)}
-- Duration: ${formatDate(milestone.estimated_start)} ~ ${formatDate(milestone.estimated_finish)}
-- Total Issues: ${issues.length}
-
-📋 Issues List:
-${formatSprintIssues(issues)}`;
-
-      return createSuccessResponse(sprintOverview);
+      const sprintOverview = t('tools.sprints.issues', {
+        name: milestone.name,
+        status: getStatusLabel(milestone.closed),
+        start: formatDate(milestone.estimated_start),
+        end: formatDate(milestone.estimated_finish),
+        count: issues.length,
+        issues: formatSprintIssues(issues)
+      });
+
+      return createSuccessResponse(sprintOverview, {
+        sprint: toSprint(milestone),
+        issues: issues.map(toIssue)
+      });
     } catch (error) {
-      return createErrorResponse(`Failed to get issues by sprint: ${error.message}`);
+      return createErrorResponse(t('tools.sprints.failedIssues', { message: error.message }));
     }
   }
 };
\ No newline at end of file
@@ -4,14 +4,16 @@
 
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { SUCCESS_MESSAGES } from '../constants.js';
+import { SUCCESS_MESSAGES, STATUS_LABELS } from '../constants.js';
 import { 
   resolveProjectId,
-  findIdByName,
+  requireIdByName,
   getSafeValue,
   createErrorResponse,
   createSuccessResponse
 } from '../utils.js';
+import { t } from '../i18n.js';
+import { taskSchema, toTask } from '../outputSchemas.js';
 
 const taigaService = new TaigaService();
 
@@ -28,6 +30,7 @@ export const createTaskTool = {
     status: z.string().optional().describe('Status name (e.g., "New", "In progress")'),
     tags: z.array(z.string()).optional().describe('Array of tags'),
   },
+  outputSchema: { task: taskSchema },
   handler: async ({ projectIdentifier, userStoryIdentifier, subject, description, status, tags }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -44,7 +47,7 @@ export const createTaskTool = {
         if (userStory) {
           userStoryId = userStory.id;
         } else {
-          throw new Error(`User story with reference ${userStoryIdentifier} not found`);
+          throw new Error(t('tools.tasks.storyRefNotFound', { ref: userStoryIdentifier }));
         }
       }
 
@@ -52,7 +55,7 @@ export const createTaskTool = {
       let statusId = undefined;
       if (status) {
         const statuses = await taigaService.getTaskStatuses(projectId);
-        statusId = findIdByName(statuses, status);
+        statusId = requireIdByName(statuses, status, t('fields.status'));
       }
 
       // Create the task
@@ -67,17 +70,19 @@ export const createTaskTool = {
 
       const createdTask = await taigaService.createTask(taskData);
 
-      const creationDetails = `${SUCCESS_MESSAGES.TASK_CREATED}
+      const creationDetails = t('tools.tasks.created', {
+        title: SUCCESS_MESSAGES.TASK_CREATED,
+        subject: createdTask.subject,
+        ref: createdTask.ref,
+        status: getSafeValue(createdTask.status_extra_info?.name, STATUS_LABELS.DEFAULT_STATUS),
+        project: getSafeValue(createdTask.project_extra_info?.name),
+        storyRef: createdTask.user_story_extra_info?.ref,
+        storySubject: createdTask.user_story_extra_info?.subject
+      });
 
-Subject: ${createdTask.subject}
-Reference: #${createdTask.ref}
-Status: ${getSafeValue(createdTask.status_extra_info?.name, 'Default status')}
-Project: ${getSafeValue(createdTask.project_extra_info?.name)}
-User Story: #${createdTask.user_story_extra_info?.ref} - ${createdTask.user_story_extra_info?.subject}`;
-
-      return createSuccessResponse(creationDetails);
+      return createSuccessResponse(creationDetails, { task: toTask(createdTask) });
     } catch (error) {
-      return createErrorResponse(`Failed to create task: ${error.message}`);
+      return createErrorResponse(t('tools.tasks.failedCreate', { message: error.message }));
     }
   }
 };
\ No newline at end of file
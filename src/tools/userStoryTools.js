@@ -8,12 +8,15 @@ import { RESPONSE_TEMPLATES, SUCCESS_MESSAGES, STATUS_LABELS } from '../constant
 import {
   resolveProjectId,
   findIdByName,
+  requireIdByName,
   formatUserStoryList,
   formatDateTime,
   getSafeValue,
   createErrorResponse,
   createSuccessResponse
 } from '../utils.js';
+import { t } from '../i18n.js';
+import { userStorySchema, toUserStory } from '../outputSchemas.js';
 
 const taigaService = new TaigaService();
 
@@ -22,9 +25,11 @@ const taigaService = new TaigaService();
  */
 export const listUserStoriesTool = {
   name: 'listUserStories',
+  readOnly: true,
   schema: {
     projectIdentifier: z.string().describe('Project ID or slug'),
   },
+  outputSchema: { userStories: z.array(userStorySchema) },
   handler: async ({ projectIdentifier }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -34,10 +39,10 @@ export const listUserStoriesTool = {
         return createErrorResponse(RESPONSE_TEMPLATES.NO_USER_STORIES);
       }
 
-      const userStoriesText = `User Stories in Project:\n\n${formatUserStoryList(userStories)}`;
-      return createSuccessResponse(userStoriesText);
+      const userStoriesText = t('tools.userStories.list', { userStories: formatUserStoryList(userStories) });
+      return createSuccessResponse(userStoriesText, { userStories: userStories.map(toUserStory) });
     } catch (error) {
-      return createErrorResponse(`Failed to list user stories: ${error.message}`);
+      return createErrorResponse(t('tools.userStories.failedList', { message: error.message }));
     }
   }
 };
@@ -47,36 +52,32 @@ export const listUserStoriesTool = {
  */
 export const getUserStoryTool = {
   name: 'getUserStory',
+  readOnly: true,
   schema: {
     userStoryId: z.string().describe('User Story ID'),
   },
+  outputSchema: { userStory: userStorySchema },
   handler: async ({ userStoryId }) => {
     try {
       const userStory = await taigaService.getUserStory(userStoryId);
 
-      const storyDetails = `User Story Details: #${userStory.ref} - ${userStory.subject}
-
-📋 Basic Information:
-- Project: ${getSafeValue(userStory.project_extra_info?.name)}
-- Status: ${getSafeValue(userStory.status_extra_info?.name)}
-- Epic: ${getSafeValue(userStory.epic_extra_info?.subject, 'No Epic')}
-
-🎯 Assignment:
-- Assigned to: ${getSafeValue(userStory.assigned_to_extra_info?.full_name, 'Unassigned')}
-- Sprint: ${getSafeValue(userStory.milestone_extra_info?.name, 'No Sprint')}
-
-📊 Metrics:
-- Points: ${getSafeValue(userStory.total_points, '0')}
-- Tasks: ${userStory.tasks?.length || 0}
-
-📝 Description:
-${getSafeValue(userStory.description, 'No description')}
-
-🏷️ Tags: ${getSafeValue(userStory.tags?.join(', '), 'No tags')}`;
-
-      return createSuccessResponse(storyDetails);
+      const storyDetails = t('tools.userStories.details', {
+        ref: userStory.ref,
+        subject: userStory.subject,
+        project: getSafeValue(userStory.project_extra_info?.name),
+        status: getSafeValue(userStory.status_extra_info?.name),
+        epic: getSafeValue(userStory.epic_extra_info?.subject, STATUS_LABELS.NO_EPIC),
+        assignee: getSafeValue(userStory.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED),
+        sprint: getSafeValue(userStory.milestone_extra_info?.name, STATUS_LABELS.NO_SPRINT),
+        points: getSafeValue(userStory.total_points, '0'),
+        tasks: userStory.tasks?.length || 0,
+        description: getSafeValue(userStory.description, STATUS_LABELS.NO_DESCRIPTION),
+        tags: getSafeValue(userStory.tags?.join(', '), STATUS_LABELS.NO_TAGS)
+      });
+
+      return createSuccessResponse(storyDetails, { userStory: toUserStory(userStory) });
     } catch (error) {
-      return createErrorResponse(`Failed to get user story details: ${error.message}`);
+      return createErrorResponse(t('tools.userStories.failedGet', { message: error.message }));
     }
   }
 };
@@ -93,6 +94,7 @@ export const createUserStoryTool = {
     status: z.string().optional().describe('Status name (e.g., "New", "In progress")'),
     tags: z.array(z.string()).optional().describe('Array of tags'),
   },
+  outputSchema: { userStory: userStorySchema },
   handler: async ({ projectIdentifier, subject, description, status, tags }) => {
     try {
       const projectId = await resolveProjectId(projectIdentifier);
@@ -101,7 +103,7 @@ export const createUserStoryTool = {
       let statusId = undefined;
       if (status) {
         const statuses = await taigaService.getUserStoryStatuses(projectId);
-        statusId = findIdByName(statuses, status);
+        statusId = requireIdByName(statuses, status, t('fields.status'));
       }
 
       // Create the user story
@@ -115,16 +117,17 @@ export const createUserStoryTool = {
 
       const createdStory = await taigaService.createUserStory(userStoryData);
 
-      const creationDetails = `${SUCCESS_MESSAGES.USER_STORY_CREATED}
+      const creationDetails = t('tools.userStories.created', {
+        title: SUCCESS_MESSAGES.USER_STORY_CREATED,
+        subject: createdStory.subject,
+        ref: createdStory.ref,
+        status: getSafeValue(createdStory.status_extra_info?.name, STATUS_LABELS.DEFAULT_STATUS),
+        project: getSafeValue(createdStory.project_extra_info?.name)
+      });
 
-Subject: ${createdStory.subject}
-Reference: #${createdStory.ref}
-Status: ${getSafeValue(createdStory.status_extra_info?.name, 'Default status')}
-Project: ${getSafeValue(createdStory.project_extra_info?.name)}`;
-
-      return createSuccessResponse(creationDetails);
+      return createSuccessResponse(creationDetails, { userStory: toUserStory(createdStory) });
     } catch (error) {
-      return createErrorResponse(`Failed to create user story: ${error.message}`);
+      return createErrorResponse(t('tools.userStories.failedCreate', { message: error.message }));
     }
   }
 };
@@ -138,6 +141,7 @@ export const assignUserStoryToSprintTool = {
     userStoryId: z.string().describe('User Story ID'),
     milestoneId: z.string().optional().describe('Milestone (Sprint) ID. Set to null or omit to unassign from sprint.'),
   },
+  outputSchema: { userStory: userStorySchema },
   handler: async ({ userStoryId, milestoneId }) => {
     try {
       const updateData = {
@@ -147,12 +151,12 @@ export const assignUserStoryToSprintTool = {
       const updatedStory = await taigaService.updateUserStory(userStoryId, updateData);
 
       const status = updatedStory.milestone ?
-        `User story #${updatedStory.ref} assigned to sprint ${updatedStory.milestone_extra_info?.name}` :
-        `User story #${updatedStory.ref} unassigned from sprint`;
+        t('tools.userStories.assignedToSprint', { ref: updatedStory.ref, sprint: updatedStory.milestone_extra_info?.name }) :
+        t('tools.userStories.unassignedFromSprint', { ref: updatedStory.ref });
 
-      return createSuccessResponse(status);
+      return createSuccessResponse(status, { userStory: toUserStory(updatedStory) });
     } catch (error) {
-      return createErrorResponse(`Failed to assign user story to sprint: ${error.message}`);
+      return createErrorResponse(t('tools.userStories.failedAssignToSprint', { message: error.message }));
     }
   }
 };
@@ -168,6 +172,7 @@ export const updateUserStoryStatusTool = {
     status: z.string().describe('Name of the target status (e.g., "New", "Ready", "In Progress", "Done")'),
     projectIdentifier: z.string().optional().describe('Project ID or slug (required if using reference number)'),
   },
+  outputSchema: { userStory: userStorySchema },
   handler: async ({ userStoryId, status, projectIdentifier }) => {
     try {
       // Get the user story first to determine project
@@ -181,25 +186,25 @@ export const updateUserStoryStatusTool = {
       if (!statusId) {
         const availableStatuses = statuses.map(s => `- ${s.name} (ID: ${s.id})`).join('\n');
         return createErrorResponse(
-          `Invalid status name: "${status}". Available statuses for project "${userStory.project_extra_info?.name}":\n${availableStatuses}`
+          t('format.invalidStatus', { status, project: userStory.project_extra_info?.name, available: availableStatuses })
         );
       }
 
       // Update the user story status
       const updatedStory = await taigaService.updateUserStory(userStoryId, { status: statusId });
 
-      const successMessage = `Successfully updated status for user story #${updatedStory.ref} to "${updatedStory.status_extra_info?.name}".
-
-User Story Details:
-- Subject: ${updatedStory.subject}
-- Project: ${getSafeValue(updatedStory.project_extra_info?.name)}
-- New Status: ${getSafeValue(updatedStory.status_extra_info?.name)}
-- Assigned to: ${getSafeValue(updatedStory.assigned_to_extra_info?.full_name, 'Unassigned')}
-- Sprint: ${getSafeValue(updatedStory.milestone_extra_info?.name, 'No Sprint')}`;
+      const successMessage = t('tools.userStories.statusUpdated', {
+        ref: updatedStory.ref,
+        status: getSafeValue(updatedStory.status_extra_info?.name),
+        subject: updatedStory.subject,
+        project: getSafeValue(updatedStory.project_extra_info?.name),
+        assignee: getSafeValue(updatedStory.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED),
+        sprint: getSafeValue(updatedStory.milestone_extra_info?.name, STATUS_LABELS.NO_SPRINT)
+      });
 
-      return createSuccessResponse(successMessage);
+      return createSuccessResponse(successMessage, { userStory: toUserStory(updatedStory) });
     } catch (error) {
-      return createErrorResponse(`Failed to update user story status: ${error.message}`);
+      return createErrorResponse(t('tools.userStories.failedUpdateStatus', { message: error.message }));
     }
   }
 };
\ No newline at end of file
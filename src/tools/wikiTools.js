@@ -5,8 +5,11 @@
 
 import { z } from 'zod';
 import { TaigaService } from '../taigaService.js';
-import { createSuccessResponse, createErrorResponse, resolveProjectId } from '../utils.js';
-import { ERROR_MESSAGES, SUCCESS_MESSAGES, RESPONSE_TEMPLATES } from '../constants.js';
+import { createSuccessResponse, createErrorResponse, resolveProjectId, formatDateTime } from '../utils.js';
+import { ERROR_MESSAGES, SUCCESS_MESSAGES, RESPONSE_TEMPLATES, STATUS_LABELS } from '../constants.js';
+import { t } from '../i18n.js';
+import { wikiPageSchema, toWikiPage } from '../outputSchemas.js';
+import { logger } from '../logger.js';
 
 const taigaService = new TaigaService();
 
@@ -23,6 +26,7 @@ export const createWikiPageTool = {
     content: z.string().min(1).describe('Content of the Wiki page - supports Markdown (required)'),
     watchers: z.array(z.number()).optional().describe('Optional list of user IDs to watch this Wiki page'),
   },
+  outputSchema: { wikiPage: wikiPageSchema },
   
   handler: async ({ project, slug, content, watchers }) => {
     try {
@@ -47,16 +51,18 @@ export const createWikiPageTool = {
       
       return createSuccessResponse(
         `${SUCCESS_MESSAGES.WIKI_PAGE_CREATED}\n\n` +
-        `📖 **Wiki頁面創建成功**\n` +
-        `- Wiki ID: ${result.id}\n` +
-        `- Slug: ${result.slug}\n` +
-        `- 專案: ${resolvedProject.name}\n` +
-        `- 創建時間: ${new Date(result.created_date).toLocaleString()}\n` +
-        `- 內容長度: ${result.content?.length || 0} 字符\n` +
-        `- 關注者: ${result.watchers?.length || 0} 人`
+        t('tools.wiki.created', {
+          id: result.id,
+          slug: result.slug,
+          project: resolvedProject.name,
+          date: formatDateTime(result.created_date),
+          length: result.content?.length || 0,
+          watchers: result.watchers?.length || 0
+        }),
+        { wikiPage: toWikiPage(result) }
       );
     } catch (error) {
-      console.error('Failed to create wiki page:', error);
+      logger.error('Failed to create wiki page', { error });
       return createErrorResponse(error.message || ERROR_MESSAGES.FAILED_TO_CREATE_WIKI);
     }
   }
@@ -69,9 +75,11 @@ export const createWikiPageTool = {
 export const listWikiPagesTool = {
   name: 'listWikiPages',
   description: 'List all Wiki pages in a project',
+  readOnly: true,
   schema: {
     project: z.union([z.number(), z.string()]).describe('Project ID, slug, or name'),
   },
+  outputSchema: { wikiPages: z.array(wikiPageSchema) },
   
   handler: async ({ project }) => {
     try {
@@ -89,25 +97,27 @@ export const listWikiPagesTool = {
       
       if (!wikiPages || wikiPages.length === 0) {
         return createSuccessResponse(
-          `📖 **${resolvedProject.name} - Wiki頁面列表**\n\n` +
-          `${RESPONSE_TEMPLATES.NO_WIKI_PAGES}`
+          `${t('tools.wiki.listTitle', { project: resolvedProject.name })}\n\n${RESPONSE_TEMPLATES.NO_WIKI_PAGES}`,
+          { wikiPages: [] }
         );
       }
 
-      const wikiList = wikiPages.map(wiki => 
-        `📖 **${wiki.slug}**\n` +
-        `   - ID: ${wiki.id}\n` +
-        `   - 修改時間: ${new Date(wiki.modified_date).toLocaleString()}\n` +
-        `   - 關注者: ${wiki.watchers?.length || 0} 人\n` +
-        `   - 內容: ${wiki.content ? `${wiki.content.substring(0, 100)}${wiki.content.length > 100 ? '...' : ''}` : '無內容'}`
-      ).join('\n\n');
+      const wikiList = wikiPages.map(wiki => t('tools.wiki.listItem', {
+        slug: wiki.slug,
+        id: wiki.id,
+        date: formatDateTime(wiki.modified_date),
+        watchers: wiki.watchers?.length || 0,
+        content: wiki.content
+          ? `${wiki.content.substring(0, 100)}${wiki.content.length > 100 ? '...' : ''}`
+          : STATUS_LABELS.NO_CONTENT
+      })).join('\n\n');
 
       return createSuccessResponse(
-        `📖 **${resolvedProject.name} - Wiki頁面列表** (${wikiPages.length}個)\n\n` +
-        wikiList
+        `${t('tools.wiki.listTitleCount', { project: resolvedProject.name, count: wikiPages.length })}\n\n${wikiList}`,
+        { wikiPages: wikiPages.map(toWikiPage) }
       );
     } catch (error) {
-      console.error('Failed to list wiki pages:', error);
+      logger.error('Failed to list wiki pages', { error });
       return createErrorResponse(error.message || ERROR_MESSAGES.FAILED_TO_LIST_WIKI);
     }
   }
@@ -120,10 +130,12 @@ export const listWikiPagesTool = {
 export const getWikiPageTool = {
   name: 'getWikiPage',
   description: 'Get detailed information about a specific Wiki page by ID or slug',
+  readOnly: true,
   schema: {
     project: z.union([z.number(), z.string()]).describe('Project ID, slug, or name'),
     identifier: z.union([z.number(), z.string()]).describe('Wiki page ID (number) or slug (string)'),
   },
+  outputSchema: { wikiPage: wikiPageSchema },
   
   handler: async ({ project, identifier }) => {
     try {
@@ -147,22 +159,21 @@ export const getWikiPageTool = {
       }
       
       return createSuccessResponse(
-        `📖 **Wiki頁面詳情**\n\n` +
-        `**基本信息**\n` +
-        `- ID: ${wikiPage.id}\n` +
-        `- Slug: ${wikiPage.slug}\n` +
-        `- 專案: ${resolvedProject.name}\n` +
-        `- 創建時間: ${new Date(wikiPage.created_date).toLocaleString()}\n` +
-        `- 修改時間: ${new Date(wikiPage.modified_date).toLocaleString()}\n` +
-        `- 版本: ${wikiPage.version}\n\n` +
-        `**協作信息**\n` +
-        `- 關注者: ${wikiPage.watchers?.length || 0} 人\n` +
-        `- 擁有者: ${wikiPage.owner_full_name || '未設定'}\n\n` +
-        `**內容**\n` +
-        `${wikiPage.content || '此Wiki頁面暫無內容'}`
+        t('tools.wiki.details', {
+          id: wikiPage.id,
+          slug: wikiPage.slug,
+          project: resolvedProject.name,
+          created: formatDateTime(wikiPage.created_date),
+          modified: formatDateTime(wikiPage.modified_date),
+          version: wikiPage.version,
+          watchers: wikiPage.watchers?.length || 0,
+          owner: wikiPage.owner_full_name || STATUS_LABELS.NOT_SET,
+          content: wikiPage.content || t('tools.wiki.noContent')
+        }),
+        { wikiPage: toWikiPage(wikiPage) }
       );
     } catch (error) {
-      console.error('Failed to get wiki page:', error);
+      logger.error('Failed to get wiki page', { error });
       return createErrorResponse(error.message || ERROR_MESSAGES.FAILED_TO_GET_WIKI);
     }
   }
@@ -181,6 +192,7 @@ export const updateWikiPageTool = {
     content: z.string().optional().describe('New content for the Wiki page (supports Markdown)'),
     watchers: z.array(z.number()).optional().describe('Updated list of user IDs to watch this Wiki page'),
   },
+  outputSchema: { wikiPage: wikiPageSchema },
   
   handler: async ({ project, identifier, content, watchers }) => {
     try {
@@ -212,17 +224,19 @@ export const updateWikiPageTool = {
       
       return createSuccessResponse(
         `${SUCCESS_MESSAGES.WIKI_PAGE_UPDATED}\n\n` +
-        `📖 **Wiki頁面更新成功**\n` +
-        `- Wiki ID: ${result.id}\n` +
-        `- Slug: ${result.slug}\n` +
-        `- 專案: ${resolvedProject.name}\n` +
-        `- 更新時間: ${new Date(result.modified_date).toLocaleString()}\n` +
-        `- 版本: ${result.version}\n` +
-        `- 內容長度: ${result.content?.length || 0} 字符\n` +
-        `- 關注者: ${result.watchers?.length || 0} 人`
+        t('tools.wiki.updated', {
+          id: result.id,
+          slug: result.slug,
+          project: resolvedProject.name,
+          date: formatDateTime(result.modified_date),
+          version: result.version,
+          length: result.content?.length || 0,
+          watchers: result.watchers?.length || 0
+        }),
+        { wikiPage: toWikiPage(result) }
       );
     } catch (error) {
-      console.error('Failed to update wiki page:', error);
+      logger.error('Failed to update wiki page', { error });
       return createErrorResponse(error.message || ERROR_MESSAGES.FAILED_TO_UPDATE_WIKI);
     }
   }
@@ -235,6 +249,7 @@ export const updateWikiPageTool = {
 export const deleteWikiPageTool = {
   name: 'deleteWikiPage',
   description: 'Delete a Wiki page from the project (irreversible action)',
+  destructive: true,
   schema: {
     project: z.union([z.number(), z.string()]).describe('Project ID, slug, or name'),
     identifier: z.union([z.number(), z.string()]).describe('Wiki page ID (number) or slug (string)'),
@@ -268,15 +283,15 @@ export const deleteWikiPageTool = {
       
       return createSuccessResponse(
         `${SUCCESS_MESSAGES.WIKI_PAGE_DELETED}\n\n` +
-        `🗑️ **Wiki頁面刪除成功**\n` +
-        `- 已刪除Wiki: ${wikiSlug}\n` +
-        `- Wiki ID: ${wikiPageId}\n` +
-        `- 專案: ${resolvedProject.name}\n` +
-        `- 刪除時間: ${new Date().toLocaleString()}\n\n` +
-        `⚠️ 注意：此操作不可逆轉`
+        t('tools.wiki.deleted', {
+          slug: wikiSlug,
+          id: wikiPageId,
+          project: resolvedProject.name,
+          date: formatDateTime(new Date().toISOString())
+        })
       );
     } catch (error) {
-      console.error('Failed to delete wiki page:', error);
+      logger.error('Failed to delete wiki page', { error });
       return createErrorResponse(error.message || ERROR_MESSAGES.FAILED_TO_DELETE_WIKI);
     }
   }
@@ -321,21 +336,17 @@ export const watchWikiPageTool = {
 
       await taigaService.watchWikiPage(wikiPageId, watch);
       
-      const action = watch ? '關注' : '取消關注';
-      const actionIcon = watch ? '👁️' : '🚫';
-      
       return createSuccessResponse(
         `${SUCCESS_MESSAGES.WIKI_PAGE_WATCHED}\n\n` +
-        `${actionIcon} **Wiki頁面${action}成功**\n` +
-        `- Wiki: ${wikiSlug}\n` +
-        `- Wiki ID: ${wikiPageId}\n` +
-        `- 專案: ${resolvedProject.name}\n` +
-        `- 操作: ${action}\n` +
-        `- 時間: ${new Date().toLocaleString()}\n\n` +
-        `${watch ? '🔔 您將收到此Wiki頁面的變更通知' : '🔕 您將不再收到此Wiki頁面的通知'}`
+        t(watch ? 'tools.wiki.watched' : 'tools.wiki.unwatched', {
+          slug: wikiSlug,
+          id: wikiPageId,
+          project: resolvedProject.name,
+          date: formatDateTime(new Date().toISOString())
+        })
       );
     } catch (error) {
-      console.error('Failed to watch/unwatch wiki page:', error);
+      logger.error('Failed to watch/unwatch wiki page', { error });
       return createErrorResponse(error.message || ERROR_MESSAGES.FAILED_TO_WATCH_WIKI);
     }
   }
@@ -0,0 +1,184 @@
+/**
+ * Undo recorded changes
+ * Reverses audit log entries: created items are deleted, added comments are deleted,
+ * updated fields are restored to their previous values, deleted wiki pages are
+ * re-created and watch toggles are flipped back. Nothing changed again after the
+ * audited write is overwritten or deleted; the undo is refused instead.
+ */
+
+import { createAuthenticatedClient } from './taigaAuth.js';
+import { runWithToolContext } from './context.js';
+import { readAuditEntries, RESOURCE_PATTERN } from './audit.js';
+import { getProfile } from './profiles.js';
+import { API_ENDPOINTS } from './constants.js';
+import { t } from './i18n.js';
+
+// Collections whose POST creates an item that can be deleted again
+const COLLECTION_PATTERN = /^\/(userstories|tasks|issues|epics|wiki|milestones)(\/attachments)?$/;
+
+// Watch toggles on wiki pages
+const WATCH_PATTERN = /^(\/wiki\/\d+)\/(watch|unwatch)$/;
+
+// History object type of the items comments are added to
+const HISTORY_TYPES = { '/userstories': 'userstory', '/tasks': 'task', '/issues': 'issue', '/epics': 'epic', '/wiki': 'wiki' };
+
+/**
+ * Compare two field values
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - Whether both values are the same
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Get the audit entries of the current profile that can still be undone
+ * Entries made by an undo, and entries that were already undone, are left out.
+ * @returns {Array<Object>} - Entries, oldest first
+ */
+export function getUndoableEntries() {
+  const profileName = getProfile().name;
+  const entries = readAuditEntries().filter(entry => entry.profile === profileName);
+  const undone = new Set(entries.filter(entry => entry.undoOf).map(entry => entry.undoOf));
+
+  return entries.filter(entry => !entry.undoOf && !undone.has(entry.id));
+}
+
+/**
+ * Find an audit entry of the current profile by ID
+ * @param {string} changeId - Audit entry ID
+ * @returns {Object} - Audit entry
+ */
+export function findAuditEntry(changeId) {
+  const profileName = getProfile().name;
+  const entries = readAuditEntries().filter(entry => entry.profile === profileName);
+  const entry = entries.find(item => item.id === changeId);
+
+  if (!entry) {
+    throw new Error(t('undo.notFound', { id: changeId, profile: profileName }));
+  }
+  if (entry.undoOf) {
+    throw new Error(t('undo.isUndo', { id: changeId, undoOf: entry.undoOf }));
+  }
+  if (entries.some(item => item.undoOf === changeId)) {
+    throw new Error(t('undo.alreadyUndone', { id: changeId }));
+  }
+  return entry;
+}
+
+/**
+ * Delete an item created by a POST, unless it was changed since
+ * @param {import('axios').AxiosInstance} client - Authenticated client
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<string>} - Description of what was deleted
+ */
+async function deleteCreated(client, entry) {
+  const endpoint = `${entry.endpoint}/${entry.response.id}`;
+
+  // Taiga bumps the version (or modified date) on every change, also the ones made elsewhere
+  const { data: current } = await client.get(endpoint);
+  if (!sameValue(current.version, entry.response.version) || !sameValue(current.modified_date, entry.response.modified_date)) {
+    throw new Error(t('undo.changedSinceCreate', {
+      endpoint,
+      modified: current.modified_date || t('undo.unknownDate'),
+      version: current.version ?? '-'
+    }));
+  }
+
+  await client.delete(endpoint);
+  return t('undo.deleted', { endpoint, tool: entry.tool || t('undo.unknownTool') });
+}
+
+/**
+ * Delete the comment added by a PATCH, unless it was edited or deleted since
+ * The comment is found in the item's history by its text, closest to the time of the change.
+ * @param {import('axios').AxiosInstance} client - Authenticated client
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<string>} - Description of what was deleted
+ */
+async function deleteAddedComment(client, entry) {
+  const [, collection, itemId] = entry.endpoint.split('/');
+  const { data: history } = await client.get(`${API_ENDPOINTS.HISTORY}/${HISTORY_TYPES[`/${collection}`]}/${itemId}`);
+
+  const changedAt = Date.parse(entry.time);
+  const [comment] = (history || [])
+    .filter(item => item.comment === entry.request.comment && !item.delete_comment_date)
+    .sort((a, b) => Math.abs(Date.parse(a.created_at) - changedAt) - Math.abs(Date.parse(b.created_at) - changedAt));
+  if (!comment) {
+    throw new Error(t('undo.commentNotFound', { endpoint: entry.endpoint }));
+  }
+
+  await client.delete(`${API_ENDPOINTS.HISTORY}/delete-comment`, { data: { id: comment.id } });
+  return t('undo.commentDeleted', { endpoint: entry.endpoint });
+}
+
+/**
+ * Restore the fields changed by a PATCH/PUT
+ * @param {import('axios').AxiosInstance} client - Authenticated client
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<string>} - Description of what was restored
+ */
+async function restoreFields(client, entry) {
+  // Only fields Taiga echoes back can be compared and restored (comments are deleted instead)
+  const fields = Object.keys(entry.previous || {})
+    .filter(field => field !== 'comment' && entry.response && field in entry.response);
+  if (fields.length === 0) {
+    throw new Error(t('undo.noRestorableFields', { method: entry.method, endpoint: entry.endpoint }));
+  }
+
+  const { data: current } = await client.get(entry.endpoint);
+  const conflicts = fields.filter(field => !sameValue(current[field], entry.response[field]));
+  if (conflicts.length > 0) {
+    const details = conflicts.map(field => t('undo.conflict', {
+      field,
+      current: JSON.stringify(current[field]),
+      value: JSON.stringify(entry.response[field])
+    })).join('\n');
+    throw new Error(t('undo.changedAgain', { endpoint: entry.endpoint, details }));
+  }
+
+  const restored = Object.fromEntries(fields.map(field => [field, entry.previous[field]]));
+  await client.patch(entry.endpoint, { ...restored, version: current.version });
+
+  return t('undo.restored', { fields: fields.join(', '), endpoint: entry.endpoint });
+}
+
+/**
+ * Undo a single audit entry
+ * The writes made by the undo are audited too, with `undoOf` pointing at the entry.
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<string>} - Description of what was done
+ */
+export async function undoAuditEntry(entry) {
+  const client = await createAuthenticatedClient(entry.profile);
+
+  return await runWithToolContext({ undoOf: entry.id }, async () => {
+    if (entry.method === 'POST' && COLLECTION_PATTERN.test(entry.endpoint) && entry.response?.id) {
+      return await deleteCreated(client, entry);
+    }
+
+    const watch = WATCH_PATTERN.exec(entry.endpoint);
+    if (entry.method === 'POST' && watch) {
+      const opposite = watch[2] === 'watch' ? 'unwatch' : 'watch';
+      await client.post(`${watch[1]}/${opposite}`);
+      return t('undo.called', { action: opposite, endpoint: watch[1] });
+    }
+
+    if (entry.method === 'PATCH' && entry.request?.comment && HISTORY_TYPES[`/${entry.endpoint.split('/')[1]}`]) {
+      return await deleteAddedComment(client, entry);
+    }
+
+    if (['PATCH', 'PUT'].includes(entry.method) && RESOURCE_PATTERN.test(entry.endpoint)) {
+      return await restoreFields(client, entry);
+    }
+
+    if (entry.method === 'DELETE' && entry.endpoint.startsWith(`${API_ENDPOINTS.WIKI}/`) && entry.previous?.slug) {
+      const { project, slug, content } = entry.previous;
+      const { data } = await client.post(API_ENDPOINTS.WIKI, { project, slug, content });
+      return t('undo.wikiRecreated', { slug, id: data.id });
+    }
+
+    throw new Error(t('undo.notUndoable', { method: entry.method, endpoint: entry.endpoint, id: entry.id }));
+  });
+}
@@ -4,6 +4,8 @@
 
 import { TaigaService } from './taigaService.js';
 import { STATUS_LABELS } from './constants.js';
+import { getToolContext } from './context.js';
+import { t, getLocale } from './i18n.js';
 
 const taigaService = new TaigaService();
 
@@ -21,6 +23,17 @@ export async function resolveProjectId(projectIdentifier) {
   return project.id;
 }
 
+/**
+ * Fetch a project by ID or slug
+ * @param {string} projectIdentifier - Project ID or slug
+ * @returns {Promise<Object>} - Taiga project
+ */
+export async function findProject(projectIdentifier) {
+  return isNaN(projectIdentifier)
+    ? taigaService.getProjectBySlug(projectIdentifier)
+    : taigaService.getProject(projectIdentifier);
+}
+
 /**
  * Resolve issue identifier to issue object
  * @param {string} issueIdentifier - Issue ID or reference (#123)
@@ -31,7 +44,7 @@ export async function resolveIssue(issueIdentifier, projectIdentifier) {
   // Handle #-prefixed reference numbers
   if (issueIdentifier.startsWith('#')) {
     if (!projectIdentifier) {
-      throw new Error('Project identifier is required when using issue reference number');
+      throw new Error(t('format.issueRefNeedsProject'));
     }
     
     const projectId = await resolveProjectId(projectIdentifier);
@@ -52,11 +65,11 @@ export async function resolveIssue(issueIdentifier, projectIdentifier) {
           return await taigaService.getIssueByRef(issueIdentifier, projectId);
         } catch (refError) {
           // If both fail, throw a more helpful error
-          throw new Error(`Issue not found by ID "${issueIdentifier}" or reference number "#${issueIdentifier}" in project. Original errors: ID lookup: ${error.message}, Ref lookup: ${refError.message}`);
+          throw new Error(t('format.issueNotFoundByIdOrRef', { id: issueIdentifier, idError: error.message, refError: refError.message }));
         }
       } else {
         // No project identifier available, can only try ID
-        throw new Error(`Issue ID "${issueIdentifier}" not found. If this is a reference number, please provide projectIdentifier or use "#${issueIdentifier}" format.`);
+        throw new Error(t('format.issueIdNotFound', { id: issueIdentifier }));
       }
     }
   }
@@ -95,24 +108,41 @@ export function findIdByName(collection, name) {
   return item?.id;
 }
 
+/**
+ * Find ID by name, failing when the name does not exist
+ * @param {Array} collection - Array of objects with name property
+ * @param {string} name - Name to find
+ * @param {string} label - What is being looked up, localized (e.g. t('fields.status'))
+ * @returns {number|undefined} - ID, or undefined when no name was given
+ */
+export function requireIdByName(collection, name, label) {
+  if (!name) return undefined;
+
+  const id = findIdByName(collection, name);
+  if (id === undefined) {
+    throw new Error(t('format.invalidName', { label, name, available: collection.map(item => item.name).join(', ') }));
+  }
+  return id;
+}
+
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
- * @returns {string} - Formatted date or 'Not set'
+ * @returns {string} - Formatted date in the call's locale, or 'Not set'
  */
 export function formatDate(dateString) {
-  if (!dateString) return 'Not set';
-  return new Date(dateString).toLocaleDateString();
+  if (!dateString) return STATUS_LABELS.NOT_SET;
+  return new Date(dateString).toLocaleDateString(getLocale());
 }
 
 /**
  * Format datetime for display
  * @param {string} dateString - ISO date string
- * @returns {string} - Formatted datetime
+ * @returns {string} - Formatted datetime in the call's locale
  */
 export function formatDateTime(dateString) {
-  if (!dateString) return 'Not set';
-  return new Date(dateString).toLocaleString();
+  if (!dateString) return STATUS_LABELS.NOT_SET;
+  return new Date(dateString).toLocaleString(getLocale());
 }
 
 /**
@@ -132,11 +162,15 @@ export function calculateCompletionPercentage(completed, total) {
  * @returns {Object} - MCP error response
  */
 export function createErrorResponse(message) {
+  // Point to the log entries of this tool call
+  const { correlationId } = getToolContext();
+  const reference = correlationId ? `\n\n${t('format.correlationId', { id: correlationId })}` : '';
+
   return {
     content: [
       {
         type: 'text',
-        text: `❌ Error: ${message}`,
+        text: `${t('format.error', { message })}${reference}`,
       },
     ],
     isError: true,
@@ -146,9 +180,10 @@ export function createErrorResponse(message) {
 /**
  * Create MCP success response
  * @param {string} text - Response text
+ * @param {Object} [structuredContent] - Machine-readable result matching the tool's outputSchema
  * @returns {Object} - MCP success response
  */
-export function createSuccessResponse(text) {
+export function createSuccessResponse(text, structuredContent) {
   return {
     content: [
       {
@@ -156,6 +191,7 @@ export function createSuccessResponse(text) {
         text,
       },
     ],
+    ...(structuredContent && { structuredContent }),
   };
 }
 
@@ -184,7 +220,7 @@ export function getSafeValue(value, defaultValue = STATUS_LABELS.UNKNOWN) {
  * @returns {string} - Formatted project list
  */
 export function formatProjectList(projects) {
-  return projects.map(p => `- ${p.name} (ID: ${p.id}, Slug: ${p.slug})`).join('\n');
+  return projects.map(p => t('format.projectListItem', { name: p.name, id: p.id, slug: p.slug })).join('\n');
 }
 
 /**
@@ -193,9 +229,11 @@ export function formatProjectList(projects) {
  * @returns {string} - Formatted user story list
  */
 export function formatUserStoryList(userStories) {
-  return userStories.map(us => 
-    `- #${us.ref}: ${us.subject} (Status: ${getSafeValue(us.status_extra_info?.name)})`
-  ).join('\n');
+  return userStories.map(us => t('format.userStoryListItem', {
+    ref: us.ref,
+    subject: us.subject,
+    status: getSafeValue(us.status_extra_info?.name)
+  })).join('\n');
 }
 
 /**
@@ -204,11 +242,14 @@ export function formatUserStoryList(userStories) {
  * @returns {string} - Formatted issue list
  */
 export function formatIssueList(issues) {
-  return issues.map(issue => `- #${issue.ref}: ${issue.subject}
-  Status: ${getSafeValue(issue.status_extra_info?.name)}
-  Priority: ${getSafeValue(issue.priority_extra_info?.name)}
-  Sprint: ${getSafeValue(issue.milestone_extra_info?.name, STATUS_LABELS.NO_SPRINT)}
-  Assigned: ${getSafeValue(issue.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED)}`).join('\n\n');
+  return issues.map(issue => t('format.issueListItem', {
+    ref: issue.ref,
+    subject: issue.subject,
+    status: getSafeValue(issue.status_extra_info?.name),
+    priority: getSafeValue(issue.priority_extra_info?.name),
+    sprint: getSafeValue(issue.milestone_extra_info?.name, STATUS_LABELS.NO_SPRINT),
+    assignee: getSafeValue(issue.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED)
+  })).join('\n\n');
 }
 
 /**
@@ -217,14 +258,13 @@ export function formatIssueList(issues) {
  * @returns {string} - Formatted sprint list
  */
 export function formatSprintList(sprints) {
-  return sprints.map(sprint => {
-    const startDate = formatDate(sprint.estimated_start);
-    const endDate = formatDate(sprint.estimated_finish);
-    const status = getStatusLabel(sprint.closed);
-    return `- ${sprint.name} (ID: ${sprint.id})
-  Status: ${status}
-  Duration: ${startDate} ~ ${endDate}`;
-  }).join('\n\n');
+  return sprints.map(sprint => t('format.sprintListItem', {
+    name: sprint.name,
+    id: sprint.id,
+    status: getStatusLabel(sprint.closed),
+    start: formatDate(sprint.estimated_start),
+    end: formatDate(sprint.estimated_finish)
+  })).join('\n\n');
 }
 
 /**
@@ -233,8 +273,11 @@ export function formatSprintList(sprints) {
  * @returns {string} - Formatted issue list for sprint
  */
 export function formatSprintIssues(issues) {
-  return issues.map(issue => `🔸 #${issue.ref}: ${issue.subject}
-   Status: ${getSafeValue(issue.status_extra_info?.name)}
-   Priority: ${getSafeValue(issue.priority_extra_info?.name)}
-   Assigned: ${getSafeValue(issue.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED)}`).join('\n\n');
+  return issues.map(issue => t('format.sprintIssueItem', {
+    ref: issue.ref,
+    subject: issue.subject,
+    status: getSafeValue(issue.status_extra_info?.name),
+    priority: getSafeValue(issue.priority_extra_info?.name),
+    assignee: getSafeValue(issue.assigned_to_extra_info?.full_name, STATUS_LABELS.UNASSIGNED)
+  })).join('\n\n');
 }
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * Versioned updates
+ * Taiga only accepts a PATCH that carries the item's current `version`. An update
+ * reads the item, sends the patch with that version and, when someone else saved
+ * the item in between, reads it again: if the other change left the patched fields
+ * alone the patch is re-sent on the new version, otherwise the update fails with a
+ * VersionConflictError that shows both values of each contested field.
+ */
+
+import { toTaigaError, VersionConflictError } from './errors.js';
+import { t } from './i18n.js';
+
+// Re-send a patch at most this many times when unrelated edits keep landing first
+export const MAX_CONFLICT_RETRIES = 3;
+
+/**
+ * Compare two field values
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - Whether both values are the same
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Find the patched fields that someone else changed to a different value
+ * @param {Object} patch - Fields being written
+ * @param {Object} base - Item as read before the patch was sent
+ * @param {Object} latest - Item as it is now
+ * @returns {Array<{field: string, yours: any, theirs: any}>} - Contested fields
+ */
+export function findConflicts(patch, base, latest) {
+  return Object.keys(patch)
+    .filter(field => field in latest && !sameValue(latest[field], base[field]) && !sameValue(latest[field], patch[field]))
+    .map(field => ({ field, yours: patch[field], theirs: latest[field] }));
+}
+
+/**
+ * Build the error reported when another change touched the same fields
+ * @param {string} context - What was being done
+ * @param {Array<Object>} conflicts - Contested fields
+ * @param {Error} cause - The rejected PATCH
+ * @returns {VersionConflictError} - Conflict report
+ */
+function conflictError(context, conflicts, cause) {
+  const lines = conflicts.map(({ field, yours, theirs }) =>
+    t('taigaErrors.conflictField', { field, yours: JSON.stringify(yours), theirs: JSON.stringify(theirs) })
+  );
+  return new VersionConflictError(
+    [`${context}: ${t('taigaErrors.versionConflictFields')}`, ...lines].join('\n'),
+    { status: cause.status, data: cause.data, cause, conflicts }
+  );
+}
+
+/**
+ * PATCH an item with its current version, retrying over unrelated concurrent edits
+ * @param {import('axios').AxiosInstance} client - Authenticated client
+ * @param {string} path - Item endpoint, e.g. "/issues/12"
+ * @param {Object} patch - Fields to change (without `version`)
+ * @param {string} context - What is being done, used in error messages
+ * @returns {Promise<Object>} - Updated item
+ */
+export async function patchWithVersion(client, path, patch, context) {
+  try {
+    let { data: base } = await client.get(path);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // The item was just read, so the audit log takes its previous values from here
+        const _auditPrevious = Object.fromEntries(Object.keys(patch).map(field => [field, base[field]]));
+        const response = await client.patch(path, { ...patch, version: base.version }, { _auditPrevious });
+        return response.data;
+      } catch (error) {
+        const failure = toTaigaError(error, context);
+        if (!(failure instanceof VersionConflictError) || attempt >= MAX_CONFLICT_RETRIES) {
+          throw failure;
+        }
+
+        const { data: latest } = await client.get(path);
+        const conflicts = findConflicts(patch, base, latest);
+        if (conflicts.length > 0) {
+          throw conflictError(context, conflicts, failure);
+        }
+        base = latest;
+      }
+    }
+  } catch (error) {
+    throw toTaigaError(error, context);
+  }
+}
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Audit Test - Verifies that writes are recorded in the audit log and can be undone
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+class AuditTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.handlers = {};
+    this.items = new Map();
+    this.requests = [];
+    this.comments = [];
+    this.nextId = 1;
+    this.auditFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'taiga-audit-')), 'audit.jsonl');
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Keep items in memory, bumping the version on every change like Taiga does;
+   * comments go to the item's history instead
+   */
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const path = req.url.split('?')[0].replace('/api/v1', '');
+        const id = Number(path.split('/')[2]);
+        const data = body ? JSON.parse(body) : {};
+        this.requests.push(`${req.method} ${path}`);
+        const send = (status, payload) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(payload === undefined ? '' : JSON.stringify(payload));
+        };
+
+        if (req.method === 'GET' && path.startsWith('/history/')) {
+          return send(200, this.comments.filter(comment => comment.item === path.split('/')[3]));
+        }
+        if (req.method === 'DELETE' && path === '/history/delete-comment') {
+          this.comments.find(comment => comment.id === data.id).delete_comment_date = new Date().toISOString();
+          return send(204);
+        }
+        if (req.method === 'POST' && path === '/epics') {
+          const epic = { ...data, id: this.nextId++, version: 1 };
+          this.items.set(epic.id, epic);
+          return send(201, epic);
+        }
+        if (!this.items.has(id)) return send(404, { detail: 'Not found.' });
+
+        const epic = this.items.get(id);
+        if (req.method === 'GET') return send(200, epic);
+        if (req.method === 'DELETE') {
+          this.items.delete(id);
+          return send(204);
+        }
+        if (data.version !== epic.version) return send(400, { version: 'The version is outdated' });
+        const { comment, ...changes } = data;
+        if (comment) {
+          this.comments.push({ id: `c${this.comments.length + 1}`, item: String(id), comment, created_at: new Date().toISOString(), delete_comment_date: null });
+        }
+        Object.assign(epic, changes, { version: epic.version + 1 }, comment !== undefined && { comment: '' });
+        return send(200, epic);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async call(name, args) {
+    const result = await this.handlers[name](args, {});
+    return { text: result.content[0].text, isError: Boolean(result.isError) };
+  }
+
+  readEntries() {
+    if (!fs.existsSync(this.auditFile)) {
+      return [];
+    }
+    return fs.readFileSync(this.auditFile, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  async run() {
+    console.log('🧪 Audit Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_AUDIT_LOG = this.auditFile;
+
+    const { registerAllTools } = await import('../src/tools/index.js');
+    const fakeServer = {
+      registerTool: (name, config, handler) => {
+        this.handlers[name] = handler;
+      }
+    };
+    registerAllTools(fakeServer, {});
+
+    await this.test('Created items are recorded and undoLastChange deletes them', async () => {
+      const { text, isError } = await this.call('createEpic', { project: 42, subject: 'Checkout' });
+      this.assert(!isError, text);
+
+      const [entry] = this.readEntries();
+      this.assert(entry?.tool === 'createEpic' && entry.method === 'POST' && entry.endpoint === '/epics', 'Should record the create');
+      this.assert(entry.args.subject === 'Checkout' && entry.response.id === 1, 'Should record arguments and response');
+      this.assert((fs.statSync(this.auditFile).mode & 0o777) === 0o600, 'Audit log should only be readable by its owner');
+
+      const undo = await this.call('undoLastChange', {});
+      this.assert(!undo.isError, undo.text);
+      this.assert(!this.items.has(1), 'The epic should be deleted');
+      this.assert(this.readEntries()[1].undoOf === entry.id, 'The undo should be recorded against the change');
+    });
+
+    await this.test('Updates record previous values and undoChange restores them', async () => {
+      this.items.set(10, { id: 10, version: 4, subject: 'Old title', color: '#111111', description: 'Kept' });
+      this.requests = [];
+      const { text, isError } = await this.call('updateEpic', { epicId: 10, subject: 'New title', color: '#222222' });
+      this.assert(!isError, text);
+      this.assert(this.requests.filter(request => request === 'GET /epics/10').length === 1, `The epic should be read once: ${this.requests}`);
+
+      const entry = this.readEntries().at(-1);
+      this.assert(JSON.stringify(entry.previous) === JSON.stringify({ subject: 'Old title', color: '#111111' }), `Unexpected previous values: ${JSON.stringify(entry.previous)}`);
+
+      const listed = await this.call('listChanges', {});
+      this.assert(listed.text.includes(entry.id) && listed.text.includes('(undone)'), 'listChanges should show the change and the undone create');
+
+      const undo = await this.call('undoChange', { changeId: entry.id });
+      this.assert(!undo.isError, undo.text);
+      const epic = this.items.get(10);
+      this.assert(epic.subject === 'Old title' && epic.color === '#111111' && epic.version === 6, 'Fields should be restored with the current version');
+
+      const again = await this.call('undoChange', { changeId: entry.id });
+      this.assert(again.isError && again.text.includes('already been undone'), 'A change should only be undone once');
+    });
+
+    await this.test('Undo refuses to overwrite later changes', async () => {
+      this.items.set(20, { id: 20, version: 1, subject: 'Draft' });
+      await this.call('updateEpic', { epicId: 20, subject: 'Reviewed' });
+      Object.assign(this.items.get(20), { subject: 'Edited in the web UI', version: 3 });
+
+      const { text, isError } = await this.call('undoLastChange', {});
+      this.assert(isError, 'Undo should be refused');
+      this.assert(text.includes('Edited in the web UI') && text.includes('Reviewed'), 'Should show both values');
+      this.assert(this.items.get(20).subject === 'Edited in the web UI', 'The later change should be kept');
+    });
+
+    await this.test('Undo does not delete a created item that was changed since', async () => {
+      const created = await this.call('createEpic', { project: 42, subject: 'Roadmap' });
+      this.assert(!created.isError, created.text);
+      const { id } = this.readEntries().at(-1).response;
+      Object.assign(this.items.get(id), { subject: 'Roadmap (edited in the web UI)', version: 2 });
+
+      const { text, isError } = await this.call('undoLastChange', {});
+      this.assert(isError && text.includes('changed after it was created'), text);
+      this.assert(this.items.has(id), 'The edited item should be kept');
+    });
+
+    await this.test('Undoing addComment deletes the comment', async () => {
+      this.items.set(40, { id: 40, version: 1, subject: 'Write the migration' });
+      const added = await this.call('addComment', { itemType: 'task', itemId: 40, comment: 'Reproduced on staging' });
+      this.assert(!added.isError, added.text);
+      this.assert(this.comments.length === 1, 'The comment should be added');
+
+      const { text, isError } = await this.call('undoLastChange', {});
+      this.assert(!isError && text.includes('Deleted the comment added to /tasks/40'), text);
+      this.assert(this.comments[0].delete_comment_date, 'The comment should be deleted');
+
+      await this.call('addComment', { itemType: 'task', itemId: 40, comment: 'Fixed by the last deploy' });
+      this.comments.at(-1).comment = 'Fixed by the last deploy (edited)';
+      const refused = await this.call('undoLastChange', {});
+      this.assert(refused.isError && refused.text.includes('was edited or deleted since'), refused.text);
+      this.assert(!this.comments.at(-1).delete_comment_date, 'The edited comment should be kept');
+    });
+
+    await this.test('Dry-run calls are not recorded', async () => {
+      const before = this.readEntries().length;
+      const { text, isError } = await this.call('createEpic', { project: 42, subject: 'Planned', dryRun: true });
+      this.assert(!isError && text.includes('Dry run'), text);
+      this.assert(this.readEntries().length === before, 'Nothing should be added to the audit log');
+    });
+
+    await this.test('Secrets in arguments are redacted', async () => {
+      this.items.set(30, { id: 30, version: 1, description: '' });
+      await this.call('updateEpic', { epicId: 30, description: 'Deploy with token Bearer abc.def.ghi' });
+      const entry = this.readEntries().at(-1);
+      this.assert(!JSON.stringify(entry.args).includes('abc.def.ghi'), 'Arguments should be redacted');
+    });
+
+    this.server.close();
+    fs.rmSync(path.dirname(this.auditFile), { recursive: true, force: true });
+
+    console.log('\n📊 Audit Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new AuditTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Audit test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default AuditTestRunner;
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * Auth Refresh Test - Verifies token refresh, 401 replay and pre-issued tokens against a local fake Taiga API
+ */
+
+import http from 'http';
+
+/**
+ * Build an unsigned JWT-shaped token expiring after the given number of seconds
+ */
+function makeToken(id, expiresInSeconds) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  return `${encode({ alg: 'none' })}.${encode({ exp, id })}.`;
+}
+
+class AuthRefreshTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.calls = [];
+    this.validToken = null;
+    this.tokenCounter = 0;
+    this.tokenLifetime = 3600;
+    this.applicationToken = 'app-token';
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  issueTokens() {
+    this.tokenCounter++;
+    this.validToken = makeToken(this.tokenCounter, this.tokenLifetime);
+    return { auth_token: this.validToken, refresh: `refresh-${this.tokenCounter}` };
+  }
+
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.calls.push(`${req.method} ${req.url}`);
+        const send = (status, data) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (req.url === '/api/v1/auth') {
+          return send(200, this.issueTokens());
+        }
+        if (req.url === '/api/v1/auth/refresh') {
+          const { refresh } = JSON.parse(body);
+          return refresh === `refresh-${this.tokenCounter}`
+            ? send(200, this.issueTokens())
+            : send(401, { detail: 'Token is invalid or expired' });
+        }
+        const accepted = [`Bearer ${this.validToken}`, `Application ${this.applicationToken}`];
+        if (!accepted.includes(req.headers.authorization)) {
+          return send(401, { detail: 'Invalid token' });
+        }
+        return send(200, { id: 1, username: 'tester', full_name: 'Test User' });
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Auth Refresh Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_USERNAME = 'tester';
+    process.env.TAIGA_PASSWORD = 'secret';
+    process.env.TAIGA_PROFILES = JSON.stringify({
+      service: { apiUrl: process.env.TAIGA_API_URL, token: 'app-token', tokenType: 'application' }
+    });
+
+    const auth = await import('../src/taigaAuth.js');
+
+    await this.test('Token expiry is read from the JWT payload', async () => {
+      const token = makeToken(99, 120);
+      const expiry = auth.getTokenExpiry(token);
+      this.assert(expiry > Date.now() && expiry <= Date.now() + 120 * 1000, 'Expiry should be about 2 minutes ahead');
+      this.assert(auth.getTokenExpiry('not-a-jwt') === null, 'Non-JWT tokens should have no expiry');
+    });
+
+    await this.test('First request logs in through /auth', async () => {
+      this.calls = [];
+      const client = await auth.createAuthenticatedClient();
+      const response = await client.get('/users/me');
+      this.assert(response.data.username === 'tester', 'Should return the current user');
+      this.assert(this.calls[0] === 'POST /api/v1/auth', 'Should authenticate first');
+    });
+
+    await this.test('Token close to expiry is renewed through /auth/refresh', async () => {
+      auth.clearAuthTokens();
+      this.tokenLifetime = 30; // inside the refresh margin
+      await auth.getAuthToken();
+      this.tokenLifetime = 3600;
+
+      this.calls = [];
+      await auth.getAuthToken();
+      this.assert(this.calls.includes('POST /api/v1/auth/refresh'), 'Should call /auth/refresh');
+      this.assert(!this.calls.includes('POST /api/v1/auth'), 'Should not log in again');
+    });
+
+    await this.test('401 mid-session refreshes and replays the request once', async () => {
+      const client = await auth.createAuthenticatedClient();
+      this.validToken = 'revoked-server-side';
+
+      this.calls = [];
+      const response = await client.get('/users/me');
+      this.assert(response.status === 200, 'Replayed request should succeed');
+      this.assert(
+        this.calls.join(',') === 'GET /api/v1/users/me,POST /api/v1/auth/refresh,GET /api/v1/users/me',
+        `Unexpected call sequence: ${this.calls.join(', ')}`
+      );
+    });
+
+    await this.test('Expired refresh token falls back to a full login', async () => {
+      await auth.getAuthToken();
+      this.tokenCounter += 10; // invalidates the stored refresh token
+      this.validToken = 'revoked-server-side';
+
+      this.calls = [];
+      const client = await auth.createAuthenticatedClient();
+      const response = await client.get('/users/me');
+      this.assert(response.status === 200, 'Request should succeed after re-login');
+      this.assert(this.calls.includes('POST /api/v1/auth'), 'Should log in again with credentials');
+    });
+
+    await this.test('A failed refresh keeps the cause', async () => {
+      await auth.getAuthToken();
+      this.tokenCounter += 10; // invalidates the stored refresh token
+      try {
+        await auth.refreshAuthToken();
+        throw new Error('The refresh should have failed');
+      } catch (error) {
+        this.assert(error.message === 'Failed to refresh Taiga auth token', error.message);
+        this.assert(error.cause?.response?.status === 401, 'The rejected request should be the cause');
+      }
+    });
+
+    await this.test('Persistent 401 is not replayed more than once', async () => {
+      const client = await auth.createAuthenticatedClient();
+      this.validToken = 'revoked-server-side';
+      const originalIssue = this.issueTokens.bind(this);
+      this.issueTokens = () => ({ ...originalIssue(), auth_token: 'never-valid' });
+
+      this.calls = [];
+      let status = null;
+      try {
+        await client.get('/users/me');
+      } catch (error) {
+        status = error.response?.status;
+      }
+      this.issueTokens = originalIssue;
+      this.assert(status === 401, 'Should surface the 401');
+      this.assert(this.calls.filter(c => c === 'GET /api/v1/users/me').length === 2, 'Should replay only once');
+    });
+
+    await this.test('Application token skips /auth and is validated with /users/me', async () => {
+      this.calls = [];
+      const user = await auth.validateStaticToken('service');
+      const client = await auth.createAuthenticatedClient('service');
+      await client.get('/users/me');
+      this.assert(user.username === 'tester', 'Should return the token owner');
+      this.assert(this.calls.every(c => c === 'GET /api/v1/users/me'), `Should not authenticate: ${this.calls.join(', ')}`);
+    });
+
+    await this.test('The profile chosen with authenticate only applies to its own session', async () => {
+      const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+      const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+      const { createServer } = await import('../src/server.js');
+
+      const connect = async () => {
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        const client = new Client({ name: 'profile-session-test', version: '1.0.0' });
+        await createServer().connect(serverTransport);
+        await client.connect(clientTransport);
+        return client;
+      };
+      const activeProfile = async (client, args = {}) => {
+        const result = await client.callTool({ name: 'authenticate', arguments: args });
+        return result.content[0].text.match(/Active profile: (\S+)/)?.[1];
+      };
+
+      const first = await connect();
+      const second = await connect();
+      this.assert(await activeProfile(first, { profile: 'service' }) === 'service', 'The first session should switch');
+      this.assert(await activeProfile(second) === 'default', 'The second session should keep the default profile');
+      this.assert(await activeProfile(first) === 'service', 'The first session should keep its choice');
+      await first.close();
+      await second.close();
+    });
+
+    await this.test('Revoked application token is reported clearly', async () => {
+      const client = await auth.createAuthenticatedClient('service');
+      this.applicationToken = 'rotated';
+
+      let validationError = null;
+      let requestError = null;
+      try {
+        await auth.validateStaticToken('service');
+      } catch (error) {
+        validationError = error;
+      }
+      try {
+        await client.get('/users/me');
+      } catch (error) {
+        requestError = error;
+      }
+      this.assert(validationError?.message.includes('expired or been revoked'), 'Validation should explain the token was rejected');
+      this.assert(requestError?.message.includes('expired or been revoked'), 'Requests should explain the token was rejected');
+    });
+
+    this.server.close();
+
+    console.log('\n📊 Auth Refresh Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new AuthRefreshTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Auth refresh test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default AuthRefreshTestRunner;
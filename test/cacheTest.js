@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Cache Test - Verifies catalog caching, invalidation and batch request counts against a local fake Taiga API
+ */
+
+import http from 'http';
+
+const CATALOGS = {
+  '/issue-statuses': [{ id: 1, name: 'New' }, { id: 2, name: 'Closed' }],
+  '/priorities': [{ id: 3, name: 'Low' }, { id: 4, name: 'High' }],
+  '/severities': [{ id: 5, name: 'Minor' }, { id: 6, name: 'Critical' }],
+  '/issue-types': [{ id: 7, name: 'Bug' }, { id: 8, name: 'Question' }],
+};
+
+class CacheTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.calls = [];
+    this.createdIssues = [];
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  countCalls(prefix) {
+    return this.calls.filter(call => call.startsWith(prefix)).length;
+  }
+
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        this.calls.push(`${req.method} ${path}`);
+        const send = (status, data) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (req.method === 'GET' && path === '/projects/by_slug') {
+          return send(200, { id: 42, slug: url.searchParams.get('slug'), name: 'Demo' });
+        }
+        if (req.method === 'GET' && CATALOGS[path]) {
+          return send(200, CATALOGS[path]);
+        }
+        if (req.method === 'POST' && path === '/issue-statuses') {
+          return send(201, { id: 9, project: JSON.parse(body).project, name: JSON.parse(body).name });
+        }
+        if (req.method === 'PATCH' && path === '/projects/42') {
+          return send(200, { id: 42, slug: 'demo', name: 'Renamed' });
+        }
+        if (req.method === 'POST' && path === '/issues') {
+          const issue = JSON.parse(body);
+          this.createdIssues.push(issue);
+          return send(201, { id: this.createdIssues.length, ref: this.createdIssues.length, subject: issue.subject });
+        }
+        return send(404, { detail: 'Not found' });
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Cache Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_AUDIT_LOG = 'off';
+    process.env.TAIGA_PROFILES = JSON.stringify({
+      other: { apiUrl: process.env.TAIGA_API_URL, token: 'other-token', tokenType: 'Application' }
+    });
+
+    const { TaigaService } = await import('../src/taigaService.js');
+    const { cached, clearCache, getCacheSize } = await import('../src/cache.js');
+    const { resolveProjectId } = await import('../src/utils.js');
+    const { runWithToolContext } = await import('../src/context.js');
+    const { batchCreateIssuesTool } = await import('../src/tools/batchTools.js');
+    const { createAuthenticatedClient } = await import('../src/taigaAuth.js');
+    const service = new TaigaService();
+
+    await this.test('Repeated catalog lookups hit Taiga once', async () => {
+      this.calls = [];
+      await service.getIssueStatuses(42);
+      const statuses = await service.getIssueStatuses('42');
+      this.assert(statuses.length === 2, 'Should return the statuses');
+      this.assert(this.countCalls('GET /issue-statuses') === 1, `Expected 1 request, got ${this.countCalls('GET /issue-statuses')}`);
+    });
+
+    await this.test('Concurrent lookups share a single request', async () => {
+      clearCache();
+      this.calls = [];
+      await Promise.all([service.getIssuePriorities(42), service.getIssuePriorities(42), service.getIssuePriorities(42)]);
+      this.assert(this.countCalls('GET /priorities') === 1, `Expected 1 request, got ${this.countCalls('GET /priorities')}`);
+    });
+
+    await this.test('Project slugs are resolved once', async () => {
+      this.calls = [];
+      const first = await resolveProjectId('demo');
+      const second = await resolveProjectId('demo');
+      this.assert(first === 42 && second === 42, 'Should resolve to the project ID');
+      this.assert(this.countCalls('GET /projects/by_slug') === 1, 'Should fetch the project once');
+    });
+
+    await this.test('Batch of 20 issues resolves catalogs once', async () => {
+      clearCache();
+      this.calls = [];
+      this.createdIssues = [];
+      const issues = Array.from({ length: 20 }, (_, i) => ({
+        subject: `Issue ${i + 1}`, type: 'Bug', priority: 'High', severity: 'Critical'
+      }));
+
+      const result = await batchCreateIssuesTool.handler({ projectIdentifier: 'demo', issues });
+      this.assert(!result.isError, result.content[0].text);
+      this.assert(this.countCalls('POST /issues') === 20, 'Should create 20 issues');
+      this.assert(this.calls.length === 24, `Expected 20 writes + 4 lookups, got ${this.calls.length} requests`);
+      this.assert(this.createdIssues.every(issue => issue.project === 42 && issue.type === 7 && issue.priority === 4 && issue.severity === 6),
+        'Issue payloads should carry the project and resolved IDs');
+    });
+
+    await this.test('Writes to a catalog endpoint invalidate the project', async () => {
+      await service.getIssueStatuses(42);
+      const client = await createAuthenticatedClient();
+      await client.post('/issue-statuses', { project: 42, name: 'Blocked' });
+
+      this.calls = [];
+      await service.getIssueStatuses(42);
+      this.assert(this.countCalls('GET /issue-statuses') === 1, 'Should fetch the statuses again');
+    });
+
+    await this.test('Writes to a project drop the cached project list', async () => {
+      let loads = 0;
+      const loadProjects = () => cached('projects', 'projectList', async () => ++loads);
+      await loadProjects();
+      const client = await createAuthenticatedClient();
+      await client.patch('/projects/42', { name: 'Renamed' });
+
+      await loadProjects();
+      this.assert(loads === 2, 'Should list the projects again');
+    });
+
+    await this.test('Entries are isolated per profile and per project', async () => {
+      clearCache({ allProfiles: true });
+      await service.getIssueTypes(42);
+      await service.getIssueTypes(43);
+
+      this.calls = [];
+      await runWithToolContext({ profile: 'other' }, () => service.getIssueTypes(42));
+      this.assert(this.countCalls('GET /issue-types') === 1, 'Another profile should not share entries');
+
+      const removed = clearCache({ projectId: 43 });
+      this.assert(removed === 1, `Expected 1 entry removed, got ${removed}`);
+      this.assert(getCacheSize() === 2, `Expected 2 live entries, got ${getCacheSize()}`);
+    });
+
+    this.server.close();
+
+    console.log('\n📊 Cache Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new CacheTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Cache test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default CacheTestRunner;
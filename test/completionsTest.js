@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Completions Test - Verifies completion/complete for prompt arguments and
+ * resource template variables, backed by the project's catalogs
+ */
+
+import http from 'http';
+
+class CompletionsTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.requests = [];
+    this.down = false;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      this.requests = [];
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  startFakeTaiga() {
+    const projects = [
+      { id: 42, slug: 'demo', name: 'Demo' },
+      { id: 7, slug: 'mobile-app', name: 'Mobile App' },
+      { id: 8, slug: 'demo-archive', name: 'Demo Archive' }
+    ];
+    const catalogs = {
+      '/milestones': [{ id: 9, name: 'Sprint 1' }, { id: 10, name: 'Sprint 2' }, { id: 11, name: 'Hardening' }],
+      '/wiki': [{ id: 1, slug: 'home' }, { id: 2, slug: 'release-notes' }],
+      '/issue-statuses': [{ id: 1, name: 'New' }, { id: 2, name: 'In progress' }, { id: 3, name: 'Needs info' }],
+      '/priorities': [{ id: 1, name: 'Low' }, { id: 2, name: 'Normal' }, { id: 3, name: 'High' }],
+      '/issue-types': [{ id: 1, name: 'Bug' }, { id: 2, name: 'Question' }, { id: 3, name: 'Enhancement' }],
+      '/memberships': [{ id: 1, user: 5, full_name: 'Ada Lovelace' }, { id: 2, user: 6, full_name: 'Grace Hopper' }]
+    };
+
+    this.server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const query = Object.fromEntries(url.searchParams);
+        this.requests.push({ path, query });
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (this.down) return send({ detail: 'Service unavailable' }, 503);
+        if (path === '/users/me') return send({ id: 5, username: 'ada' });
+        if (path === '/projects') return send(projects);
+        if (path === '/projects/by_slug') {
+          const project = projects.find(candidate => candidate.slug === query.slug);
+          return project ? send(project) : send({ detail: 'Not found.' }, 404);
+        }
+        if (catalogs[path]) {
+          // Only the demo project has catalogs
+          return send(query.project === '42' ? catalogs[path] : []);
+        }
+        return send({ detail: 'Not found.' }, 404);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Completions Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    delete process.env.TAIGA_DEFAULT_PROJECT;
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+    const { matchCompletions } = await import('../src/completions.js');
+    const { clearCache } = await import('../src/cache.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'completions-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const completePrompt = async (name, argument, value, context) => {
+      const result = await client.complete({
+        ref: { type: 'ref/prompt', name },
+        argument: { name: argument, value },
+        ...(context && { context: { arguments: context } })
+      });
+      return result.completion.values;
+    };
+    const completeResource = async (uri, argument, value, context) => {
+      const result = await client.complete({
+        ref: { type: 'ref/resource', uri },
+        argument: { name: argument, value },
+        ...(context && { context: { arguments: context } })
+      });
+      return result.completion.values;
+    };
+    const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+    await this.test('The server announces completions', async () => {
+      this.assert(client.getServerCapabilities().completions, JSON.stringify(client.getServerCapabilities()));
+    });
+
+    await this.test('Project slugs complete, prefix matches first', async () => {
+      const values = await completePrompt('sprintPlanning', 'projectIdentifier', 'dem');
+      this.assert(same(values, ['demo', 'demo-archive']), JSON.stringify(values));
+      const containing = await completePrompt('sprintPlanning', 'projectIdentifier', 'app');
+      this.assert(same(containing, ['mobile-app']), JSON.stringify(containing));
+    });
+
+    await this.test('The project list is cached between keystrokes', async () => {
+      await completePrompt('retrospective', 'projectIdentifier', 'd');
+      await completePrompt('retrospective', 'projectIdentifier', 'de');
+      this.assert(!this.requests.some(request => request.path === '/projects'), 'Projects should come from the cache');
+    });
+
+    await this.test('Sprint names complete for the project given earlier', async () => {
+      const values = await completePrompt('dailyStandup', 'sprint', 'sprint', { projectIdentifier: 'demo' });
+      this.assert(same(values, ['Sprint 1', 'Sprint 2']), JSON.stringify(values));
+      const other = await completePrompt('dailyStandup', 'sprint', '', { projectIdentifier: 'mobile-app' });
+      this.assert(other.length === 0, 'Another project has other sprints');
+    });
+
+    await this.test('Without a project there are no sprint suggestions', async () => {
+      const values = await completePrompt('dailyStandup', 'sprint', 'S');
+      this.assert(values.length === 0, JSON.stringify(values));
+    });
+
+    await this.test('Status, priority and type names come from the project catalogs', async () => {
+      const project = { projectIdentifier: 'demo' };
+      this.assert(same(await completePrompt('bugTriage', 'status', 'n', project), ['New', 'Needs info', 'In progress']), 'Statuses');
+      this.assert(same(await completePrompt('bugTriage', 'priority', 'h', project), ['High']), 'Priorities');
+      this.assert(same(await completePrompt('bugTriage', 'type', '', project), ['Bug', 'Question', 'Enhancement']), 'Types');
+    });
+
+    await this.test('Member names complete for the standup', async () => {
+      const values = await completePrompt('dailyStandup', 'member', 'grace', { projectIdentifier: 'demo' });
+      this.assert(same(values, ['Grace Hopper']), JSON.stringify(values));
+    });
+
+    await this.test('Resource templates complete slugs, sprint IDs and wiki pages', async () => {
+      const slugs = await completeResource('taiga://project/{slug}/issue/{ref}', 'slug', 'mob');
+      this.assert(same(slugs, ['mobile-app']), JSON.stringify(slugs));
+      const sprints = await completeResource('taiga://project/{slug}/milestone/{id}', 'id', '1', { slug: 'demo' });
+      this.assert(same(sprints, ['10', '11']), JSON.stringify(sprints));
+      const pages = await completeResource('taiga://project/{slug}/wiki/{pageSlug}', 'pageSlug', 'rel', { slug: 'demo' });
+      this.assert(same(pages, ['release-notes']), JSON.stringify(pages));
+    });
+
+    await this.test('A default project is used when no project was given', async () => {
+      process.env.TAIGA_DEFAULT_PROJECT = 'demo';
+      try {
+        const values = await completePrompt('sprintPlanning', 'sprint', 'hard');
+        this.assert(same(values, ['Hardening']), JSON.stringify(values));
+      } finally {
+        delete process.env.TAIGA_DEFAULT_PROJECT;
+      }
+    });
+
+    await this.test('An unreachable Taiga gives no suggestions instead of an error', async () => {
+      clearCache();
+      this.down = true;
+      try {
+        const values = await completePrompt('sprintPlanning', 'projectIdentifier', 'd');
+        this.assert(values.length === 0, JSON.stringify(values));
+      } finally {
+        this.down = false;
+      }
+    });
+
+    await this.test('Matches are unique and skip empty values', async () => {
+      this.assert(same(matchCompletions(['Bug', 'Bug', '', null, 'Debug'], 'bu'), ['Bug', 'Debug']), 'Duplicates and empty values should be dropped');
+    });
+
+    await this.test('Triage filters are optional arguments', async () => {
+      const { prompts } = await client.listPrompts();
+      const triage = prompts.find(prompt => prompt.name === 'bugTriage');
+      const names = triage.arguments.map(argument => `${argument.name}${argument.required ? '*' : ''}`);
+      this.assert(same(names, ['projectIdentifier*', 'sprint*', 'status', 'priority', 'type']), names.join(', '));
+    });
+
+    await client.close();
+    this.server.close();
+
+    console.log('\n📊 Completions Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new CompletionsTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Completions test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default CompletionsTestRunner;
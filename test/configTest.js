@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Config Test - Verifies the configuration file, environment overrides and startup validation
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+class ConfigTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.handlers = {};
+    this.schemas = {};
+    this.requests = [];
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Answer project and issue lookups like Taiga and record the requested paths
+   */
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      this.requests.push(`${url.pathname.replace('/api/v1', '')}${url.search}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (url.pathname.endsWith('/by_slug')) {
+        return res.end(JSON.stringify({ id: 42, slug: url.searchParams.get('slug'), name: 'Default Project' }));
+      }
+      res.end(JSON.stringify(url.pathname.endsWith('/issues') ? [{ id: 1, ref: 1, subject: 'Login fails', project: 42 }] : []));
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  /**
+   * Start the server entry point and return how it exited
+   */
+  startServer(env) {
+    return spawnSync(process.execPath, [path.join(ROOT, 'src', 'index.js')], {
+      cwd: this.dir,
+      env: { PATH: process.env.PATH, HOME: this.dir, TAIGA_LOG_LEVEL: 'silent', ...env },
+      input: '',
+      encoding: 'utf8',
+      timeout: 15000
+    });
+  }
+
+  async run() {
+    console.log('🧪 Config Test Suite\n');
+
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taiga-mcp-config-'));
+    const port = await this.startFakeTaiga();
+    const apiUrl = `http://127.0.0.1:${port}/api/v1`;
+
+    const config = await import('../src/config.js');
+
+    await this.test('Reads a JSON file and copies its settings into the environment', async () => {
+      const env = {};
+      const { settings, errors } = config.validateConfig({
+        connection: { apiUrl, token: 'abc', tokenType: 'application' },
+        defaultProject: 'demo',
+        limits: { maxBatchSize: 5 },
+        features: { readOnly: true, deniedTools: ['deleteIssue', 'deleteWikiPage'], auditLog: false }
+      }, env);
+      this.assert(errors.length === 0, errors.join('; '));
+
+      config.applyConfigToEnv(settings, env);
+      this.assert(env.TAIGA_API_URL === apiUrl && env.TAIGA_AUTH_TOKEN_TYPE === 'Application', 'Connection settings should be applied');
+      this.assert(env.TAIGA_MAX_BATCH_SIZE === '5' && env.TAIGA_READ_ONLY === 'true', 'Limits and toggles should be applied');
+      this.assert(env.TAIGA_DENIED_TOOLS === 'deleteIssue,deleteWikiPage', 'Lists should become comma-separated');
+      this.assert(env.TAIGA_AUDIT_LOG === 'off', 'auditLog: false should turn the audit log off');
+    });
+
+    await this.test('Finds a YAML file in the working directory', async () => {
+      const cwd = process.cwd();
+      fs.writeFileSync(path.join(this.dir, 'taiga-mcp.config.yaml'), [
+        'locale: zh-TW',
+        'profiles:',
+        '  work:',
+        `    apiUrl: ${apiUrl}`,
+        '    token: abc',
+        '    tokenType: Bearer',
+        'logging:',
+        '  level: warn'
+      ].join('\n'));
+
+      const saved = { ...process.env };
+      delete process.env.TAIGA_LOCALE;
+      delete process.env.TAIGA_PROFILES;
+      delete process.env.TAIGA_LOG_LEVEL;
+      process.chdir(this.dir);
+      try {
+        const { file, error } = config.loadConfig();
+        this.assert(!error, error?.message);
+        this.assert(file === path.join(this.dir, 'taiga-mcp.config.yaml'), `Loaded ${file}`);
+        this.assert(process.env.TAIGA_LOCALE === 'zh-TW' && process.env.TAIGA_LOG_LEVEL === 'warn', 'Settings should be applied');
+        this.assert(JSON.parse(process.env.TAIGA_PROFILES).work.tokenType === 'Bearer', 'Profiles should be passed on as JSON');
+      } finally {
+        process.chdir(cwd);
+        process.env = saved;
+        fs.unlinkSync(path.join(this.dir, 'taiga-mcp.config.yaml'));
+      }
+    });
+
+    await this.test('Environment variables win over the file', async () => {
+      const env = { TAIGA_MAX_BATCH_SIZE: '50', TAIGA_LOG_LEVEL: 'debug' };
+      const { settings, errors } = config.validateConfig({ limits: { maxBatchSize: 5 }, logging: { level: 'error' } }, env);
+      this.assert(errors.length === 0, errors.join('; '));
+
+      config.applyConfigToEnv(settings, env);
+      this.assert(env.TAIGA_MAX_BATCH_SIZE === '50' && env.TAIGA_LOG_LEVEL === 'debug', 'Environment values should be kept');
+    });
+
+    await this.test('Invalid settings are all reported with where they came from', async () => {
+      const { errors } = config.validateConfig({
+        connection: { apiUrl: 'not a url', tokn: 'typo' },
+        limits: { maxConcurrency: 0 },
+        locale: 'fr'
+      }, { TAIGA_MAX_BATCH_SIZE: 'many' }, 'taiga-mcp.config.json');
+
+      const text = errors.join('\n');
+      this.assert(errors.length === 5, `Expected 5 problems, got:\n${text}`);
+      this.assert(text.includes('"connection.apiUrl" in taiga-mcp.config.json: Invalid url'), text);
+      this.assert(text.includes('"connection" in taiga-mcp.config.json: Unrecognized key(s) in object: \'tokn\''), text);
+      this.assert(text.includes('"limits.maxConcurrency" in taiga-mcp.config.json: Number must be greater than or equal to 1'), text);
+      this.assert(text.includes('"locale" in taiga-mcp.config.json: Invalid enum value'), text);
+      this.assert(text.includes('TAIGA_MAX_BATCH_SIZE: Expected a number'), text);
+    });
+
+    await this.test('The server refuses to start with an invalid file', async () => {
+      const file = path.join(this.dir, 'broken.yaml');
+      fs.writeFileSync(file, 'server:\n  transport: websocket\n  port: 70000\n');
+
+      const result = this.startServer({ TAIGA_MCP_CONFIG: file });
+      this.assert(result.status === 1, `Exit code ${result.status}`);
+      this.assert(result.stderr.includes(`Invalid configuration (${file})`), result.stderr);
+      this.assert(result.stderr.includes('"server.transport" in broken.yaml') && result.stderr.includes('"server.port" in broken.yaml'), result.stderr);
+    });
+
+    await this.test('The server reports unreadable files and a missing TAIGA_MCP_CONFIG', async () => {
+      const file = path.join(this.dir, 'taiga-mcp.config.json');
+      fs.writeFileSync(file, '{ "locale": "en", }');
+
+      const broken = this.startServer({});
+      this.assert(broken.status === 1 && broken.stderr.includes(`Cannot parse ${file}`), broken.stderr);
+      fs.unlinkSync(file);
+
+      const missing = this.startServer({ TAIGA_MCP_CONFIG: path.join(this.dir, 'nowhere.json') });
+      this.assert(missing.status === 1 && missing.stderr.includes('which does not exist'), missing.stderr);
+    });
+
+    await this.test('Tools fall back to the default project', async () => {
+      process.env.TAIGA_API_URL = apiUrl;
+      process.env.TAIGA_AUTH_TOKEN = 'abc';
+      process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+      process.env.TAIGA_LOG_LEVEL = 'silent';
+      process.env.TAIGA_MAX_REQUESTS_PER_SECOND = '0';
+      process.env.TAIGA_DEFAULT_PROJECT = 'team-alpha';
+
+      const { registerAllTools } = await import('../src/tools/index.js');
+      registerAllTools({
+        registerTool: (name, config, handler) => {
+          this.handlers[name] = handler;
+          this.schemas[name] = config.inputSchema;
+        }
+      }, {});
+
+      this.assert(this.schemas.listIssues.projectIdentifier.isOptional(), 'projectIdentifier should become optional');
+      this.assert(this.schemas.listIssues.projectIdentifier.description.includes('defaults to "team-alpha"'), 'The default should be described');
+
+      const result = await this.handlers.listIssues({}, {});
+      this.assert(!result.isError, result.content[0].text);
+      this.assert(this.requests.includes('/projects/by_slug?slug=team-alpha'), `Requests: ${this.requests.join(', ')}`);
+    });
+
+    this.server.close();
+    fs.rmSync(this.dir, { recursive: true, force: true });
+
+    console.log('\n📊 Config Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new ConfigTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Config test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default ConfigTestRunner;
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Diagnose Test - Verifies the diagnostics report against a fake Taiga
+ */
+
+import http from 'http';
+
+class DiagnoseTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.handlers = {};
+    this.requests = [];
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Answer like Taiga with the epics endpoint broken and only "good-token" accepted
+   */
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const path = url.pathname.replace('/api/v1', '');
+      const send = (data, status = 200) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Server': 'nginx' });
+        res.end(JSON.stringify(data));
+      };
+      this.requests.push(`${path}${url.search}`);
+
+      if (path === '/locales') return send([{ code: 'en' }]);
+      if (path === '/auth') return send({ _error_message: 'Username or password does not match user.' }, 400);
+      if (req.headers.authorization !== 'Application good-token') return send({ detail: 'Invalid token' }, 401);
+      if (path === '/users/me') return send({ id: 5, username: 'alice', full_name: 'Alice Chen' });
+      if (path === '/projects/by_slug') return send({ id: 42, slug: 'demo', name: 'Demo' });
+      if (path === '/projects/42') {
+        return send({
+          id: 42, slug: 'demo', name: 'Demo', i_am_member: true, i_am_admin: false,
+          is_backlog_activated: true, is_issues_activated: true, is_wiki_activated: false,
+          my_permissions: ['view_project', 'view_us', 'add_us', 'view_issues', 'add_issue']
+        });
+      }
+      if (path === '/memberships') return send([{ user: 5, role_name: 'Developer' }]);
+      if (path === '/userstories') return send([{ id: 7, ref: 1 }]);
+      if (path === '/epics') return send({ detail: 'Server error' }, 500);
+      if (path === '/history/userstory/7') return send([]);
+      return send([]);
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async call(args) {
+    const result = await this.handlers.diagnose(args, {});
+    return { text: result.content[0].text, isError: Boolean(result.isError) };
+  }
+
+  async run() {
+    console.log('🧪 Diagnose Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    const apiUrl = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_PROFILES = JSON.stringify({
+      good: { apiUrl, token: 'good-token', tokenType: 'Application' },
+      revoked: { apiUrl, token: 'old-token', tokenType: 'Application' },
+      wrongPassword: { apiUrl, username: 'alice', password: 'typo' },
+      offline: { apiUrl: 'http://127.0.0.1:1/api/v1', token: 'good-token', tokenType: 'Application' }
+    });
+    process.env.TAIGA_DEFAULT_PROFILE = 'good';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_MAX_REQUESTS_PER_SECOND = '0';
+
+    const { registerAllTools } = await import('../src/tools/index.js');
+    registerAllTools({ registerTool: (name, config, handler) => { this.handlers[name] = handler; } }, {});
+
+    await this.test('Reports user, membership, permissions and modules', async () => {
+      const { text, isError } = await this.call({ projectIdentifier: 'demo' });
+      this.assert(!isError, text);
+      this.assert(text.includes(`API URL: ${apiUrl}`) && text.includes('Application token'), 'Should show the profile settings');
+      this.assert(/✅ Reachable: yes \(\d+ ms\)/.test(text), 'Should report latency');
+      this.assert(text.includes('Alice Chen (alice, ID 5)'), 'Should show the current user');
+      this.assert(text.includes('member as Developer'), 'Should show the membership role');
+      this.assert(text.includes('⛔ Wiki') && text.includes('✅ Issues'), 'Should show enabled and disabled modules');
+      this.assert(text.includes('Missing permissions:') && text.includes('add_task'), 'Should list missing permissions');
+      this.assert(text.includes('   HTTP server: nginx') && !text.includes('Server version'), 'Should show the HTTP server header, not a version');
+    });
+
+    await this.test('Checks every endpoint, scoped to the project', async () => {
+      this.requests = [];
+      const { text } = await this.call({ projectIdentifier: 'demo' });
+      this.assert(text.includes('❌ /epics: HTTP 500 (Server error)'), 'Should report the broken endpoint');
+      this.assert(text.includes('✅ /history:'), 'Should probe history with a user story');
+      this.assert(text.includes('(24/25 responding)'), `Unexpected endpoint summary: ${text.match(/\(\d+\/\d+ responding\)/)}`);
+      this.assert(this.requests.includes('/tasks?page_size=1&project=42'), 'Probes should be scoped to the project');
+    });
+
+    await this.test('A rejected token stops the report with a clear reason', async () => {
+      const { text, isError } = await this.handlers.diagnose({ profile: 'revoked' }, {}).then(result => ({
+        text: result.content[0].text, isError: result.isError
+      }));
+      this.assert(!isError, text);
+      this.assert(text.includes('✅ Reachable') && text.includes('❌ Login/token') && text.includes('rejected by Taiga'), 'Should explain the token was rejected');
+      this.assert(!text.includes('Endpoints'), 'Should not probe endpoints without a valid token');
+    });
+
+    await this.test('A failed login shows what Taiga answered', async () => {
+      const { text } = await this.handlers.diagnose({ profile: 'wrongPassword' }, {}).then(result => ({ text: result.content[0].text }));
+      this.assert(text.includes('❌ Login/token: Failed to authenticate with Taiga: HTTP 400 (Username or password does not match user.)'), text);
+    });
+
+    await this.test('An unreachable server is reported', async () => {
+      const { text } = await this.handlers.diagnose({ profile: 'offline' }, {}).then(result => ({ text: result.content[0].text }));
+      this.assert(text.includes('❌ Reachable: connect ECONNREFUSED'), 'Should report the connection error');
+    });
+
+    this.server.close();
+
+    console.log('\n📊 Diagnose Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new DiagnoseTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Diagnose test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default DiagnoseTestRunner;
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Dry Run Test - Verifies that mutating tools resolve names and report planned writes without sending them
+ */
+
+import http from 'http';
+
+class DryRunTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.writes = [];
+    this.handlers = {};
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Answer reads like a small Taiga project and record any write that gets through
+   */
+  startFakeTaiga() {
+    const issue = (id) => ({ id, ref: id - 100, project: 42, version: 3, subject: `Issue ${id}` });
+
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const send = (data) => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (req.method !== 'GET') {
+          this.writes.push(`${req.method} ${path}`);
+          return send({ id: 1 });
+        }
+        if (path === '/projects/by_slug') return send({ id: 42, slug: 'demo', name: 'Demo' });
+        if (path === '/issue-types') return send([{ id: 7, name: 'Bug' }]);
+        if (path === '/priorities') return send([{ id: 4, name: 'High' }]);
+        if (path === '/severities') return send([{ id: 6, name: 'Critical' }]);
+        if (path === '/milestones') return send([{ id: 9, name: 'Sprint 1' }]);
+        if (path === '/issues/by_ref') return send(issue(100 + Number(url.searchParams.get('ref'))));
+        if (/^\/issues\/\d+$/.test(path)) return send(issue(Number(path.split('/')[2])));
+        if (/^\/wiki\/\d+$/.test(path)) return send({ id: Number(path.split('/')[2]), slug: 'home', version: 1 });
+        if (/^\/epics\/\d+$/.test(path)) return send({ id: Number(path.split('/')[2]), version: 5, subject: 'Epic' });
+        return send([]);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async call(name, args) {
+    const result = await this.handlers[name](args, {});
+    return { text: result.content[0].text, isError: Boolean(result.isError) };
+  }
+
+  async run() {
+    console.log('🧪 Dry Run Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+
+    const { registerAllTools } = await import('../src/tools/index.js');
+    const fakeServer = {
+      registerTool: (name, config, handler) => {
+        this.handlers[name] = handler;
+        this.schemas = { ...this.schemas, [name]: config.inputSchema };
+      }
+    };
+    registerAllTools(fakeServer, {});
+
+    await this.test('Only mutating tools accept dryRun', async () => {
+      this.assert(this.schemas.updateEpic.dryRun, 'updateEpic should accept dryRun');
+      this.assert(this.schemas.deleteComment.dryRun, 'deleteComment should accept dryRun');
+      this.assert(!this.schemas.listIssues.dryRun, 'listIssues should not accept dryRun');
+    });
+
+    await this.test('addIssueToSprint resolves the ref and sprint name and sends nothing', async () => {
+      this.writes = [];
+      const { text, isError } = await this.call('addIssueToSprint', {
+        issueIdentifier: '#5', sprintIdentifier: 'sprint 1', projectIdentifier: 'demo', dryRun: true
+      });
+      this.assert(!isError, text);
+      this.assert(this.writes.length === 0, `Writes reached Taiga: ${this.writes.join(', ')}`);
+      this.assert(text.includes(`PATCH http://127.0.0.1:${port}/api/v1/issues/105`), 'Should show the endpoint with the resolved issue ID');
+      this.assert(text.includes('"milestone": 9') && text.includes('"version": 3'), 'Should show the payload with resolved IDs');
+    });
+
+    await this.test('updateEpic shows the versioned payload', async () => {
+      const { text, isError } = await this.call('updateEpic', { epicId: 12, subject: 'Renamed', dryRun: true });
+      this.assert(!isError, text);
+      this.assert(text.includes('/epics/12') && text.includes('"subject": "Renamed"') && text.includes('"version": 5'), 'Should show the PATCH payload');
+    });
+
+    await this.test('The report follows the locale of the call', async () => {
+      const { text, isError } = await this.call('updateEpic', { epicId: 12, subject: 'Renamed', dryRun: true, locale: 'zh-TW' });
+      this.assert(!isError, text);
+      this.assert(text.includes('試運行：沒有任何變更發送到 Taiga') && text.includes('/epics/12'), text);
+    });
+
+    await this.test('Batch tools list every planned request', async () => {
+      this.writes = [];
+      const { text, isError } = await this.call('batchCreateUserStories', {
+        projectIdentifier: 'demo',
+        userStories: [{ subject: 'First' }, { subject: 'Second' }, { subject: 'Third' }],
+        dryRun: true
+      });
+      this.assert(!isError, text);
+      this.assert(this.writes.length === 0, 'No story should be created');
+      this.assert((text.match(/POST .*\/userstories/g) || []).length === 3, 'Should plan 3 POST requests');
+      this.assert(text.includes('"project": 42'), 'Payload should carry the resolved project ID');
+    });
+
+    await this.test('Unknown names are reported as validation errors', async () => {
+      const { text, isError } = await this.call('batchCreateIssues', {
+        projectIdentifier: 'demo',
+        issues: [{ subject: 'Fine', type: 'Bug' }, { subject: 'Typo', type: 'Bgu', priority: 'High' }],
+        dryRun: true
+      });
+      this.assert(isError, 'Should fail validation');
+      this.assert(text.includes('2. Typo') && text.includes('"Bgu"') && text.includes('Bug'), 'Should name the invalid item and the available types');
+    });
+
+    await this.test('TAIGA_DRY_RUN applies to calls without the flag', async () => {
+      process.env.TAIGA_DRY_RUN = 'true';
+      this.writes = [];
+      try {
+        const { text, isError } = await this.call('deleteWikiPage', { project: 'demo', identifier: 3, dryRun: false });
+        this.assert(!isError, text);
+        this.assert(this.writes.length === 0, `Writes reached Taiga: ${this.writes.join(', ')}`);
+        this.assert(text.includes(`DELETE http://127.0.0.1:${port}/api/v1/wiki/3`), 'Should show the planned DELETE');
+      } finally {
+        delete process.env.TAIGA_DRY_RUN;
+      }
+    });
+
+    this.server.close();
+
+    console.log('\n📊 Dry Run Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new DryRunTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Dry run test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default DryRunTestRunner;
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Errors Test - Verifies that failed Taiga requests surface as typed errors that
+ * keep the HTTP status and field errors, both from TaigaService and in tool responses
+ */
+
+import http from 'http';
+
+class ErrorsTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Answer epic requests with the error Taiga would give for each situation
+   */
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const path = new URL(req.url, 'http://localhost').pathname.replace('/api/v1', '');
+        const send = (data, status = 200, headers = {}) => {
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+          res.end(JSON.stringify(data));
+        };
+
+        if (req.method === 'POST' && path === '/epics') {
+          const data = JSON.parse(body);
+          if (data.subject === 'Forbidden') {
+            return send({ _error_message: 'You do not have permission to perform this action.' }, 403);
+          }
+          return send({ subject: ['Epic with this subject already exists.'], color: ['Enter a valid color.'] }, 400);
+        }
+        if (path === '/epics') {
+          return send({ detail: 'Request was throttled.' }, 429, { 'Retry-After': '3' });
+        }
+        if (path === '/epics/404') {
+          return send({ detail: 'No Epic matches the given query.' }, 404);
+        }
+        if (path === '/epics/401') {
+          return send({ detail: 'Invalid token.' }, 401);
+        }
+        if (path === '/epics/7') {
+          return req.method === 'PATCH'
+            ? send({ version: ['The version doesn\'t match with the current one'] }, 400)
+            : send({ id: 7, ref: 7, subject: 'Checkout', version: 3 });
+        }
+        return send([]);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Errors Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    delete process.env.TAIGA_LOCALE;
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+    const { TaigaService } = await import('../src/taigaService.js');
+    const {
+      TaigaError,
+      NotFoundError,
+      PermissionDeniedError,
+      ValidationError,
+      VersionConflictError,
+      RateLimitedError,
+      AuthExpiredError,
+      toTaigaError
+    } = await import('../src/errors.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'errors-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const service = new TaigaService();
+
+    /**
+     * Run a service call that is expected to fail
+     * @param {Function} call - Service call
+     * @returns {Promise<Error>} - The error it threw
+     */
+    const failure = async (call) => {
+      try {
+        await call();
+      } catch (error) {
+        return error;
+      }
+      throw new Error('The call should have failed');
+    };
+
+    await this.test('Rejected fields become a ValidationError that lists them', async () => {
+      const error = await failure(() => service.createEpic({ project: 42, subject: 'Checkout' }));
+      this.assert(error instanceof ValidationError && error.status === 400, `Got ${error.name}`);
+      this.assert(error.fields.subject[0] === 'Epic with this subject already exists.', 'Field messages should be kept');
+      this.assert(error.message.includes('- color: Enter a valid color.'), error.message);
+    });
+
+    await this.test('createEpic reports the rejected fields instead of a generic failure', async () => {
+      const result = await client.callTool({ name: 'createEpic', arguments: { project: 42, subject: 'Checkout' } });
+      const text = result.content[0].text;
+      this.assert(result.isError, 'The call should fail');
+      this.assert(text.includes('- subject: Epic with this subject already exists.'), text);
+    });
+
+    await this.test('403 becomes PermissionDeniedError with Taiga\'s explanation', async () => {
+      const error = await failure(() => service.createEpic({ project: 42, subject: 'Forbidden' }));
+      this.assert(error instanceof PermissionDeniedError && error.status === 403, `Got ${error.name}`);
+      this.assert(error.message.includes('You do not have permission'), error.message);
+    });
+
+    await this.test('404 becomes NotFoundError and tools report the missing item', async () => {
+      const error = await failure(() => service.getEpic(404));
+      this.assert(error instanceof NotFoundError && error.status === 404, `Got ${error.name}`);
+
+      const result = await client.callTool({ name: 'getEpic', arguments: { epicId: 404 } });
+      this.assert(result.isError && result.content[0].text.includes('Epic not found'), result.content[0].text);
+    });
+
+    await this.test('A stale version becomes VersionConflictError', async () => {
+      const error = await failure(() => service.updateEpic(7, { subject: 'Payments' }));
+      this.assert(error instanceof VersionConflictError && error.status === 400, `Got ${error.name}`);
+      this.assert(!(error instanceof ValidationError), 'Version conflicts are not validation errors');
+    });
+
+    await this.test('429 becomes RateLimitedError with the requested delay', async () => {
+      const error = await failure(() => service.listEpics(42));
+      this.assert(error instanceof RateLimitedError, `Got ${error.name}`);
+      this.assert(error.retryAfterMs === 3000, `retryAfterMs was ${error.retryAfterMs}`);
+      this.assert(error.message.includes('try again in 3 s'), error.message);
+    });
+
+    await this.test('A rejected static token becomes AuthExpiredError', async () => {
+      const error = await failure(() => service.getEpic(401));
+      this.assert(error instanceof AuthExpiredError && error.status === 401, `Got ${error.name}`);
+      this.assert(error.message.includes('Issue a new token'), error.message);
+    });
+
+    await this.test('All typed errors share the TaigaError base', async () => {
+      for (const ErrorClass of [NotFoundError, PermissionDeniedError, ValidationError, VersionConflictError, RateLimitedError, AuthExpiredError]) {
+        this.assert(new ErrorClass('x') instanceof TaigaError, `${ErrorClass.name} should extend TaigaError`);
+      }
+    });
+
+    await this.test('Errors without a response keep their message and context', async () => {
+      const typed = new NotFoundError('Already typed');
+      this.assert(toTaigaError(typed, 'Context') === typed, 'Typed errors should pass through unchanged');
+
+      const network = toTaigaError(new Error('connect ECONNREFUSED'), 'Failed to list epics');
+      this.assert(network instanceof TaigaError && network.status === null, 'Network failures should have no status');
+      this.assert(network.message === 'Failed to list epics: connect ECONNREFUSED', network.message);
+
+      const server = toTaigaError({ message: 'boom', response: { status: 502, data: null } }, 'Failed to list epics');
+      this.assert(server.constructor === TaigaError && server.message.includes('HTTP 502'), server.message);
+    });
+
+    await client.close();
+    this.server.close();
+
+    console.log('\n📊 Errors Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new ErrorsTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Errors test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default ErrorsTestRunner;
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP Transport Test - Exercises the Streamable HTTP mode without contacting Taiga
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createServer } from '../src/server.js';
+import { startHttpServer, isLoopbackHost, MCP_PATH, HEALTH_PATH } from '../src/httpServer.js';
+
+const AUTH_TOKEN = 'test-token';
+
+class HttpTransportTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  async connectClient(token) {
+    const transport = new StreamableHTTPClientTransport(new URL(`${this.baseUrl}${MCP_PATH}`), {
+      requestInit: { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+    });
+    const client = new Client({ name: 'http-transport-test', version: '1.0.0' });
+    await client.connect(transport);
+    return { client, transport };
+  }
+
+  async run() {
+    console.log('🧪 HTTP Transport Test Suite\n');
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+
+    const running = await startHttpServer({ createServer, port: 0, host: '127.0.0.1', authToken: AUTH_TOKEN });
+    this.baseUrl = `http://127.0.0.1:${running.httpServer.address().port}`;
+
+    await this.test('Health endpoint reports status', async () => {
+      const response = await fetch(`${this.baseUrl}${HEALTH_PATH}`);
+      const body = await response.json();
+      this.assert(response.status === 200, `Expected 200, got ${response.status}`);
+      this.assert(body.status === 'ok', 'Status should be ok');
+      this.assert(typeof body.sessions === 'number', 'Should report session count');
+    });
+
+    await this.test('Requests without the bearer token are rejected', async () => {
+      const response = await fetch(`${this.baseUrl}${MCP_PATH}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      });
+      this.assert(response.status === 401, `Expected 401, got ${response.status}`);
+      this.assert(response.headers.get('www-authenticate') === 'Bearer', 'Should ask for a bearer token');
+    });
+
+    await this.test('Unknown session IDs are rejected', async () => {
+      const response = await fetch(`${this.baseUrl}${MCP_PATH}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          Authorization: `Bearer ${AUTH_TOKEN}`,
+          'Mcp-Session-Id': 'does-not-exist'
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      });
+      this.assert(response.status === 404, `Expected 404, got ${response.status}`);
+    });
+
+    await this.test('Authorized clients get their own session and can list tools', async () => {
+      const first = await this.connectClient(AUTH_TOKEN);
+      const second = await this.connectClient(AUTH_TOKEN);
+
+      const { tools } = await first.client.listTools();
+      this.assert(tools.some(tool => tool.name === 'listProjects'), 'Should expose Taiga tools');
+      this.assert(first.transport.sessionId !== second.transport.sessionId, 'Sessions should be distinct');
+      this.assert(running.sessions.size === 2, `Expected 2 sessions, got ${running.sessions.size}`);
+
+      await first.transport.terminateSession();
+      await first.client.close();
+      await second.client.close();
+      this.assert(!running.sessions.has(first.transport.sessionId), 'Terminated session should be removed');
+    });
+
+    await this.test('HTTP sessions cannot log in as someone else or log everyone out', async () => {
+      const { client } = await this.connectClient(AUTH_TOKEN);
+      const login = await client.callTool({ name: 'authenticate', arguments: { username: 'mallory', password: 'secret' } });
+      this.assert(login.isError && login.content[0].text.includes('only uses the credentials configured for the profile'), login.content[0].text);
+      const logout = await client.callTool({ name: 'logout', arguments: {} });
+      this.assert(logout.isError && logout.content[0].text.includes('cannot be logged out from one session'), logout.content[0].text);
+      await client.close();
+    });
+
+    await this.test('HTTP sessions only reach files inside MCP_HTTP_FILE_DIR', async () => {
+      const { client } = await this.connectClient(AUTH_TOKEN);
+      const upload = { itemType: 'issue', itemId: 1, projectIdentifier: 'demo' };
+
+      delete process.env.MCP_HTTP_FILE_DIR;
+      const read = await client.callTool({ name: 'uploadAttachment', arguments: { ...upload, filePath: '/etc/passwd' } });
+      this.assert(read.isError && read.content[0].text.includes('MCP_HTTP_FILE_DIR is set'), read.content[0].text);
+      const write = await client.callTool({ name: 'downloadAttachment', arguments: { attachmentId: 1, downloadPath: '/tmp/x' } });
+      this.assert(write.isError && write.content[0].text.includes('MCP_HTTP_FILE_DIR is set'), write.content[0].text);
+
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taiga-mcp-files-'));
+      fs.symlinkSync('/etc', path.join(directory, 'etc'));
+      process.env.MCP_HTTP_FILE_DIR = directory;
+      try {
+        for (const filePath of ['../secret.txt', '/etc/passwd', 'etc/passwd']) {
+          const result = await client.callTool({ name: 'uploadAttachment', arguments: { ...upload, filePath } });
+          this.assert(result.isError && result.content[0].text.includes(`"${filePath}" leads outside MCP_HTTP_FILE_DIR`), result.content[0].text);
+        }
+        const escape = await client.callTool({ name: 'downloadAttachment', arguments: { attachmentId: 1, downloadPath: '../out.bin' } });
+        this.assert(escape.isError && escape.content[0].text.includes('leads outside MCP_HTTP_FILE_DIR'), escape.content[0].text);
+      } finally {
+        delete process.env.MCP_HTTP_FILE_DIR;
+        fs.rmSync(directory, { recursive: true, force: true });
+        await client.close();
+      }
+    });
+
+    await running.close();
+
+    await this.test('Other interfaces are not served without a token', async () => {
+      try {
+        await startHttpServer({ createServer, port: 0, host: '0.0.0.0' });
+        throw new Error('The server should not have started');
+      } catch (error) {
+        this.assert(error.message.includes('Refusing to serve 0.0.0.0 without authentication'), error.message);
+      }
+      this.assert(isLoopbackHost('127.0.0.1') && isLoopbackHost('localhost') && isLoopbackHost('::1'), 'Loopback hosts');
+      this.assert(!isLoopbackHost('0.0.0.0') && !isLoopbackHost('192.168.1.5'), 'Other hosts');
+
+      const open = await startHttpServer({ createServer, port: 0, host: '0.0.0.0', allowUnauthenticated: true });
+      await open.close();
+      const local = await startHttpServer({ createServer, port: 0, host: '127.0.0.1' });
+      await local.close();
+    });
+
+    console.log('\n📊 HTTP Transport Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new HttpTransportTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('HTTP transport test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default HttpTransportTestRunner;
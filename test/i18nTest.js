@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * i18n Test - Verifies the message catalogs and that tool responses follow the
+ * per-call `locale` argument and TAIGA_LOCALE, through a real MCP client
+ */
+
+import http from 'http';
+
+class I18nTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Collect every message key of a catalog with the placeholders it uses
+   * @param {Object} node - Catalog (section)
+   * @param {string} [prefix] - Key prefix
+   * @returns {Map<string, string>} - Dotted key to sorted placeholder list
+   */
+  flatten(node, prefix = '') {
+    const entries = new Map();
+    for (const [key, value] of Object.entries(node)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (typeof value === 'string') {
+        entries.set(path, [...value.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort().join());
+      } else {
+        for (const [child, placeholders] of this.flatten(value, path)) {
+          entries.set(child, placeholders);
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Answer like a small Taiga project; issues created with the subject "Broken" are rejected
+   */
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const path = new URL(req.url, 'http://localhost').pathname.replace('/api/v1', '');
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (req.method === 'POST' && path === '/issues') {
+          const data = JSON.parse(body);
+          return data.subject === 'Broken'
+            ? send({ subject: ['Rejected'] }, 400)
+            : send({ id: 150, ref: 50, project: 42, subject: data.subject });
+        }
+        if (path === '/projects/by_slug' || path === '/projects/42') {
+          return send({ id: 42, slug: 'demo', name: 'Demo', total_memberships: 3, created_date: '2026-01-05T10:00:00Z' });
+        }
+        return send([]);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 i18n Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    delete process.env.TAIGA_LOCALE;
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+    const { t, getLocale } = await import('../src/i18n.js');
+    const { runWithToolContext } = await import('../src/context.js');
+    const { ERROR_MESSAGES } = await import('../src/constants.js');
+    const { default: en } = await import('../src/locales/en.js');
+    const { default: zhTW } = await import('../src/locales/zh-TW.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'i18n-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const batch = { projectIdentifier: 'demo', issues: [{ subject: 'Works' }, { subject: 'Broken' }] };
+
+    await this.test('Catalogs define the same keys and placeholders', async () => {
+      const english = this.flatten(en);
+      const chinese = this.flatten(zhTW);
+      const missing = [...english.keys()].filter(key => !chinese.has(key));
+      const extra = [...chinese.keys()].filter(key => !english.has(key));
+      const mismatched = [...english.keys()].filter(key => chinese.has(key) && chinese.get(key) !== english.get(key));
+      this.assert(missing.length === 0, `zh-TW is missing: ${missing.join(', ')}`);
+      this.assert(extra.length === 0, `zh-TW has unknown keys: ${extra.join(', ')}`);
+      this.assert(mismatched.length === 0, `Placeholders differ for: ${mismatched.join(', ')}`);
+    });
+
+    await this.test('Responses default to English', async () => {
+      const result = await client.callTool({ name: 'batchCreateIssues', arguments: batch });
+      const text = result.content[0].text;
+      this.assert(text.includes('**Summary:** 1/2 succeeded') && text.includes('Created 1 issues'), text);
+    });
+
+    await this.test('The locale argument switches the response language per call', async () => {
+      const result = await client.callTool({ name: 'batchCreateIssues', arguments: { ...batch, locale: 'zh-TW' } });
+      const text = result.content[0].text;
+      this.assert(text.includes('**總結:** 1/2 成功') && text.includes('成功創建 1 個Issues'), text);
+      this.assert(result.structuredContent.created.length === 1, 'Structured content should not depend on the locale');
+    });
+
+    await this.test('TAIGA_LOCALE sets the default language', async () => {
+      process.env.TAIGA_LOCALE = 'zh-TW';
+      try {
+        const chinese = await client.callTool({ name: 'getProject', arguments: { projectIdentifier: 'demo' } });
+        this.assert(chinese.content[0].text.startsWith('專案詳情'), chinese.content[0].text);
+        const english = await client.callTool({ name: 'getProject', arguments: { projectIdentifier: 'demo', locale: 'en' } });
+        this.assert(english.content[0].text.startsWith('Project Details'), 'The locale argument should win over TAIGA_LOCALE');
+      } finally {
+        delete process.env.TAIGA_LOCALE;
+      }
+    });
+
+    await this.test('Query errors show the syntax examples in either language', async () => {
+      const english = await client.callTool({ name: 'advancedSearch', arguments: { projectIdentifier: 'demo', query: 'bogus:value' } });
+      this.assert(english.isError && english.content[0].text.includes('Invalid field: bogus'), english.content[0].text);
+      this.assert(english.content[0].text.includes('Query syntax examples'), 'English query errors should list examples');
+
+      const chinese = await client.callTool({ name: 'advancedSearch', arguments: { projectIdentifier: 'demo', query: 'bogus:value', locale: 'zh-TW' } });
+      this.assert(chinese.isError && chinese.content[0].text.includes('無效的字段: bogus'), chinese.content[0].text);
+      this.assert(chinese.content[0].text.includes('查詢語法示例'), 'Chinese query errors should list examples');
+    });
+
+    await this.test('Server management tools answer in the requested language', async () => {
+      const english = await client.callTool({ name: 'clearCache', arguments: {} });
+      this.assert(english.content[0].text.startsWith('Cleared'), english.content[0].text);
+      const chinese = await client.callTool({ name: 'clearCache', arguments: { locale: 'zh-TW' } });
+      this.assert(chinese.content[0].text.startsWith('已清除設定檔 "default"'), chinese.content[0].text);
+    });
+
+    await this.test('Unsupported locales are rejected by the tool schema', async () => {
+      const result = await client.callTool({ name: 'listProjects', arguments: { locale: 'fr' } });
+      this.assert(result.isError, 'An unknown locale should fail validation');
+    });
+
+    await this.test('Lookups fall back to English, then to the key', async () => {
+      runWithToolContext({ locale: 'fr' }, () => {
+        this.assert(getLocale() === 'en', 'Unknown locales should fall back to English');
+      });
+      runWithToolContext({ locale: 'zh-TW' }, () => {
+        this.assert(ERROR_MESSAGES.PROJECT_NOT_FOUND === zhTW.errors.PROJECT_NOT_FOUND, 'Message tables should follow the call locale');
+        this.assert(t('tools.batch.summary', { succeeded: 2 }) === '📊 **總結:** 2/{total} 成功', 'Missing parameters should stay visible');
+      });
+      this.assert(t('no.such.key') === 'no.such.key', 'Unknown keys should return the key');
+    });
+
+    await client.close();
+    this.server.close();
+
+    console.log('\n📊 i18n Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new I18nTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('i18n test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default I18nTestRunner;
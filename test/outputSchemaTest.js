@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Output Schema Test - Verifies that entity tools declare output schemas and return
+ * structured content that validates against them, through a real MCP client
+ */
+
+import http from 'http';
+
+class OutputSchemaTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Answer like a small Taiga project; issues created with the subject "Broken" are rejected
+   */
+  startFakeTaiga() {
+    const issue = (id) => ({
+      id,
+      ref: id - 100,
+      project: 42,
+      project_extra_info: { name: 'Demo' },
+      subject: `Issue ${id}`,
+      status: 3,
+      status_extra_info: { name: 'In progress', is_closed: false },
+      priority_extra_info: { name: 'High' },
+      assigned_to: 5,
+      assigned_to_extra_info: { full_name_display: 'Ada Lovelace' },
+      milestone: 9,
+      tags: [['backend', null]],
+      version: 2,
+      created_date: '2026-01-05T10:00:00Z'
+    });
+
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (req.method === 'POST' && path === '/issues') {
+          const data = JSON.parse(body);
+          return data.subject === 'Broken'
+            ? send({ subject: ['Rejected'] }, 400)
+            : send({ ...issue(150), subject: data.subject });
+        }
+        if (path === '/projects/by_slug') return send({ id: 42, slug: 'demo', name: 'Demo' });
+        if (path === '/issues') return send([issue(101), issue(102)]);
+        if (path === '/issues/by_ref') return send(issue(100 + Number(url.searchParams.get('ref'))));
+        if (path === '/milestones/9') {
+          return send({ id: 9, name: 'Sprint 1', project: 42, closed: false, total_points: 13.5, user_stories: [{ id: 31 }, { id: '32' }] });
+        }
+        if (path === '/milestones/9/stats') return send({ total_userstories: 4, completed_userstories: 1, total_points: { 1: 5 } });
+        if (path === '/history/issue/101') {
+          return send([
+            { id: 'c0ffee-1', type: 1, comment: 'Looks good', user: { pk: 5, name: 'Ada Lovelace' }, created_at: '2026-01-06T09:00:00Z' },
+            { id: 'c0ffee-2', type: 1, comment: '', user: { pk: 5 } }
+          ]);
+        }
+        if (/^\/epics\/\d+$/.test(path)) return send({ id: Number(path.split('/')[2]), version: 5, subject: 'Epic' });
+        return send([]);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Output Schema Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+    const { toIssue, issueSchema } = await import('../src/outputSchemas.js');
+
+    // The client validates structuredContent against the advertised outputSchema,
+    // so every successful call below also checks the schema.
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'output-schema-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    await this.test('Entity tools advertise an output schema', async () => {
+      const { tools } = await client.listTools();
+      const byName = Object.fromEntries(tools.map(tool => [tool.name, tool]));
+      for (const name of ['listIssues', 'getUserStory', 'createTask', 'getMilestoneStats', 'listEpics', 'getWikiPage', 'listComments', 'uploadAttachment', 'batchCreateIssues']) {
+        this.assert(byName[name]?.outputSchema?.type === 'object', `${name} should declare an outputSchema`);
+      }
+      this.assert(byName.listIssues.outputSchema.required?.includes('issues'), 'listIssues output should require "issues"');
+      this.assert(!byName.deleteComment.outputSchema, 'deleteComment returns no entity and should not declare one');
+    });
+
+    await this.test('listIssues returns resolved names next to IDs', async () => {
+      const result = await client.callTool({ name: 'listIssues', arguments: { projectIdentifier: 'demo' } });
+      this.assert(!result.isError, result.content[0].text);
+      const [first] = result.structuredContent.issues;
+      this.assert(result.structuredContent.issues.length === 2, 'Should return both issues');
+      this.assert(first.ref === 1 && first.status === 'In progress' && first.assignedTo === 'Ada Lovelace', 'Should map ref, status and assignee');
+      this.assert(first.sprintId === 9 && first.tags[0] === 'backend' && first.isClosed === false, 'Should map sprint, tags and closed state');
+      this.assert(result.content[0].text.includes('Issue 101'), 'Text output should be unchanged');
+    });
+
+    await this.test('getMilestoneStats returns the sprint and its statistics', async () => {
+      const result = await client.callTool({ name: 'getMilestoneStats', arguments: { milestoneId: '9' } });
+      this.assert(!result.isError, result.content[0].text);
+      const { sprint, stats } = result.structuredContent;
+      this.assert(sprint.totalPoints === 13.5 && sprint.userStoryIds.join() === '31,32', 'Should map points and story IDs');
+      this.assert(stats.totalUserStories === 4 && stats.completionRate === 25, 'Should map the statistics');
+      this.assert(stats.totalPoints === 5, 'Per-role points should be summed');
+    });
+
+    await this.test('listComments keeps Taiga comment IDs', async () => {
+      const result = await client.callTool({ name: 'listComments', arguments: { itemType: 'issue', itemId: 1, projectIdentifier: 'demo' } });
+      this.assert(!result.isError, result.content[0].text);
+      const { comments } = result.structuredContent;
+      this.assert(comments.length === 1, 'Empty history entries should be skipped');
+      this.assert(comments[0].id === 'c0ffee-1' && comments[0].author === 'Ada Lovelace', 'Should map ID and author');
+    });
+
+    await this.test('Batch creates report created items and failures', async () => {
+      const result = await client.callTool({
+        name: 'batchCreateIssues',
+        arguments: { projectIdentifier: 'demo', issues: [{ subject: 'Works' }, { subject: 'Broken' }] }
+      });
+      const { created, failed } = result.structuredContent;
+      this.assert(created.length === 1 && created[0].subject === 'Works', 'Should list the created issue');
+      this.assert(failed.length === 1 && failed[0].index === 2 && failed[0].subject === 'Broken', 'Should list the failed issue by position');
+    });
+
+    await this.test('Dry runs return the planned requests as structured content', async () => {
+      const result = await client.callTool({ name: 'updateEpic', arguments: { epicId: 12, subject: 'Renamed', dryRun: true } });
+      this.assert(!result.isError, result.content[0].text);
+      const { dryRun, plannedRequests, epic } = result.structuredContent;
+      this.assert(dryRun === true && epic === undefined, 'Should flag the dry run and omit the entity');
+      this.assert(plannedRequests[0].method === 'PATCH' && plannedRequests[0].body.subject === 'Renamed', 'Should list the PATCH');
+    });
+
+    await this.test('Mappers normalize IDs echoed back as strings', async () => {
+      const mapped = toIssue({ id: '7', subject: 'Echo', milestone: '9', assigned_to: null, tags: ['ui'] });
+      this.assert(mapped.id === 7 && mapped.sprintId === 9 && mapped.assignedToId === null, 'Should coerce numeric strings');
+      this.assert(issueSchema.safeParse(mapped).success, 'Mapped value should satisfy the schema');
+    });
+
+    await client.close();
+    this.server.close();
+
+    console.log('\n📊 Output Schema Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new OutputSchemaTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Output schema test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default OutputSchemaTestRunner;
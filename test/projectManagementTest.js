@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Project Management Test - Verifies creating projects (from templates),
+ * updating their settings, toggling modules and deleting with confirmation
+ */
+
+import http from 'http';
+
+class ProjectManagementTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.requests = [];
+    this.projects = new Map();
+    this.created = 0;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      this.requests = [];
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  startFakeTaiga() {
+    const templates = [
+      { id: 1, slug: 'scrum', name: 'Scrum' },
+      { id: 2, slug: 'kanban', name: 'Kanban' }
+    ];
+    this.projects.set(42, {
+      id: 42, slug: 'demo', name: 'Demo', description: 'Demo project', is_private: true, tags: [],
+      is_backlog_activated: true, is_kanban_activated: false, is_issues_activated: true, is_wiki_activated: true, is_epics_activated: false
+    });
+
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const query = Object.fromEntries(url.searchParams);
+        const data = body ? JSON.parse(body) : undefined;
+        this.requests.push({ method: req.method, path, query, data });
+        const send = (payload, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(payload === undefined ? '' : JSON.stringify(payload));
+        };
+
+        if (path === '/project-templates') return send(templates);
+        if (path === '/projects' && req.method === 'POST') {
+          const project = {
+            id: 50 + this.created++, slug: data.name.toLowerCase().replace(/\s+/g, '-'), name: data.name, description: data.description,
+            is_private: data.is_private ?? true, tags: data.tags || []
+          };
+          this.projects.set(project.id, project);
+          return send(project, 201);
+        }
+        if (path === '/projects/by_slug') {
+          const project = [...this.projects.values()].find(candidate => candidate.slug === query.slug);
+          return project ? send(project) : send({ detail: 'Not found.' }, 404);
+        }
+        const match = path.match(/^\/projects\/(\d+)$/);
+        const project = match && this.projects.get(Number(match[1]));
+        if (project && req.method === 'GET') return send(project);
+        if (project && req.method === 'PATCH') {
+          Object.assign(project, data);
+          return send(project);
+        }
+        if (project && req.method === 'DELETE') {
+          this.projects.delete(project.id);
+          return send(undefined, 204);
+        }
+        return send({ detail: 'Not found.' }, 404);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Project Management Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    delete process.env.TAIGA_LOCALE;
+    delete process.env.TAIGA_DEFAULT_PROJECT;
+    delete process.env.TAIGA_DRY_RUN;
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'project-management-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const call = async (name, args) => {
+      const result = await client.callTool({ name, arguments: args });
+      return { text: result.content[0].text, isError: Boolean(result.isError), structured: result.structuredContent };
+    };
+    const writes = () => this.requests.filter(request => request.method !== 'GET');
+
+    await this.test('A project is created from a template given by name', async () => {
+      const { text, isError, structured } = await call('createProject', { name: 'Acme Portal', description: 'Client engagement', template: 'kanban', isPrivate: false, tags: ['client'] });
+      this.assert(!isError, text);
+      const [post] = writes();
+      this.assert(post.path === '/projects' && post.data.creation_template === 2, JSON.stringify(post));
+      this.assert(post.data.is_private === false && post.data.tags[0] === 'client', JSON.stringify(post.data));
+      this.assert(text.includes('Project created successfully!') && text.includes('- Slug: acme-portal') && text.includes('- Template: Kanban'), text);
+      this.assert(text.includes('- Visibility: public'), text);
+      this.assert(structured.project.slug === 'acme-portal' && structured.project.isPrivate === false, JSON.stringify(structured));
+    });
+
+    await this.test('Without a template Taiga\'s default is used', async () => {
+      const { text } = await call('createProject', { name: 'Beta', description: 'Second client' });
+      const [post] = writes();
+      this.assert(!('creation_template' in post.data), JSON.stringify(post.data));
+      this.assert(!this.requests.some(request => request.path === '/project-templates'), 'Templates should not be looked up');
+      this.assert(text.includes('- Template: Taiga default'), text);
+    });
+
+    await this.test('An unknown template lists the available ones and creates nothing', async () => {
+      const { text, isError } = await call('createProject', { name: 'Gamma', description: 'Third client', template: 'waterfall' });
+      this.assert(isError && text.includes('Invalid project template name: "waterfall". Available: Scrum, Kanban'), text);
+      this.assert(writes().length === 0, 'Nothing should be created');
+    });
+
+    await this.test('Name, description, privacy and tags are updated', async () => {
+      const { text, isError, structured } = await call('updateProject', { projectIdentifier: 'demo', name: 'Demo 2', isPrivate: false, tags: ['a', 'b'] });
+      this.assert(!isError, text);
+      const [patch] = writes();
+      this.assert(patch.method === 'PATCH' && patch.path === '/projects/42', JSON.stringify(patch));
+      this.assert(JSON.stringify(patch.data) === JSON.stringify({ name: 'Demo 2', is_private: false, tags: ['a', 'b'] }), JSON.stringify(patch.data));
+      this.assert(text.includes('- Name: Demo 2') && text.includes('- Visibility: public') && text.includes('- Tags: a, b'), text);
+      this.assert(structured.project.name === 'Demo 2' && structured.project.tags.join() === 'a,b', JSON.stringify(structured));
+    });
+
+    await this.test('An update without changes is refused', async () => {
+      const { text, isError } = await call('updateProject', { projectIdentifier: '42' });
+      this.assert(isError && text.includes('Nothing to update'), text);
+      this.assert(this.requests.length === 0, 'Taiga should not be contacted');
+    });
+
+    await this.test('Modules are turned on and off', async () => {
+      const { text, isError, structured } = await call('setProjectModules', { projectIdentifier: '42', kanban: true, wiki: false });
+      this.assert(!isError, text);
+      const [patch] = writes();
+      this.assert(JSON.stringify(patch.data) === JSON.stringify({ is_kanban_activated: true, is_wiki_activated: false }), JSON.stringify(patch.data));
+      this.assert(text.includes('- Kanban: enabled') && text.includes('- Wiki: disabled') && text.includes('- Backlog: enabled'), text);
+      this.assert(structured.project.modules.kanban === true && structured.project.modules.wiki === false, JSON.stringify(structured));
+    });
+
+    await this.test('Toggling modules needs at least one module', async () => {
+      const { text, isError } = await call('setProjectModules', { projectIdentifier: '42' });
+      this.assert(isError && text.includes('Give at least one module'), text);
+    });
+
+    await this.test('Deleting needs the project slug as confirmation', async () => {
+      const { text, isError } = await call('deleteProject', { projectIdentifier: '42', confirm: 'yes' });
+      this.assert(isError && text.includes('confirm does not match the project slug') && !text.includes('demo'), text);
+      this.assert(writes().length === 0 && this.projects.has(42), 'The project should not be deleted');
+    });
+
+    await this.test('A confirmed delete removes the project', async () => {
+      const { text, isError } = await call('deleteProject', { projectIdentifier: 'acme-portal', confirm: 'acme-portal' });
+      this.assert(!isError, text);
+      const [del] = writes();
+      this.assert(del.method === 'DELETE' && del.path === '/projects/50', JSON.stringify(del));
+      this.assert(text.includes('Project deleted successfully!') && text.includes('Acme Portal (acme-portal)'), text);
+      this.assert(!this.projects.has(50), 'The project should be gone');
+    });
+
+    await this.test('Dry-run shows the delete without sending it', async () => {
+      const { text, isError } = await call('deleteProject', { projectIdentifier: 'demo', confirm: 'demo', dryRun: true });
+      this.assert(!isError && text.includes('DELETE') && text.includes('/projects/42'), text);
+      this.assert(writes().length === 0 && this.projects.has(42), 'Nothing should be deleted in dry-run mode');
+    });
+
+    await this.test('Project writes are hidden in read-only mode', async () => {
+      const { selectTools } = await import('../src/tools/index.js');
+      const names = selectTools({ readOnly: true }).map(tool => tool.name);
+      for (const name of ['createProject', 'updateProject', 'setProjectModules', 'deleteProject']) {
+        this.assert(!names.includes(name), `${name} should be hidden`);
+      }
+      this.assert(names.includes('getProject'), 'Read tools stay');
+    });
+
+    await this.test('Only deletes are announced as destructive', async () => {
+      const { tools } = await client.listTools();
+      const annotations = name => tools.find(tool => tool.name === name).annotations;
+      this.assert(annotations('deleteProject').destructiveHint === true, JSON.stringify(annotations('deleteProject')));
+      this.assert(annotations('updateProject').destructiveHint === false, JSON.stringify(annotations('updateProject')));
+      this.assert(annotations('createProject').destructiveHint === false, JSON.stringify(annotations('createProject')));
+      this.assert(annotations('getProject').readOnlyHint === true, JSON.stringify(annotations('getProject')));
+    });
+
+    await client.close();
+    this.server.close();
+
+    console.log('\n📊 Project Management Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new ProjectManagementTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Project management test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default ProjectManagementTestRunner;
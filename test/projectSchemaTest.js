@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Project Schema Test - Verifies the getProjectSchema tool and the
+ * taiga://project/{slug}/schema resource against a project's real configuration
+ */
+
+import http from 'http';
+
+class ProjectSchemaTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.requests = [];
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      this.requests = [];
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  startFakeTaiga() {
+    const project = {
+      id: 42,
+      slug: 'demo',
+      name: 'Demo',
+      modified_date: '2026-10-01T00:00:00Z',
+      us_statuses: [
+        { id: 3, name: 'Done', color: '#5c3566', order: 3, is_closed: true },
+        { id: 1, name: 'New', color: '#999999', order: 1, is_closed: false },
+        { id: 2, name: 'Doing', color: '#ff9900', order: 2, is_closed: false }
+      ],
+      task_statuses: [{ id: 11, name: 'Todo', order: 1, is_closed: false }, { id: 12, name: 'Finished', order: 2, is_closed: true }],
+      issue_statuses: [{ id: 21, name: 'Open', order: 1, is_closed: false }, { id: 22, name: 'Won\'t fix', order: 2, is_closed: true }],
+      priorities: [{ id: 31, name: 'Low', order: 1 }, { id: 32, name: 'Blocker', order: 2, color: '#cc0000' }],
+      severities: [{ id: 41, name: 'Cosmetic', order: 1 }],
+      issue_types: [{ id: 51, name: 'Defect', order: 1 }, { id: 52, name: 'Support', order: 2 }],
+      points: [{ id: 61, name: '?', value: null, order: 1 }, { id: 62, name: '3', value: 3, order: 2 }],
+      roles: [{ id: 71, name: 'Developer', computable: true, order: 1 }, { id: 72, name: 'Stakeholder', computable: false, order: 2 }],
+      tags_colors: { frontend: '#00aaff', backend: null },
+      is_backlog_activated: true,
+      is_kanban_activated: false,
+      is_issues_activated: true,
+      is_wiki_activated: true,
+      is_epics_activated: false
+    };
+    const customAttributes = {
+      '/userstory-custom-attributes': [{ id: 81, name: 'Customer', type: 'text', description: 'Who asked for it', order: 1 }],
+      '/task-custom-attributes': [],
+      '/issue-custom-attributes': [{ id: 82, name: 'Found in', type: 'dropdown', order: 1 }],
+      '/epic-custom-attributes': []
+    };
+
+    this.server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const query = Object.fromEntries(url.searchParams);
+        this.requests.push({ path, query });
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (path === '/users/me') return send({ id: 5, username: 'ada' });
+        if (path === '/projects') return send([project]);
+        if (path === '/projects/by_slug') {
+          return query.slug === 'demo' ? send(project) : send({ detail: 'Not found.' }, 404);
+        }
+        if (path === '/projects/42') return send(project);
+        if (customAttributes[path]) {
+          return send(query.project === '42' ? customAttributes[path] : []);
+        }
+        return send({ detail: 'Not found.' }, 404);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Project Schema Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    delete process.env.TAIGA_LOCALE;
+    delete process.env.TAIGA_DEFAULT_PROJECT;
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+    const { clearCache } = await import('../src/cache.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'project-schema-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const callSchemaTool = async (projectIdentifier) => {
+      const result = await client.callTool({ name: 'getProjectSchema', arguments: { projectIdentifier } });
+      this.assert(!result.isError, result.content[0].text);
+      return result;
+    };
+    const readSchema = async (uri) => {
+      const result = await client.readResource({ uri });
+      this.assert(result.contents[0].mimeType === 'text/markdown', result.contents[0].mimeType);
+      return result.contents[0].text;
+    };
+    const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+    await this.test('The tool returns the project\'s statuses in workflow order with closed flags', async () => {
+      const { structuredContent } = await callSchemaTool('demo');
+      const { schema } = structuredContent;
+      this.assert(schema.projectId === 42 && schema.slug === 'demo', JSON.stringify(schema));
+      this.assert(same(schema.userStoryStatuses.map(status => status.name), ['New', 'Doing', 'Done']), 'Statuses should follow their order');
+      this.assert(same(schema.userStoryStatuses.map(status => status.isClosed), [false, false, true]), 'Closed flags');
+      this.assert(schema.issueStatuses[1].name === 'Won\'t fix' && schema.issueStatuses[1].isClosed, JSON.stringify(schema.issueStatuses));
+      this.assert(schema.taskStatuses[1].isClosed, JSON.stringify(schema.taskStatuses));
+    });
+
+    await this.test('Priorities, severities, types, points and roles are the project\'s own', async () => {
+      const { schema } = (await callSchemaTool('42')).structuredContent;
+      this.assert(same(schema.priorities.map(priority => priority.name), ['Low', 'Blocker']), JSON.stringify(schema.priorities));
+      this.assert(schema.priorities[1].color === '#cc0000' && schema.priorities[0].color === null, 'Colors');
+      this.assert(same(schema.severities.map(severity => severity.name), ['Cosmetic']), JSON.stringify(schema.severities));
+      this.assert(same(schema.issueTypes.map(type => type.name), ['Defect', 'Support']), JSON.stringify(schema.issueTypes));
+      this.assert(same(schema.points, [{ id: 61, name: '?', value: null }, { id: 62, name: '3', value: 3 }]), JSON.stringify(schema.points));
+      this.assert(same(schema.roles.map(role => role.computable), [true, false]), JSON.stringify(schema.roles));
+    });
+
+    await this.test('Custom attributes, tags and modules are included', async () => {
+      const { schema } = (await callSchemaTool('demo')).structuredContent;
+      this.assert(same(schema.customAttributes.userStory, [{ id: 81, name: 'Customer', type: 'text', description: 'Who asked for it' }]), JSON.stringify(schema.customAttributes));
+      this.assert(schema.customAttributes.issue[0].type === 'dropdown' && schema.customAttributes.task.length === 0, JSON.stringify(schema.customAttributes));
+      this.assert(same(schema.tags, [{ name: 'backend', color: null }, { name: 'frontend', color: '#00aaff' }]), JSON.stringify(schema.tags));
+      this.assert(same(schema.modules, { backlog: true, kanban: false, issues: true, wiki: true, epics: false }), JSON.stringify(schema.modules));
+    });
+
+    await this.test('Custom attributes are requested per project and cached', async () => {
+      clearCache();
+      await callSchemaTool('demo');
+      const attributeRequests = this.requests.filter(request => request.path.endsWith('-custom-attributes'));
+      this.assert(attributeRequests.length === 4 && attributeRequests.every(request => request.query.project === '42'), JSON.stringify(attributeRequests));
+
+      this.requests = [];
+      await callSchemaTool('demo');
+      this.assert(!this.requests.some(request => request.path.endsWith('-custom-attributes')), 'The second call should use the cache');
+    });
+
+    await this.test('The resource renders the schema as markdown', async () => {
+      const text = await readSchema('taiga://project/demo/schema');
+      this.assert(text.startsWith('# Project Schema: Demo (demo)'), text);
+      this.assert(text.includes('## User Story Statuses\n\n- New (ID 1, #999999)\n- Doing (ID 2, #ff9900)\n- Done (ID 3, #5c3566) - closed'), text);
+      this.assert(text.includes('- Kanban: disabled') && text.includes('- Wiki: enabled'), text);
+      this.assert(text.includes('- Developer (ID 71) - estimates points') && text.includes('- Stakeholder (ID 72)\n'), text);
+      this.assert(text.includes('- Issue: Found in (dropdown)') && text.includes('- User story: Customer (text) - Who asked for it'), text);
+      this.assert(text.includes('## Tags\n\n- backend\n- frontend (#00aaff)'), text);
+    });
+
+    await this.test('The schema resource is listed and its slug completes', async () => {
+      const { resourceTemplates } = await client.listResourceTemplates();
+      this.assert(resourceTemplates.some(template => template.uriTemplate === 'taiga://project/{slug}/schema'), JSON.stringify(resourceTemplates.map(template => template.uriTemplate)));
+      const { resources } = await client.listResources();
+      this.assert(resources.some(resource => resource.uri === 'taiga://project/demo/schema'), JSON.stringify(resources.map(resource => resource.uri)));
+      const completion = await client.complete({ ref: { type: 'ref/resource', uri: 'taiga://project/{slug}/schema' }, argument: { name: 'slug', value: 'de' } });
+      this.assert(same(completion.completion.values, ['demo']), JSON.stringify(completion.completion.values));
+    });
+
+    await this.test('The markdown follows TAIGA_LOCALE', async () => {
+      process.env.TAIGA_LOCALE = 'zh-TW';
+      try {
+        const text = await readSchema('taiga://project/demo/schema');
+        this.assert(text.startsWith('# 專案結構: Demo (demo)') && text.includes('- 看板: 已停用'), text);
+      } finally {
+        delete process.env.TAIGA_LOCALE;
+      }
+    });
+
+    await this.test('An unknown project fails with a clear message', async () => {
+      const result = await client.callTool({ name: 'getProjectSchema', arguments: { projectIdentifier: 'missing' } });
+      this.assert(result.isError && result.content[0].text.includes('Failed to get project schema:'), result.content[0].text);
+      try {
+        await client.readResource({ uri: 'taiga://project/missing/schema' });
+        throw new Error('Reading the schema of an unknown project should have failed');
+      } catch (error) {
+        this.assert(!error.message.includes('should have failed'), error.message);
+      }
+    });
+
+    await client.close();
+    this.server.close();
+
+    console.log('\n📊 Project Schema Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new ProjectSchemaTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Project schema test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default ProjectSchemaTestRunner;
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Prompts Test - Verifies the sprint planning, bug triage, standup and
+ * retrospective prompts and the sprint data they embed
+ */
+
+import http from 'http';
+
+class PromptsTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.requests = [];
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      this.requests = [];
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  startFakeTaiga() {
+    const project = { id: 42, slug: 'demo', name: 'Demo' };
+    const milestones = [
+      { id: 9, project: 42, name: 'Sprint 1', estimated_start: '2026-10-01', estimated_finish: '2026-10-14' },
+      { id: 10, project: 42, name: 'Sprint 2', estimated_start: '2026-10-15', estimated_finish: '2026-10-28' }
+    ];
+    const stats = { total_userstories: 2, completed_userstories: 1, total_tasks: 4, completed_tasks: 3, total_points: { 1: 5, 2: 3 }, completed_points: [5] };
+    const stories = [
+      { id: 60, ref: 12, subject: 'Checkout', milestone: 9, total_points: 5, status_extra_info: { name: 'Done', is_closed: true }, assigned_to_extra_info: { full_name_display: 'Ada Lovelace' } },
+      { id: 61, ref: 14, subject: 'Order history', milestone: 9, total_points: 3, is_blocked: true, status_extra_info: { name: 'In progress' } },
+      { id: 62, ref: 20, subject: 'Gift cards', milestone: null, total_points: 8, status_extra_info: { name: 'New' } },
+      { id: 63, ref: 21, subject: 'Old idea', milestone: null, status_extra_info: { name: 'Archived', is_closed: true } }
+    ];
+    const issues = [
+      { id: 150, ref: 45, subject: 'Login fails', milestone: 9, status_extra_info: { name: 'New' },
+        type_extra_info: { name: 'Bug' }, priority_extra_info: { name: 'High' }, severity_extra_info: { name: 'Critical' } },
+      { id: 151, ref: 46, subject: 'Typo on cart', milestone: 9, status_extra_info: { name: 'Closed', is_closed: true },
+        type_extra_info: { name: 'Bug' }, priority_extra_info: { name: 'Low' }, severity_extra_info: { name: 'Minor' },
+        assigned_to_extra_info: { full_name_display: 'Grace Hopper' } }
+    ];
+
+    this.server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const query = Object.fromEntries(url.searchParams);
+        this.requests.push({ path, query });
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (path === '/projects/by_slug') return send(project);
+        if (path === '/projects/42') return send(project);
+        if (path === '/milestones') return send(milestones);
+        if (path === '/milestones/9/stats') return send(stats);
+        if (path === '/milestones/10/stats') return send({ total_userstories: 0, completed_userstories: 0 });
+        if (path === '/userstories') return send(stories);
+        if (path === '/issues') return send(query.milestone === '9' ? issues : []);
+        return send({ detail: 'Not found.' }, 404);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Prompts Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    delete process.env.TAIGA_LOCALE;
+    delete process.env.TAIGA_DEFAULT_PROJECT;
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'prompts-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const getText = async (name, args) => {
+      const result = await client.getPrompt({ name, arguments: args });
+      this.assert(result.messages.length === 1 && result.messages[0].role === 'user', JSON.stringify(result.messages));
+      return result.messages[0].content.text;
+    };
+
+    await this.test('The four workflow prompts are listed with project and sprint arguments', async () => {
+      const { prompts } = await client.listPrompts();
+      const names = prompts.map(prompt => prompt.name);
+      for (const expected of ['sprintPlanning', 'bugTriage', 'dailyStandup', 'retrospective']) {
+        const prompt = prompts.find(candidate => candidate.name === expected);
+        this.assert(prompt, `Missing ${expected} in ${names.join(', ')}`);
+        const args = Object.fromEntries(prompt.arguments.map(argument => [argument.name, argument.required]));
+        this.assert(args.projectIdentifier === true && args.sprint === true, JSON.stringify(prompt.arguments));
+      }
+    });
+
+    await this.test('Sprint planning embeds statistics, sprint stories, backlog and open issues', async () => {
+      const text = await getText('sprintPlanning', { projectIdentifier: 'demo', sprint: 'Sprint 1' });
+      this.assert(text.startsWith('Help me plan sprint "Sprint 1"') && text.includes('of project Demo'), text);
+      this.assert(text.includes('- Points: 5/8 completed (50%)'), 'Points should be totalled');
+      this.assert(text.includes('- #12 Checkout (Done, 5 pts, Ada Lovelace)'), text);
+      this.assert(text.includes('- #14 Order history (In progress, 3 pts, unassigned) ⛔ blocked'), 'Blocked stories should be marked');
+      const backlog = text.split('## Backlog (not in a sprint)')[1].split('## Open Issues')[0];
+      this.assert(backlog.includes('#20 Gift cards') && !backlog.includes('#21'), `Backlog should hold open unplanned stories:\n${backlog}`);
+      this.assert(text.split('## Open Issues')[1].includes('#45 Login fails') && !text.includes('#46'), 'Only open issues should be listed');
+    });
+
+    await this.test('The data comes from the sprint statistics, sprint issues and user stories', async () => {
+      await getText('dailyStandup', { projectIdentifier: 'demo', sprint: '9' });
+      const paths = this.requests.map(request => request.path);
+      for (const expected of ['/milestones/9/stats', '/issues', '/userstories']) {
+        this.assert(paths.includes(expected), `Expected a request to ${expected}, got ${paths.join(', ')}`);
+      }
+      const issueRequest = this.requests.find(request => request.path === '/issues');
+      this.assert(issueRequest.query.milestone === '9' && issueRequest.query.project === '42', JSON.stringify(issueRequest.query));
+    });
+
+    await this.test('Bug triage lists open and closed issues with their classification', async () => {
+      const text = await getText('bugTriage', { projectIdentifier: '42', sprint: 'sprint 1' });
+      this.assert(text.includes('- #45 Login fails (Bug, priority High, severity Critical, New, unassigned)'), text);
+      this.assert(text.split('## Closed Issues')[1].includes('#46 Typo on cart'), text);
+      this.assert(!text.includes('## Sprint Statistics'), 'Triage does not need the statistics');
+    });
+
+    await this.test('Triage and standup filters narrow the embedded data', async () => {
+      const triage = await getText('bugTriage', { projectIdentifier: 'demo', sprint: 'Sprint 1', priority: 'low' });
+      this.assert(triage.includes('Only items matching Priority: low are included.'), triage);
+      this.assert(triage.includes('#46 Typo on cart') && !triage.includes('#45'), triage);
+
+      const standup = await getText('dailyStandup', { projectIdentifier: 'demo', sprint: 'Sprint 1', member: 'Ada Lovelace' });
+      this.assert(standup.includes('#12 Checkout') && !standup.includes('#14'), standup);
+      this.assert(standup.includes('## Open Issues\n\n- None'), 'The open issue is not assigned to Ada');
+    });
+
+    await this.test('The retrospective separates completed and unfinished stories', async () => {
+      const text = await getText('retrospective', { projectIdentifier: 'demo', sprint: 'Sprint 1' });
+      const done = text.split('## Completed User Stories')[1].split('## Unfinished User Stories')[0];
+      const unfinished = text.split('## Unfinished User Stories')[1].split('## Closed Issues')[0];
+      this.assert(done.includes('#12') && !done.includes('#14'), done);
+      this.assert(unfinished.includes('#14') && !unfinished.includes('#12'), unfinished);
+    });
+
+    await this.test('Empty sections say so', async () => {
+      const text = await getText('dailyStandup', { projectIdentifier: 'demo', sprint: 'Sprint 2' });
+      this.assert(text.includes('## Open Issues\n\n- None'), text);
+    });
+
+    await this.test('An unknown sprint fails with a clear message', async () => {
+      try {
+        await getText('retrospective', { projectIdentifier: 'demo', sprint: 'Sprint 99' });
+        throw new Error('The prompt should have failed');
+      } catch (error) {
+        this.assert(error.message.includes('Sprint "Sprint 99" not found in project "demo"'), error.message);
+      }
+    });
+
+    await this.test('Prompts follow TAIGA_LOCALE', async () => {
+      process.env.TAIGA_LOCALE = 'zh-TW';
+      try {
+        const text = await getText('sprintPlanning', { projectIdentifier: 'demo', sprint: 'Sprint 1' });
+        this.assert(text.startsWith('請協助我規劃專案 Demo 的 Sprint「Sprint 1」') && text.includes('## 待辦清單（不在 Sprint 中）'), text);
+      } finally {
+        delete process.env.TAIGA_LOCALE;
+      }
+    });
+
+    await client.close();
+
+    await this.test('With a default project the project argument is optional', async () => {
+      process.env.TAIGA_DEFAULT_PROJECT = 'demo';
+      try {
+        const [defaultClientTransport, defaultServerTransport] = InMemoryTransport.createLinkedPair();
+        const defaultClient = new Client({ name: 'prompts-default-test', version: '1.0.0' });
+        await createServer().connect(defaultServerTransport);
+        await defaultClient.connect(defaultClientTransport);
+
+        const { prompts } = await defaultClient.listPrompts();
+        const argument = prompts[0].arguments.find(candidate => candidate.name === 'projectIdentifier');
+        this.assert(!argument.required && argument.description.includes('default: demo'), JSON.stringify(argument));
+        const result = await defaultClient.getPrompt({ name: 'bugTriage', arguments: { sprint: 'Sprint 1' } });
+        this.assert(result.messages[0].content.text.includes('in project Demo'), result.messages[0].content.text);
+        await defaultClient.close();
+      } finally {
+        delete process.env.TAIGA_DEFAULT_PROJECT;
+      }
+    });
+
+    this.server.close();
+
+    console.log('\n📊 Prompts Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new PromptsTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Prompts test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default PromptsTestRunner;
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Resources Test - Verifies the taiga://project/{slug}/... resource templates
+ * (markdown renderings of single items) and the recent items in resources/list
+ */
+
+import http from 'http';
+
+class ResourcesTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.requests = [];
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      this.requests = [];
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Answer like a Taiga instance with two projects
+   */
+  startFakeTaiga() {
+    const demo = { id: 42, slug: 'demo', name: 'Demo', modified_date: '2026-10-01T10:00:00Z' };
+    const old = { id: 7, slug: 'old', name: 'Old', modified_date: '2025-01-01T10:00:00Z' };
+    const issue = {
+      id: 150, ref: 45, project: 42, subject: 'Login fails', description: 'Steps | to reproduce',
+      status: 3, status_extra_info: { name: 'In progress', is_closed: false },
+      type_extra_info: { name: 'Bug' }, priority_extra_info: { name: 'High' }, severity_extra_info: { name: 'Critical' },
+      assigned_to: 5, assigned_to_extra_info: { full_name_display: 'Ada Lovelace' },
+      milestone: 9, milestone_name: 'Sprint 1', tags: [['auth', null]], version: 4,
+      created_date: '2026-09-01T10:00:00Z', modified_date: '2026-10-02T10:00:00Z'
+    };
+    const story = { id: 60, ref: 12, project: 42, subject: 'Checkout', status_extra_info: { name: 'Done', is_closed: true }, total_points: 5, version: 2 };
+    const task = { id: 70, ref: 13, project: 42, subject: 'Write tests', user_story: 60, user_story_extra_info: { ref: 12, subject: 'Checkout' }, version: 1 };
+    const epic = { id: 80, ref: 3, project: 42, subject: 'Payments', color: '#FF5733', user_stories_counts: { total: 4 }, version: 1 };
+    const milestones = [
+      { id: 9, project: 42, name: 'Sprint 1', estimated_start: '2026-10-01', estimated_finish: '2026-10-14', modified_date: '2026-10-01T00:00:00Z',
+        user_stories: [{ id: 60, ref: 12, subject: 'Checkout', status_extra_info: { name: 'Done' } }] },
+      { id: 10, project: 42, name: 'Sprint 2', modified_date: '2026-10-05T00:00:00Z', user_stories: [] }
+    ];
+    const wiki = { id: 90, slug: 'home', project: 42, content: '# Welcome\n\nRead me first.', version: 6, modified_date: '2026-10-03T00:00:00Z' };
+
+    this.server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const query = Object.fromEntries(url.searchParams);
+        this.requests.push({ path, query });
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (path === '/projects/by_slug') {
+          const project = [demo, old].find(candidate => candidate.slug === query.slug);
+          return project ? send(project) : send({ detail: 'Not found.' }, 404);
+        }
+        if (path === '/projects') return send([old, demo]);
+
+        const byRef = { '/issues/by_ref': issue, '/userstories/by_ref': story, '/tasks/by_ref': task, '/epics/by_ref': epic };
+        if (byRef[path]) {
+          return Number(query.ref) === byRef[path].ref && Number(query.project) === 42
+            ? send(byRef[path])
+            : send({ detail: 'Not found.' }, 404);
+        }
+
+        // Lists only have items in the demo project
+        const inDemo = (items) => send(query.project === '42' ? items : []);
+        if (path === '/issues') return inDemo([issue]);
+        if (path === '/userstories') return inDemo([story]);
+        if (path === '/tasks') return inDemo([task]);
+        if (path === '/epics') return inDemo([epic]);
+        if (path === '/milestones') return inDemo(milestones);
+        if (path === '/milestones/9') return send(milestones[0]);
+        if (path === '/milestones/11') return send({ id: 11, project: 7, name: 'Elsewhere' });
+        if (path === '/wiki') return inDemo([wiki]);
+        if (path === '/wiki/by_slug') return query.slug === 'home' ? send(wiki) : send({ detail: 'Not found.' }, 404);
+        return send([]);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Resources Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    delete process.env.TAIGA_LOCALE;
+    delete process.env.TAIGA_DEFAULT_PROJECT;
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+    const { clearCache } = await import('../src/cache.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'resources-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const read = async (uri) => (await client.readResource({ uri })).contents[0];
+
+    await this.test('Templates are announced', async () => {
+      const { resourceTemplates } = await client.listResourceTemplates();
+      const templates = resourceTemplates.map(template => template.uriTemplate);
+      for (const expected of ['issue/{ref}', 'userstory/{ref}', 'task/{ref}', 'epic/{ref}', 'milestone/{id}', 'wiki/{pageSlug}']) {
+        this.assert(templates.includes(`taiga://project/{slug}/${expected}`), `Missing template for ${expected}`);
+      }
+      this.assert(resourceTemplates.every(template => template.mimeType === 'text/markdown'), 'Templates should be markdown');
+    });
+
+    await this.test('An issue is rendered as markdown with its metadata', async () => {
+      const content = await read('taiga://project/demo/issue/45');
+      this.assert(content.mimeType === 'text/markdown', `mimeType was ${content.mimeType}`);
+      const text = content.text;
+      this.assert(text.startsWith('# Issue #45: Login fails'), text);
+      for (const row of ['| Project | Demo (demo) |', '| Status | In progress |', '| Type | Bug |', '| Priority | High |',
+        '| Assigned to | Ada Lovelace |', '| Sprint | Sprint 1 |', '| Tags | auth |', '| Version | 4 |']) {
+        this.assert(text.includes(row), `Missing "${row}" in:\n${text}`);
+      }
+      this.assert(text.includes('## Description\n\nSteps | to reproduce'), 'The description should follow the table');
+      this.assert(this.requests.some(request => request.path === '/issues/by_ref' && request.query.ref === '45'), 'Should look the issue up by ref');
+    });
+
+    await this.test('User stories, tasks and epics are rendered by ref', async () => {
+      const story = await read('taiga://project/demo/userstory/12');
+      this.assert(story.text.startsWith('# User Story #12: Checkout') && story.text.includes('| Status | Done (Closed) |'), story.text);
+      const task = await read('taiga://project/demo/task/13');
+      this.assert(task.text.includes('| User story | #12 Checkout |'), task.text);
+      const epic = await read('taiga://project/demo/epic/3');
+      this.assert(epic.text.includes('| Color | #FF5733 |') && epic.text.includes('| User stories | 4 |'), epic.text);
+    });
+
+    await this.test('Sprints list their user stories', async () => {
+      const text = (await read('taiga://project/demo/milestone/9')).text;
+      this.assert(text.startsWith('# Sprint: Sprint 1') && text.includes('- #12 Checkout (Done)'), text);
+    });
+
+    await this.test('Sprints of another project are not found under this slug', async () => {
+      try {
+        await read('taiga://project/demo/milestone/11');
+        throw new Error('Reading should have failed');
+      } catch (error) {
+        this.assert(error.message.includes('does not belong to project "demo"'), error.message);
+      }
+    });
+
+    await this.test('Wiki pages include their content', async () => {
+      const text = (await read('taiga://project/demo/wiki/home')).text;
+      this.assert(text.startsWith('# Wiki: home') && text.includes('## Content\n\n# Welcome\n\nRead me first.'), text);
+    });
+
+    await this.test('Unknown items fail with Taiga\'s reason', async () => {
+      try {
+        await read('taiga://project/demo/issue/999');
+        throw new Error('Reading should have failed');
+      } catch (error) {
+        this.assert(error.message.includes('not found in Taiga'), error.message);
+      }
+    });
+
+    await this.test('resources/list enumerates recent items of the user\'s projects', async () => {
+      const { resources } = await client.listResources();
+      const uris = resources.map(resource => resource.uri);
+      for (const expected of ['issue/45', 'userstory/12', 'task/13', 'epic/3', 'milestone/9', 'milestone/10', 'wiki/home']) {
+        this.assert(uris.includes(`taiga://project/demo/${expected}`), `Missing ${expected} in ${uris.join(', ')}`);
+      }
+      this.assert(uris.includes('taiga://projects'), 'Static resources should still be listed');
+      const issue = resources.find(resource => resource.uri === 'taiga://project/demo/issue/45');
+      this.assert(issue.title === 'Issue #45: Login fails' && issue.mimeType === 'text/markdown', JSON.stringify(issue));
+      this.assert(uris.indexOf('taiga://project/demo/milestone/10') < uris.indexOf('taiga://project/demo/milestone/9'), 'Newest sprint first');
+
+      const projectLists = this.requests.filter(request => request.path === '/projects');
+      this.assert(projectLists.length === 1, `Projects should be listed once per request, got ${projectLists.length}`);
+      const issueList = this.requests.find(request => request.path === '/issues' && request.query.project === '42');
+      this.assert(issueList.query.order_by === '-modified_date', 'Recent items should be ordered by modification date');
+    });
+
+    await this.test('A default project limits resources/list to it', async () => {
+      process.env.TAIGA_DEFAULT_PROJECT = 'demo';
+      clearCache();
+      try {
+        await client.listResources();
+        this.assert(!this.requests.some(request => request.path === '/projects'), 'Should not list all projects');
+        this.assert(!this.requests.some(request => request.query.project === '7'), 'Should not list other projects');
+      } finally {
+        delete process.env.TAIGA_DEFAULT_PROJECT;
+      }
+    });
+
+    await this.test('Resources follow TAIGA_LOCALE', async () => {
+      process.env.TAIGA_LOCALE = 'zh-TW';
+      try {
+        const text = (await read('taiga://project/demo/userstory/12')).text;
+        this.assert(text.startsWith('# 用戶故事 #12: Checkout') && text.includes('| 專案 | Demo (demo) |'), text);
+      } finally {
+        delete process.env.TAIGA_LOCALE;
+      }
+    });
+
+    await client.close();
+    this.server.close();
+
+    console.log('\n📊 Resources Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new ResourcesTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Resources test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default ResourcesTestRunner;
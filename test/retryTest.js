@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Retry Test - Verifies backoff, Retry-After handling and idempotency rules against a local fake server
+ */
+
+import http from 'http';
+import axios from 'axios';
+import { attachRetry, parseRetryAfter, computeBackoff, RETRY_DEFAULTS } from '../src/retry.js';
+
+// Keep the suite fast
+const FAST_RETRY = { retries: 3, baseDelayMs: 5, maxDelayMs: 20 };
+
+class RetryTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.failures = [];
+    this.hits = 0;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Queue the responses the fake server returns before succeeding
+   * Each entry is a status code, { status, headers } or 'reset' to drop the connection.
+   */
+  failWith(...failures) {
+    this.failures = failures;
+    this.hits = 0;
+  }
+
+  startFakeServer() {
+    this.server = http.createServer((req, res) => {
+      this.hits++;
+      const failure = this.failures.shift();
+
+      if (failure === 'reset') {
+        req.socket.destroy();
+        return;
+      }
+      if (failure) {
+        const { status, headers = {} } = typeof failure === 'number' ? { status: failure } : failure;
+        res.writeHead(status, headers);
+        res.end(JSON.stringify({ detail: 'failure' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async expectFailure(request) {
+    try {
+      await request();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Request should have failed');
+  }
+
+  async run() {
+    console.log('🧪 Retry Test Suite\n');
+
+    const port = await this.startFakeServer();
+    const client = attachRetry(axios.create({ baseURL: `http://127.0.0.1:${port}` }), FAST_RETRY);
+
+    await this.test('Retry-After header parsing', async () => {
+      this.assert(parseRetryAfter('2') === 2000, 'Seconds should convert to milliseconds');
+      this.assert(parseRetryAfter(new Date(10000).toUTCString(), 4000) === 6000, 'HTTP dates should be relative to now');
+      this.assert(parseRetryAfter(undefined) === null, 'Missing header should give null');
+      this.assert(parseRetryAfter('soon') === null, 'Garbage should give null');
+    });
+
+    await this.test('Backoff grows exponentially and stays under the cap', async () => {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        const delay = computeBackoff(attempt, RETRY_DEFAULTS);
+        const ceiling = Math.min(RETRY_DEFAULTS.maxDelayMs, RETRY_DEFAULTS.baseDelayMs * 2 ** attempt);
+        this.assert(delay >= 0 && delay <= ceiling, `Delay ${delay} out of range for attempt ${attempt}`);
+      }
+    });
+
+    await this.test('GET is retried through 502/503/504 and succeeds', async () => {
+      this.failWith(502, 503, 504);
+      const response = await client.get('/issues');
+      this.assert(response.status === 200, 'Should eventually succeed');
+      this.assert(this.hits === 4, `Expected 4 attempts, got ${this.hits}`);
+    });
+
+    await this.test('GET is retried after a connection reset', async () => {
+      this.failWith('reset');
+      const response = await client.get('/issues');
+      this.assert(response.status === 200, 'Should succeed after the reset');
+      this.assert(this.hits === 2, `Expected 2 attempts, got ${this.hits}`);
+    });
+
+    await this.test('Retry-After is honored on 429', async () => {
+      this.failWith({ status: 429, headers: { 'Retry-After': '1' } });
+      const startTime = Date.now();
+      await client.get('/issues');
+      this.assert(Date.now() - startTime >= 900, 'Should wait for the Retry-After delay');
+    });
+
+    await this.test('Retries stop after the configured limit', async () => {
+      this.failWith(503, 503, 503, 503, 503);
+      const error = await this.expectFailure(() => client.get('/issues'));
+      this.assert(error.response.status === 503, 'Should surface the last failure');
+      this.assert(this.hits === 4, `Expected 1 attempt + 3 retries, got ${this.hits}`);
+    });
+
+    await this.test('POST is not replayed after a 502 unless opted in', async () => {
+      this.failWith(502);
+      await this.expectFailure(() => client.post('/issues', { subject: 'x' }));
+      this.assert(this.hits === 1, `Expected a single attempt, got ${this.hits}`);
+
+      this.failWith(502);
+      const response = await client.post('/issues', { subject: 'x' }, { retry: { nonIdempotent: true } });
+      this.assert(response.status === 200, 'Opted-in POST should be replayed');
+      this.assert(this.hits === 2, `Expected 2 attempts, got ${this.hits}`);
+    });
+
+    await this.test('POST is replayed after a 429 (request was not processed)', async () => {
+      this.failWith(429);
+      const response = await client.post('/issues', { subject: 'x' });
+      this.assert(response.status === 200, 'Should succeed after the 429');
+    });
+
+    await this.test('Client errors and retry: false are not retried', async () => {
+      this.failWith(400);
+      await this.expectFailure(() => client.get('/issues'));
+      this.assert(this.hits === 1, 'A 400 should not be retried');
+
+      this.failWith(503);
+      await this.expectFailure(() => client.get('/issues', { retry: false }));
+      this.assert(this.hits === 1, 'retry: false should disable retries');
+    });
+
+    this.server.close();
+
+    console.log('\n📊 Retry Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new RetryTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Retry test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default RetryTestRunner;
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Scheduler Test - Verifies bounded concurrency, the requests-per-second ceiling and parallel fan-outs
+ */
+
+import http from 'http';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class SchedulerTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.handlers = {};
+    this.inFlight = 0;
+    this.maxInFlight = 0;
+    this.failNext = new Set();
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Answer like a slow Taiga and track how many requests overlap
+   */
+  startFakeTaiga() {
+    let nextId = 1;
+
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const send = (data, status = 200) => {
+          this.inFlight--;
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        this.inFlight++;
+        this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+        await sleep(40);
+
+        if (this.failNext.delete(path)) return send({ detail: 'Service unavailable' }, 503);
+        if (req.method === 'POST') {
+          const id = nextId++;
+          return send({ ...JSON.parse(body), id, ref: id });
+        }
+        if (path === '/projects/by_slug') return send({ id: 42, slug: 'demo' });
+        if (path === '/userstories') return send([1, 2, 3, 4, 5].map(id => ({ id, ref: id, subject: `Story ${id}` })));
+        if (path === '/tasks') {
+          const story = Number(url.searchParams.get('user_story'));
+          return send([{ id: story * 10, user_story: story }, { id: story * 10 + 1, user_story: story }]);
+        }
+        return send({ id: 1, username: 'tester' });
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  resetCounters() {
+    this.inFlight = 0;
+    this.maxInFlight = 0;
+  }
+
+  async run() {
+    console.log('🧪 Scheduler Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_AUDIT_LOG = 'off';
+    process.env.TAIGA_MAX_CONCURRENCY = '3';
+    process.env.TAIGA_MAX_REQUESTS_PER_SECOND = '0';
+    process.env.TAIGA_RETRY_BASE_DELAY_MS = '5';
+
+    const { createScheduler } = await import('../src/scheduler.js');
+    const { createAuthenticatedClient } = await import('../src/taigaAuth.js');
+    const { TaigaService } = await import('../src/taigaService.js');
+    const { QueryExecutor } = await import('../src/query/QueryExecutor.js');
+    const { registerAllTools } = await import('../src/tools/index.js');
+    registerAllTools({ registerTool: (name, config, handler) => { this.handlers[name] = handler; } }, {});
+
+    await this.test('No more than the configured number of tasks run at once', async () => {
+      const scheduler = createScheduler({ concurrency: 2, requestsPerSecond: 0 });
+      let running = 0;
+      let peak = 0;
+      const order = await Promise.all([1, 2, 3, 4, 5].map(n => scheduler.run(async () => {
+        peak = Math.max(peak, ++running);
+        await sleep(10);
+        running--;
+        return n;
+      })));
+      this.assert(peak === 2, `Expected 2 tasks at once, saw ${peak}`);
+      this.assert(order.join(',') === '1,2,3,4,5', 'Results should keep their order');
+      this.assert(scheduler.stats().active === 0 && scheduler.stats().queued === 0, 'All slots should be released');
+    });
+
+    await this.test('Task starts are spaced by the requests-per-second ceiling', async () => {
+      const scheduler = createScheduler({ concurrency: 10, requestsPerSecond: 20 });
+      const starts = [];
+      const started = Date.now();
+      await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.run(async () => starts.push(Date.now() - started))));
+      this.assert(starts[4] >= 190, `Fifth task started after ${starts[4]}ms, expected at least 200ms`);
+    });
+
+    await this.test('Batch creates run in parallel within the limit', async () => {
+      this.resetCounters();
+      const started = Date.now();
+      const result = await this.handlers.batchCreateUserStories({
+        projectIdentifier: 'demo',
+        userStories: [1, 2, 3, 4, 5, 6].map(n => ({ subject: `Story ${n}` }))
+      }, {});
+      const elapsed = Date.now() - started;
+
+      this.assert(!result.isError, result.content[0].text);
+      this.assert(result.content[0].text.includes('6/6'), 'All stories should be created');
+      this.assert(this.maxInFlight === 3, `Expected 3 requests at once, saw ${this.maxInFlight}`);
+      this.assert(elapsed < 6 * 40, `Took ${elapsed}ms, no faster than one at a time`);
+      const subjects = result.structuredContent.created.map(story => story.subject);
+      this.assert(JSON.stringify(subjects) === JSON.stringify([1, 2, 3, 4, 5, 6].map(n => `Story ${n}`)), `Results should be in input order: ${subjects}`);
+    });
+
+    await this.test('fetchAllTasks collects the tasks of every story in parallel', async () => {
+      this.resetCounters();
+      const tasks = await new QueryExecutor(new TaigaService()).fetchAllTasks(42);
+      this.assert(tasks.length === 10, `Expected 10 tasks, got ${tasks.length}`);
+      this.assert(tasks[0].user_story === 1 && tasks[9].user_story === 5, 'Tasks should keep the story order');
+      this.assert(this.maxInFlight === 3, `Expected 3 requests at once, saw ${this.maxInFlight}`);
+    });
+
+    await this.test('Slots are released before a retry', async () => {
+      const client = await createAuthenticatedClient();
+      this.failNext = new Set(['/users/me']);
+      const responses = await Promise.all([1, 2, 3, 4].map(() => client.get('/users/me')));
+      this.assert(responses.every(response => response.data.username === 'tester'), 'Every request should succeed');
+      this.assert(this.failNext.size === 0, 'One request should have been retried');
+    });
+
+    this.server.close();
+
+    console.log('\n📊 Scheduler Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new SchedulerTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Scheduler test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default SchedulerTestRunner;
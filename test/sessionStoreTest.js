@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Session Store Test - Verifies that saved sessions are reused across restarts,
+ * kept private, keyed by profile, API URL and username, and cleared by the logout tool
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Build an unsigned JWT-shaped token expiring after the given number of seconds
+ */
+function makeToken(id, expiresInSeconds) {
+  const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${encode({ alg: 'none' })}.${encode({ user_id: id, exp: Math.floor(Date.now() / 1000) + expiresInSeconds })}.sig`;
+}
+
+class SessionStoreTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.calls = [];
+    this.tokenCounter = 0;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      this.calls = [];
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Issue a new token pair, like /auth and /auth/refresh
+   */
+  issueTokens() {
+    this.tokenCounter++;
+    return { auth_token: makeToken(this.tokenCounter, 3600), refresh: `refresh-${this.tokenCounter}` };
+  }
+
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        this.calls.push(`${req.method} ${req.url}`);
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (req.url === '/api/v1/auth' || req.url === '/api/v1/auth/refresh') {
+          return send(this.issueTokens());
+        }
+        return send({ id: 1, username: 'tester', full_name: 'Test User' });
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  /**
+   * Read the saved sessions
+   * @returns {Object} - Sessions by key
+   */
+  readStore() {
+    return JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+  }
+
+  async run() {
+    console.log('🧪 Session Store Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    this.apiUrl = `http://127.0.0.1:${port}/api/v1`;
+    this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taiga-sessions-'));
+    this.storeFile = path.join(this.directory, 'private', 'sessions.json');
+
+    process.env.TAIGA_API_URL = this.apiUrl;
+    process.env.TAIGA_USERNAME = 'tester';
+    process.env.TAIGA_PASSWORD = 'secret';
+    process.env.TAIGA_SESSION_STORE = this.storeFile;
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_AUDIT_LOG = 'off';
+    delete process.env.TAIGA_AUTH_TOKEN;
+    delete process.env.TAIGA_PROFILES;
+
+    const auth = await import('../src/taigaAuth.js');
+    const { getSessionStorePath, loadSession } = await import('../src/sessionStore.js');
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'session-store-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const key = `default ${this.apiUrl} tester`;
+
+    await this.test('The store is off unless enabled', async () => {
+      this.assert(getSessionStorePath({}) === null, 'No setting should mean no store');
+      this.assert(getSessionStorePath({ TAIGA_SESSION_STORE: 'off' }) === null, '"off" should disable the store');
+      this.assert(getSessionStorePath({ TAIGA_SESSION_STORE: 'on' }) === path.join(os.homedir(), '.taiga-mcp', 'sessions.json'), '"on" should use the default path');
+      this.assert(getSessionStorePath({ TAIGA_SESSION_STORE: '/tmp/s.json' }) === '/tmp/s.json', 'A path should be used as is');
+    });
+
+    await this.test('A login saves the tokens in a private file', async () => {
+      const token = await auth.getAuthToken();
+      this.assert(this.calls.includes('POST /api/v1/auth'), 'Should log in with the password');
+
+      const saved = this.readStore()[key];
+      this.assert(saved?.authToken === token && saved.refreshToken === 'refresh-1', JSON.stringify(saved));
+      this.assert((fs.statSync(this.storeFile).mode & 0o777) === 0o600, 'The store should be readable by its owner only');
+      this.assert((fs.statSync(path.dirname(this.storeFile)).mode & 0o777) === 0o700, 'The store directory should be private');
+    });
+
+    await this.test('A restarted server reuses the saved session', async () => {
+      const saved = this.readStore()[key];
+      auth.clearAuthTokens(); // what a restart loses
+      const token = await auth.getAuthToken();
+      this.assert(token === saved.authToken, 'The saved token should be reused');
+      this.assert(this.calls.length === 0, `No login expected, got: ${this.calls.join(', ')}`);
+    });
+
+    await this.test('An expired saved token is refreshed instead of logging in', async () => {
+      const sessions = this.readStore();
+      sessions[key].tokenExpiration = Date.now() - 1000;
+      fs.writeFileSync(this.storeFile, JSON.stringify(sessions), { mode: 0o600 });
+      auth.clearAuthTokens();
+
+      await auth.getAuthToken();
+      this.assert(this.calls.includes('POST /api/v1/auth/refresh'), 'Should use the saved refresh token');
+      this.assert(!this.calls.includes('POST /api/v1/auth'), 'Should not log in with the password');
+      this.assert(this.readStore()[key].tokenExpiration > Date.now(), 'The refreshed token should be saved');
+    });
+
+    await this.test('Sessions are keyed by profile, API URL and username', async () => {
+      const profile = { name: 'default', apiUrl: this.apiUrl, username: 'tester' };
+      this.assert(loadSession(profile) !== null, 'The profile should have a session');
+      this.assert(loadSession({ ...profile, apiUrl: 'https://other.example.com/api/v1' }) === null, 'Another instance should not get the tokens');
+      this.assert(loadSession({ ...profile, name: 'cloud' }) === null, 'Another profile should not get the tokens');
+      this.assert(loadSession({ ...profile, username: 'someone-else' }) === null, 'Another configured user should not get the tokens');
+    });
+
+    await this.test('An ad-hoc login with other credentials is not saved', async () => {
+      const saved = this.readStore()[key];
+      const login = await client.callTool({ name: 'authenticate', arguments: { username: 'visitor', password: 'other' } });
+      this.assert(!login.isError, login.content[0].text);
+      this.assert(this.calls.includes('POST /api/v1/auth'), 'Should log in with the given credentials');
+
+      const sessions = this.readStore();
+      this.assert(Object.keys(sessions).length === 1, `Only the configured login should be saved: ${Object.keys(sessions).join(', ')}`);
+      this.assert(sessions[key].authToken === saved.authToken, 'The saved session should be left alone');
+
+      // Back to the configured user, as after a restart
+      auth.clearAuthTokens();
+      this.calls = [];
+      this.assert(await auth.getAuthToken() === saved.authToken, 'The configured session should be reused');
+      this.assert(this.calls.length === 0, `No login expected, got: ${this.calls.join(', ')}`);
+    });
+
+    await this.test('A store readable by others is restricted to its owner', async () => {
+      fs.chmodSync(this.storeFile, 0o644);
+      loadSession({ name: 'default', apiUrl: this.apiUrl, username: 'tester' });
+      this.assert((fs.statSync(this.storeFile).mode & 0o777) === 0o600, 'Permissions should be tightened');
+    });
+
+    await this.test('logout clears the session and says tokens cannot be revoked', async () => {
+      const result = await client.callTool({ name: 'logout', arguments: {} });
+      const text = result.content[0].text;
+      this.assert(!result.isError && text.includes('Logged out of profile "default"'), text);
+      this.assert(text.includes('no endpoint to revoke tokens'), 'The response should not claim the tokens were revoked');
+      this.assert(!(key in this.readStore()), 'The saved session should be removed');
+
+      this.calls = [];
+      await auth.getAuthToken();
+      this.assert(this.calls.includes('POST /api/v1/auth'), 'The next call should log in again');
+    });
+
+    await this.test('logout without a session reports it', async () => {
+      await client.callTool({ name: 'logout', arguments: {} });
+      const result = await client.callTool({ name: 'logout', arguments: {} });
+      this.assert(result.content[0].text.includes('has no active session'), result.content[0].text);
+      const chinese = await client.callTool({ name: 'logout', arguments: { locale: 'zh-TW' } });
+      this.assert(chinese.content[0].text.includes('沒有登入中的工作階段'), chinese.content[0].text);
+    });
+
+    await client.close();
+    this.server.close();
+    fs.rmSync(this.directory, { recursive: true, force: true });
+
+    console.log('\n📊 Session Store Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new SessionStoreTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Session store test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default SessionStoreTestRunner;
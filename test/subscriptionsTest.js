@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Subscriptions Test - Verifies resources/subscribe for item resources: changes
+ * to version or modified_date are notified, and the number of subscriptions is capped
+ */
+
+import http from 'http';
+
+class SubscriptionsTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.items = new Map();
+    this.updates = [];
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      this.updates = [];
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Wait until a condition holds
+   * @param {Function} condition - Checked every 10 ms
+   * @param {number} [timeoutMs] - Give up after this long
+   * @returns {Promise<boolean>} - Whether the condition held in time
+   */
+  async waitFor(condition, timeoutMs = 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      if (condition()) return true;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return condition();
+  }
+
+  /**
+   * Save a change as someone in Taiga would
+   * @param {string} key - Item key, e.g. "/issues/by_ref?ref=45"
+   * @param {Object} changes - Changed fields
+   */
+  edit(key, changes) {
+    this.items.set(key, { ...this.items.get(key), ...changes });
+  }
+
+  startFakeTaiga() {
+    this.items.set('/issues/by_ref?ref=45', { id: 150, ref: 45, project: 42, subject: 'Login fails', version: 1, modified_date: '2026-10-01T10:00:00Z' });
+    this.items.set('/userstories/by_ref?ref=12', { id: 60, ref: 12, project: 42, subject: 'Checkout', version: 1 });
+    this.items.set('/tasks/by_ref?ref=13', { id: 70, ref: 13, project: 42, subject: 'Write tests', version: 1 });
+    this.items.set('/milestones/9', { id: 9, project: 42, name: 'Sprint 1', modified_date: '2026-10-01T00:00:00Z' });
+
+    this.server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace('/api/v1', '');
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (path === '/projects/by_slug') {
+          return send({ id: 42, slug: 'demo', name: 'Demo' });
+        }
+        const ref = url.searchParams.get('ref');
+        const item = this.items.get(ref ? `${path}?ref=${ref}` : path);
+        return item ? send(item) : send({ detail: 'Not found.' }, 404);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Subscriptions Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    process.env.TAIGA_CACHE_TTL_MS = '0';
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { McpServer } = await import('@modelcontextprotocol/sdk/server/mcp.js');
+    const { ResourceUpdatedNotificationSchema } = await import('@modelcontextprotocol/sdk/types.js');
+    const { createServer } = await import('../src/server.js');
+    const { registerItemResources } = await import('../src/resources.js');
+    const { enableSubscriptions } = await import('../src/subscriptions.js');
+
+    /**
+     * Connect a client to a server with item resources and the given subscription options
+     */
+    const connect = async (options) => {
+      const server = new McpServer({ name: 'subscriptions-test-server', version: '1.0.0' });
+      registerItemResources(server);
+      const subscriptions = enableSubscriptions(server, options);
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'subscriptions-test', version: '1.0.0' });
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+        this.updates.push(notification.params.uri);
+      });
+      await server.connect(serverTransport);
+      await client.connect(clientTransport);
+      return { client, subscriptions };
+    };
+
+    const issueUri = 'taiga://project/demo/issue/45';
+    const sprintUri = 'taiga://project/demo/milestone/9';
+
+    // Polled by hand, so the interval never fires during the tests
+    const { client, subscriptions } = await connect({ pollIntervalMs: 60 * 60 * 1000, maxSubscriptions: 2 });
+
+    await this.test('The server announces subscription support', async () => {
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const probe = new Client({ name: 'capabilities-probe', version: '1.0.0' });
+      await createServer().connect(serverTransport);
+      await probe.connect(clientTransport);
+      this.assert(probe.getServerCapabilities().resources?.subscribe === true, JSON.stringify(probe.getServerCapabilities()));
+      await probe.close();
+    });
+
+    await this.test('An unchanged item is not notified', async () => {
+      await client.subscribeResource({ uri: issueUri });
+      await subscriptions.poll();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      this.assert(this.updates.length === 0, `Unexpected updates: ${this.updates.join(', ')}`);
+    });
+
+    await this.test('A new version is notified once', async () => {
+      this.edit('/issues/by_ref?ref=45', { subject: 'Login fails on Safari', version: 2 });
+      await subscriptions.poll();
+      this.assert(await this.waitFor(() => this.updates.length === 1), 'Expected an update notification');
+      this.assert(this.updates[0] === issueUri, this.updates[0]);
+
+      await subscriptions.poll();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      this.assert(this.updates.length === 1, 'The same revision should not be notified again');
+    });
+
+    await this.test('A changed modified_date is notified for items without a version', async () => {
+      await client.subscribeResource({ uri: sprintUri });
+      this.edit('/milestones/9', { modified_date: '2026-10-02T00:00:00Z' });
+      await subscriptions.poll();
+      this.assert(await this.waitFor(() => this.updates.includes(sprintUri)), 'Expected an update for the sprint');
+    });
+
+    await this.test('The number of subscriptions is capped', async () => {
+      try {
+        await client.subscribeResource({ uri: 'taiga://project/demo/userstory/12' });
+        throw new Error('The third subscription should have been refused');
+      } catch (error) {
+        this.assert(error.message.includes('Subscription limit reached (2 resources)'), error.message);
+      }
+      await client.subscribeResource({ uri: issueUri });
+      this.assert(subscriptions.size() === 2, 'Subscribing twice to a URI should not count twice');
+    });
+
+    await this.test('Unsubscribing stops notifications and frees a slot', async () => {
+      await client.unsubscribeResource({ uri: sprintUri });
+      this.edit('/milestones/9', { modified_date: '2026-10-03T00:00:00Z' });
+      await subscriptions.poll();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      this.assert(!this.updates.includes(sprintUri), 'An unsubscribed item should not be notified');
+
+      await client.subscribeResource({ uri: 'taiga://project/demo/userstory/12' });
+      this.assert(subscriptions.size() === 2, `Expected 2 subscriptions, got ${subscriptions.size()}`);
+      await client.unsubscribeResource({ uri: 'taiga://project/demo/userstory/12' });
+    });
+
+    await this.test('Only existing item resources can be subscribed to', async () => {
+      for (const uri of ['taiga://projects', 'taiga://project/demo/issue/999']) {
+        try {
+          await client.subscribeResource({ uri });
+          throw new Error(`Subscribing to ${uri} should have failed`);
+        } catch (error) {
+          this.assert(!error.message.includes('should have failed'), error.message);
+        }
+      }
+      this.assert(subscriptions.size() === 1, `Failed subscriptions should not hold a slot, got ${subscriptions.size()}`);
+    });
+
+    await this.test('A deleted item is notified and its subscription dropped', async () => {
+      this.items.delete('/issues/by_ref?ref=45');
+      await subscriptions.poll();
+      this.assert(await this.waitFor(() => this.updates.includes(issueUri)), 'Expected an update for the deleted issue');
+      this.assert(subscriptions.size() === 0, 'The subscription should be dropped');
+    });
+
+    await this.test('Closing the connection frees its subscriptions', async () => {
+      await client.subscribeResource({ uri: sprintUri });
+      await client.close();
+      this.assert(await this.waitFor(() => subscriptions.size() === 0), `Expected no subscriptions, got ${subscriptions.size()}`);
+    });
+
+    await this.test('The poller runs on its interval', async () => {
+      const { client: polled } = await connect({ pollIntervalMs: 50, maxSubscriptions: 2 });
+      await polled.subscribeResource({ uri: 'taiga://project/demo/task/13' });
+      this.edit('/tasks/by_ref?ref=13', { version: 2 });
+      this.assert(await this.waitFor(() => this.updates.includes('taiga://project/demo/task/13')), 'Expected the poller to notice the change');
+      await polled.close();
+    });
+
+    this.server.close();
+
+    console.log('\n📊 Subscriptions Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new SubscriptionsTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Subscriptions test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default SubscriptionsTestRunner;
@@ -7,6 +7,9 @@
 import { TaigaService } from '../src/taigaService.js';
 import { API_ENDPOINTS, ERROR_MESSAGES, SUCCESS_MESSAGES } from '../src/constants.js';
 import { formatDate, createSuccessResponse, createErrorResponse } from '../src/utils.js';
+import { getProfiles, getProfile, getCurrentProfileName, setActiveProfile } from '../src/profiles.js';
+import { runWithToolContext } from '../src/context.js';
+import { selectTools, getToolSelectionFromEnv } from '../src/tools/index.js';
 
 class UnitTestRunner {
   constructor() {
@@ -120,7 +123,79 @@ class UnitTestRunner {
       }
     });
 
+    // Test connection profiles
+    await this.test('Connection profiles from environment', async () => {
+      const original = { ...process.env };
+      process.env.TAIGA_API_URL = 'https://taiga.example.com/api/v1/';
+      process.env.TAIGA_USERNAME = 'alice';
+      process.env.TAIGA_PASSWORD = 'secret';
+      process.env.TAIGA_PROFILES = JSON.stringify({
+        cloud: { username: 'bob', password: 'other' }
+      });
+
+      try {
+        const profiles = getProfiles();
+        this.assert(profiles.default.apiUrl === 'https://taiga.example.com/api/v1', 'Legacy variables should define the default profile');
+        this.assert(profiles.cloud.apiUrl === 'https://api.taiga.io/api/v1', 'Profiles without apiUrl should use taiga.io');
+        this.assert(getCurrentProfileName() === 'default', 'Default profile should be current outside a tool call');
+
+        const inCall = runWithToolContext({ profile: 'cloud' }, () => getProfile());
+        this.assert(inCall.username === 'bob', 'Per-call profile should override the default');
+
+        const session = {};
+        const otherSession = {};
+        runWithToolContext({ session }, () => setActiveProfile('cloud'));
+        this.assert(runWithToolContext({ session }, () => getCurrentProfileName()) === 'cloud', 'Active profile should switch');
+        this.assert(runWithToolContext({ session: otherSession }, () => getCurrentProfileName()) === 'default', 'Other sessions should keep their profile');
+        this.assert(getCurrentProfileName() === 'default', 'The switch should not leak outside the session');
+
+        let unknownError = null;
+        try {
+          getProfile('missing');
+        } catch (error) {
+          unknownError = error;
+        }
+        this.assert(unknownError?.message.includes('cloud'), 'Unknown profile error should list available profiles');
+      } finally {
+        for (const key of ['TAIGA_API_URL', 'TAIGA_USERNAME', 'TAIGA_PASSWORD', 'TAIGA_PROFILES']) {
+          if (original[key] === undefined) {
+            delete process.env[key];
+          } else {
+            process.env[key] = original[key];
+          }
+        }
+      }
+    });
+
     // Test Data Validation Helpers (if any exist in utils)
+    await this.test('Tool selection (read-only mode, categories, allow/deny lists)', async () => {
+      const names = (selection) => selectTools(selection).map(tool => tool.name);
+
+      const readOnly = names({ readOnly: true });
+      this.assert(readOnly.includes('listIssues') && readOnly.includes('getWikiPage'), 'Read-only mode should keep read tools');
+      for (const name of ['deleteWikiPage', 'deleteAttachment', 'deleteComment', 'createIssue', 'watchWikiPage']) {
+        this.assert(!readOnly.includes(name), `Read-only mode should hide ${name}`);
+      }
+
+      const wikiOnly = names({ categories: ['wiki'], deniedTools: ['deleteWikiPage'] });
+      this.assert(wikiOnly.includes('createWikiPage') && !wikiOnly.includes('deleteWikiPage'), 'Deny list should hide tools within allowed categories');
+      this.assert(wikiOnly.every(name => name.includes('Wiki')), 'Only the chosen categories should be exposed');
+
+      const allowed = names({ allowedTools: ['getIssue', 'listIssues'] });
+      this.assert(allowed.length === 2, 'Allow list should expose only the named tools');
+
+      let unknownError = null;
+      try {
+        selectTools({ deniedTools: ['deleteWikiPages'] });
+      } catch (error) {
+        unknownError = error;
+      }
+      this.assert(unknownError?.message.includes('deleteWikiPages'), 'Misspelled tool names should be rejected');
+
+      const fromEnv = getToolSelectionFromEnv({ TAIGA_READ_ONLY: 'true', TAIGA_DENIED_TOOLS: 'deleteComment, deleteAttachment' });
+      this.assert(fromEnv.readOnly === true && fromEnv.deniedTools.length === 2 && fromEnv.categories === undefined, 'Environment settings should be parsed');
+    });
+
     await this.test('Response format validation', async () => {
       const validResponse = createSuccessResponse('test');
       this.assert(Array.isArray(validResponse.content), 'Content should be an array');
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Versioned Update Test - Verifies that updates send the current version, retry
+ * over concurrent edits to other fields and report edits to the same fields
+ */
+
+import http from 'http';
+
+class VersionedUpdateTestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.items = new Map();
+    this.patches = [];
+    // Called before each PATCH is checked, to simulate someone else saving the item
+    this.interfere = null;
+  }
+
+  async test(name, testFn) {
+    try {
+      process.stdout.write(`🧪 ${name}... `);
+      this.patches = [];
+      this.interfere = null;
+      await testFn();
+      console.log('✅ PASS');
+      this.passed++;
+    } catch (error) {
+      console.log('❌ FAIL');
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  /**
+   * Store an item the fake Taiga serves
+   * @param {string} path - Item endpoint, e.g. "/issues/1"
+   * @param {Object} data - Item fields
+   */
+  seed(path, data) {
+    this.items.set(path, { version: 1, ...data });
+  }
+
+  /**
+   * Save a change as another user would, bumping the version
+   * @param {string} path - Item endpoint
+   * @param {Object} changes - Changed fields
+   */
+  editAsSomeoneElse(path, changes) {
+    const item = this.items.get(path);
+    this.items.set(path, { ...item, ...changes, version: item.version + 1 });
+  }
+
+  /**
+   * Serve items from memory and reject PATCHes with a stale version like Taiga
+   */
+  startFakeTaiga() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const path = new URL(req.url, 'http://localhost').pathname.replace('/api/v1', '');
+        const send = (data, status = 200) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        const item = this.items.get(path);
+        if (!item) {
+          return send({ detail: 'Not found.' }, 404);
+        }
+        if (req.method !== 'PATCH') {
+          return send(item);
+        }
+
+        const patch = JSON.parse(body);
+        this.patches.push(patch);
+        this.interfere?.(path);
+
+        const current = this.items.get(path);
+        if (patch.version !== current.version) {
+          return send({ version: ['The version doesn\'t match with the current one'] }, 400);
+        }
+        const { comment, ...fields } = patch;
+        const updated = { ...current, ...fields, version: current.version + 1 };
+        this.items.set(path, updated);
+        return send(updated);
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  async run() {
+    console.log('🧪 Versioned Update Test Suite\n');
+
+    const port = await this.startFakeTaiga();
+    process.env.TAIGA_API_URL = `http://127.0.0.1:${port}/api/v1`;
+    process.env.TAIGA_AUTH_TOKEN = 'app-token';
+    process.env.TAIGA_AUTH_TOKEN_TYPE = 'Application';
+    process.env.TAIGA_LOG_LEVEL = 'silent';
+    process.env.TAIGA_RETRY_MAX = '0';
+    delete process.env.TAIGA_LOCALE;
+
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+    const { createServer } = await import('../src/server.js');
+    const { TaigaService } = await import('../src/taigaService.js');
+    const { VersionConflictError } = await import('../src/errors.js');
+    const { findConflicts, MAX_CONFLICT_RETRIES } = await import('../src/versionedUpdate.js');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'versioned-update-test', version: '1.0.0' });
+    await createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const service = new TaigaService();
+
+    await this.test('Updates send the current version', async () => {
+      this.seed('/issues/1', { id: 1, subject: 'Login fails', status: 1, version: 7 });
+      const updated = await service.updateIssue(1, { status: 2 });
+      this.assert(this.patches.length === 1 && this.patches[0].version === 7, JSON.stringify(this.patches));
+      this.assert(updated.status === 2 && updated.version === 8, JSON.stringify(updated));
+    });
+
+    await this.test('A concurrent edit to other fields is retried on the new version', async () => {
+      this.seed('/userstories/2', { id: 2, subject: 'Checkout', status: 1, tags: [] });
+      this.interfere = (path) => {
+        if (this.patches.length === 1) this.editAsSomeoneElse(path, { tags: ['urgent'] });
+      };
+      const updated = await service.updateUserStory(2, { status: 3 });
+      this.assert(this.patches.length === 2 && this.patches[1].version === 2, JSON.stringify(this.patches));
+      this.assert(updated.status === 3 && updated.tags[0] === 'urgent', 'Both changes should be kept');
+    });
+
+    await this.test('A concurrent edit to the same field is reported with both values', async () => {
+      this.seed('/issues/3', { id: 3, subject: 'Write docs', status: 1 });
+      this.interfere = (path) => this.editAsSomeoneElse(path, { subject: 'Write API docs' });
+      try {
+        await service.updateIssue(3, { subject: 'Write user docs' });
+        throw new Error('The update should have failed');
+      } catch (error) {
+        this.assert(error instanceof VersionConflictError, `Got ${error.name}: ${error.message}`);
+        this.assert(error.conflicts.length === 1 && error.conflicts[0].theirs === 'Write API docs', JSON.stringify(error.conflicts));
+        this.assert(error.message.includes('- subject: yours "Write user docs", now "Write API docs"'), error.message);
+      }
+      this.assert(this.patches.length === 1, 'An overlapping change must not be overwritten');
+      this.assert(this.items.get('/issues/3').subject === 'Write API docs', 'The other change should stay');
+    });
+
+    await this.test('The same value written concurrently is not a conflict', async () => {
+      this.seed('/epics/4', { id: 4, subject: 'Payments', color: '#999999' });
+      this.interfere = (path) => {
+        if (this.patches.length === 1) this.editAsSomeoneElse(path, { color: '#FF5733' });
+      };
+      const updated = await service.updateEpic(4, { color: '#FF5733' });
+      this.assert(this.patches.length === 2 && updated.color === '#FF5733', JSON.stringify(this.patches));
+    });
+
+    await this.test('Tools show the conflict report', async () => {
+      this.seed('/epics/5', { id: 5, subject: 'Search', color: '#999999' });
+      this.interfere = (path) => this.editAsSomeoneElse(path, { subject: 'Full-text search' });
+      const result = await client.callTool({ name: 'updateEpic', arguments: { epicId: 5, subject: 'Faceted search' } });
+      const text = result.content[0].text;
+      this.assert(result.isError && text.includes('someone else changed the same fields'), text);
+      this.assert(text.includes('"Faceted search"') && text.includes('"Full-text search"'), text);
+    });
+
+    await this.test('Comments are retried over concurrent edits', async () => {
+      this.seed('/issues/6', { id: 6, subject: 'Crash on start', status: 1 });
+      this.interfere = (path) => {
+        if (this.patches.length === 1) this.editAsSomeoneElse(path, { status: 4 });
+      };
+      await service.addComment('issue', 6, { comment: 'Reproduced on 2.1' });
+      this.assert(this.patches.length === 2 && this.patches[1].comment === 'Reproduced on 2.1', JSON.stringify(this.patches));
+    });
+
+    await this.test('Wiki pages and epic links use versioned updates', async () => {
+      this.seed('/wiki/7', { id: 7, slug: 'home', content: 'Old', version: 4 });
+      await service.updateWikiPage(7, { content: 'New' });
+      this.seed('/userstories/8', { id: 8, subject: 'Pay by card', epic: null, version: 2 });
+      await service.linkStoryToEpic(8, 4);
+      this.assert(this.patches[0].version === 4 && this.patches[1].version === 2, JSON.stringify(this.patches));
+      this.assert(this.items.get('/userstories/8').epic === 4, 'The story should be linked');
+    });
+
+    await this.test('Retries stop when unrelated edits keep landing first', async () => {
+      this.seed('/issues/9', { id: 9, subject: 'Busy', status: 1, votes: 0 });
+      this.interfere = (path) => this.editAsSomeoneElse(path, { votes: this.patches.length });
+      try {
+        await service.updateIssue(9, { status: 2 });
+        throw new Error('The update should have failed');
+      } catch (error) {
+        this.assert(error instanceof VersionConflictError, `Got ${error.name}: ${error.message}`);
+      }
+      this.assert(this.patches.length === MAX_CONFLICT_RETRIES + 1, `Sent ${this.patches.length} patches`);
+    });
+
+    await this.test('findConflicts only reports fields both sides changed differently', async () => {
+      const base = { subject: 'A', status: 1, tags: ['x'] };
+      const latest = { subject: 'B', status: 1, tags: ['x', 'y'] };
+      const conflicts = findConflicts({ subject: 'C', status: 2, tags: ['x', 'y'], comment: 'hi' }, base, latest);
+      this.assert(conflicts.length === 1 && conflicts[0].field === 'subject', JSON.stringify(conflicts));
+    });
+
+    await client.close();
+    this.server.close();
+
+    console.log('\n📊 Versioned Update Test Results:');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const runner = new VersionedUpdateTestRunner();
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Versioned update test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default VersionedUpdateTestRunner;